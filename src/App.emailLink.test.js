@@ -0,0 +1,62 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import { getAuth, onAuthStateChanged } from 'firebase/auth';
+import App from './App';
+import { completeEmailSignIn, describeUser, getStoredEmailForSignIn, isEmailSignInLink } from './lib/auth';
+
+jest.mock('firebase/app', () => ({ initializeApp: jest.fn() }));
+jest.mock('firebase/firestore', () => ({ getFirestore: jest.fn() }));
+jest.mock('firebase/auth', () => ({
+  getAuth: jest.fn(),
+  onAuthStateChanged: jest.fn(),
+  signInAnonymously: jest.fn(),
+  signInWithCustomToken: jest.fn(),
+}));
+jest.mock('./lib/auth', () => ({
+  describeUser: jest.fn(),
+  isEmailSignInLink: jest.fn(),
+  getStoredEmailForSignIn: jest.fn(),
+  completeEmailSignIn: jest.fn(),
+}));
+jest.mock('./lib/taxonomy', () => ({ ...jest.requireActual('./lib/taxonomy'), loadTaxonomy: jest.fn() }));
+jest.mock('./wizard/Wizard', () => () => 'Wizard');
+
+const SIGN_IN_LINK = '/?apiKey=key&oobCode=code&mode=signIn';
+const user = { uid: 'user_1', isAnonymous: true };
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {}); // The App logs auth changes
+  global.__firebase_config = JSON.stringify({ apiKey: 'key' });
+  window.history.replaceState(null, '', SIGN_IN_LINK);
+  getAuth.mockReturnValue({ authStateReady: async () => {}, currentUser: user });
+  onAuthStateChanged.mockImplementation((auth, callback) => callback(user));
+  describeUser.mockImplementation(({ uid, isAnonymous }) => ({ uid, isAnonymous, providerIds: [] }));
+  isEmailSignInLink.mockReturnValue(true);
+  completeEmailSignIn.mockResolvedValue({ switchedAccount: false });
+});
+
+afterEach(() => {
+  delete global.__firebase_config;
+  window.history.replaceState(null, '', '/');
+  jest.restoreAllMocks();
+});
+
+describe('opening an emailed sign-in link', () => {
+  test('without a remembered email, opens the account page to ask for it', async () => {
+    getStoredEmailForSignIn.mockReturnValue(null);
+    render(<App />);
+
+    expect(await screen.findByLabelText(/Confirm the email address/)).toBeInTheDocument();
+    expect(window.location.hash).toBe('#/account');
+    expect(window.location.search).toBe('');
+    expect(completeEmailSignIn).not.toHaveBeenCalled();
+  });
+
+  test('with a remembered email, finishes signing in on the account page', async () => {
+    getStoredEmailForSignIn.mockReturnValue('sam@example.com');
+    render(<App />);
+
+    await waitFor(() => expect(completeEmailSignIn).toHaveBeenCalledWith(expect.anything(), 'sam@example.com', expect.stringContaining(SIGN_IN_LINK)));
+    expect(await screen.findByText('Your Account')).toBeInTheDocument();
+    expect(screen.queryByLabelText(/Confirm the email address/)).not.toBeInTheDocument();
+  });
+});
@@ -1,45 +1,37 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect } from 'react';
 import { initializeApp } from 'firebase/app';
 import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, getDoc, onSnapshot } from 'firebase/firestore';
-
-// Define the broad categories available for selection (6-8 as requested)
-// Moved outside the component to prevent it from being redefined on every render,
-// addressing ESLint warning about useEffect dependencies changing.
-const broadCategories = [
-  'Creative & Design',
-  'Tech & Digital',
-  'Business & Professional',
-  'Services & Personal Care',
-  'Manual & Trades',
-  'Education & Health',
-  'Food & Hospitality',
-];
+import { getFirestore } from 'firebase/firestore';
+import Wizard from './wizard/Wizard';
+import useHashRoute from './wizard/useHashRoute';
+import TaxonomyEditor from './components/TaxonomyEditor';
+import AccountBar from './components/AccountBar';
+import LanguageSwitcher from './components/LanguageSwitcher';
+import AccountSettings from './components/AccountSettings';
+import PublicProfileView from './components/PublicProfileView';
+import AcceptInvite from './components/AcceptInvite';
+import SharedProfileView from './components/SharedProfileView';
+import { loadTaxonomy } from './lib/taxonomy';
+import { PUBLIC_PROFILE_ROUTE_PREFIX } from './lib/publicProfile';
+import { INVITE_ROUTE_PREFIX, SHARED_PROFILE_ROUTE_PREFIX } from './lib/collaboration';
+import useLocale from './hooks/useLocale';
+import { describeUser, isEmailSignInLink, getStoredEmailForSignIn, completeEmailSignIn } from './lib/auth';
+
+const TAXONOMY_ADMIN_ROUTE = 'admin/taxonomy';
+const ACCOUNT_ROUTE = 'account';
 
 // Main App component
 const App = () => {
   // Firebase States
   const [db, setDb] = useState(null);
+  const [auth, setAuth] = useState(null);
   const [userId, setUserId] = useState(null);
+  const [account, setAccount] = useState(null); // describeUser() of the signed-in user
+  const [pendingEmailLink, setPendingEmailLink] = useState(null); // Sign-in link opened without a remembered email
   const [isAuthReady, setIsAuthReady] = useState(false); // To ensure Firestore operations wait for auth
-
-  // Application States
-  const [selectedBroadCategories, setSelectedBroadCategories] = useState([]);
-  const [skillsByCategory, setSkillsByCategory] = useState({});
-  const [newSkillInput, setNewSkillInput] = useState('');
-  const [activeBroadCategory, setActiveBroadCategory] = useState('');
-  const [activeSubCategory, setActiveSubCategory] = useState('');
-  const [newCustomBroadCategory, setNewCustomBroadCategory] = useState('');
-  const [suggestedSubCategories, setSuggestedSubCategories] = useState([]);
-  const [suggestedSpecificSkills, setSuggestedSpecificSkills] = useState([]);
-  const [loadingSubCategories, setLoadingSubCategories] = useState(false);
-  const [loadingSpecificSkills, setLoadingSpecificSkills] = useState(false);
-  const [loadingAutoCategorization, setLoadingAutoCategorization] = useState(false);
-  const [selectedSuggestedSkill, setSelectedSuggestedSkill] = useState('');
-  const [savingStatus, setSavingStatus] = useState(''); // Status for saving data
-
-  // Ref to prevent initial save on mount due to state initialization
-  const isInitialMount = useRef(true);
+  const [isFirebaseUnavailable, setIsFirebaseUnavailable] = useState(false); // Config missing or init failed
+  const [route, navigate] = useHashRoute();
+  useLocale(); // Re-render everything when the UI language changes
 
   // Derive appId once here to address 'appId is assigned but never used' warning
   // and ensure consistent use across Firestore calls.
@@ -53,6 +45,7 @@ const App = () => {
 
         if (Object.keys(firebaseConfig).length === 0) {
           console.error("Firebase config is empty. Cannot initialize Firebase.");
+          setIsFirebaseUnavailable(true);
           return;
         }
 
@@ -61,717 +54,135 @@ const App = () => {
         const firebaseAuth = getAuth(app);
 
         setDb(firestoreDb);
+        setAuth(firebaseAuth);
+
+        // Keep a persisted session (possibly a signed-in account) rather than starting a new guest one.
+        await firebaseAuth.authStateReady();
+
+        // Opened from an emailed sign-in link: finish it now if this browser asked for it,
+        // otherwise the account page asks which address the link was sent to.
+        if (isEmailSignInLink(firebaseAuth, window.location.href)) {
+          const linkUrl = window.location.href;
+          navigate(ACCOUNT_ROUTE, { replace: true });
+          const email = getStoredEmailForSignIn();
+          if (email) {
+            try {
+              await completeEmailSignIn(firebaseAuth, email, linkUrl);
+            } catch (error) {
+              console.error("Error completing email sign-in:", error);
+            }
+          } else {
+            setPendingEmailLink(linkUrl);
+          }
+        }
 
-        if (typeof __initial_auth_token !== 'undefined') {
-          await signInWithCustomToken(firebaseAuth, __initial_auth_token);
-        } else {
-          await signInAnonymously(firebaseAuth);
+        if (!firebaseAuth.currentUser) {
+          if (typeof __initial_auth_token !== 'undefined') {
+            await signInWithCustomToken(firebaseAuth, __initial_auth_token);
+          } else {
+            await signInAnonymously(firebaseAuth);
+          }
         }
 
         onAuthStateChanged(firebaseAuth, (user) => {
           if (user) {
             setUserId(user.uid);
+            setAccount(describeUser(user));
             setIsAuthReady(true);
             console.log("Firebase Auth Ready. User ID:", user.uid);
           } else {
             setUserId(null);
+            setAccount(null);
             setIsAuthReady(false);
             console.log("User logged out or not authenticated.");
+            // After signing out or deleting the account, carry on as a new guest.
+            signInAnonymously(firebaseAuth).catch(error => console.error("Error starting a guest session:", error));
           }
         });
 
       } catch (error) {
         console.error("Error initializing Firebase:", error);
+        setIsFirebaseUnavailable(true);
       }
     };
 
     initializeFirebase();
-  }, []); // Run only once on mount
-
-  // --- Firestore Data Loading and Saving ---
-  useEffect(() => {
-    if (!isAuthReady || !db || !userId) {
-      console.log("Waiting for Auth readiness, DB, or User ID for data operations.");
-      return;
-    }
-
-    // Use the component-level canvasAppId
-    const userSkillsDocRef = doc(db, `artifacts/${canvasAppId}/users/${userId}/userSkills/whatSkills`);
-
-    const loadSkills = async () => {
-      try {
-        const docSnap = await getDoc(userSkillsDocRef);
-        if (docSnap.exists()) {
-          const loadedData = docSnap.data();
-          if (loadedData.skills) {
-            setSkillsByCategory(loadedData.skills);
-            const loadedBroadCategories = new Set();
-            Object.keys(loadedData.skills).forEach(broadCatKey => {
-                if (broadCategories.includes(broadCatKey)) {
-                    loadedBroadCategories.add(broadCatKey);
-                } else if (broadCatKey.startsWith('Other_Custom_') || broadCatKey.startsWith('Other_Auto_Uncategorized')) {
-                    loadedBroadCategories.add('Other'); // Ensure 'Other' checkbox is checked if custom categories exist
-                    if (!Array.from(selectedBroadCategories).some(c => c === broadCatKey)) {
-                        loadedBroadCategories.add(broadCatKey);
-                    }
-                }
-            });
-            setSelectedBroadCategories(prev => Array.from(new Set([...prev, ...Array.from(loadedBroadCategories)])));
-          }
-          console.log("Skills loaded from Firestore.");
-        } else {
-          console.log("No existing skills data for this user.");
-        }
-      } catch (error) {
-        console.error("Error loading skills from Firestore:", error);
-      }
-    };
-
-    loadSkills();
-
-    const unsubscribe = onSnapshot(userSkillsDocRef, (docSnap) => {
-      if (docSnap.exists() && !isInitialMount.current) {
-        const updatedSkills = docSnap.data().skills;
-        setSkillsByCategory(updatedSkills || {});
-        console.log("Skills updated via real-time listener.");
-      }
-    }, (error) => {
-      console.error("Error listening to skills document:", error);
-    });
-
-    return () => unsubscribe();
-  }, [isAuthReady, db, userId, selectedBroadCategories, canvasAppId]); // Added canvasAppId to dependencies and broadCategories removed for consistency after it being global
-
-  useEffect(() => {
-    if (isInitialMount.current) {
-      isInitialMount.current = false;
-      return;
-    }
-
-    if (!isAuthReady || !db || !userId) {
-      console.log("Skipping save: Auth not ready, DB not set, or User ID missing.");
-      return;
-    }
-
-    const saveSkills = async () => {
-      setSavingStatus('Saving...');
-      try {
-        // Use the component-level canvasAppId
-        const userSkillsDocRef = doc(db, `artifacts/${canvasAppId}/users/${userId}/userSkills/whatSkills`);
-        const cleanedSkills = {};
-        for (const broadCat in skillsByCategory) {
-            const subCats = skillsByCategory[broadCat];
-            const cleanedSubCats = {};
-            for (const subCat in subCats) {
-                if (subCats[subCat] && subCats[subCat].length > 0) {
-                    cleanedSubCats[subCat] = subCats[subCat];
-                }
-            }
-            if (Object.keys(cleanedSubCats).length > 0) {
-                cleanedSkills[broadCat] = cleanedSubCats;
-            }
-        }
-
-        await setDoc(userSkillsDocRef, { skills: cleanedSkills }, { merge: true });
-        setSavingStatus('Saved!');
-        console.log("Skills saved to Firestore.");
-      } catch (error) {
-        setSavingStatus('Save failed!');
-        console.error("Error saving skills to Firestore:", error);
-      } finally {
-        setTimeout(() => setSavingStatus(''), 2000);
-      }
-    };
-
-    const handler = setTimeout(() => {
-      saveSkills();
-    }, 500);
-
-    return () => {
-      clearTimeout(handler);
-    };
-  }, [skillsByCategory, isAuthReady, db, userId, canvasAppId]); // Added canvasAppId to dependencies
-
-  // --- Gemini API Calls ---
-
-  // Helper function for auto-categorization
-  const autoCategorizeSkill = async (skillInput) => {
-    setLoadingAutoCategorization(true);
-    let targetBroadCategory = '';
-    let targetSubCategory = '';
-    let attempts = 0;
-    const maxAttempts = 5;
-    const baseDelay = 1000;
-
-    while (attempts < maxAttempts) {
-      try {
-        const prompt = `Given the skill "${skillInput}", identify the single most appropriate broad category from this list: [${broadCategories.join(', ')}]. Then, identify one specific sub-category within that broad category that best fits the skill. Provide the response as a JSON object with 'broadCategory' and 'subCategory' keys. If the skill doesn't fit any provided broad category, assign 'Other' as broadCategory and 'Uncategorized' as subCategory. Example: {"broadCategory": "Creative & Design", "subCategory": "Music Production"}`;
-        const chatHistory = [{ role: "user", parts: [{ text: prompt }] }];
-        const payload = {
-            contents: chatHistory,
-            generationConfig: {
-                responseMimeType: "application/json",
-                responseSchema: {
-                    type: "OBJECT",
-                    properties: {
-                        broadCategory: { "type": "STRING" },
-                        subCategory: { "type": "STRING" }
-                    }
-                }
-            }
-        };
-        const apiKey = ""; // API key provided by Canvas runtime
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
-
-        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-        const result = await response.json();
-
-        if (result.candidates && result.candidates.length > 0 && result.candidates[0].content && result.candidates[0].content.parts && result.candidates[0].content.parts.length > 0) {
-            const jsonString = result.candidates[0].content.parts[0].text;
-            const parsedJson = JSON.parse(jsonString);
-            targetBroadCategory = parsedJson.broadCategory;
-            targetSubCategory = parsedJson.subCategory;
-
-            if (targetBroadCategory === 'Other') {
-                targetBroadCategory = `Other_Auto_Uncategorized`;
-                targetSubCategory = parsedJson.subCategory || 'General';
-                if (!selectedBroadCategories.includes('Other')) {
-                    setSelectedBroadCategories(prev => [...prev, 'Other']);
-                }
-            } else if (!selectedBroadCategories.includes(targetBroadCategory)) {
-                setSelectedBroadCategories(prev => [...prev, targetBroadCategory]);
-            }
-            break;
-        } else {
-            throw new Error("Invalid API response structure or no content for auto-categorization.");
-        }
-      } catch (error) {
-        console.error(`Attempt ${attempts + 1} failed for auto-categorization of skill "${skillInput}":`, error);
-        attempts++;
-        if (attempts < maxAttempts) {
-            const delay = baseDelay * Math.pow(2, attempts - 1);
-            await new Promise(res => setTimeout(res, delay));
-        }
-        if (attempts === maxAttempts) {
-            targetBroadCategory = 'Other_Auto_Uncategorized';
-            targetSubCategory = 'General';
-            if (!selectedBroadCategories.includes('Other')) {
-                setSelectedBroadCategories(prev => [...prev, 'Other']);
-            }
-        }
-      }
-    }
-    setLoadingAutoCategorization(false);
-    return { broadCategory: targetBroadCategory, subCategory: targetSubCategory };
-  };
-
-  useEffect(() => {
-    const fetchSubCategories = async (category) => {
-      if (!category || category === 'Other') {
-        setSuggestedSubCategories([]);
-        return;
-      }
-
-      setLoadingSubCategories(true);
-      let attempts = 0;
-      const maxAttempts = 5;
-      const baseDelay = 1000;
-
-      while (attempts < maxAttempts) {
-        try {
-          const prompt = `List 5-8 common sub-categories within the "${category}" broad category. Provide them as a comma-separated list without numbering, bullet points, or any introductory/concluding text. Example for 'Creative & Design': Graphic Design, Music Production, Illustration, Photography, Video Editing, Writing.`;
-          const chatHistory = [{ role: "user", parts: [{ text: prompt }] }];
-          const payload = { contents: chatHistory };
-          const apiKey = ""; // API key provided by Canvas runtime
-          const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-
-          const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-          });
-
-          if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-          const result = await response.json();
-
-          if (result.candidates && result.candidates.length > 0 && result.candidates[0].content && result.candidates[0].content.parts && result.candidates[0].content.parts.length > 0) {
-            const text = result.candidates[0].content.parts[0].text;
-            const parsed = text.split(',').map(s => s.trim()).filter(s => s.length > 0);
-            setSuggestedSubCategories(parsed);
-            break;
-          } else {
-            throw new Error("Invalid API response structure or no content for sub-categories.");
-          }
-        } catch (error) {
-          console.error(`Attempt ${attempts + 1} failed to fetch sub-categories for ${category}:`, error);
-          attempts++;
-          if (attempts < maxAttempts) {
-            const delay = baseDelay * Math.pow(2, attempts - 1);
-            await new Promise(res => setTimeout(res, delay));
-          }
-        }
-      }
-      setLoadingSubCategories(false);
-    };
-
-    fetchSubCategories(activeBroadCategory);
-  }, [activeBroadCategory]); // broadCategories removed as it's a global constant
+  }, [navigate]); // navigate is stable, so this runs once on mount
 
+  // --- Category taxonomy: the shared config replaces the bundled copy once it's readable ---
   useEffect(() => {
-    const fetchSpecificSkills = async (broadCat, subCat) => {
-      if (!broadCat || !subCat || broadCat === 'Other') {
-        setSuggestedSpecificSkills([]);
-        return;
-      }
-
-      setLoadingSpecificSkills(true);
-      let attempts = 0;
-      const maxAttempts = 5;
-      const baseDelay = 1000;
-
-      while (attempts < maxAttempts) {
-        try {
-          const prompt = `List 10-15 specific and common skills or services within the "${subCat}" sub-category, which belongs to the "${broadCat}" broad category, that someone might monetize. Provide them as a comma-separated list without numbering, bullet points, or any introductory/concluding text. Example for 'Creative & Design' -> 'Music Production': Songwriting, Mixing, Mastering, Sound Design, Live Performance.`;
-          const chatHistory = [{ role: "user", parts: [{ text: prompt }] }];
-          const payload = { contents: chatHistory };
-          const apiKey = ""; // API key provided by Canvas runtime
-          const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-
-          const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-          });
-
-          if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-          const result = await response.json();
-
-          if (result.candidates && result.candidates.length > 0 && result.candidates[0].content && result.candidates[0].content.parts && result.candidates[0].content.parts.length > 0) {
-            const text = result.candidates[0].content.parts[0].text;
-            const parsed = text.split(',').map(s => s.trim()).filter(s => s.length > 0);
-            setSuggestedSpecificSkills(parsed);
-            break;
-          } else {
-            throw new Error("Invalid API response structure or no content for specific skills.");
-          }
-        } catch (error) {
-          console.error(`Attempt ${attempts + 1} failed to fetch specific skills for ${broadCat} - ${subCat}:`, error);
-          attempts++;
-          if (attempts < maxAttempts) {
-            const delay = baseDelay * Math.pow(2, attempts - 1);
-            await new Promise(res => setTimeout(res, delay));
-          }
-        }
-      }
-      setLoadingSpecificSkills(false);
-    };
-
-    fetchSpecificSkills(activeBroadCategory, activeSubCategory);
-  }, [activeBroadCategory, activeSubCategory]);
-
-  // --- Handlers for User Input ---
-
-  const handleBroadCategoryChange = (e) => {
-    const { value, checked } = e.target;
-    // Check if the value is a standard broad category or 'Other' before modifying selectedBroadCategories
-    if (broadCategories.includes(value) || value === 'Other') {
-        setSelectedBroadCategories((prev) =>
-            checked ? [...prev, value] : prev.filter((cat) => cat !== value)
-        );
+    if (isAuthReady && db) {
+      loadTaxonomy({ db, appId: canvasAppId });
     }
+  }, [isAuthReady, db, canvasAppId]);
 
-    if (!checked) {
-      setSkillsByCategory((prev) => {
-        const newState = { ...prev };
-        delete newState[value];
-        Object.keys(newState).forEach(key => {
-            if ((key.startsWith(`Other_Custom_`) || key.startsWith(`Other_Auto_`)) && key.includes(`__${value}`)) {
-                delete newState[key];
-            }
-        });
-        return newState;
-      });
-      if (activeBroadCategory === value) {
-        setActiveBroadCategory('');
-        setActiveSubCategory('');
-        setSuggestedSubCategories([]);
-        setSuggestedSpecificSkills([]);
-      }
-    } else {
-      setActiveBroadCategory(value);
-      setActiveSubCategory('');
-      setSuggestedSpecificSkills([]);
-    }
-  };
-
-  const handleActiveBroadCategoryChange = (e) => {
-    setActiveBroadCategory(e.target.value);
-    setActiveSubCategory('');
-    setNewSkillInput('');
-    setSelectedSuggestedSkill('');
-    setNewCustomBroadCategory('');
-  };
-
-  const handleActiveSubCategoryChange = (e) => {
-    setActiveSubCategory(e.target.value);
-    setNewSkillInput('');
-    setSelectedSuggestedSkill('');
-  };
-
-  const handleAddSkill = async () => {
-    let skillToAdd = selectedSuggestedSkill.trim();
-    if (newSkillInput.trim() !== '') {
-      skillToAdd = newSkillInput.trim();
-    }
-
-    if (skillToAdd === '') return;
-
-    let finalBroadCategory = activeBroadCategory; // Renamed to avoid confusion with internal loop variables
-    let finalSubCategory = activeSubCategory;
-
-    if (activeBroadCategory === 'Other' && newCustomBroadCategory.trim() !== '') {
-        finalBroadCategory = `Other_Custom_${newCustomBroadCategory.trim()}`;
-        finalSubCategory = 'General';
-         if (!selectedBroadCategories.includes(finalBroadCategory)) {
-            setSelectedBroadCategories(prev => [...prev, finalBroadCategory]);
-        }
-    }
-
-    // Auto-categorize if no broad or sub-category is selected for the input skill
-    // and if the input skill is not empty
-    if ((!finalBroadCategory || finalBroadCategory === 'Other') && newSkillInput.trim() !== '' && !loadingAutoCategorization) {
-        const { broadCategory: autoBroadCat, subCategory: autoSubCat } = await autoCategorizeSkill(newSkillInput.trim());
-        finalBroadCategory = autoBroadCat;
-        finalSubCategory = autoSubCat;
-    }
-
-    if (!finalBroadCategory) {
-        console.warn('Cannot add skill: No broad category selected or auto-categorized.');
-        setNewSkillInput('');
-        setSelectedSuggestedSkill('');
-        return;
-    }
-    if (!finalSubCategory) {
-        finalSubCategory = 'General';
-    }
-
-    if (skillsByCategory[finalBroadCategory]?.[finalSubCategory]?.includes(skillToAdd)) {
-        console.warn(`Skill "${skillToAdd}" already exists in "${formatCategoryForDisplay(finalBroadCategory)}" -> "${finalSubCategory}".`);
-        setNewSkillInput('');
-        setSelectedSuggestedSkill('');
-        return;
-    }
-
-    setSkillsByCategory((prev) => ({
-      ...prev,
-      [finalBroadCategory]: {
-        ...(prev[finalBroadCategory] || {}),
-        [finalSubCategory]: [...(prev[finalBroadCategory]?.[finalSubCategory] || []), skillToAdd],
-      },
-    }));
-
-    setNewSkillInput('');
-    setSelectedSuggestedSkill('');
-  };
-
-  const handleRemoveSkill = (broadCat, subCat, skillToRemove) => {
-    setSkillsByCategory((prev) => {
-      const newBroadCatState = { ...prev[broadCat] };
-      newBroadCatState[subCat] = newBroadCatState[subCat].filter((skill) => skill !== skillToRemove);
-
-      if (newBroadCatState[subCat].length === 0) {
-        delete newBroadCatState[subCat];
-      }
-
-      if (Object.keys(newBroadCatState).length === 0) {
-        const newState = { ...prev };
-        delete newState[broadCat];
-        if (broadCat.startsWith('Other_Custom_') || broadCat.startsWith('Other_Auto_Uncategorized')) {
-            setSelectedBroadCategories(selectedBroadCategories.filter(c => c !== broadCat && c !== 'Other'));
-        } else {
-             if (broadCategories.includes(broadCat)) {
-                setSelectedBroadCategories(selectedBroadCategories.filter(c => c !== broadCat));
-            }
-        }
-        return newState;
-      }
-      return { ...prev, [broadCat]: newBroadCatState };
-    });
-  };
-
-  const formatCategoryForDisplay = (catKey) => {
-      if (catKey.startsWith('Other_Custom_')) {
-          return `Custom: ${catKey.replace('Other_Custom_', '')}`;
-      }
-      if (catKey.startsWith('Other_Auto_Uncategorized')) {
-          return `Auto-Uncategorized`;
-      }
-      if (catKey.startsWith('Other_Auto_')) { // This covers general auto-categorized but not explicitly "Uncategorized"
-          return `Auto-Categorized: ${catKey.replace('Other_Auto_', '')}`;
-      }
-      return catKey;
-  }
-
-  const skillsToDisplay = Object.fromEntries(
-    Object.entries(skillsByCategory).filter(([_, subCats]) =>
-      Object.values(subCats).some(skills => skills.length > 0)
-    )
-  );
-
+  const isPublicProfileRoute = route.startsWith(PUBLIC_PROFILE_ROUTE_PREFIX);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-100 to-indigo-200 p-8 flex items-center justify-center font-sans">
       <div className="bg-white p-8 rounded-xl shadow-2xl w-full max-w-2xl border border-blue-200">
-        <h1 className="text-3xl font-bold text-center text-blue-800 mb-6">
-          What? <span className="text-xl font-normal">(Skills & Talents)</span>
-        </h1>
-        <p className="text-center text-gray-600 mb-8">
-          Let's start by identifying your unique skills and talents. Select broad categories, then
-          specify sub-categories and individual skills. You can also type a skill directly and we'll
-          help categorize it!
-        </p>
-
-        {/* 1. Select Broad Categories Section */}
-        <div className="mb-8 p-4 border border-blue-200 rounded-lg bg-blue-50">
-          <h2 className="text-xl font-semibold text-gray-700 mb-4">1. Select Broad Categories</h2>
-          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-            {broadCategories.map((category) => (
-              <label
-                key={category}
-                className="flex items-center p-3 border border-gray-300 rounded-lg cursor-pointer bg-white hover:bg-blue-50 transition-colors duration-200 shadow-sm"
-              >
-                <input
-                  type="checkbox"
-                  value={category}
-                  checked={selectedBroadCategories.includes(category)}
-                  onChange={handleBroadCategoryChange}
-                  className="form-checkbox h-5 w-5 text-blue-600 rounded-md focus:ring-blue-500"
-                />
-                <span className="ml-3 text-lg text-gray-800 font-medium">{category}</span>
-              </label>
-            ))}
-            <label
-              className="flex items-center p-3 border border-gray-300 rounded-lg cursor-pointer bg-white hover:bg-blue-50 transition-colors duration-200 shadow-sm"
-            >
-              <input
-                type="checkbox"
-                value="Other"
-                checked={selectedBroadCategories.includes('Other')}
-                onChange={handleBroadCategoryChange}
-                className="form-checkbox h-5 w-5 text-blue-600 rounded-md focus:ring-blue-500"
-              />
-              <span className="ml-3 text-lg text-gray-800 font-medium">Other (Specify below)</span>
-            </label>
-          </div>
-        </div>
-
-        {/* 2. Add Your Specific Skills Section */}
-        {selectedBroadCategories.length > 0 && (
-          <div className="mb-8 p-4 border border-green-200 rounded-lg bg-green-50">
-            <h2 className="text-xl font-semibold text-gray-700 mb-4">2. Add Your Specific Skills</h2>
-
-            {/* Select Broad Category Dropdown */}
-            <div className="mb-4">
-              <label htmlFor="selectBroadCategory" className="block text-gray-700 text-sm font-bold mb-2">
-                Choose a broad category to add a skill:
-              </label>
-              <select
-                id="selectBroadCategory"
-                value={activeBroadCategory}
-                onChange={handleActiveBroadCategoryChange}
-                className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
-              >
-                <option value="">-- Select Broad Category --</option>
-                {selectedBroadCategories.filter(cat => !cat.startsWith('Other_Custom_') && !cat.startsWith('Other_Auto_Uncategorized')).map((category) => (
-                  <option key={category} value={category}>
-                    {category}
-                  </option>
-                ))}
-                {/* Also include custom/auto-categorized broad categories that have skills */}
-                {Object.keys(skillsByCategory)
-                    .filter(cat => (cat.startsWith('Other_Custom_') || cat.startsWith('Other_Auto_Uncategorized')) && !selectedBroadCategories.includes(cat))
-                    .map(customCat => (
-                        <option key={customCat} value={customCat}>
-                            {formatCategoryForDisplay(customCat)}
-                        </option>
-                    ))}
-              </select>
-            </div>
-
-            {/* Custom Broad Category Input (if 'Other' is selected) */}
-            {activeBroadCategory === 'Other' && (
-              <div className="mb-4">
-                <label htmlFor="newCustomBroadCategory" className="block text-gray-700 text-sm font-bold mb-2">
-                  Name your custom broad category:
-                </label>
-                <input
-                  type="text"
-                  id="newCustomBroadCategory"
-                  value={newCustomBroadCategory}
-                  onChange={(e) => setNewCustomBroadCategory(e.target.value)}
-                  placeholder="e.g., Specialized Consulting"
-                  className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
-                />
-              </div>
-            )}
-
-            {((activeBroadCategory && activeBroadCategory !== 'Other') || (activeBroadCategory === 'Other' && newCustomBroadCategory.trim() !== '')) && (
-              <>
-                {/* Select Sub-Category Dropdown */}
-                {loadingSubCategories ? (
-                  <div className="text-center text-gray-500 my-4">Loading sub-categories...</div>
-                ) : (
-                  suggestedSubCategories.length > 0 && (
-                    <div className="mb-4">
-                      <label htmlFor="selectSubCategory" className="block text-gray-700 text-sm font-bold mb-2">
-                        Choose a sub-category for {formatCategoryForDisplay((activeBroadCategory === 'Other' && newCustomBroadCategory.trim() !== '') ? newCustomBroadCategory : activeBroadCategory)}:
-                      </label>
-                      <select
-                        id="selectSubCategory"
-                        value={activeSubCategory}
-                        onChange={handleActiveSubCategoryChange}
-                        className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
-                      >
-                        <option value="">-- Select Sub-Category --</option>
-                        {suggestedSubCategories.map((subCat) => (
-                          <option key={subCat} value={subCat}>
-                            {subCat}
-                          </option>
-                        ))}
-                      </select>
-                    </div>
-                  )
-                )}
-
-                {/* Enter Custom Skill OR Select Suggested Skill */}
-                <div className="mb-4 text-center text-gray-500">
-                  {((suggestedSubCategories.length > 0) && activeSubCategory) ? (
-                    <>
-                      {loadingSpecificSkills ? (
-                        <div className="text-center text-gray-500 my-4">Loading specific skills...</div>
-                      ) : (
-                        suggestedSpecificSkills.length > 0 && (
-                          <div className="mb-4">
-                            <label htmlFor="suggestedSkills" className="block text-gray-700 text-sm font-bold mb-2">
-                              Or select a suggested skill for {activeSubCategory}:
-                            </label>
-                            <select
-                              id="suggestedSkills"
-                              value={selectedSuggestedSkill}
-                              onChange={(e) => setSelectedSuggestedSkill(e.target.value)}
-                              className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
-                            >
-                              <option value="">-- Select a suggested skill --</option>
-                              {suggestedSpecificSkills.map((skill) => (
-                                <option key={skill} value={skill}>
-                                  {skill}
-                                </option>
-                              ))}
-                            </select>
-                          </div>
-                        )
-                      )}
-                      <div className="mb-4 text-center text-gray-500">
-                        OR
-                      </div>
-                    </>
-                  ) : (
-                      <div className="mb-4 text-center text-gray-500">
-                        Type your skill directly below for auto-categorization.
-                      </div>
-                  )}
-                </div>
-
-                <div className="flex items-end gap-2">
-                  <div className="flex-grow">
-                    <label htmlFor="newSkillInput" className="block text-gray-700 text-sm font-bold mb-2">
-                      Enter a skill (custom or for auto-categorization):
-                    </label>
-                    <input
-                      type="text"
-                      id="newSkillInput"
-                      value={newSkillInput}
-                      onChange={(e) => setNewSkillInput(e.target.value)}
-                      onKeyPress={(e) => { if (e.key === 'Enter') handleAddSkill(); }}
-                      placeholder="e.g., Photography, Public Speaking, Data Analysis"
-                      className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
-                    />
-                  </div>
-                  <button
-                    onClick={handleAddSkill}
-                    className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:shadow-outline transition-colors duration-200 shadow-md"
-                    disabled={
-                      (newSkillInput.trim() === '' && selectedSuggestedSkill.trim() === '') ||
-                      loadingAutoCategorization
-                    }
-                  >
-                    {loadingAutoCategorization ? 'Categorizing...' : 'Add Skill'}
-                  </button>
-                </div>
-              </>
-            )}
-          </div>
+        <LanguageSwitcher />
+        {!isFirebaseUnavailable && !isPublicProfileRoute && (
+          <AccountBar account={account} onOpenSettings={() => navigate(ACCOUNT_ROUTE)} />
         )}
-
-        {/* 3. Your Skills Summary Section */}
-        {Object.keys(skillsToDisplay).length > 0 && (
-          <div className="mt-8 p-4 border border-purple-200 rounded-lg bg-purple-50">
-            <h2 className="text-xl font-semibold text-gray-700 mb-4">3. Your Skills Summary</h2>
-            {Object.entries(skillsToDisplay).map(([broadCat, subCats]) => (
-              Object.values(subCats).some(skills => skills.length > 0) && (
-                <div key={broadCat} className="mb-4 bg-white p-4 rounded-lg border border-purple-100 shadow-sm">
-                  <h3 className="text-lg font-bold text-purple-700 mb-2">{formatCategoryForDisplay(broadCat)}</h3>
-                  {Object.entries(subCats).map(([subCat, skills]) => (
-                    skills.length > 0 && (
-                      <div key={`${broadCat}-${subCat}`} className="ml-4 mb-2">
-                        <h4 className="text-md font-semibold text-gray-600 mb-1">{subCat}</h4>
-                        <div className="flex flex-wrap gap-2">
-                          {skills.map((skill) => (
-                            <span
-                              key={`${broadCat}-${subCat}-${skill}`}
-                              className="flex items-center bg-purple-100 text-purple-800 text-sm font-medium px-3 py-1 rounded-full shadow-sm"
-                            >
-                              {skill}
-                              <button
-                                onClick={() => handleRemoveSkill(broadCat, subCat, skill)}
-                                className="ml-2 text-purple-600 hover:text-purple-900 transition-colors duration-150"
-                                aria-label={`Remove ${skill}`}
-                              >
-                                &times;
-                              </button>
-                            </span>
-                          ))}
-                        </div>
-                      </div>
-                    )
-                  ))}
-                </div>
-              )
-            ))}
-          </div>
+        {isPublicProfileRoute ? (
+          <PublicProfileView
+            db={db}
+            canvasAppId={canvasAppId}
+            token={route.slice(PUBLIC_PROFILE_ROUTE_PREFIX.length)}
+            isFirebaseUnavailable={isFirebaseUnavailable}
+          />
+        ) : route.startsWith(INVITE_ROUTE_PREFIX) ? (
+          <AcceptInvite
+            db={db}
+            userId={userId}
+            account={account}
+            isAuthReady={isAuthReady}
+            isFirebaseUnavailable={isFirebaseUnavailable}
+            canvasAppId={canvasAppId}
+            token={route.slice(INVITE_ROUTE_PREFIX.length)}
+            onAccepted={(ownerUid) => navigate(`${SHARED_PROFILE_ROUTE_PREFIX}${ownerUid}`, { replace: true })}
+          />
+        ) : route.startsWith(SHARED_PROFILE_ROUTE_PREFIX) ? (
+          <SharedProfileView
+            key={route}
+            db={db}
+            userId={userId}
+            account={account}
+            isAuthReady={isAuthReady}
+            isFirebaseUnavailable={isFirebaseUnavailable}
+            canvasAppId={canvasAppId}
+            ownerUid={route.slice(SHARED_PROFILE_ROUTE_PREFIX.length)}
+            onLeft={() => navigate('')}
+          />
+        ) : route === ACCOUNT_ROUTE ? (
+          <AccountSettings
+            auth={auth}
+            db={db}
+            canvasAppId={canvasAppId}
+            account={account}
+            pendingEmailLink={pendingEmailLink}
+            onAccountChange={() => setAccount(describeUser(auth.currentUser))}
+            onEmailLinkHandled={() => setPendingEmailLink(null)}
+          />
+        ) : route === TAXONOMY_ADMIN_ROUTE ? (
+          <TaxonomyEditor
+            db={db}
+            userId={userId}
+            isAuthReady={isAuthReady}
+            isFirebaseUnavailable={isFirebaseUnavailable}
+            canvasAppId={canvasAppId}
+          />
+        ) : (
+          <Wizard
+            db={db}
+            userId={userId}
+            account={account}
+            isAuthReady={isAuthReady}
+            isFirebaseUnavailable={isFirebaseUnavailable}
+            canvasAppId={canvasAppId}
+          />
         )}
-
-        {/* Navigation Button */}
-        <div className="mt-8 text-center">
-          {savingStatus && (
-            <p className={`mb-4 text-sm font-medium ${savingStatus === 'Save failed!' ? 'text-red-600' : 'text-blue-600'}`}>
-              {savingStatus}
-            </p>
-          )}
-          <button
-            className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg focus:outline-none focus:shadow-outline transition-colors duration-200 shadow-lg text-xl"
-            disabled={Object.values(skillsByCategory).every(broadCatSkills => Object.values(broadCatSkills).every(subCatSkills => subCatSkills.length === 0)) || !isAuthReady || savingStatus === 'Saving...'}
-            onClick={() => alert('Proceeding to next section (Who?)')}
-          >
-            Continue to Who?
-          </button>
-        </div>
       </div>
     </div>
   );
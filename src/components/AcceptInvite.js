@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import { loadInvite, acceptInvite, collaboratorName, roleLabel, COLLABORATOR_ROLES } from '../lib/collaboration';
+import { t } from '../lib/i18n';
+
+const buttonClassName = 'bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow-sm disabled:opacity-50';
+
+// Landing page for an invite link (#/invite/{token}): shows who invited you and with which role,
+// and joins their profile on "Accept".
+const AcceptInvite = ({ db, userId, account, isAuthReady, isFirebaseUnavailable, canvasAppId, token, onAccepted }) => {
+  const [invite, setInvite] = useState(undefined); // undefined while loading, null if revoked or unknown
+  const [isAccepting, setIsAccepting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isAuthReady || !db) return;
+    let cancelled = false;
+    loadInvite({ db, appId: canvasAppId, token })
+      .then(loaded => { if (!cancelled) setInvite(loaded); })
+      .catch(loadError => {
+        console.error("Error loading invite:", loadError);
+        if (!cancelled) setError(t('invite.loadError'));
+      });
+    return () => { cancelled = true; };
+  }, [isAuthReady, db, canvasAppId, token]);
+
+  const handleAccept = async () => {
+    setIsAccepting(true);
+    setError('');
+    try {
+      await acceptInvite({ db, appId: canvasAppId, invite, userId, name: collaboratorName(account) });
+      onAccepted(invite.ownerUid);
+    } catch (acceptError) {
+      console.error("Error accepting invite:", acceptError);
+      setError(t('invite.acceptError'));
+      setIsAccepting(false);
+    }
+  };
+
+  if (isFirebaseUnavailable || error) {
+    return <p role="alert" className="text-center text-gray-600 my-4">{error || t('invite.unavailable')}</p>;
+  }
+  if (invite === undefined) {
+    return <div className="text-center text-gray-500 my-4">{t('invite.loading')}</div>;
+  }
+  if (invite === null) {
+    return <p className="text-center text-gray-600 my-4">{t('invite.invalid')}</p>;
+  }
+  if (invite.ownerUid === userId) {
+    return <p className="text-center text-gray-600 my-4">{t('invite.ownProfile')}</p>;
+  }
+
+  const role = COLLABORATOR_ROLES.find(entry => entry.id === invite.role);
+
+  return (
+    <div className="text-center my-4">
+      <h1 className="text-2xl font-bold text-blue-800 mb-4">{t('invite.title')}</h1>
+      <p className="text-gray-700 mb-2">
+        {role
+          ? t('invite.invitedAsDescribed', { owner: invite.ownerName, role: role.label, description: role.description })
+          : t('invite.invitedAs', { owner: invite.ownerName, role: roleLabel(invite.role) })}
+      </p>
+      {account?.isAnonymous && (
+        <p className="text-sm text-gray-600 mb-4">{t('invite.guestNotice')}</p>
+      )}
+      <button onClick={handleAccept} disabled={isAccepting} className={buttonClassName}>
+        {isAccepting ? t('invite.accepting') : t('invite.accept')}
+      </button>
+    </div>
+  );
+};
+
+export default AcceptInvite;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { t } from '../lib/i18n';
+
+// One-line account status above the wizard, linking to the account page.
+const AccountBar = ({ account, onOpenSettings }) => {
+  if (!account) {
+    return null;
+  }
+
+  return (
+    <div className="flex items-center justify-end gap-2 mb-4 text-xs text-gray-600">
+      <span>
+        {account.isAnonymous
+          ? t('account.guestNotice')
+          : t('account.signedInAs', { name: account.email || account.displayName || t('account.yourAccount') })}
+      </span>
+      <button onClick={onOpenSettings} className="text-blue-600 hover:text-blue-800 underline">
+        {account.isAnonymous ? t('account.signIn') : t('account.account')}
+      </button>
+    </div>
+  );
+};
+
+export default AccountBar;
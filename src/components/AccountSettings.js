@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import {
+  sendEmailSignInLink,
+  completeEmailSignIn,
+  signInWithGoogle,
+  signOutUser,
+  deleteAccount,
+  authErrorMessage,
+} from '../lib/auth';
+import { t } from '../lib/i18n';
+
+const inputClassName = 'shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500';
+const buttonClassName = 'bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg shadow-md disabled:opacity-50';
+
+// Account page (#/account): sign in or up with an email link or Google (upgrading the guest
+// session in place), sign out, and delete the account with all of its profile data.
+const AccountSettings = ({ auth, db, canvasAppId, account, pendingEmailLink, onAccountChange, onEmailLinkHandled }) => {
+  const [email, setEmail] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
+
+  // Runs an auth action with shared busy/error handling; `onDone(result)` returns the success message.
+  const run = async (action, onDone) => {
+    setIsBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      const result = await action();
+      setMessage(onDone(result) || '');
+    } catch (actionError) {
+      console.error("Account action failed:", actionError);
+      setError(authErrorMessage(actionError));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSendLink = () => run(
+    () => sendEmailSignInLink(auth, email.trim()),
+    () => t('account.linkSent', { email: email.trim() })
+  );
+
+  const handleConfirmLink = () => run(
+    () => completeEmailSignIn(auth, email.trim(), pendingEmailLink),
+    ({ switchedAccount }) => {
+      onEmailLinkHandled();
+      onAccountChange();
+      return t(switchedAccount ? 'account.switchedAccount' : 'account.signedInMessage');
+    }
+  );
+
+  const handleGoogle = () => run(
+    () => signInWithGoogle(auth),
+    ({ switchedAccount }) => {
+      onAccountChange();
+      return t(switchedAccount ? 'account.switchedAccount' : 'account.googleLinked');
+    }
+  );
+
+  const handleSignOut = () => run(() => signOutUser({ auth, db, appId: canvasAppId }), () => t('account.signedOut'));
+
+  const handleDelete = () => run(
+    () => deleteAccount({ auth, db, appId: canvasAppId }),
+    () => {
+      setIsConfirmingDelete(false);
+      return t('account.deleted');
+    }
+  );
+
+  if (!auth || !account) {
+    return <div className="text-center text-gray-500 my-4">{t('account.loading')}</div>;
+  }
+
+  return (
+    <>
+      <h1 className="text-3xl font-bold text-center text-blue-800 mb-6">{t('account.title')}</h1>
+
+      {message && <p role="status" className="mb-4 p-3 rounded-lg bg-green-50 border border-green-200 text-sm text-gray-700">{message}</p>}
+      {error && <p role="alert" className="mb-4 p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">{error}</p>}
+
+      {pendingEmailLink && (
+        <div className="mb-6 p-4 border border-yellow-300 rounded-lg bg-yellow-50">
+          <label htmlFor="confirmEmail" className="block text-gray-700 text-sm font-bold mb-2">
+            {t('account.confirmEmail')}
+          </label>
+          <div className="flex gap-2">
+            <input type="email" id="confirmEmail" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClassName} />
+            <button onClick={handleConfirmLink} disabled={isBusy || email.trim() === ''} className={buttonClassName}>
+              {t('account.finishSignIn')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {account.isAnonymous ? (
+        <div className="mb-6 p-4 border border-blue-200 rounded-lg bg-blue-50">
+          <h2 className="text-xl font-semibold text-gray-700 mb-2">{t('account.signInTitle')}</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            {t('account.guestIntro')}
+          </p>
+          {!pendingEmailLink && (
+            <div className="flex gap-2 mb-4">
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                aria-label={t('account.emailLabel')}
+                placeholder={t('account.emailPlaceholder')}
+                className={inputClassName}
+              />
+              <button onClick={handleSendLink} disabled={isBusy || email.trim() === ''} className={buttonClassName}>
+                {t('account.sendLink')}
+              </button>
+            </div>
+          )}
+          <button onClick={handleGoogle} disabled={isBusy} className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-bold py-2 px-4 rounded-lg shadow-sm">
+            {t('account.continueWithGoogle')}
+          </button>
+        </div>
+      ) : (
+        <div className="mb-6 p-4 border border-blue-200 rounded-lg bg-blue-50">
+          <h2 className="text-xl font-semibold text-gray-700 mb-2">{t('account.signedIn')}</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            {account.displayName && <>{account.displayName} · </>}{account.email}
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {!account.providerIds.includes('google.com') && (
+              <button onClick={handleGoogle} disabled={isBusy} className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-bold py-2 px-4 rounded-lg shadow-sm">
+                {t('account.addGoogle')}
+              </button>
+            )}
+            <button onClick={handleSignOut} disabled={isBusy} className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg shadow-md">
+              {t('account.signOut')}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="mb-6 p-4 border border-red-200 rounded-lg bg-red-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-2">{t('account.deleteTitle')}</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          {t('account.deleteIntro')}
+        </p>
+        {isConfirmingDelete ? (
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm font-medium text-red-700">{t('account.cannotUndo')}</span>
+            <button onClick={handleDelete} disabled={isBusy} className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded-lg shadow-md">
+              {isBusy ? t('account.deleting') : t('account.confirmDelete')}
+            </button>
+            <button onClick={() => setIsConfirmingDelete(false)} className="text-sm text-blue-600 hover:text-blue-800 underline">{t('common.cancel')}</button>
+          </div>
+        ) : (
+          <button onClick={() => setIsConfirmingDelete(true)} className="text-sm text-red-600 hover:text-red-800 underline">
+            {t('account.delete')}
+          </button>
+        )}
+      </div>
+
+      <div className="text-center">
+        <a href="#/" className="text-sm text-blue-600 hover:text-blue-800 underline">{t('account.backToWizard')}</a>
+      </div>
+    </>
+  );
+};
+
+export default AccountSettings;
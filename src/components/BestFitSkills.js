@@ -0,0 +1,42 @@
+import React from 'react';
+import { t } from '../lib/i18n';
+import { skillLabel } from '../lib/skillModel';
+
+const DEFAULT_LIMIT = 5;
+
+// The top of rankBestFitSkills' list: each skill with its fit score, why it scored well and, when it
+// has an hourly rate, the hours a week it would take to reach the income target.
+const BestFitSkills = ({ rankedSkills, limit = DEFAULT_LIMIT }) => {
+  if (rankedSkills.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-4 bg-white p-4 rounded-lg border border-yellow-200 shadow-sm">
+      <h3 className="text-lg font-bold text-yellow-700 mb-1">{t('bestFit.title')}</h3>
+      <p className="text-xs text-gray-500 mb-2">{t('bestFit.help')}</p>
+      <ol className="space-y-2">
+        {rankedSkills.slice(0, limit).map(({ skill, score, reasons, hoursForTarget }, index) => (
+          <li key={skill.id} className="flex items-start gap-3">
+            <span className="text-sm font-bold text-gray-400 w-5 text-right">{index + 1}.</span>
+            <div className="flex-1">
+              <div className="flex items-center gap-2">
+                <span className="font-medium text-gray-800">{skillLabel(skill)}</span>
+                <span className="text-xs font-semibold bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full" title={t('bestFit.scoreTitle')}>
+                  {score}
+                </span>
+              </div>
+              {(reasons.length > 0 || hoursForTarget !== null) && (
+                <p className="text-xs text-gray-600">
+                  {[...reasons, hoursForTarget !== null ? t('bestFit.hoursForTarget', { hours: hoursForTarget }) : ''].filter(Boolean).join(' · ')}
+                </p>
+              )}
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default BestFitSkills;
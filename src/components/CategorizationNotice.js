@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { categoryLabel } from '../lib/skillModel';
+import { t } from '../lib/i18n';
+
+const inputClassName = 'shadow appearance-none border rounded-lg w-full py-1 px-2 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500';
+
+const formatConfidence = (confidence) => `${Math.round(confidence * 100)}%`;
+
+// Shown after a skill was auto-categorized with low confidence (or not at all): offers the model's
+// alternatives as one-click moves, plus a "Move to…" picker over every broad category.
+const CategorizationNotice = ({ result, broadOptions, onMove, onDismiss }) => {
+  const [isPicking, setIsPicking] = useState(false);
+  const [pickedBroadId, setPickedBroadId] = useState(result.broad.id);
+  const [pickedSubCategory, setPickedSubCategory] = useState(result.subCategoryName);
+
+  const handlePickerMove = () => {
+    const broad = broadOptions.find(option => option.id === pickedBroadId);
+    if (!broad) return;
+    onMove({ broad, subCategoryName: pickedSubCategory.trim() || 'General' });
+  };
+
+  return (
+    <div role="status" className="my-4 p-3 border border-yellow-300 rounded-lg bg-yellow-50 text-sm text-gray-700">
+      <p className="mb-2">
+        {result.failed
+          ? t('categorization.failed', { skill: result.name, category: categoryLabel(result.broad) })
+          : t('categorization.unsure', {
+            skill: result.name,
+            category: categoryLabel(result.broad),
+            subCategory: result.subCategoryName,
+            confidence: formatConfidence(result.confidence),
+          })}
+      </p>
+      <div className="flex flex-wrap items-center gap-2">
+        {result.alternatives.map(alternative => (
+          <button
+            key={`${alternative.broad.id}-${alternative.subCategoryName}`}
+            onClick={() => onMove(alternative)}
+            className="text-xs bg-white border border-yellow-300 text-gray-700 hover:bg-yellow-100 font-medium py-1 px-3 rounded-lg"
+          >
+            {categoryLabel(alternative.broad)} → {alternative.subCategoryName} ({formatConfidence(alternative.confidence)})
+          </button>
+        ))}
+        <button
+          onClick={() => setIsPicking(!isPicking)}
+          aria-expanded={isPicking}
+          className="text-xs bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium py-1 px-3 rounded-lg"
+        >
+          {t('categorization.moveTo')}
+        </button>
+        <button
+          onClick={onDismiss}
+          className="text-xs text-blue-600 hover:text-blue-800 underline"
+        >
+          {t('categorization.keep')}
+        </button>
+      </div>
+      {isPicking && (
+        <div className="flex items-center gap-2 mt-2">
+          <select
+            value={pickedBroadId}
+            onChange={(e) => setPickedBroadId(e.target.value)}
+            aria-label={t('sharedProfile.broadCategory')}
+            className={inputClassName}
+          >
+            {broadOptions.map(option => (
+              <option key={option.id} value={option.id}>{categoryLabel(option)}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={pickedSubCategory}
+            onChange={(e) => setPickedSubCategory(e.target.value)}
+            aria-label={t('sharedProfile.subCategory')}
+            placeholder={t('sharedProfile.subCategory')}
+            className={inputClassName}
+          />
+          <button
+            onClick={handlePickerMove}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-lg text-sm shadow-sm"
+          >
+            {t('categorization.move')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CategorizationNotice;
@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import {
+  COLLABORATOR_ROLES,
+  SHARED_PROFILE_ROUTE_PREFIX,
+  createInvite,
+  revokeInvite,
+  inviteUrl,
+  subscribeToInvites,
+  subscribeToCollaborators,
+  subscribeToSharedWithMe,
+  updateCollaboratorRole,
+  removeCollaborator,
+  collaboratorName,
+  roleLabel,
+} from '../lib/collaboration';
+import { t } from '../lib/i18n';
+
+const buttonClassName = 'bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-lg text-sm shadow-sm disabled:opacity-50';
+const linkButtonClassName = 'text-sm text-blue-600 hover:text-blue-800 underline';
+const removeButtonClassName = 'text-sm text-red-600 hover:text-red-800 underline';
+
+// "Coaches & mentors": invite people to your profile with a role, change or remove their access,
+// and open profiles other people have shared with you.
+const CollaboratorsPanel = ({ db, userId, account, canvasAppId }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [inviteRole, setInviteRole] = useState('commenter');
+  const [invites, setInvites] = useState([]);
+  const [collaborators, setCollaborators] = useState([]);
+  const [sharedWithMe, setSharedWithMe] = useState([]);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [copiedToken, setCopiedToken] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !db || !userId) return undefined;
+    const unsubscribes = [
+      subscribeToInvites({ db, appId: canvasAppId, ownerUid: userId }, setInvites),
+      subscribeToCollaborators({ db, appId: canvasAppId, ownerUid: userId }, setCollaborators),
+      subscribeToSharedWithMe({ db, appId: canvasAppId, userId }, setSharedWithMe),
+    ];
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [isOpen, db, userId, canvasAppId]);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setError('');
+    try {
+      await action();
+    } catch (actionError) {
+      console.error("Error updating collaborators:", actionError);
+      setError(t('collaborators.updateError'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleCopy = async (token) => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl(token));
+      setCopiedToken(token);
+    } catch (copyError) {
+      console.error("Error copying invite link:", copyError);
+    }
+  };
+
+  if (!db || !userId) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2 text-center">
+      <button onClick={() => setIsOpen(!isOpen)} aria-expanded={isOpen} className={linkButtonClassName}>
+        {t('collaborators.toggle')}
+      </button>
+      {isOpen && (
+        <div className="mt-3 p-4 border border-gray-200 rounded-lg bg-gray-50 text-left text-sm text-gray-700">
+          <p className="mb-3">
+            {t('collaborators.intro')}
+          </p>
+          <div className="flex flex-wrap items-center gap-3 mb-3">
+            <label htmlFor="inviteRole" className="font-bold">{t('collaborators.inviteAs')}</label>
+            <select
+              id="inviteRole"
+              value={inviteRole}
+              onChange={(e) => setInviteRole(e.target.value)}
+              className="shadow border rounded-lg py-1 px-2 text-gray-700 focus:outline-none focus:shadow-outline"
+            >
+              {COLLABORATOR_ROLES.map(role => (
+                <option key={role.id} value={role.id}>{role.label} ({role.description})</option>
+              ))}
+            </select>
+            <button
+              onClick={() => run(() => createInvite({ db, appId: canvasAppId, ownerUid: userId, ownerName: collaboratorName(account), role: inviteRole }))}
+              disabled={isBusy}
+              className={buttonClassName}
+            >
+              {t('collaborators.createInvite')}
+            </button>
+          </div>
+
+          {invites.length > 0 && (
+            <>
+              <h3 className="font-bold mb-1">{t('collaborators.openInvites')}</h3>
+              <ul className="mb-3">
+                {invites.map(invite => (
+                  <li key={invite.token} className="flex flex-wrap items-center gap-2 mb-1">
+                    <span>{roleLabel(invite.role)}:</span>
+                    <a href={inviteUrl(invite.token)} className="break-all text-blue-600 underline">{inviteUrl(invite.token)}</a>
+                    <button onClick={() => handleCopy(invite.token)} className={linkButtonClassName}>
+                      {copiedToken === invite.token ? t('common.copied') : t('common.copy')}
+                    </button>
+                    <button onClick={() => run(() => revokeInvite({ db, appId: canvasAppId, token: invite.token }))} disabled={isBusy} className={removeButtonClassName}>
+                      {t('collaborators.revoke')}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          <h3 className="font-bold mb-1">{t('collaborators.peopleWithAccess')}</h3>
+          {collaborators.length === 0 ? (
+            <p className="mb-3 text-gray-500">{t('collaborators.nobody')}</p>
+          ) : (
+            <ul className="mb-3">
+              {collaborators.map(collaborator => (
+                <li key={collaborator.uid} className="flex flex-wrap items-center gap-2 mb-1">
+                  <span className="font-medium">{collaborator.name}</span>
+                  <select
+                    value={collaborator.role}
+                    aria-label={t('collaborators.roleFor', { name: collaborator.name })}
+                    onChange={(e) => run(() => updateCollaboratorRole({ db, appId: canvasAppId, ownerUid: userId, uid: collaborator.uid, role: e.target.value }))}
+                    disabled={isBusy}
+                    className="shadow border rounded-lg py-1 px-2 text-gray-700 focus:outline-none focus:shadow-outline"
+                  >
+                    {COLLABORATOR_ROLES.map(role => <option key={role.id} value={role.id}>{role.label}</option>)}
+                  </select>
+                  <button
+                    onClick={() => run(() => removeCollaborator({ db, appId: canvasAppId, ownerUid: userId, uid: collaborator.uid }))}
+                    disabled={isBusy}
+                    className={removeButtonClassName}
+                  >
+                    {t('common.remove')}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {sharedWithMe.length > 0 && (
+            <>
+              <h3 className="font-bold mb-1">{t('collaborators.sharedWithYou')}</h3>
+              <ul>
+                {sharedWithMe.map(profile => (
+                  <li key={profile.ownerUid}>
+                    <a href={`#/${SHARED_PROFILE_ROUTE_PREFIX}${profile.ownerUid}`} className="text-blue-600 underline">{profile.ownerName}</a>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          {error && <p role="alert" className="mt-2 text-red-600">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CollaboratorsPanel;
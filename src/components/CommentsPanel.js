@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { MAX_COMMENT_LENGTH, threadsFor } from '../lib/comments';
+import { getLocale, t } from '../lib/i18n';
+
+const buttonClassName = 'bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-lg text-sm shadow-sm disabled:opacity-50';
+const linkButtonClassName = 'text-xs text-blue-600 hover:text-blue-800 underline';
+
+// Text box with a submit button; clears itself once `onSubmit` resolves.
+const CommentForm = ({ label, submitLabel, autoFocus, onSubmit, onCancel }) => {
+  const [text, setText] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (text.trim() === '') return;
+    setIsSending(true);
+    setError('');
+    try {
+      await onSubmit(text);
+      setText('');
+    } catch (submitError) {
+      console.error("Error adding comment:", submitError);
+      setError(t('comments.postError'));
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2">
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        maxLength={MAX_COMMENT_LENGTH}
+        rows={2}
+        autoFocus={autoFocus}
+        aria-label={label}
+        placeholder={label}
+        className="shadow appearance-none border rounded-lg w-full py-1 px-2 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
+      />
+      <div className="flex items-center gap-3 mt-1">
+        <button type="submit" disabled={isSending || text.trim() === ''} className={buttonClassName}>{submitLabel}</button>
+        {onCancel && <button type="button" onClick={onCancel} className={linkButtonClassName}>{t('common.cancel')}</button>}
+      </div>
+      {error && <p role="alert" className="mt-1 text-xs text-red-600">{error}</p>}
+    </form>
+  );
+};
+
+const Comment = ({ comment, canDelete, onDelete }) => (
+  <div className="text-sm">
+    <div className="flex items-baseline gap-2">
+      <span className="font-bold text-gray-800">{comment.authorName}</span>
+      <span className="text-xs text-gray-500">{new Date(comment.createdAtMs).toLocaleString(getLocale())}</span>
+      {canDelete && (
+        <button onClick={() => onDelete(comment.id)} className="text-xs text-red-600 hover:text-red-800 underline">{t('comments.delete')}</button>
+      )}
+    </div>
+    <p className="whitespace-pre-wrap text-gray-700">{comment.text}</p>
+  </div>
+);
+
+// Side panel with the comment threads on one skill or category. Anyone who can comment may start a
+// thread or reply; authors can delete their own comments and the profile owner can delete any.
+const CommentsPanel = ({ comments, target, targetLabel, canComment, currentUserId, isOwner, onAdd, onDelete, onClose }) => {
+  const [replyingToId, setReplyingToId] = useState(null);
+  const threads = threadsFor(comments, target);
+  const canDelete = (comment) => isOwner || comment.authorUid === currentUserId;
+
+  const handleDelete = (commentId) => {
+    onDelete(commentId).catch(error => console.error("Error deleting comment:", error));
+  };
+
+  return (
+    <aside
+      aria-label={t('comments.title', { target: targetLabel })}
+      className="fixed top-0 right-0 h-full w-full max-w-sm overflow-y-auto bg-white border-l border-gray-200 shadow-lg p-4 z-40"
+    >
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-gray-700">{t('comments.title', { target: targetLabel })}</h2>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-xl" aria-label={t('comments.close')}>&times;</button>
+      </div>
+      {threads.length === 0 && <p className="text-sm text-gray-500">{t('comments.empty')}</p>}
+      {threads.map(({ comment, replies }) => (
+        <div key={comment.id} className="mb-4 p-3 border border-gray-200 rounded-lg bg-gray-50">
+          <Comment comment={comment} canDelete={canDelete(comment)} onDelete={handleDelete} />
+          {replies.map(reply => (
+            <div key={reply.id} className="mt-2 ml-4 pl-3 border-l-2 border-gray-200">
+              <Comment comment={reply} canDelete={canDelete(reply)} onDelete={handleDelete} />
+            </div>
+          ))}
+          {canComment && (replyingToId === comment.id ? (
+            <div className="ml-4">
+              <CommentForm
+                label={t('comments.replyPlaceholder')}
+                submitLabel={t('comments.reply')}
+                autoFocus
+                onSubmit={async (text) => {
+                  await onAdd({ target, parentId: comment.id, text });
+                  setReplyingToId(null);
+                }}
+                onCancel={() => setReplyingToId(null)}
+              />
+            </div>
+          ) : (
+            <button onClick={() => setReplyingToId(comment.id)} className={`mt-2 ${linkButtonClassName}`}>{t('comments.reply')}</button>
+          ))}
+        </div>
+      ))}
+      {canComment ? (
+        <CommentForm label={t('comments.newThread')} submitLabel={t('comments.comment')} onSubmit={(text) => onAdd({ target, text })} />
+      ) : (
+        <p className="text-xs text-gray-500">{t('comments.readOnly')}</p>
+      )}
+    </aside>
+  );
+};
+
+export default CommentsPanel;
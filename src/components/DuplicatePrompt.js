@@ -0,0 +1,42 @@
+import React from 'react';
+import { filingLabel, skillFiling, skillLabel } from '../lib/skillModel';
+import { duplicateReasonLabel } from '../lib/skillDuplicates';
+import { t } from '../lib/i18n';
+
+const buttonClassName = 'text-xs bg-white border border-yellow-300 text-gray-700 hover:bg-yellow-100 font-medium py-1 px-3 rounded-lg';
+
+// Shown when a skill about to be added looks like one already in the profile. The user either keeps
+// the existing skill (nothing is added), adds the new one anyway, or cancels.
+const DuplicatePrompt = ({ pending, matches, skillsDoc, onUseExisting, onKeepBoth, onCancel }) => (
+  <div role="alertdialog" aria-label={t('duplicates.promptLabel')} className="my-4 p-3 border border-yellow-300 rounded-lg bg-yellow-50 text-sm text-gray-700">
+    <p className="mb-2">
+      {t(matches.length === 1 ? 'duplicates.looksLike.one' : 'duplicates.looksLike.other', { name: pending.name })}
+    </p>
+    <ul className="mb-2 space-y-1">
+      {matches.map(match => {
+        const filing = skillFiling(skillsDoc, match.skill);
+        return (
+          <li key={match.skill.id} className="flex flex-wrap items-center gap-2">
+            <span>
+              <strong>{skillLabel(match.skill)}</strong> {t('duplicates.in', { filing: filingLabel(filing) })}
+              <span className="text-gray-500"> ({duplicateReasonLabel(match.reason)})</span>
+            </span>
+            <button onClick={() => onUseExisting(match)} className={buttonClassName}>
+              {t('duplicates.useExisting')}
+            </button>
+          </li>
+        );
+      })}
+    </ul>
+    <div className="flex flex-wrap items-center gap-2">
+      <button onClick={onKeepBoth} className={buttonClassName}>
+        {t('duplicates.keepBoth', { filing: filingLabel(pending) })}
+      </button>
+      <button onClick={onCancel} className="text-xs text-blue-600 hover:text-blue-800 underline">
+        {t('common.cancel')}
+      </button>
+    </div>
+  </div>
+);
+
+export default DuplicatePrompt;
@@ -0,0 +1,52 @@
+import React, { useMemo } from 'react';
+import { filingLabel, skillFiling, skillLabel } from '../lib/skillModel';
+import { findDuplicatePairs, duplicateReasonLabel } from '../lib/skillDuplicates';
+import { t } from '../lib/i18n';
+
+const buttonClassName = 'text-xs bg-white border border-yellow-300 text-gray-700 hover:bg-yellow-100 font-medium py-1 px-3 rounded-lg';
+
+const describe = (skillsDoc, skill) => {
+  const filing = skillFiling(skillsDoc, skill);
+  return `${skillLabel(skill)} (${filingLabel(filing)})`;
+};
+
+// Look-alike skills anywhere in the profile, e.g. from imports or from before duplicate checks
+// existed. Each pair can be merged either way round or marked as different skills.
+const DuplicateReview = ({ skillsDoc, onMerge, onKeepBoth }) => {
+  // Every pair of skills is compared, so only redo it when the skills (or kept-apart pairs) change.
+  const { skills, distinctPairs } = skillsDoc;
+  const pairs = useMemo(() => findDuplicatePairs({ skills, distinctPairs }), [skills, distinctPairs]);
+
+  if (pairs.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4 p-4 border border-yellow-300 rounded-lg bg-yellow-50">
+      <h3 className="text-md font-semibold text-gray-700 mb-2">{t('duplicates.title')}</h3>
+      <ul className="space-y-2 text-sm text-gray-700">
+        {pairs.map(({ skills: [a, b], reason }) => (
+          <li key={`${a.id}|${b.id}`}>
+            <p className="mb-1">
+              {t('duplicates.pair', { first: describe(skillsDoc, a), second: describe(skillsDoc, b) })}
+              <span className="text-gray-500"> — {duplicateReasonLabel(reason)}</span>
+            </p>
+            <div className="flex flex-wrap items-center gap-2">
+              <button onClick={() => onMerge(a.id, b.id)} className={buttonClassName}>
+                {t('duplicates.mergeInto', { name: skillLabel(a) })}
+              </button>
+              <button onClick={() => onMerge(b.id, a.id)} className={buttonClassName}>
+                {t('duplicates.mergeInto', { name: skillLabel(b) })}
+              </button>
+              <button onClick={() => onKeepBoth(a.id, b.id)} className="text-xs text-blue-600 hover:text-blue-800 underline">
+                {t('duplicates.different')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DuplicateReview;
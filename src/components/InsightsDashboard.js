@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import { getLocale, t } from '../lib/i18n';
+import { isAbortError } from '../lib/llm';
+import { categoryLabel, hasAnySkill, migrateSkillsDocument } from '../lib/skillModel';
+import { findGaps, getOrGenerateNarrative, insightsFingerprint, skillDistribution } from '../lib/insights';
+import RetryNotice from './RetryNotice';
+
+const linkButtonClassName = 'text-sm text-blue-600 hover:text-blue-800 underline';
+
+// Overview of the whole profile: section progress, how the skills spread over broad categories,
+// gaps between sections, and a model-written summary with next actions. The summary is cached
+// per user and only regenerated when the profile's content changes.
+const InsightsDashboard = ({ userId, steps, profile, completion, onOpenStep }) => {
+  const [narrativeState, setNarrativeState] = useState({ loading: false, entry: null, error: '' });
+  const [retryCount, setRetryCount] = useState(0); // Bumped by "Retry" to re-run the request
+
+  const skillsDoc = migrateSkillsDocument(profile.what);
+  const hasSkills = hasAnySkill(skillsDoc);
+  const distribution = skillDistribution(skillsDoc);
+  const gaps = findGaps(profile);
+  const completedCount = steps.filter(step => completion[step.id]).length;
+  const fingerprint = insightsFingerprint(steps, profile);
+
+  // The fingerprint is the profile without sync bookkeeping, so it doubles as the request's input.
+  useEffect(() => {
+    if (!hasSkills) {
+      return;
+    }
+
+    const controller = new AbortController();
+    const loadNarrative = async () => {
+      setNarrativeState(prev => ({ ...prev, loading: true, error: '' }));
+      try {
+        const { locale, profile: content } = JSON.parse(fingerprint);
+        const entry = await getOrGenerateNarrative({ userId, steps, profile: content, locale, signal: controller.signal });
+        setNarrativeState({ loading: false, entry, error: '' });
+      } catch (error) {
+        if (isAbortError(error)) return;
+        console.error("Error generating the insights summary:", error);
+        setNarrativeState(prev => ({ ...prev, loading: false, error: t('insights.narrativeError') }));
+      }
+    };
+
+    loadNarrative();
+    return () => controller.abort();
+  }, [hasSkills, fingerprint, userId, steps, retryCount]);
+
+  const stepLabel = (stepId) => steps.find(step => step.id === stepId)?.label || stepId;
+  const { loading, entry, error } = narrativeState;
+
+  return (
+    <>
+      <h1 className="text-3xl font-bold text-center text-blue-800 mb-6">
+        {t('insights.title')} <span className="text-xl font-normal">{t('insights.subtitle')}</span>
+      </h1>
+      <p className="text-center text-gray-600 mb-8">
+        {t('insights.intro')}
+      </p>
+
+      {/* 1. Progress Section */}
+      <div className="mb-8 p-4 border border-blue-200 rounded-lg bg-blue-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-2">{t('insights.progress')}</h2>
+        <p className="text-sm text-gray-700 mb-2">
+          {t('insights.sectionsComplete', { count: completedCount, total: steps.length })}
+        </p>
+        <div className="h-3 w-full bg-white rounded-full border border-blue-100 mb-4" role="progressbar" aria-valuemin={0} aria-valuemax={steps.length} aria-valuenow={completedCount} aria-label={t('insights.sectionsCompleteLabel')}>
+          <div className="h-full bg-blue-600 rounded-full" style={{ width: `${(100 * completedCount) / steps.length}%` }} />
+        </div>
+        <ul className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+          {steps.map(step => (
+            <li key={step.id}>
+              <button onClick={() => onOpenStep(step.id)} className={`text-sm ${completion[step.id] ? 'text-green-700' : 'text-gray-600'} hover:underline`}>
+                {completion[step.id] ? '✓' : '○'} {step.label} <span className="text-xs opacity-75">{step.title}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {/* 2. Skill Distribution Section */}
+      <div className="mb-8 p-4 border border-purple-200 rounded-lg bg-purple-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('insights.distribution')}</h2>
+        {distribution.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('insights.distributionEmpty')}</p>
+        ) : (
+          <ul className="space-y-2">
+            {distribution.map(({ category, count, percent }) => (
+              <li key={category.id}>
+                <div className="flex justify-between text-sm text-gray-700">
+                  <span className="font-medium">{categoryLabel(category)}</span>
+                  <span>{t(count === 1 ? 'insights.skillShare.one' : 'insights.skillShare.other', { count, percent })}</span>
+                </div>
+                <div className="h-2 w-full bg-white rounded-full border border-purple-100">
+                  <div className="h-full bg-purple-500 rounded-full" style={{ width: `${percent}%` }} />
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* 3. Gaps Section */}
+      <div className="mb-8 p-4 border border-yellow-200 rounded-lg bg-yellow-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-2">{t('insights.gaps')}</h2>
+        {gaps.length === 0 ? (
+          <p className="text-sm text-green-700">✓ {t('insights.noGaps')}</p>
+        ) : (
+          <ul className="space-y-1">
+            {gaps.map(gap => (
+              <li key={gap.message} className="flex flex-wrap items-center justify-between gap-2 text-sm text-yellow-800">
+                <span>⚠ {gap.message}</span>
+                <button onClick={() => onOpenStep(gap.stepId)} className={linkButtonClassName}>{t('insights.goTo', { step: stepLabel(gap.stepId) })}</button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* 4. Summary Section */}
+      {hasSkills && (
+        <div className="mb-8 p-4 border border-green-200 rounded-lg bg-green-50" aria-live="polite">
+          <h2 className="text-xl font-semibold text-gray-700 mb-2">{t('insights.summary')}</h2>
+          {loading && <p className="text-sm text-gray-500">{t('insights.writingSummary')}</p>}
+          {error && <RetryNotice message={error} onRetry={() => setRetryCount(count => count + 1)} />}
+          {entry && !loading && (
+            <>
+              <p className="text-gray-700 mb-4">{entry.narrative.summary}</p>
+              {entry.narrative.nextActions.length > 0 && (
+                <>
+                  <h3 className="text-md font-bold text-green-800 mb-1">{t('insights.nextActions')}</h3>
+                  <ol className="list-decimal list-inside text-sm text-gray-700 space-y-1">
+                    {entry.narrative.nextActions.map(action => <li key={action}>{action}</li>)}
+                  </ol>
+                </>
+              )}
+              <p className="mt-4 text-xs text-gray-500">
+                {t('insights.writtenAt', { date: new Date(entry.generatedAt).toLocaleString(getLocale()) })}
+              </p>
+            </>
+          )}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default InsightsDashboard;
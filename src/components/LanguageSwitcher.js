@@ -0,0 +1,26 @@
+import React from 'react';
+import useLocale from '../hooks/useLocale';
+import { LOCALES, t } from '../lib/i18n';
+
+// Small language picker in the page header; the choice is remembered on this browser.
+const LanguageSwitcher = () => {
+  const [locale, setLocale] = useLocale();
+
+  return (
+    <div className="flex items-center justify-end gap-2 mb-2 text-xs text-gray-600">
+      <label htmlFor="languageSwitcher">{t('language.label')}:</label>
+      <select
+        id="languageSwitcher"
+        value={locale}
+        onChange={(e) => setLocale(e.target.value)}
+        className="border border-gray-300 rounded-md py-0.5 px-1 text-xs text-gray-700 bg-white focus:outline-none focus:border-blue-500"
+      >
+        {LOCALES.map(option => (
+          <option key={option.id} value={option.id} lang={option.id}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,98 @@
+import React from 'react';
+import { PRICING_MODELS, DELIVERY_FORMATS } from '../lib/offers';
+import { t } from '../lib/i18n';
+
+const inputClassName = 'shadow appearance-none border rounded-lg w-full py-1 px-2 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500';
+const labelClassName = 'block text-gray-700 text-xs font-bold mb-1';
+
+// Editable offer (a generated idea or a shortlisted one). `actions` renders next to the title.
+// First steps are edited one per line.
+const OfferCard = ({ offer, skillsDoc, onChange, actions }) => {
+  const skillNames = offer.skillIds.map(id => skillsDoc.skills[id]?.name).filter(Boolean);
+  const fieldId = (field) => `${field}-${offer.id}`;
+
+  return (
+    <div className="mb-4 bg-white p-4 rounded-lg border border-green-100 shadow-sm">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <input
+          type="text"
+          value={offer.title}
+          onChange={(e) => onChange({ title: e.target.value })}
+          aria-label={t('offer.title')}
+          placeholder={t('offer.titlePlaceholder')}
+          className="text-lg font-bold text-green-700 border-b border-transparent focus:border-green-400 focus:outline-none flex-grow"
+        />
+        <div className="flex items-center gap-2">{actions}</div>
+      </div>
+      <label htmlFor={fieldId('description')} className={labelClassName}>{t('offer.description')}</label>
+      <textarea
+        id={fieldId('description')}
+        value={offer.description}
+        onChange={(e) => onChange({ description: e.target.value })}
+        rows={2}
+        className={`${inputClassName} mb-2`}
+      />
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mb-2">
+        <div>
+          <label htmlFor={fieldId('pricingModel')} className={labelClassName}>{t('offer.pricingModel')}</label>
+          <input
+            type="text"
+            id={fieldId('pricingModel')}
+            list="offerPricingModels"
+            value={offer.pricingModel}
+            onChange={(e) => onChange({ pricingModel: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor={fieldId('price')} className={labelClassName}>{t('offer.price')}</label>
+          <input
+            type="text"
+            id={fieldId('price')}
+            value={offer.price}
+            onChange={(e) => onChange({ price: e.target.value })}
+            placeholder={t('offer.pricePlaceholder')}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor={fieldId('deliveryFormat')} className={labelClassName}>{t('offer.deliveryFormat')}</label>
+          <input
+            type="text"
+            id={fieldId('deliveryFormat')}
+            list="offerDeliveryFormats"
+            value={offer.deliveryFormat}
+            onChange={(e) => onChange({ deliveryFormat: e.target.value })}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+      <label htmlFor={fieldId('firstSteps')} className={labelClassName}>{t('offer.firstSteps')}</label>
+      <textarea
+        id={fieldId('firstSteps')}
+        value={offer.firstSteps.join('\n')}
+        onChange={(e) => onChange({ firstSteps: e.target.value.split('\n') })}
+        onBlur={() => onChange({ firstSteps: offer.firstSteps.map(step => step.trim()).filter(Boolean) })}
+        rows={3}
+        className={inputClassName}
+      />
+      {skillNames.length > 0 && (
+        <p className="mt-2 text-xs text-gray-500">{t('offer.buildsOn', { skills: skillNames.join(', ') })}</p>
+      )}
+    </div>
+  );
+};
+
+// Suggestion lists for the pricing and delivery inputs; rendered once by the step.
+export const OfferFieldSuggestions = () => (
+  <>
+    <datalist id="offerPricingModels">
+      {PRICING_MODELS.map(model => <option key={model.id} value={model.label} />)}
+    </datalist>
+    <datalist id="offerDeliveryFormats">
+      {DELIVERY_FORMATS.map(format => <option key={format.id} value={format.label} />)}
+    </datalist>
+  </>
+);
+
+export default OfferCard;
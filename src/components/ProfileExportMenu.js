@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import {
+  profileToJson,
+  profileToMarkdown,
+  profileToPrintableHtml,
+  skillsToJsonResume,
+  parseProfileImport,
+} from '../lib/profileExport';
+import { downloadFile } from '../lib/download';
+import { t } from '../lib/i18n';
+
+const menuButtonClassName = 'text-sm bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium py-1 px-3 rounded-lg';
+
+// Prints from a hidden frame so the app itself stays on screen (and no pop-up blocker gets involved).
+const printHtml = (html) => {
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  document.body.appendChild(frame);
+  frame.contentDocument.open();
+  frame.contentDocument.write(html);
+  frame.contentDocument.close();
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+  setTimeout(() => frame.remove(), 1000);
+};
+
+// "Export / Import" menu for the whole profile. Importing replaces the stored step documents, so a
+// chosen file is only applied after the user confirms; `onImport(sections)` does the writing.
+const ProfileExportMenu = ({ steps, profile, onImport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null); // { fileName, sections } awaiting confirmation
+  const [isImporting, setIsImporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const sectionLabel = (stepId) => steps.find(step => step.id === stepId)?.label || stepId;
+
+  const handleFileChosen = async (file) => {
+    setError('');
+    setPendingImport(null);
+    if (!file) return;
+    try {
+      setPendingImport({ fileName: file.name, sections: parseProfileImport(await file.text(), steps) });
+    } catch (parseError) {
+      console.error("Error reading profile import:", parseError);
+      setError(parseError.message);
+    }
+  };
+
+  const handleConfirmImport = async () => {
+    setIsImporting(true);
+    try {
+      await onImport(pendingImport.sections);
+      setPendingImport(null);
+      setIsOpen(false);
+    } catch (importError) {
+      console.error("Error importing profile:", importError);
+      setError(t('profileExport.importError'));
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 text-center">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        className="text-sm text-blue-600 hover:text-blue-800 underline"
+      >
+        {t('profileExport.toggle')}
+      </button>
+      {isOpen && (
+        <div className="mt-3 p-4 border border-gray-200 rounded-lg bg-gray-50 text-left">
+          <div className="flex flex-wrap gap-2 mb-3">
+            <button onClick={() => printHtml(profileToPrintableHtml(steps, profile))} className={menuButtonClassName}>
+              {t('profileExport.print')}
+            </button>
+            <button onClick={() => downloadFile('6ws-profile.md', profileToMarkdown(steps, profile), 'text/markdown')} className={menuButtonClassName}>
+              {t('profileExport.markdown')}
+            </button>
+            <button onClick={() => downloadFile('6ws-profile.json', profileToJson(steps, profile), 'application/json')} className={menuButtonClassName}>
+              {t('profileExport.json')}
+            </button>
+            <button onClick={() => downloadFile('resume-skills.json', skillsToJsonResume(profile.what), 'application/json')} className={menuButtonClassName}>
+              {t('profileExport.jsonResume')}
+            </button>
+          </div>
+          <label htmlFor="profileImportFile" className="block text-gray-700 text-sm font-bold mb-1">
+            {t('profileExport.importLabel')}
+          </label>
+          <input
+            type="file"
+            id="profileImportFile"
+            accept=".json,application/json"
+            onChange={(e) => handleFileChosen(e.target.files[0])}
+            className="text-sm text-gray-700"
+          />
+          {error && <p role="alert" className="mt-2 text-sm text-red-600">{error}</p>}
+          {pendingImport && (
+            <div className="mt-3 p-3 border border-yellow-300 rounded-lg bg-yellow-50 text-sm text-gray-700">
+              <p className="mb-2">
+                {t('profileExport.confirmImport', {
+                  fileName: pendingImport.fileName,
+                  sections: Object.keys(pendingImport.sections).map(sectionLabel).join(', '),
+                })}
+              </p>
+              <div className="flex gap-2">
+                <button
+                  onClick={handleConfirmImport}
+                  disabled={isImporting}
+                  className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-lg text-sm shadow-sm"
+                >
+                  {isImporting ? t('profileExport.importing') : t('profileExport.import')}
+                </button>
+                <button onClick={() => setPendingImport(null)} className="text-xs text-blue-600 hover:text-blue-800 underline">
+                  {t('common.cancel')}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProfileExportMenu;
@@ -0,0 +1,56 @@
+import React, { useState, useEffect } from 'react';
+import { loadPublicProfile } from '../lib/publicProfile';
+import { t } from '../lib/i18n';
+
+// Read-only page for a published profile (#/p/{token}).
+const PublicProfileView = ({ db, canvasAppId, token, isFirebaseUnavailable }) => {
+  const [publicProfile, setPublicProfile] = useState(undefined); // undefined while loading, null if not found
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!db) return;
+    let cancelled = false;
+    loadPublicProfile({ db, appId: canvasAppId, token })
+      .then(loaded => { if (!cancelled) setPublicProfile(loaded); })
+      .catch(loadError => {
+        console.error("Error loading public profile:", loadError);
+        if (!cancelled) setError(t('publicProfile.loadError'));
+      });
+    return () => { cancelled = true; };
+  }, [db, canvasAppId, token]);
+
+  if (isFirebaseUnavailable || error) {
+    return <p className="text-center text-gray-600 my-4">{error || t('publicProfile.unavailable')}</p>;
+  }
+  if (publicProfile === undefined) {
+    return <div className="text-center text-gray-500 my-4">{t('publicProfile.loading')}</div>;
+  }
+  if (publicProfile === null) {
+    return <p className="text-center text-gray-600 my-4">{t('publicProfile.notFound')}</p>;
+  }
+
+  return (
+    <>
+      <h1 className="text-3xl font-bold text-center text-blue-800 mb-6">
+        {publicProfile.displayName ? t('publicProfile.titleFor', { name: publicProfile.displayName }) : t('publicProfile.title')}
+      </h1>
+      {publicProfile.sections.map(section => (
+        <div key={section.stepId} className="mb-6">
+          <h2 className="text-xl font-semibold text-gray-700 mb-2 border-b border-gray-200">{section.title}</h2>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {section.blocks.map(block => (
+              <div key={block.heading} className="p-3 bg-purple-50 border border-purple-100 rounded-lg">
+                <h3 className="text-md font-bold text-purple-700 mb-1">{block.heading}</h3>
+                <ul className="list-disc list-inside text-sm text-gray-700">
+                  {block.lines.map((line, index) => <li key={index}>{line}</li>)}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </>
+  );
+};
+
+export default PublicProfileView;
@@ -0,0 +1,17 @@
+import React from 'react';
+import { t } from '../lib/i18n';
+
+// Inline error with a manual retry, shown when every automatic attempt has failed.
+const RetryNotice = ({ message, onRetry }) => (
+  <div role="alert" className="flex items-center justify-between gap-2 my-4 p-3 border border-red-200 rounded-lg bg-red-50 text-sm text-red-700">
+    <span>{message}</span>
+    <button
+      onClick={onRetry}
+      className="bg-red-600 hover:bg-red-700 text-white font-bold py-1 px-3 rounded-lg focus:outline-none focus:shadow-outline transition-colors duration-200 shadow-sm"
+    >
+      {t('common.retry')}
+    </button>
+  </div>
+);
+
+export default RetryNotice;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { getLocale, t } from '../lib/i18n';
+import { DEFAULT_SHARE_SETTINGS, loadShareSettings, publishProfile, unpublishProfile, shareUrl } from '../lib/publicProfile';
+
+const buttonClassName = 'bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-lg text-sm shadow-sm disabled:opacity-50';
+const linkButtonClassName = 'text-sm text-blue-600 hover:text-blue-800 underline';
+
+// "Share your profile": choose which sections are public, publish a read-only copy at a link,
+// refresh it after editing, or revoke it. Nothing is public until "Publish" is pressed.
+const ShareProfilePanel = ({ db, userId, canvasAppId, steps, profile }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [settings, setSettings] = useState(null); // null until loaded
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+  const shareableSteps = steps.filter(step => step.summarize);
+
+  useEffect(() => {
+    if (!isOpen || !db || !userId) return;
+    let cancelled = false;
+    loadShareSettings({ db, appId: canvasAppId, userId })
+      .then(loaded => { if (!cancelled) setSettings(loaded); })
+      .catch(loadError => {
+        console.error("Error loading share settings:", loadError);
+        if (!cancelled) setSettings(DEFAULT_SHARE_SETTINGS);
+      });
+    return () => { cancelled = true; };
+  }, [isOpen, db, userId, canvasAppId]);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setError('');
+    try {
+      setSettings(await action());
+    } catch (actionError) {
+      console.error("Error updating public profile:", actionError);
+      setError(t('share.updateError'));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const toggleStep = (stepId) => setSettings(prev => ({
+    ...prev,
+    visibleStepIds: prev.visibleStepIds.includes(stepId)
+      ? prev.visibleStepIds.filter(id => id !== stepId)
+      : [...prev.visibleStepIds, stepId],
+  }));
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl(settings.token));
+      setCopied(true);
+    } catch (copyError) {
+      console.error("Error copying share link:", copyError);
+    }
+  };
+
+  if (!db || !userId) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2 text-center">
+      <button onClick={() => setIsOpen(!isOpen)} aria-expanded={isOpen} className={linkButtonClassName}>
+        {t('share.toggle')}
+      </button>
+      {isOpen && (
+        <div className="mt-3 p-4 border border-gray-200 rounded-lg bg-gray-50 text-left text-sm text-gray-700">
+          {!settings ? (
+            <p className="text-gray-500">{t('common.loading')}</p>
+          ) : (
+            <>
+              <p className="mb-3">
+                {t('share.intro')}
+              </p>
+              <label htmlFor="publicDisplayName" className="block font-bold mb-1">{t('share.displayName')}</label>
+              <input
+                type="text"
+                id="publicDisplayName"
+                value={settings.displayName}
+                onChange={(e) => setSettings({ ...settings, displayName: e.target.value })}
+                placeholder={t('share.optional')}
+                className="shadow appearance-none border rounded-lg w-full py-1 px-2 mb-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
+              />
+              <fieldset className="mb-3">
+                <legend className="font-bold mb-1">{t('share.sections')}</legend>
+                {shareableSteps.map(step => (
+                  <label key={step.id} className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={settings.visibleStepIds.includes(step.id)}
+                      onChange={() => toggleStep(step.id)}
+                      className="form-checkbox h-4 w-4 text-blue-600 rounded-md focus:ring-blue-500"
+                    />
+                    {step.label} ({step.title})
+                  </label>
+                ))}
+              </fieldset>
+              <div className="flex flex-wrap items-center gap-3">
+                <button
+                  onClick={() => run(() => publishProfile({ db, appId: canvasAppId, userId, steps, profile, settings }))}
+                  disabled={isBusy || settings.visibleStepIds.length === 0}
+                  className={buttonClassName}
+                >
+                  {settings.token ? t('share.update') : t('share.publish')}
+                </button>
+                {settings.token && (
+                  <button onClick={() => run(() => unpublishProfile({ db, appId: canvasAppId, userId }))} disabled={isBusy} className="text-sm text-red-600 hover:text-red-800 underline">
+                    {t('share.unpublish')}
+                  </button>
+                )}
+              </div>
+              {settings.token && (
+                <div className="mt-3">
+                  <span className="font-bold">{t('share.yourLink')} </span>
+                  <a href={shareUrl(settings.token)} target="_blank" rel="noreferrer" className="break-all text-blue-600 underline">
+                    {shareUrl(settings.token)}
+                  </a>
+                  <button onClick={handleCopy} className={`ml-2 ${linkButtonClassName}`}>{copied ? t('common.copied') : t('common.copy')}</button>
+                  {settings.publishedAt && (
+                    <p className="text-xs text-gray-500 mt-1">{t('share.lastPublished', { date: new Date(settings.publishedAt).toLocaleString(getLocale()) })}</p>
+                  )}
+                </div>
+              )}
+              {error && <p role="alert" className="mt-2 text-red-600">{error}</p>}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShareProfilePanel;
@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import { doc, onSnapshot } from 'firebase/firestore';
+import useComments from '../hooks/useComments';
+import SkillSummary from './SkillSummary';
+import CommentsPanel from './CommentsPanel';
+import { userDocPath, updateRemoteDocument } from '../lib/localPersistence';
+import {
+  SKILL_ORIGINS,
+  addSkill,
+  broadCategoryOptions,
+  categoryLabel,
+  findSkill,
+  migrateSkillsDocument,
+  pickSkillsFields,
+  removeSkill,
+  renameSkill,
+  updateSkill,
+  moveSkill,
+  moveSubCategory,
+  renameBroadCategory,
+} from '../lib/skillModel';
+import { t } from '../lib/i18n';
+import { subscribeToMyRole, subscribeToSharedWithMe, leaveProfile, collaboratorName, roleCan, roleLabel } from '../lib/collaboration';
+import { addComment, deleteComment, countCommentsByTarget, commentTargetLabel } from '../lib/comments';
+import { wizardSteps, getStepIndex } from '../wizard/steps';
+
+const SKILLS_DOC_ID = wizardSteps[getStepIndex('what')].docId;
+
+const inputClassName = 'shadow appearance-none border rounded-lg w-full py-1 px-2 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500';
+
+// Editors add skills by name, broad category and sub-category; there are no AI suggestions here.
+const AddSharedSkill = ({ skillsDoc, onAdd }) => {
+  const broadOptions = broadCategoryOptions(skillsDoc);
+  const [name, setName] = useState('');
+  const [broadId, setBroadId] = useState(broadOptions[0]?.id || '');
+  const [subCategoryName, setSubCategoryName] = useState('');
+
+  const handleAdd = () => {
+    const broad = broadOptions.find(option => option.id === broadId);
+    if (name.trim() === '' || !broad) return;
+    onAdd({ name: name.trim(), broad, subCategoryName: subCategoryName.trim() || 'General' });
+    setName('');
+  };
+
+  return (
+    <div className="mb-4 p-3 border border-green-200 rounded-lg bg-green-50">
+      <h2 className="text-md font-semibold text-gray-700 mb-2">{t('sharedProfile.addSkill')}</h2>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyPress={(e) => { if (e.key === 'Enter') handleAdd(); }}
+          aria-label={t('sharedProfile.skill')}
+          placeholder={t('sharedProfile.skillPlaceholder')}
+          className={inputClassName}
+        />
+        <select value={broadId} onChange={(e) => setBroadId(e.target.value)} aria-label={t('sharedProfile.broadCategory')} className={inputClassName}>
+          {broadOptions.map(option => <option key={option.id} value={option.id}>{categoryLabel(option)}</option>)}
+        </select>
+        <input
+          type="text"
+          value={subCategoryName}
+          onChange={(e) => setSubCategoryName(e.target.value)}
+          onKeyPress={(e) => { if (e.key === 'Enter') handleAdd(); }}
+          aria-label={t('sharedProfile.subCategory')}
+          placeholder={t('sharedProfile.subCategoryPlaceholder')}
+          className={inputClassName}
+        />
+      </div>
+      <button
+        onClick={handleAdd}
+        disabled={name.trim() === ''}
+        className="mt-2 bg-blue-600 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded-lg text-sm shadow-sm disabled:opacity-50"
+      >
+        {t('what.addSkill')}
+      </button>
+    </div>
+  );
+};
+
+// Someone else's profile opened from "Profiles shared with you" (#/shared/{ownerUid}). Viewers see
+// the skills live; commenters can also comment; editors can add and change skills, which are written
+// straight to the owner's document for their devices to merge.
+const SharedProfileView = ({ db, userId, account, isAuthReady, isFirebaseUnavailable, canvasAppId, ownerUid, onLeft }) => {
+  const [role, setRole] = useState(undefined); // undefined while loading, null without access
+  const [ownerName, setOwnerName] = useState('');
+  const [skillsDoc, setSkillsDoc] = useState(null);
+  const [commentTarget, setCommentTarget] = useState(null);
+  const [error, setError] = useState('');
+  const hasAccess = Boolean(role);
+  const comments = useComments({ db, appId: canvasAppId, ownerUid, enabled: hasAccess });
+  const commentsRef = { db, appId: canvasAppId, ownerUid };
+
+  useEffect(() => {
+    if (!isAuthReady || !db) return undefined;
+    const unsubscribeRole = subscribeToMyRole({ db, appId: canvasAppId, ownerUid, userId }, setRole);
+    const unsubscribeShared = subscribeToSharedWithMe({ db, appId: canvasAppId, userId }, (profiles) => {
+      setOwnerName(profiles.find(profile => profile.ownerUid === ownerUid)?.ownerName || '');
+    });
+    return () => {
+      unsubscribeRole();
+      unsubscribeShared();
+    };
+  }, [isAuthReady, db, canvasAppId, ownerUid, userId]);
+
+  useEffect(() => {
+    if (!hasAccess) return undefined;
+    return onSnapshot(
+      doc(db, userDocPath({ appId: canvasAppId, userId: ownerUid, docId: SKILLS_DOC_ID })),
+      (docSnap) => setSkillsDoc(migrateSkillsDocument(docSnap.exists() ? docSnap.data() : null)),
+      (snapshotError) => {
+        console.error("Error listening to shared skills:", snapshotError);
+        setError(t('publicProfile.loadError'));
+      }
+    );
+  }, [hasAccess, db, canvasAppId, ownerUid]);
+
+  const editSkills = (edit) => {
+    setError('');
+    updateRemoteDocument({
+      db,
+      appId: canvasAppId,
+      userId: ownerUid,
+      docId: SKILLS_DOC_ID,
+      update: (current) => pickSkillsFields(edit(migrateSkillsDocument(current))),
+    }).catch(editError => {
+      console.error("Error editing shared skills:", editError);
+      setError(t('sharedProfile.saveError'));
+    });
+  };
+
+  // Skipped when the same skill is already filed there.
+  const handleAddSkill = ({ name, broad, subCategoryName }) => editSkills(current => (
+    findSkill(current, { broadId: broad.id, subCategoryName, name })
+      ? current
+      : addSkill(current, { name, broad, subCategoryName, origin: SKILL_ORIGINS.TYPED })
+  ));
+
+  const handleLeave = async () => {
+    try {
+      await leaveProfile({ db, appId: canvasAppId, ownerUid, userId });
+      onLeft();
+    } catch (leaveError) {
+      console.error("Error leaving shared profile:", leaveError);
+      setError(t('sharedProfile.leaveError'));
+    }
+  };
+
+  if (isFirebaseUnavailable) {
+    return <p className="text-center text-gray-600 my-4">{t('sharedProfile.unavailable')}</p>;
+  }
+  if (role === undefined) {
+    return <div className="text-center text-gray-500 my-4">{t('publicProfile.loading')}</div>;
+  }
+  if (role === null) {
+    return <p className="text-center text-gray-600 my-4">{t('sharedProfile.noAccess')}</p>;
+  }
+
+  const canEdit = roleCan(role, 'edit');
+
+  return (
+    <>
+      <h1 className="text-3xl font-bold text-center text-blue-800 mb-2">
+        {ownerName ? t('publicProfile.titleFor', { name: ownerName }) : t('sharedProfile.title')}
+      </h1>
+      <p className="text-center text-sm text-gray-600 mb-4">
+        {t('sharedProfile.yourRole', { role: roleLabel(role).toLowerCase() })}{' '}
+        <button onClick={handleLeave} className="text-red-600 hover:text-red-800 underline">{t('sharedProfile.leave')}</button>
+      </p>
+      {error && <p role="alert" className="text-center text-sm text-red-600 mb-2">{error}</p>}
+      {canEdit && skillsDoc && <AddSharedSkill skillsDoc={skillsDoc} onAdd={handleAddSkill} />}
+      {!skillsDoc ? (
+        <div className="text-center text-gray-500 my-4">{t('sharedProfile.loadingSkills')}</div>
+      ) : Object.keys(skillsDoc.skills).length === 0 ? (
+        <p className="text-center text-gray-600 my-4">{t('sharedProfile.noSkills')}</p>
+      ) : (
+        <SkillSummary
+          skillsDoc={skillsDoc}
+          title={t('sharedProfile.skills')}
+          readOnly={!canEdit}
+          onRemoveSkill={(skillId) => editSkills(current => removeSkill(current, skillId))}
+          onRenameSkill={(skillId, name) => editSkills(current => renameSkill(current, skillId, name))}
+          onSkillDetailsChange={(skillId, changes) => editSkills(current => updateSkill(current, skillId, changes))}
+          onMoveSkill={(skillId, filing) => editSkills(current => moveSkill(current, skillId, filing))}
+          onMoveSubCategory={(subId, filing) => editSkills(current => moveSubCategory(current, subId, filing))}
+          onRenameBroadCategory={(broadId, name) => editSkills(current => renameBroadCategory(current, broadId, name))}
+          commentCounts={countCommentsByTarget(comments)}
+          onOpenComments={setCommentTarget}
+        />
+      )}
+      {commentTarget && skillsDoc && (
+        <CommentsPanel
+          comments={comments}
+          target={commentTarget}
+          targetLabel={commentTargetLabel(skillsDoc, commentTarget)}
+          canComment={roleCan(role, 'comment')}
+          currentUserId={userId}
+          isOwner={false}
+          onAdd={(comment) => addComment(commentsRef, { ...comment, author: { uid: userId, name: collaboratorName(account) } })}
+          onDelete={(commentId) => deleteComment(commentsRef, commentId)}
+          onClose={() => setCommentTarget(null)}
+        />
+      )}
+    </>
+  );
+};
+
+export default SharedProfileView;
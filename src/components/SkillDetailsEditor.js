@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { PROFICIENCY_LEVELS, RATE_UNITS, SKILL_DETAIL_DEFAULTS, categoryLabel, skillLabel } from '../lib/skillModel';
+import { t, DEFAULT_CURRENCY } from '../lib/i18n';
+
+const inputClassName = 'shadow appearance-none border rounded-lg w-full py-1 px-2 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500';
+
+// Empty input means "not set"; negative numbers are clamped to zero.
+const parseOptionalNumber = (value) => {
+  if (value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(0, number) : null;
+};
+
+// Inline editor for a skill: its name, where it's filed (any sub-category in `skillGroups`), and its
+// proficiency, experience and monetization details. Detail changes are reported straight away through
+// `onChange(changes)`; renames only once the name field is committed (Enter or leaving the field),
+// since a rename can merge the skill into an existing one. Saving is the caller's job.
+const SkillDetailsEditor = ({ skill, skillGroups, onChange, onRename, onMove, onClose }) => {
+  const [nameDraft, setNameDraft] = useState(skill.name);
+  const rate = { ...SKILL_DETAIL_DEFAULTS.rate, ...skill.rate };
+  const isRateInverted = rate.min != null && rate.max != null && rate.min > rate.max;
+  const fieldId = (name) => `${name}-${skill.id}`;
+
+  const handleRateChange = (key, value) => onChange({ rate: { ...rate, [key]: value } });
+
+  const commitName = () => {
+    if (nameDraft.trim() === '') {
+      setNameDraft(skill.name);
+    } else if (nameDraft.trim() !== skill.name) {
+      onRename(nameDraft);
+    }
+  };
+
+  const handleFilingChange = (subId) => {
+    const group = skillGroups.find(({ subCategories }) => subCategories.some(({ category }) => category.id === subId));
+    const subCategory = group?.subCategories.find(({ category }) => category.id === subId).category;
+    if (group && subCategory) {
+      onMove({ broad: group.category, subCategoryName: subCategory.name });
+    }
+  };
+
+  return (
+    <div className="mt-2 p-3 border border-purple-200 rounded-lg bg-white shadow-sm">
+      <div className="flex items-center justify-between mb-2">
+        <h5 className="text-sm font-bold text-purple-700">{skillLabel(skill)}</h5>
+        <button onClick={onClose} className="text-xs text-blue-600 hover:text-blue-800 underline">
+          {t('skillDetails.done')}
+        </button>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div>
+          <label htmlFor={fieldId('name')} className="block text-gray-700 text-xs font-bold mb-1">
+            {t('skillDetails.name')}
+          </label>
+          <input
+            type="text"
+            id={fieldId('name')}
+            value={nameDraft}
+            onChange={(e) => setNameDraft(e.target.value)}
+            onBlur={commitName}
+            onKeyDown={(e) => { if (e.key === 'Enter') commitName(); }}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label htmlFor={fieldId('filing')} className="block text-gray-700 text-xs font-bold mb-1">
+            {t('skillDetails.filedUnder')}
+          </label>
+          <select
+            id={fieldId('filing')}
+            value={skill.categoryIds[1]}
+            onChange={(e) => handleFilingChange(e.target.value)}
+            className={inputClassName}
+          >
+            {skillGroups.map(({ category, subCategories }) => (
+              <optgroup key={category.id} label={categoryLabel(category)}>
+                {subCategories.map(({ category: subCategory }) => (
+                  <option key={subCategory.id} value={subCategory.id}>{categoryLabel(subCategory)}</option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor={fieldId('proficiency')} className="block text-gray-700 text-xs font-bold mb-1">
+            {t('skillDetails.proficiency')}
+          </label>
+          <select
+            id={fieldId('proficiency')}
+            value={skill.proficiency || ''}
+            onChange={(e) => onChange({ proficiency: e.target.value || null })}
+            className={inputClassName}
+          >
+            <option value="">{t('skillDetails.notSet')}</option>
+            {PROFICIENCY_LEVELS.map(level => (
+              <option key={level.id} value={level.id}>{level.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor={fieldId('years')} className="block text-gray-700 text-xs font-bold mb-1">
+            {t('skillDetails.years')}
+          </label>
+          <input
+            type="number"
+            id={fieldId('years')}
+            min="0"
+            step="0.5"
+            value={skill.yearsOfExperience ?? ''}
+            onChange={(e) => onChange({ yearsOfExperience: parseOptionalNumber(e.target.value) })}
+            className={inputClassName}
+          />
+        </div>
+        <label className="flex items-center sm:col-span-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={Boolean(skill.monetized)}
+            onChange={(e) => onChange({ monetized: e.target.checked })}
+            className="form-checkbox h-4 w-4 text-blue-600 rounded-md focus:ring-blue-500"
+          />
+          <span className="ml-2">{t('skillDetails.monetized')}</span>
+        </label>
+        <div className="sm:col-span-2">
+          <span className="block text-gray-700 text-xs font-bold mb-1">{t('skillDetails.rateRange', { currency: DEFAULT_CURRENCY })}</span>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="0"
+              aria-label={t('skillDetails.minRate')}
+              placeholder={t('skillDetails.min')}
+              value={rate.min ?? ''}
+              onChange={(e) => handleRateChange('min', parseOptionalNumber(e.target.value))}
+              className={inputClassName}
+            />
+            <span className="text-gray-500">–</span>
+            <input
+              type="number"
+              min="0"
+              aria-label={t('skillDetails.maxRate')}
+              placeholder={t('skillDetails.max')}
+              value={rate.max ?? ''}
+              onChange={(e) => handleRateChange('max', parseOptionalNumber(e.target.value))}
+              className={inputClassName}
+            />
+            <select
+              aria-label={t('skillDetails.rateUnit')}
+              value={rate.unit}
+              onChange={(e) => handleRateChange('unit', e.target.value)}
+              className={inputClassName}
+            >
+              {RATE_UNITS.map(unit => (
+                <option key={unit.id} value={unit.id}>{unit.label}</option>
+              ))}
+            </select>
+          </div>
+          {isRateInverted && (
+            <p role="alert" className="mt-1 text-xs text-red-600">{t('skillDetails.rateInverted')}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SkillDetailsEditor;
@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { t } from '../lib/i18n';
+import { isAbortError } from '../lib/llm';
+import { IMPORT_FILE_TYPES, readImportFile, extractCandidateSkills } from '../lib/skillImport';
+import { categorizeSkills, isLowConfidence } from '../lib/skillCategorizer';
+import {
+  customCategory,
+  findStandardCategoryByName,
+  categoryLabel,
+  broadCategoryOptions,
+  skillLabel,
+} from '../lib/skillModel';
+import { findDuplicateCandidates } from '../lib/skillDuplicates';
+import RetryNotice from './RetryNotice';
+
+const inputClassName = 'shadow appearance-none border rounded-lg w-full py-1 px-2 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500';
+
+// Bulk import: paste text/CSV or upload a résumé, review the proposed (broad, sub, skill) rows,
+// then hand the accepted ones to `onImport([{ name, broad, subCategoryName }])`.
+const SkillImportPanel = ({ skillsDoc, onImport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [pastedText, setPastedText] = useState('');
+  const [file, setFile] = useState(null);
+  const [rows, setRows] = useState([]); // Review table: { key, accepted, name, broad, subCategoryName, duplicateOf, needsReview, ... }
+  const [isExtracting, setIsExtracting] = useState(false);
+  const [error, setError] = useState('');
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  // Custom categories named by an imported CSV can be picked for other rows too.
+  const broadOptions = broadCategoryOptions(skillsDoc, rows.map(row => row.broad));
+
+  const handleExtract = async () => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsExtracting(true);
+    setError('');
+
+    try {
+      const source = file ? await readImportFile(file) : { text: pastedText };
+      const candidates = await extractCandidateSkills(source, { signal: controller.signal });
+
+      // Rows that came with categories (CSV columns) keep them; the rest are categorized in batches.
+      const needsCategory = candidates.filter(candidate => !candidate.broadCategory);
+      const categorized = await categorizeSkills(needsCategory.map(candidate => candidate.name), { signal: controller.signal });
+      if (controller.signal.aborted) return;
+
+      setRows(candidates.map((candidate, index) => {
+        const result = categorized[needsCategory.indexOf(candidate)];
+        const filed = candidate.broadCategory
+          ? {
+            broad: findStandardCategoryByName(candidate.broadCategory) || customCategory(candidate.broadCategory),
+            subCategoryName: candidate.subCategory || 'General',
+            alternatives: [],
+            needsReview: false,
+          }
+          : { ...result, needsReview: isLowConfidence(result) };
+        // Look-alikes of existing skills ("JS" when "JavaScript" is there) start unticked.
+        const duplicateOf = findDuplicateCandidates(skillsDoc, candidate.name)[0]?.skill || null;
+        return { key: `${index}-${candidate.name}`, accepted: !duplicateOf, name: candidate.name, duplicateOf, ...filed };
+      }));
+      if (candidates.length === 0) {
+        setError(t('skillImport.noSkillsFound'));
+      }
+    } catch (extractError) {
+      if (isAbortError(extractError) || controller.signal.aborted) return;
+      console.error("Skill import failed:", extractError);
+      setError(file ? t('skillImport.readFileError', { file: file.name }) : t('skillImport.readTextError'));
+    }
+    setIsExtracting(false);
+  };
+
+  const updateRow = (key, changes) => {
+    setRows(prev => prev.map(row => (row.key === key ? { ...row, ...changes } : row)));
+  };
+
+  // Any manual re-filing counts as the user having checked the row.
+  const handleBroadChange = (key, broadId) => {
+    updateRow(key, { broad: broadOptions.find(option => option.id === broadId), needsReview: false });
+  };
+
+  const resetPanel = () => {
+    controllerRef.current?.abort();
+    setRows([]);
+    setPastedText('');
+    setFile(null);
+    setError('');
+    setIsExtracting(false);
+  };
+
+  const acceptedRows = rows.filter(row => row.accepted && row.name.trim() !== '');
+
+  const handleImport = () => {
+    onImport(acceptedRows.map(({ name, broad, subCategoryName }) => ({
+      name: name.trim(),
+      broad,
+      subCategoryName: subCategoryName.trim() || 'General',
+    })));
+    resetPanel();
+    setIsOpen(false);
+  };
+
+  if (!isOpen) {
+    return (
+      <div className="mb-8 text-center">
+        <button
+          onClick={() => setIsOpen(true)}
+          className="text-sm text-blue-600 hover:text-blue-800 underline"
+        >
+          {t('skillImport.toggle')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-8 p-4 border border-yellow-200 rounded-lg bg-yellow-50">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-700">{t('skillImport.title')}</h2>
+        <button
+          onClick={() => { resetPanel(); setIsOpen(false); }}
+          className="text-xs text-blue-600 hover:text-blue-800 underline"
+        >
+          {t('skillImport.close')}
+        </button>
+      </div>
+
+      {rows.length === 0 ? (
+        <>
+          <label htmlFor="importText" className="block text-gray-700 text-sm font-bold mb-2">
+            {t('skillImport.pasteLabel')}
+          </label>
+          <textarea
+            id="importText"
+            rows={6}
+            value={pastedText}
+            onChange={(e) => setPastedText(e.target.value)}
+            disabled={Boolean(file)}
+            placeholder={t('skillImport.pastePlaceholder')}
+            className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
+          />
+          <div className="my-2 text-center text-gray-500">{t('what.or')}</div>
+          <label htmlFor="importFile" className="block text-gray-700 text-sm font-bold mb-2">
+            {t('skillImport.uploadLabel', { types: IMPORT_FILE_TYPES.split(',').join(', ') })}
+          </label>
+          <input
+            type="file"
+            id="importFile"
+            accept={IMPORT_FILE_TYPES}
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="block w-full text-sm text-gray-700 mb-4"
+          />
+          {error && <RetryNotice message={error} onRetry={handleExtract} />}
+          <button
+            onClick={handleExtract}
+            disabled={isExtracting || (!file && pastedText.trim() === '')}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:shadow-outline transition-colors duration-200 shadow-md"
+          >
+            {isExtracting ? t('skillImport.finding') : t('skillImport.find')}
+          </button>
+        </>
+      ) : (
+        <>
+          <p className="text-sm text-gray-600 mb-2">
+            {t('skillImport.review')}
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-700">
+                  <th className="p-1">{t('common.add')}</th>
+                  <th className="p-1">{t('sharedProfile.skill')}</th>
+                  <th className="p-1">{t('sharedProfile.broadCategory')}</th>
+                  <th className="p-1">{t('sharedProfile.subCategory')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map(row => (
+                  <tr key={row.key} className={`${row.accepted ? '' : 'opacity-60'} ${row.needsReview ? 'bg-yellow-100' : ''}`}>
+                    <td className="p-1">
+                      <input
+                        type="checkbox"
+                        checked={row.accepted}
+                        onChange={(e) => updateRow(row.key, { accepted: e.target.checked })}
+                        aria-label={t('skillImport.importRow', { name: row.name })}
+                        className="form-checkbox h-4 w-4 text-blue-600 rounded-md focus:ring-blue-500"
+                      />
+                    </td>
+                    <td className="p-1">
+                      <input
+                        type="text"
+                        value={row.name}
+                        onChange={(e) => updateRow(row.key, { name: e.target.value })}
+                        aria-label={t('skillImport.skillName')}
+                        className={inputClassName}
+                      />
+                      {row.duplicateOf && (
+                        <span className="text-xs text-gray-500">
+                          {row.duplicateOf.name.toLowerCase() === row.name.trim().toLowerCase() ? t('skillImport.alreadyHave') : t('skillImport.looksLike', { name: skillLabel(row.duplicateOf) })}
+                        </span>
+                      )}
+                    </td>
+                    <td className="p-1">
+                      <select
+                        value={row.broad.id}
+                        onChange={(e) => handleBroadChange(row.key, e.target.value)}
+                        aria-label={t('sharedProfile.broadCategory')}
+                        className={inputClassName}
+                      >
+                        {broadOptions.map(option => (
+                          <option key={option.id} value={option.id}>{categoryLabel(option)}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="p-1">
+                      <input
+                        type="text"
+                        value={row.subCategoryName}
+                        onChange={(e) => updateRow(row.key, { subCategoryName: e.target.value, needsReview: false })}
+                        aria-label={t('sharedProfile.subCategory')}
+                        className={inputClassName}
+                      />
+                      {row.needsReview && (
+                        <div className="mt-1 text-xs text-yellow-800">
+                          {row.failed ? t('skillImport.categorizeFailed') : t('skillImport.lowConfidence', { percent: Math.round(row.confidence * 100) })}
+                          {row.alternatives.map(alternative => (
+                            <button
+                              key={`${alternative.broad.id}-${alternative.subCategoryName}`}
+                              onClick={() => updateRow(row.key, { broad: alternative.broad, subCategoryName: alternative.subCategoryName, needsReview: false })}
+                              className="ml-1 text-blue-600 hover:text-blue-800 underline"
+                            >
+                              {categoryLabel(alternative.broad)} → {alternative.subCategoryName}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex gap-2 mt-4">
+            <button
+              onClick={handleImport}
+              disabled={acceptedRows.length === 0}
+              className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:shadow-outline transition-colors duration-200 shadow-md"
+            >
+              {t(acceptedRows.length === 1 ? 'skillImport.importCount.one' : 'skillImport.importCount.other', { count: acceptedRows.length })}
+            </button>
+            <button
+              onClick={resetPanel}
+              className="bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium py-2 px-4 rounded-lg"
+            >
+              {t('skillImport.startOver')}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SkillImportPanel;
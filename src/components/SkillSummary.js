@@ -0,0 +1,252 @@
+import React, { useState } from 'react';
+import SkillDetailsEditor from './SkillDetailsEditor';
+import BestFitSkills from './BestFitSkills';
+import {
+  categoryLabel,
+  isStandardCategoryId,
+  subCategoryId,
+  skillFiling,
+  groupSkillsByCategory,
+  proficiencyLabel,
+  formatRate,
+  skillLabel,
+} from '../lib/skillModel';
+import { commentTargetKey } from '../lib/comments';
+import { t } from '../lib/i18n';
+
+// Drag payload types; dataTransfer lowercases them, so keep them lowercase.
+const SKILL_DRAG_TYPE = 'application/x-six-ws-skill';
+const SUB_CATEGORY_DRAG_TYPE = 'application/x-six-ws-sub-category';
+
+const smallButtonClassName = 'text-xs text-blue-600 hover:text-blue-800 underline';
+
+// A label with a "Rename" button that swaps it for an input. Enter saves, Escape cancels.
+const InlineRename = ({ value, label, className, onRename }) => {
+  const [draft, setDraft] = useState(null); // null while not editing
+
+  const save = () => {
+    if (draft.trim() !== '' && draft.trim() !== value) {
+      onRename(draft.trim());
+    }
+    setDraft(null);
+  };
+
+  if (draft === null) {
+    return (
+      <span className="flex items-center gap-2">
+        <span className={className}>{label}</span>
+        <button onClick={() => setDraft(value)} className={smallButtonClassName} aria-label={t('summary.renameLabel', { name: value })}>
+          {t('summary.rename')}
+        </button>
+      </span>
+    );
+  }
+
+  return (
+    <span className="flex items-center gap-2">
+      <input
+        type="text"
+        value={draft}
+        autoFocus
+        aria-label={t('summary.newNameLabel', { name: value })}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') save();
+          if (e.key === 'Escape') setDraft(null);
+        }}
+        className="shadow appearance-none border rounded-lg py-1 px-2 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
+      />
+      <button onClick={save} className={smallButtonClassName}>{t('summary.save')}</button>
+      <button onClick={() => setDraft(null)} className={smallButtonClassName}>{t('summary.cancel')}</button>
+    </span>
+  );
+};
+
+// Opens the comment thread on a skill or category; shows how many comments it has.
+const CommentButton = ({ target, label, commentCounts, onOpenComments }) => {
+  const count = commentCounts[commentTargetKey(target)] || 0;
+  return (
+    <button
+      onClick={() => onOpenComments(target)}
+      aria-label={t('summary.commentsLabel', { name: label, count })}
+      title={t('summary.comments')}
+      className="text-xs text-gray-500 hover:text-gray-800"
+    >
+      💬{count > 0 && ` ${count}`}
+    </button>
+  );
+};
+
+// "3. Your Skills Summary": skills grouped by broad category and sub-category, with inline editing.
+// Skills can be dragged onto another sub-category (or broad category, keeping their sub-category
+// name), and sub-categories dragged onto each other to merge them. Every change goes through the
+// callbacks, which take { broad, subCategoryName } filings like skillModel's moveSkill.
+// With `readOnly` (collaborators without edit access) nothing can be changed; with `onOpenComments`,
+// skills and categories get comment buttons. `bestFit` (from motivations' rankBestFitSkills) is
+// listed above the categories.
+const SkillSummary = ({
+  skillsDoc,
+  onRemoveSkill,
+  onRenameSkill,
+  onSkillDetailsChange,
+  onMoveSkill,
+  onMoveSubCategory,
+  onRenameBroadCategory,
+  readOnly = false,
+  title = t('summary.title'),
+  commentCounts = {},
+  onOpenComments = null,
+  bestFit = [],
+}) => {
+  const [editingSkillId, setEditingSkillId] = useState(null); // Skill whose details editor is open
+  const [dropTargetId, setDropTargetId] = useState(null); // Category currently dragged over
+  const skillGroups = groupSkillsByCategory(skillsDoc);
+
+  if (skillGroups.length === 0) {
+    return null;
+  }
+
+  const isOurDrag = (e) => e.dataTransfer.types.includes(SKILL_DRAG_TYPE) || e.dataTransfer.types.includes(SUB_CATEGORY_DRAG_TYPE);
+
+  const dropTargetProps = (categoryId, filingFor) => (readOnly ? {} : {
+    onDragOver: (e) => {
+      if (!isOurDrag(e)) return;
+      e.preventDefault();
+      e.stopPropagation();
+      setDropTargetId(categoryId);
+    },
+    onDragLeave: () => setDropTargetId(current => (current === categoryId ? null : current)),
+    onDrop: (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      setDropTargetId(null);
+      const skill = skillsDoc.skills[e.dataTransfer.getData(SKILL_DRAG_TYPE)];
+      const subCategory = skillsDoc.categories[e.dataTransfer.getData(SUB_CATEGORY_DRAG_TYPE)];
+      const dragged = skill ? skillFiling(skillsDoc, skill) : subCategory && { subCategoryName: subCategory.name, subId: subCategory.id };
+      if (!dragged) return;
+      const filing = filingFor(dragged.subCategoryName);
+      const currentSubId = skill ? skill.categoryIds[1] : dragged.subId;
+      if (subCategoryId(filing.broad.id, filing.subCategoryName) === currentSubId) return; // Dropped where it already is
+      if (skill) {
+        onMoveSkill(skill.id, filing);
+      } else {
+        onMoveSubCategory(subCategory.id, filing);
+      }
+    },
+  });
+
+  const commentButton = (target, label) => onOpenComments && (
+    <CommentButton target={target} label={label} commentCounts={commentCounts} onOpenComments={onOpenComments} />
+  );
+
+  const handleRemoveSkill = (skillId) => {
+    if (editingSkillId === skillId) setEditingSkillId(null);
+    onRemoveSkill(skillId);
+  };
+
+  return (
+    <div className="mt-8 p-4 border border-purple-200 rounded-lg bg-purple-50">
+      <h2 className="text-xl font-semibold text-gray-700 mb-2">{title}</h2>
+      {!readOnly && (
+        <p className="text-sm text-gray-600 mb-4">
+          {t('summary.help')}
+        </p>
+      )}
+      <BestFitSkills rankedSkills={bestFit} />
+      {skillGroups.map(({ category: broadCat, subCategories }) => (
+        <div
+          key={broadCat.id}
+          {...dropTargetProps(broadCat.id, (subCategoryName) => ({ broad: broadCat, subCategoryName: subCategoryName || 'General' }))}
+          className={`mb-4 bg-white p-4 rounded-lg border shadow-sm ${dropTargetId === broadCat.id ? 'border-purple-500' : 'border-purple-100'}`}
+        >
+          <h3 className="flex items-center gap-2 text-lg font-bold text-purple-700 mb-2">
+            {readOnly || isStandardCategoryId(broadCat.id) ? categoryLabel(broadCat) : (
+              <InlineRename
+                value={broadCat.name}
+                label={categoryLabel(broadCat)}
+                onRename={(name) => onRenameBroadCategory(broadCat.id, name)}
+              />
+            )}
+            {commentButton({ type: 'category', id: broadCat.id }, categoryLabel(broadCat))}
+          </h3>
+          {subCategories.map(({ category: subCat, skills }) => (
+            <div
+              key={subCat.id}
+              {...dropTargetProps(subCat.id, () => ({ broad: broadCat, subCategoryName: subCat.name }))}
+              className={`ml-4 mb-2 p-1 rounded-lg ${dropTargetId === subCat.id ? 'bg-purple-100' : ''}`}
+            >
+              <h4
+                draggable={!readOnly}
+                onDragStart={(e) => {
+                  e.dataTransfer.setData(SUB_CATEGORY_DRAG_TYPE, subCat.id);
+                  e.dataTransfer.effectAllowed = 'move';
+                }}
+                className={`flex items-center gap-2 text-md font-semibold text-gray-600 mb-1 ${readOnly ? '' : 'cursor-move'}`}
+              >
+                {readOnly ? categoryLabel(subCat) : (
+                  <InlineRename
+                    value={categoryLabel(subCat)}
+                    label={categoryLabel(subCat)}
+                    onRename={(name) => onMoveSubCategory(subCat.id, { broad: broadCat, subCategoryName: name })}
+                  />
+                )}
+                {commentButton({ type: 'category', id: subCat.id }, categoryLabel(subCat))}
+              </h4>
+              <div className="flex flex-wrap gap-2">
+                {skills.map((skill) => (
+                  <span
+                    key={skill.id}
+                    draggable={!readOnly}
+                    onDragStart={(e) => {
+                      e.dataTransfer.setData(SKILL_DRAG_TYPE, skill.id);
+                      e.dataTransfer.effectAllowed = 'move';
+                    }}
+                    className={`flex items-center text-sm font-medium px-3 py-1 rounded-full shadow-sm ${readOnly ? '' : 'cursor-move'} ${editingSkillId === skill.id ? 'bg-purple-600 text-white' : 'bg-purple-100 text-purple-800'}`}
+                  >
+                    <button
+                      onClick={() => !readOnly && setEditingSkillId(editingSkillId === skill.id ? null : skill.id)}
+                      aria-expanded={readOnly ? undefined : editingSkillId === skill.id}
+                      title={readOnly ? undefined : t('summary.editSkillTitle')}
+                      className="flex items-center gap-1"
+                    >
+                      {skillLabel(skill)}
+                      {skill.proficiency && (
+                        <span className="text-xs opacity-75">· {proficiencyLabel(skill.proficiency)}</span>
+                      )}
+                      {skill.monetized && (
+                        <span className="text-xs" aria-label={t('summary.monetized')} title={formatRate(skill.rate) || t('summary.monetized')}>$</span>
+                      )}
+                    </button>
+                    {onOpenComments && <span className="ml-2">{commentButton({ type: 'skill', id: skill.id }, skillLabel(skill))}</span>}
+                    {!readOnly && (
+                      <button
+                        onClick={() => handleRemoveSkill(skill.id)}
+                        className={`ml-2 transition-colors duration-150 ${editingSkillId === skill.id ? 'text-purple-100 hover:text-white' : 'text-purple-600 hover:text-purple-900'}`}
+                        aria-label={t('common.removeLabel', { name: skillLabel(skill) })}
+                      >
+                        &times;
+                      </button>
+                    )}
+                  </span>
+                ))}
+              </div>
+              {skills.some(skill => skill.id === editingSkillId) && (
+                <SkillDetailsEditor
+                  key={editingSkillId}
+                  skill={skillsDoc.skills[editingSkillId]}
+                  skillGroups={skillGroups}
+                  onChange={(changes) => onSkillDetailsChange(editingSkillId, changes)}
+                  onRename={(name) => onRenameSkill(editingSkillId, name)}
+                  onMove={(filing) => onMoveSkill(editingSkillId, filing)}
+                  onClose={() => setEditingSkillId(null)}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SkillSummary;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { SYNC_STATES } from '../lib/localPersistence';
+import { t } from '../lib/i18n';
+
+const badgeStyles = {
+  [SYNC_STATES.LOCAL_ONLY]: { labelKey: 'sync.localOnly', className: 'bg-yellow-100 text-yellow-800' },
+  [SYNC_STATES.SYNCING]: { labelKey: 'sync.syncing', className: 'bg-blue-100 text-blue-800' },
+  [SYNC_STATES.SYNCED]: { labelKey: 'sync.synced', className: 'bg-green-100 text-green-800' },
+  [SYNC_STATES.CONFLICT]: { labelKey: 'sync.conflict', className: 'bg-red-100 text-red-800' },
+};
+
+// Persistent sync indicator; in the conflict state it offers the two ways to resolve it.
+const SyncStatusBadge = ({ syncState, onKeepLocal, onUseCloud }) => {
+  const { labelKey, className } = badgeStyles[syncState] || badgeStyles[SYNC_STATES.LOCAL_ONLY];
+
+  return (
+    <div className="flex flex-col items-center gap-2 mb-4" aria-live="polite">
+      <span className={`text-xs font-medium px-3 py-1 rounded-full shadow-sm ${className}`}>{t(labelKey)}</span>
+      {syncState === SYNC_STATES.CONFLICT && (
+        <div className="flex gap-2">
+          <button
+            onClick={onKeepLocal}
+            className="text-xs bg-white border border-red-300 text-red-700 hover:bg-red-50 font-medium py-1 px-3 rounded-lg"
+          >
+            {t('sync.keepLocal')}
+          </button>
+          <button
+            onClick={onUseCloud}
+            className="text-xs bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium py-1 px-3 rounded-lg"
+          >
+            {t('sync.useCloud')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SyncStatusBadge;
@@ -0,0 +1,244 @@
+import React, { useState, useEffect } from 'react';
+import useTaxonomy from '../hooks/useTaxonomy';
+import { t } from '../lib/i18n';
+import { bundledTaxonomy, fetchTaxonomyConfig, setTaxonomy, saveTaxonomy, isTaxonomyAdmin } from '../lib/taxonomy';
+import { standardCategoryId } from '../lib/skillModel';
+
+const inputClassName = 'shadow appearance-none border rounded-lg w-full py-1 px-2 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500';
+const smallButtonClassName = 'text-xs text-blue-600 hover:text-blue-800 underline';
+
+// Seed skills are edited as comma-separated text and only split on save, so typing isn't fought.
+const toDraft = (taxonomy) => taxonomy.broadCategories.map(category => ({
+  ...category,
+  subCategories: category.subCategories.map(subCategory => ({
+    name: subCategory.name,
+    seedSkillsText: subCategory.seedSkills.join(', '),
+  })),
+}));
+
+// New categories get an id from their name; existing ones keep theirs through renames.
+const fromDraft = (draft, version) => {
+  const usedIds = new Set(draft.filter(category => category.id).map(category => category.id));
+  return {
+    version,
+    broadCategories: draft.map(category => {
+      let id = category.id;
+      if (!id) {
+        id = standardCategoryId(category.name);
+        for (let suffix = 2; usedIds.has(id); suffix++) id = standardCategoryId(`${category.name} ${suffix}`);
+        usedIds.add(id);
+      }
+      return {
+        ...category,
+        id,
+        subCategories: category.subCategories.map(subCategory => ({
+          name: subCategory.name,
+          seedSkills: subCategory.seedSkillsText.split(','),
+        })),
+      };
+    }),
+  };
+};
+
+const moveItem = (items, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= items.length) return items;
+  const next = [...items];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+// Admin-only editor for the shared category taxonomy (#/admin/taxonomy). Changes apply to every
+// user once saved to the config document. The stored config is re-read on opening, and saving
+// stays disabled until it has been, so the bundled taxonomy shown meanwhile can't overwrite it.
+const TaxonomyEditor = ({ db, userId, isAuthReady, isFirebaseUnavailable, canvasAppId }) => {
+  const taxonomy = useTaxonomy();
+  const [draft, setDraft] = useState(() => toDraft(taxonomy));
+  const [isDirty, setIsDirty] = useState(false); // The admin has edited the draft
+  const [configState, setConfigState] = useState('loading'); // 'loading' | 'loaded' | 'error'
+  const [isAdmin, setIsAdmin] = useState(null); // null while checking
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!isAuthReady || !db) return;
+    let cancelled = false;
+    fetchTaxonomyConfig({ db, appId: canvasAppId })
+      .then(config => {
+        if (cancelled) return;
+        if (config) setTaxonomy(config);
+        setConfigState('loaded');
+      })
+      .catch(error => {
+        console.error("Error loading the stored taxonomy:", error);
+        if (!cancelled) setConfigState('error');
+      });
+    return () => { cancelled = true; };
+  }, [db, isAuthReady, canvasAppId]);
+
+  // Follow the taxonomy as it loads (or is saved) until the admin starts editing.
+  useEffect(() => {
+    if (!isDirty) setDraft(toDraft(taxonomy));
+  }, [taxonomy, isDirty]);
+
+  const editDraft = (update) => {
+    setIsDirty(true);
+    setDraft(update);
+  };
+
+  useEffect(() => {
+    if (!isAuthReady) return;
+    let cancelled = false;
+    isTaxonomyAdmin({ db, appId: canvasAppId, userId }).then(result => {
+      if (!cancelled) setIsAdmin(result);
+    });
+    return () => { cancelled = true; };
+  }, [db, userId, isAuthReady, canvasAppId]);
+
+  const updateCategory = (index, changes) => editDraft(prev => prev.map((category, i) => (i === index ? { ...category, ...changes } : category)));
+
+  const updateSubCategory = (categoryIndex, subIndex, changes) => updateCategory(categoryIndex, {
+    subCategories: draft[categoryIndex].subCategories.map((subCategory, i) => (i === subIndex ? { ...subCategory, ...changes } : subCategory)),
+  });
+
+  const handleSave = async () => {
+    if (draft.some(category => category.name.trim() === '')) {
+      setMessage(t('taxonomyEditor.nameRequired'));
+      return;
+    }
+    setIsSaving(true);
+    setMessage('');
+    try {
+      await saveTaxonomy({ db, appId: canvasAppId }, fromDraft(draft, taxonomy.version + 1));
+      setIsDirty(false);
+      setMessage(t('taxonomyEditor.saved'));
+    } catch (error) {
+      console.error("Error saving taxonomy:", error);
+      setMessage(t('taxonomyEditor.saveError'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isFirebaseUnavailable) {
+    return <p className="text-center text-gray-600 my-4">{t('taxonomyEditor.offline')}</p>;
+  }
+
+  if (!isAuthReady || isAdmin === null) {
+    return <div className="text-center text-gray-500 my-4">{t('taxonomyEditor.checkingAccess')}</div>;
+  }
+
+  if (!isAdmin) {
+    return (
+      <p className="text-center text-gray-600 my-4">
+        {t('taxonomyEditor.adminsOnly')} <a href="#/" className={smallButtonClassName}>{t('account.backToWizard')}</a>
+      </p>
+    );
+  }
+
+  return (
+    <>
+      <h1 className="text-3xl font-bold text-center text-blue-800 mb-2">{t('taxonomyEditor.title')}</h1>
+      <p className="text-center text-gray-600 mb-6">
+        {t('taxonomyEditor.intro')}
+      </p>
+
+      {draft.map((category, index) => (
+        <div key={category.id || `new-${index}`} className="mb-4 p-4 border border-blue-200 rounded-lg bg-blue-50">
+          <div className="grid grid-cols-1 sm:grid-cols-6 gap-2 mb-2">
+            <input
+              type="text"
+              value={category.icon}
+              onChange={(e) => updateCategory(index, { icon: e.target.value })}
+              aria-label={t('taxonomyEditor.icon')}
+              placeholder={t('taxonomyEditor.icon')}
+              className={inputClassName}
+            />
+            <input
+              type="text"
+              value={category.name}
+              onChange={(e) => updateCategory(index, { name: e.target.value })}
+              aria-label={t('taxonomyEditor.broadName')}
+              placeholder={t('taxonomyEditor.name')}
+              className={`${inputClassName} sm:col-span-2`}
+            />
+            <input
+              type="text"
+              value={category.description}
+              onChange={(e) => updateCategory(index, { description: e.target.value })}
+              aria-label={t('taxonomyEditor.description')}
+              placeholder={t('taxonomyEditor.description')}
+              className={`${inputClassName} sm:col-span-3`}
+            />
+          </div>
+          <div className="flex gap-3 mb-3">
+            <button onClick={() => editDraft(prev => moveItem(prev, index, -1))} disabled={index === 0} className={smallButtonClassName}>{t('taxonomyEditor.moveUp')}</button>
+            <button onClick={() => editDraft(prev => moveItem(prev, index, 1))} disabled={index === draft.length - 1} className={smallButtonClassName}>{t('taxonomyEditor.moveDown')}</button>
+            <button onClick={() => editDraft(prev => prev.filter((_, i) => i !== index))} className="text-xs text-red-600 hover:text-red-800 underline">
+              {t('taxonomyEditor.removeCategory')}
+            </button>
+          </div>
+          {category.subCategories.map((subCategory, subIndex) => (
+            <div key={subIndex} className="ml-4 mb-2 grid grid-cols-1 sm:grid-cols-6 gap-2 items-center">
+              <input
+                type="text"
+                value={subCategory.name}
+                onChange={(e) => updateSubCategory(index, subIndex, { name: e.target.value })}
+                aria-label={t('taxonomyEditor.subName')}
+                placeholder={t('sharedProfile.subCategory')}
+                className={`${inputClassName} sm:col-span-2`}
+              />
+              <input
+                type="text"
+                value={subCategory.seedSkillsText}
+                onChange={(e) => updateSubCategory(index, subIndex, { seedSkillsText: e.target.value })}
+                aria-label={t('taxonomyEditor.seedSkillsFor', { name: subCategory.name })}
+                placeholder={t('taxonomyEditor.seedSkills')}
+                className={`${inputClassName} sm:col-span-3`}
+              />
+              <button
+                onClick={() => updateCategory(index, { subCategories: category.subCategories.filter((_, i) => i !== subIndex) })}
+                className="text-xs text-red-600 hover:text-red-800 underline"
+              >
+                {t('common.remove')}
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={() => updateCategory(index, { subCategories: [...category.subCategories, { name: '', seedSkillsText: '' }] })}
+            className={`ml-4 ${smallButtonClassName}`}
+          >
+            {t('taxonomyEditor.addSubCategory')}
+          </button>
+        </div>
+      ))}
+
+      <button
+        onClick={() => editDraft(prev => [...prev, { id: null, name: '', description: '', icon: '', subCategories: [] }])}
+        className={smallButtonClassName}
+      >
+        {t('taxonomyEditor.addBroad')}
+      </button>
+
+      {message && <p role="status" className="mt-4 text-sm text-gray-700">{message}</p>}
+      {configState === 'loading' && <p className="mt-4 text-sm text-gray-500">{t('taxonomyEditor.loading')}</p>}
+      {configState === 'error' && (
+        <p className="mt-4 text-sm text-red-600">{t('taxonomyEditor.loadError')}</p>
+      )}
+      <div className="mt-6 flex flex-wrap justify-center gap-4">
+        <button
+          onClick={handleSave}
+          disabled={isSaving || configState !== 'loaded'}
+          className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-6 rounded-lg shadow-md disabled:opacity-50"
+        >
+          {isSaving ? t('taxonomyEditor.saving') : t('taxonomyEditor.save')}
+        </button>
+        <button onClick={() => setIsDirty(false)} className={smallButtonClassName}>{t('taxonomyEditor.discard')}</button>
+        <button onClick={() => editDraft(toDraft(bundledTaxonomy))} className={smallButtonClassName}>{t('taxonomyEditor.startFromBundled')}</button>
+        <a href="#/" className={smallButtonClassName}>{t('account.backToWizard')}</a>
+      </div>
+    </>
+  );
+};
+
+export default TaxonomyEditor;
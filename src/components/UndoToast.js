@@ -0,0 +1,30 @@
+import React, { useEffect } from 'react';
+import { t } from '../lib/i18n';
+
+const AUTO_DISMISS_MS = 8000;
+
+// Bottom-of-screen notice after a destructive edit, with a one-click undo.
+const UndoToast = ({ message, onUndo, onDismiss }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, AUTO_DISMISS_MS);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss]);
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 transform flex items-center gap-4 bg-gray-800 text-white text-sm px-4 py-3 rounded-lg shadow-lg z-50"
+    >
+      <span>{message}</span>
+      <button onClick={onUndo} className="font-bold text-yellow-300 hover:text-yellow-200 underline">
+        {t('undoToast.undo')}
+      </button>
+      <button onClick={onDismiss} className="text-gray-300 hover:text-white" aria-label={t('undoToast.dismiss')}>
+        &times;
+      </button>
+    </div>
+  );
+};
+
+export default UndoToast;
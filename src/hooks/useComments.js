@@ -0,0 +1,19 @@
+import { useState, useEffect } from 'react';
+import { subscribeToComments } from '../lib/comments';
+
+// Live comments on `ownerUid`'s profile, oldest first. Empty until Firebase is ready or when `enabled` is false.
+const useComments = ({ db, appId, ownerUid, enabled = true }) => {
+  const [comments, setComments] = useState([]);
+
+  useEffect(() => {
+    if (!db || !ownerUid || !enabled) {
+      setComments([]);
+      return undefined;
+    }
+    return subscribeToComments({ db, appId, ownerUid }, setComments);
+  }, [db, appId, ownerUid, enabled]);
+
+  return comments;
+};
+
+export default useComments;
@@ -0,0 +1,63 @@
+import { useEffect, useRef } from 'react';
+import { writeLocalDocument, flushOutbox } from '../lib/localPersistence';
+import stableStringify from '../lib/stableStringify';
+
+// Debounced, local-first writer shared by the W-sections.
+// 500ms after the last change the data is written to the local store (IndexedDB) and queued,
+// then the queue is flushed to Firestore when it's available. Progress is reported through
+// the global sync state (see useSyncState) rather than per-step status text.
+// `enabled` should stay false until the section has loaded its existing data,
+// so the initial (empty) state never overwrites what is stored. The data it first sees once enabled
+// is taken as what was loaded, and nothing is written until it differs from that (or from the
+// last save), so merely opening a step doesn't queue a write and bump the document's revision.
+const useDebouncedSave = ({ db, userId, appId, docId, data, enabled, delay = 500 }) => {
+  // Holds the write that is still waiting for its debounce, so it can be flushed on unmount
+  // (e.g. when the wizard moves to another step before the 500ms elapse).
+  const pendingSaveRef = useRef(null);
+  const savedSnapshotRef = useRef(null); // stableStringify of the data last loaded or saved
+
+  useEffect(() => {
+    pendingSaveRef.current = null;
+    if (!enabled || !docId) {
+      savedSnapshotRef.current = null;
+      return;
+    }
+
+    const snapshot = stableStringify(data);
+    if (savedSnapshotRef.current === null) {
+      savedSnapshotRef.current = snapshot; // Just loaded
+      return;
+    }
+    if (snapshot === savedSnapshotRef.current) {
+      return;
+    }
+
+    const save = async () => {
+      pendingSaveRef.current = null;
+      savedSnapshotRef.current = snapshot;
+      try {
+        await writeLocalDocument(docId, data, { ownerUid: userId });
+        await flushOutbox({ db, appId, userId });
+      } catch (error) {
+        console.error(`Error saving ${docId}:`, error);
+      }
+    };
+
+    pendingSaveRef.current = save;
+    const handler = setTimeout(() => {
+      save();
+    }, delay);
+
+    return () => {
+      clearTimeout(handler);
+    };
+  }, [db, userId, appId, docId, data, enabled, delay]);
+
+  useEffect(() => () => {
+    if (pendingSaveRef.current) {
+      pendingSaveRef.current();
+    }
+  }, []);
+};
+
+export default useDebouncedSave;
@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+import { getLocale, setLocale, subscribeToLocale } from '../lib/i18n';
+
+// Current UI locale and a setter; re-renders when the user switches language.
+const useLocale = () => {
+  const [locale, setLocaleState] = useState(getLocale);
+
+  useEffect(() => {
+    setLocaleState(getLocale()); // May have changed between render and subscribing
+    return subscribeToLocale(setLocaleState);
+  }, []);
+
+  return [locale, setLocale];
+};
+
+export default useLocale;
@@ -0,0 +1,31 @@
+import { useEffect } from 'react';
+import stableStringify from '../lib/stableStringify';
+
+const asIs = (data) => data;
+
+// Live updates to a step's document from other tabs/devices, already reconciled with any queued
+// local edits by the sync engine. Each update is merged three-way into the step's state (with the
+// document's strategy from syncMerge.js), so edits still inside the save debounce survive it and the
+// next save doesn't drop what was added elsewhere. `syncedRef` holds the last synced copy, the base
+// of the next merge; the step sets it to what it loaded. Our own flushed writes come back through
+// the listener too; those merge to no change and leave the state untouched.
+const useRemoteUpdates = ({ syncEngine, docId, enabled, syncedRef, setData, merge, normalize = asIs }) => {
+  useEffect(() => {
+    if (!syncEngine || !enabled) {
+      return undefined;
+    }
+
+    return syncEngine.subscribe(docId, (data) => {
+      if (!data) return;
+      const remote = normalize(data);
+      const base = syncedRef.current;
+      syncedRef.current = remote;
+      setData(prev => {
+        const merged = merge(base, prev, remote);
+        return stableStringify(merged) === stableStringify(prev) ? prev : merged;
+      });
+    });
+  }, [syncEngine, docId, enabled, syncedRef, setData, merge, normalize]);
+};
+
+export default useRemoteUpdates;
@@ -0,0 +1,130 @@
+import { useRef, useState } from 'react';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import useRemoteUpdates from './useRemoteUpdates';
+import { mergeAudiencesDocument } from '../lib/syncMerge';
+
+// Each device gets its own local store; all of them share one in-memory Firestore (`db`).
+jest.mock('../lib/kvStore', () => ({
+  createKeyValueStore: () => {
+    const entries = new Map();
+    return {
+      get: async (key) => entries.get(key),
+      set: async (key, value) => { entries.set(key, value); },
+      delete: async (key) => { entries.delete(key); },
+      keys: async () => Array.from(entries.keys()),
+      clear: async () => { entries.clear(); },
+    };
+  },
+}));
+jest.mock('firebase/firestore', () => {
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+  const snapshot = (db, path) => ({
+    exists: () => db.docs.has(path),
+    data: () => copy(db.docs.get(path)),
+    metadata: { hasPendingWrites: false },
+  });
+  return {
+    doc: (db, path) => ({ db, path }),
+    getDoc: async ({ db, path }) => snapshot(db, path),
+    serverTimestamp: () => 'server-timestamp',
+    onSnapshot: ({ db, path }, onNext) => {
+      const listener = (changedPath) => { if (changedPath === path) onNext(snapshot(db, path)); };
+      db.listeners.add(listener);
+      listener(path);
+      return () => db.listeners.delete(listener);
+    },
+    runTransaction: async (db, update) => {
+      const writes = [];
+      const result = await update({
+        get: async ({ path }) => snapshot(db, path),
+        set: ({ path }, data) => writes.push([path, copy(data)]),
+      });
+      writes.forEach(([path, data]) => db.docs.set(path, { ...(db.docs.get(path) || {}), ...data }));
+      writes.forEach(([path]) => db.listeners.forEach(listener => listener(path)));
+      return result;
+    },
+  };
+});
+
+const APP_ID = 'app';
+const USER_ID = 'user_1';
+const DOC_PATH = `artifacts/${APP_ID}/users/${USER_ID}/userSkills/whoAudiences`;
+
+const segment = (id, name) => ({ id, name, description: '', demographics: {}, linkedSkills: [] });
+const segmentNames = (doc) => doc.segments.map(entry => entry.name);
+
+// A browser with its own local store and sync engine, showing the Who? step the way WhoStep wires it.
+const openDevice = async (db) => {
+  let persistence;
+  let syncEngine;
+  jest.isolateModules(() => {
+    persistence = require('../lib/localPersistence');
+    syncEngine = require('../lib/syncEngine').createSyncEngine({ db, appId: APP_ID, userId: USER_ID });
+  });
+  const loaded = await persistence.loadDocument({ db, appId: APP_ID, userId: USER_ID, docId: 'whoAudiences' });
+
+  const { result } = renderHook(() => {
+    const [whoDoc, setWhoDoc] = useState(loaded);
+    const lastSyncedRef = useRef(loaded);
+    useRemoteUpdates({
+      syncEngine,
+      docId: 'whoAudiences',
+      enabled: true,
+      syncedRef: lastSyncedRef,
+      setData: setWhoDoc,
+      merge: mergeAudiencesDocument,
+    });
+    return [whoDoc, setWhoDoc];
+  });
+
+  return {
+    get whoDoc() { return result.current[0]; },
+    edit: (update) => act(() => { result.current[1](update); }),
+    // What useDebouncedSave does once the debounce runs out.
+    save: () => act(async () => {
+      await persistence.writeLocalDocument('whoAudiences', result.current[0], { ownerUid: USER_ID });
+      await persistence.flushOutbox({ db, appId: APP_ID, userId: USER_ID });
+    }),
+  };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {}); // Sync progress is logged
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('useRemoteUpdates', () => {
+  test('two devices adding audiences at the same time keep each other\'s segments', async () => {
+    const db = { docs: new Map([[DOC_PATH, { segments: [segment('seg_1', 'Teachers')], revision: 1 }]]), listeners: new Set() };
+    const laptop = await openDevice(db);
+    const phone = await openDevice(db);
+
+    // The laptop's edit is still waiting for its save when the phone's arrives.
+    laptop.edit(doc => ({ ...doc, segments: [...doc.segments, segment('seg_2', 'Students')] }));
+    phone.edit(doc => ({ ...doc, segments: [...doc.segments, segment('seg_3', 'Parents')] }));
+    await phone.save();
+
+    await waitFor(() => expect(segmentNames(laptop.whoDoc)).toEqual(['Teachers', 'Students', 'Parents']));
+    await laptop.save();
+
+    expect(segmentNames(db.docs.get(DOC_PATH))).toEqual(['Teachers', 'Students', 'Parents']);
+    await waitFor(() => expect(segmentNames(phone.whoDoc)).toEqual(['Teachers', 'Parents', 'Students']));
+  });
+
+  test('a segment deleted on one device disappears from the other', async () => {
+    const db = {
+      docs: new Map([[DOC_PATH, { segments: [segment('seg_1', 'Teachers'), segment('seg_2', 'Students')], revision: 1 }]]),
+      listeners: new Set(),
+    };
+    const laptop = await openDevice(db);
+    const phone = await openDevice(db);
+
+    phone.edit(doc => ({ ...doc, segments: doc.segments.filter(entry => entry.id !== 'seg_2') }));
+    await phone.save();
+
+    await waitFor(() => expect(segmentNames(laptop.whoDoc)).toEqual(['Teachers']));
+  });
+});
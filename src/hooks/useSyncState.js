@@ -0,0 +1,13 @@
+import { useState, useEffect } from 'react';
+import { getSyncState, subscribeToSyncState } from '../lib/localPersistence';
+
+// Current local-first sync state: 'local-only' | 'syncing' | 'synced' | 'conflict'.
+const useSyncState = () => {
+  const [syncState, setSyncState] = useState(getSyncState);
+
+  useEffect(() => subscribeToSyncState(setSyncState), []);
+
+  return syncState;
+};
+
+export default useSyncState;
@@ -0,0 +1,16 @@
+import { useState, useEffect } from 'react';
+import { getTaxonomy, subscribeToTaxonomy } from '../lib/taxonomy';
+
+// Current category taxonomy; re-renders when the config document replaces the bundled one.
+const useTaxonomy = () => {
+  const [taxonomy, setTaxonomyState] = useState(getTaxonomy);
+
+  useEffect(() => {
+    setTaxonomyState(getTaxonomy()); // May have changed between render and subscribing
+    return subscribeToTaxonomy(setTaxonomyState);
+  }, []);
+
+  return taxonomy;
+};
+
+export default useTaxonomy;
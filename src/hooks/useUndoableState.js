@@ -0,0 +1,92 @@
+import { useState, useRef, useCallback } from 'react';
+
+const HISTORY_LIMIT = 100;
+const COALESCE_WINDOW_MS = 1000;
+
+// State with an undo/redo history of user edits.
+//
+// - edit(label, updater, { destructive, coalesceKey }) applies a recorded change and returns the new value.
+//   Consecutive edits with the same `coalesceKey` within a second (e.g. typing into one field) form one step.
+// - replace(valueOrUpdater) changes the value without recording it (initial load, remote updates).
+// - getCurrent() returns the latest value, including changes not rendered yet.
+// - undo() / redo() return { entry, from, to } for the step taken, or null when there is none.
+//
+// Undo doesn't just restore the old snapshot: `merge(base, local, remote)` (a three-way merge such as
+// syncMerge's) reverts only what the step changed, so edits that arrived later from another device survive.
+const useUndoableState = (initialValue, { merge }) => {
+  const [value, setValue] = useState(initialValue);
+  const valueRef = useRef(value); // Always current, so edits after an await never start from a stale value
+  const historyRef = useRef({ past: [], future: [] });
+  const [lastEntry, setLastEntry] = useState(null); // Most recent recorded edit, for "Undo" prompts
+
+  const commit = useCallback((nextValue) => {
+    valueRef.current = nextValue;
+    setValue(nextValue);
+  }, []);
+
+  const replace = useCallback((valueOrUpdater) => {
+    commit(typeof valueOrUpdater === 'function' ? valueOrUpdater(valueRef.current) : valueOrUpdater);
+  }, [commit]);
+
+  const edit = useCallback((label, updater, { destructive = false, coalesceKey = null } = {}) => {
+    const before = valueRef.current;
+    const after = updater(before);
+    if (after === before) return before;
+    commit(after);
+
+    const { past } = historyRef.current;
+    const previous = past[past.length - 1];
+    const now = Date.now();
+    let entry;
+    if (coalesceKey && previous?.coalesceKey === coalesceKey && now - previous.at < COALESCE_WINDOW_MS) {
+      entry = { ...previous, after, at: now };
+      past[past.length - 1] = entry;
+    } else {
+      entry = { label, before, after, destructive, coalesceKey, at: now };
+      past.push(entry);
+      if (past.length > HISTORY_LIMIT) past.shift();
+    }
+    historyRef.current.future = [];
+    setLastEntry(entry);
+    return after;
+  }, [commit]);
+
+  const undo = useCallback(() => {
+    const entry = historyRef.current.past.pop();
+    if (!entry) return null;
+    const from = valueRef.current;
+    const to = merge(entry.after, entry.before, from);
+    commit(to);
+    historyRef.current.future.push(entry);
+    setLastEntry(null);
+    return { entry, from, to };
+  }, [merge, commit]);
+
+  const redo = useCallback(() => {
+    const entry = historyRef.current.future.pop();
+    if (!entry) return null;
+    const from = valueRef.current;
+    const to = merge(entry.before, entry.after, from);
+    commit(to);
+    historyRef.current.past.push(entry);
+    setLastEntry(null);
+    return { entry, from, to };
+  }, [merge, commit]);
+
+  const dismissLastEntry = useCallback(() => setLastEntry(null), []);
+  const getCurrent = useCallback(() => valueRef.current, []);
+
+  return [value, {
+    edit,
+    replace,
+    getCurrent,
+    undo,
+    redo,
+    canUndo: historyRef.current.past.length > 0,
+    canRedo: historyRef.current.future.length > 0,
+    lastEntry,
+    dismissLastEntry,
+  }];
+};
+
+export default useUndoableState;
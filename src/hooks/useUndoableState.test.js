@@ -0,0 +1,48 @@
+import { act, renderHook } from '@testing-library/react';
+import useUndoableState from './useUndoableState';
+import { mergeSkillsDocument } from '../lib/syncMerge';
+import { addSkill, createEmptySkillsDocument, customCategory, markSkillsDistinct, SKILL_ORIGINS } from '../lib/skillModel';
+import { distinctPairKey } from '../lib/skillDuplicates';
+
+const skillsDocument = () => ['Tutor', 'Tutoring'].reduce((doc, name, index) => addSkill(doc, {
+  name, broad: customCategory('Teaching'), subCategoryName: 'General', origin: SKILL_ORIGINS.TYPED, id: `sk_${index}`, now: 1,
+}), createEmptySkillsDocument());
+
+const renderSkillsHistory = () => renderHook(() => useUndoableState(skillsDocument(), { merge: mergeSkillsDocument }));
+
+describe('useUndoableState with skills', () => {
+  const pairKey = distinctPairKey('sk_0', 'sk_1');
+
+  test('undoing "keep both" forgets the pair, and redo records it again', () => {
+    const { result } = renderSkillsHistory();
+
+    act(() => {
+      result.current[1].edit('Kept apart', (doc) => markSkillsDistinct(doc, pairKey));
+    });
+    expect(result.current[0].distinctPairs).toEqual([pairKey]);
+
+    act(() => {
+      result.current[1].undo();
+    });
+    expect(result.current[0].distinctPairs).toEqual([]);
+
+    act(() => {
+      result.current[1].redo();
+    });
+    expect(result.current[0].distinctPairs).toEqual([pairKey]);
+  });
+
+  test('undo keeps pairs recorded after the undone step', () => {
+    const { result } = renderSkillsHistory();
+    const laterKey = distinctPairKey('sk_0', 'sk_2');
+
+    act(() => {
+      result.current[1].edit('Kept apart', (doc) => markSkillsDistinct(doc, pairKey));
+      result.current[1].replace((doc) => markSkillsDistinct(doc, laterKey));
+    });
+    act(() => {
+      result.current[1].undo();
+    });
+    expect(result.current[0].distinctPairs).toEqual([laterKey]);
+  });
+});
@@ -0,0 +1,169 @@
+import {
+  EmailAuthProvider,
+  GoogleAuthProvider,
+  deleteUser,
+  isSignInWithEmailLink,
+  reauthenticateWithPopup,
+  linkWithCredential,
+  linkWithPopup,
+  sendSignInLinkToEmail,
+  signInWithCredential,
+  signInWithEmailLink,
+  signInWithPopup,
+  signOut,
+} from 'firebase/auth';
+import { collection, deleteDoc, getDocs } from 'firebase/firestore';
+import { clearLocalDocuments, flushOutbox, hasQueuedChanges } from './localPersistence';
+import { clearCachedNarratives } from './insights';
+import { unpublishProfile } from './publicProfile';
+import { deleteCollaborationData } from './collaboration';
+import { t } from './i18n';
+
+// Account upgrades on top of the anonymous session the app starts with.
+//
+// Signing in from an anonymous session links the new credential to the anonymous user
+// (linkWithCredential / linkWithPopup), so the uid — and everything stored under
+// artifacts/${appId}/users/${uid} — stays the same. If the email or Google account already belongs
+// to another user, we sign in to that account instead; the guest session's answers aren't merged
+// into it, and callers get `switchedAccount: true` to say so.
+
+const EMAIL_FOR_SIGN_IN_KEY = 'six-ws:emailForSignIn';
+
+// Errors meaning "this credential already has its own account".
+const ACCOUNT_EXISTS_CODES = ['auth/credential-already-in-use', 'auth/email-already-in-use', 'auth/provider-already-linked'];
+
+// Plain description of the signed-in user for the UI.
+export const describeUser = (user) => (user ? {
+  uid: user.uid,
+  isAnonymous: user.isAnonymous,
+  email: user.email || '',
+  displayName: user.displayName || '',
+  providerIds: user.providerData.map(provider => provider.providerId),
+} : null);
+
+// --- Email link ---
+
+export const isEmailSignInLink = (auth, url) => isSignInWithEmailLink(auth, url);
+
+export const getStoredEmailForSignIn = () => window.localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY) || '';
+
+export const sendEmailSignInLink = async (auth, email) => {
+  await sendSignInLinkToEmail(auth, email, {
+    url: `${window.location.origin}${window.location.pathname}`,
+    handleCodeInApp: true,
+  });
+  window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+};
+
+// Finishes a sign-in from the emailed link at `url`. `email` must be the address the link was sent to.
+export const completeEmailSignIn = async (auth, email, url) => {
+  const currentUser = auth.currentUser;
+  let result;
+  if (currentUser?.isAnonymous) {
+    try {
+      await linkWithCredential(currentUser, EmailAuthProvider.credentialWithLink(email, url));
+      result = { user: auth.currentUser, switchedAccount: false };
+    } catch (error) {
+      if (!ACCOUNT_EXISTS_CODES.includes(error.code)) throw error;
+      const { user } = await signInWithEmailLink(auth, email, url);
+      result = { user, switchedAccount: true };
+    }
+  } else {
+    const { user } = await signInWithEmailLink(auth, email, url);
+    result = { user, switchedAccount: Boolean(currentUser) && currentUser.uid !== user.uid };
+  }
+  window.localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+  return result;
+};
+
+// --- Google ---
+
+export const signInWithGoogle = async (auth) => {
+  const currentUser = auth.currentUser;
+  const provider = new GoogleAuthProvider();
+  if (!currentUser) {
+    const { user } = await signInWithPopup(auth, provider);
+    return { user, switchedAccount: false };
+  }
+  try {
+    await linkWithPopup(currentUser, provider);
+    return { user: auth.currentUser, switchedAccount: false };
+  } catch (error) {
+    const credential = GoogleAuthProvider.credentialFromError(error);
+    if (!ACCOUNT_EXISTS_CODES.includes(error.code) || !credential) throw error;
+    const { user } = await signInWithCredential(auth, credential);
+    return { user, switchedAccount: true };
+  }
+};
+
+// --- Sign-out and deletion ---
+
+// Errors of our own, reported through authErrorMessage like Firebase's.
+const authError = (code, message) => Object.assign(new Error(message), { code });
+
+// Sends this user's queued changes, then forgets this browser's local copies so the next session
+// (the app signs in anonymously again, see App.js) starts clean. Refuses while changes can't be
+// sent, since they would be lost.
+export const signOutUser = async ({ auth, db, appId }) => {
+  const user = auth.currentUser;
+  if (user) {
+    await flushOutbox({ db, appId, userId: user.uid });
+    if (await hasQueuedChanges(user.uid)) {
+      throw authError('six-ws/unsynced-changes', 'Local changes could not be synced before signing out.');
+    }
+  }
+  await signOut(auth);
+  await clearLocalDocuments();
+};
+
+// Firebase only deletes accounts signed in within the last few minutes.
+const RECENT_SIGN_IN_MS = 5 * 60 * 1000;
+
+const hasRecentSignIn = (user) => Date.now() - new Date(user.metadata.lastSignInTime).getTime() < RECENT_SIGN_IN_MS;
+
+// Makes sure deleteUser will succeed before anything is deleted: Google accounts confirm in a popup;
+// email-link accounts have to sign in again first ('auth/requires-recent-login').
+const ensureRecentSignIn = async (user) => {
+  if (user.isAnonymous || hasRecentSignIn(user)) return;
+  if (user.providerData.some(provider => provider.providerId === GoogleAuthProvider.PROVIDER_ID)) {
+    await reauthenticateWithPopup(user, new GoogleAuthProvider());
+    return;
+  }
+  throw authError('auth/requires-recent-login', 'Sign in again before deleting the account.');
+};
+
+// Takes down the user's public profile and collaborations, deletes every document under their
+// userSkills/ and this browser's local copies and insights summaries, then the account. The sign-in
+// is checked first, so a failure leaves the data in place. A guest session can't sign in again; if
+// Firebase still refuses to delete it, it is signed out instead, which leaves it unreachable.
+export const deleteAccount = async ({ auth, db, appId }) => {
+  const user = auth.currentUser;
+  if (!user) return;
+  await ensureRecentSignIn(user);
+  await unpublishProfile({ db, appId, userId: user.uid });
+  await deleteCollaborationData({ db, appId, userId: user.uid });
+  const userDocs = await getDocs(collection(db, `artifacts/${appId}/users/${user.uid}/userSkills`));
+  await Promise.all(userDocs.docs.map(docSnap => deleteDoc(docSnap.ref)));
+  await clearLocalDocuments();
+  await clearCachedNarratives();
+  try {
+    await deleteUser(user);
+  } catch (error) {
+    if (!user.isAnonymous || error.code !== 'auth/requires-recent-login') throw error;
+    await signOut(auth);
+  }
+  console.log("Account and profile data deleted.");
+};
+
+// Locale keys for the error codes worth explaining; anything else gets the generic message.
+const AUTH_ERROR_KEYS = {
+  'auth/requires-recent-login': 'auth.error.requiresRecentLogin',
+  'auth/invalid-email': 'auth.error.invalidEmail',
+  'auth/invalid-action-code': 'auth.error.invalidActionCode',
+  'auth/popup-closed-by-user': 'auth.error.popupClosed',
+  'auth/popup-blocked': 'auth.error.popupBlocked',
+  'auth/network-request-failed': 'auth.error.network',
+  'six-ws/unsynced-changes': 'auth.error.unsyncedChanges',
+};
+
+export const authErrorMessage = (error) => t(AUTH_ERROR_KEYS[error?.code] || 'auth.error.unknown');
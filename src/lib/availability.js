@@ -0,0 +1,174 @@
+import { t } from './i18n';
+
+// Data model for the When? step (document 'whenAvailability'):
+// {
+//   slots: { mon: [hour], tue: [hour], ... },   // available one-hour slots, by starting hour (0-23)
+//   capacityHours: number | null,               // hours per week the user wants to work
+//   allocations: { [skillId]: hours },          // optional weekly hours per What? skill
+// }
+// Times are the user's local wall-clock time; the .ics export writes them as floating local times
+// so calendars show them at the same hour wherever the user is.
+
+const weekday = (id, icsDay, jsDay) => ({ id, icsDay, jsDay, get label() { return t(`day.${id}`); } });
+
+export const DAYS = [
+  weekday('mon', 'MO', 1),
+  weekday('tue', 'TU', 2),
+  weekday('wed', 'WE', 3),
+  weekday('thu', 'TH', 4),
+  weekday('fri', 'FR', 5),
+  weekday('sat', 'SA', 6),
+  weekday('sun', 'SU', 0),
+];
+
+// Hours shown in the grid: 6:00 to 22:00.
+export const GRID_HOURS = Array.from({ length: 16 }, (_, index) => index + 6);
+
+export const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+export const createEmptyAvailabilityDocument = () => ({
+  slots: Object.fromEntries(DAYS.map(day => [day.id, []])),
+  capacityHours: null,
+  allocations: {},
+});
+
+const cleanHours = (hours) => Array.from(new Set((Array.isArray(hours) ? hours : [])
+  .filter(hour => Number.isInteger(hour) && hour >= 0 && hour < 24)))
+  .sort((a, b) => a - b);
+
+const positiveOrNull = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+
+export const normalizeAvailabilityDocument = (data) => ({
+  ...createEmptyAvailabilityDocument(),
+  ...data,
+  slots: Object.fromEntries(DAYS.map(day => [day.id, cleanHours(data?.slots?.[day.id])])),
+  capacityHours: positiveOrNull(data?.capacityHours),
+  allocations: Object.fromEntries(Object.entries(data?.allocations || {})
+    .map(([skillId, hours]) => [skillId, positiveOrNull(hours)])
+    .filter(([, hours]) => hours !== null)),
+});
+
+export const isSlotAvailable = (availabilityDoc, dayId, hour) => availabilityDoc.slots[dayId].includes(hour);
+
+// Sets one slot on or off; used for both clicks and drag-painting across the grid.
+export const setSlot = (availabilityDoc, dayId, hour, available) => {
+  const hours = availabilityDoc.slots[dayId].filter(existing => existing !== hour);
+  return {
+    ...availabilityDoc,
+    slots: { ...availabilityDoc.slots, [dayId]: available ? cleanHours([...hours, hour]) : hours },
+  };
+};
+
+export const setAllocation = (availabilityDoc, skillId, hours) => {
+  const { [skillId]: previous, ...allocations } = availabilityDoc.allocations;
+  const value = positiveOrNull(hours);
+  return { ...availabilityDoc, allocations: value === null ? allocations : { ...allocations, [skillId]: value } };
+};
+
+export const availableHours = (availabilityDoc) =>
+  DAYS.reduce((total, day) => total + availabilityDoc.slots[day.id].length, 0);
+
+export const allocatedHours = (availabilityDoc, skillIds = null) => Object.entries(availabilityDoc.allocations)
+  .filter(([skillId]) => !skillIds || skillIds.includes(skillId))
+  .reduce((total, [, hours]) => total + hours, 0);
+
+export const hasAvailability = (availabilityDoc) => availableHours(normalizeAvailabilityDocument(availabilityDoc)) > 0;
+
+// Contiguous runs of available hours per day: [{ day, startHour, endHour }], endHour exclusive.
+export const availabilityBlocks = (availabilityDoc) => DAYS.flatMap(day => availabilityDoc.slots[day.id]
+  .reduce((blocks, hour) => {
+    const last = blocks[blocks.length - 1];
+    return last && last.endHour === hour
+      ? [...blocks.slice(0, -1), { ...last, endHour: hour + 1 }]
+      : [...blocks, { day, startHour: hour, endHour: hour + 1 }];
+  }, []));
+
+// Whether the plan adds up: [{ level: 'warning' | 'ok', message }], messages in the UI language.
+// `skillIds` limits the allocations to skills that still exist; `offers` are the How? shortlist.
+export const checkScheduleFit = (availabilityDoc, { skillIds, offers = [], skillNames = {} }) => {
+  const available = availableHours(availabilityDoc);
+  const allocated = allocatedHours(availabilityDoc, skillIds);
+  const capacity = availabilityDoc.capacityHours;
+  const findings = [];
+
+  if (capacity !== null && capacity > available) {
+    findings.push({ level: 'warning', message: t('schedule.targetOverAvailable', { capacity, available }) });
+  }
+  if (allocated > 0 && capacity !== null && allocated > capacity) {
+    findings.push({ level: 'warning', message: t('schedule.allocatedOverTarget', { allocated, capacity }) });
+  } else if (allocated > available) {
+    findings.push({ level: 'warning', message: t('schedule.allocatedOverAvailable', { allocated, available }) });
+  }
+  const offersWithoutTime = offers.filter(offer => offer.skillIds.length > 0
+    && !offer.skillIds.some(skillId => availabilityDoc.allocations[skillId]));
+  offersWithoutTime.forEach(offer => {
+    const names = offer.skillIds.map(skillId => skillNames[skillId]).filter(Boolean);
+    const title = offer.title || t('offer.untitled');
+    findings.push({
+      level: 'warning',
+      message: names.length > 0
+        ? t('schedule.offerWithoutTimeFor', { title, skills: names.join(', ') })
+        : t('schedule.offerWithoutTime', { title }),
+    });
+  });
+  if (findings.length === 0 && available > 0) {
+    findings.push({ level: 'ok', message: t('schedule.fits') });
+  }
+  return findings;
+};
+
+// --- iCalendar export ---
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatLocalDateTime = (date, hour) =>
+  `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(hour)}0000`;
+
+const formatUtcTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const escapeText = (text) => text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+
+// Lines longer than 75 characters continue on the next line after a space (RFC 5545 folding).
+const foldLine = (line) => {
+  const parts = [line.slice(0, 75)];
+  for (let start = 75; start < line.length; start += 74) {
+    parts.push(` ${line.slice(start, start + 74)}`);
+  }
+  return parts.join('\r\n');
+};
+
+// First date on or after `from` that falls on `jsDay` (0 = Sunday).
+const nextWeekday = (from, jsDay) => {
+  const date = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  date.setDate(date.getDate() + ((jsDay - date.getDay() + 7) % 7));
+  return date;
+};
+
+// One weekly recurring event per availability block, starting this week.
+export const availabilityToIcs = (availabilityDoc, { title = 'Available for client work', description = '', now = new Date() } = {}) => {
+  const stamp = formatUtcTimestamp(now);
+  const events = availabilityBlocks(availabilityDoc).flatMap(({ day, startHour, endHour }) => {
+    const date = nextWeekday(now, day.jsDay);
+    return [
+      'BEGIN:VEVENT',
+      `UID:${day.id}-${startHour}-${endHour}@six-ws-availability`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatLocalDateTime(date, startHour)}`,
+      `DTEND:${endHour === 24 ? formatLocalDateTime(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1), 0) : formatLocalDateTime(date, endHour)}`,
+      `RRULE:FREQ=WEEKLY;BYDAY=${day.icsDay}`,
+      `SUMMARY:${escapeText(title)}`,
+      ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT',
+    ];
+  });
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//6Ws Skills Profile//Availability//EN',
+    'CALSCALE:GREGORIAN',
+    ...events,
+    'END:VCALENDAR',
+    '',
+  ].map(foldLine).join('\r\n');
+};
@@ -0,0 +1,69 @@
+import { availabilityToIcs, createEmptyAvailabilityDocument, setSlot } from './availability';
+
+// Wednesday 14 October 2026, 10:00 local time.
+const now = new Date(2026, 9, 14, 10);
+
+const withSlots = (slots) => slots.reduce(
+  (doc, [dayId, hour]) => setSlot(doc, dayId, hour, true),
+  createEmptyAvailabilityDocument()
+);
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+const eventLines = (ics, name) => unfold(ics).split('\r\n').filter(line => line.startsWith(`${name}:`));
+
+describe('availabilityToIcs', () => {
+  test('writes one weekly event per block of consecutive hours, starting this week', () => {
+    const ics = availabilityToIcs(withSlots([['wed', 9], ['wed', 10], ['wed', 14], ['mon', 8]]), { now });
+
+    expect(eventLines(ics, 'UID')).toEqual([
+      'UID:mon-8-9@six-ws-availability',
+      'UID:wed-9-11@six-ws-availability',
+      'UID:wed-14-15@six-ws-availability',
+    ]);
+    expect(eventLines(ics, 'DTSTART')).toEqual(['DTSTART:20261019T080000', 'DTSTART:20261014T090000', 'DTSTART:20261014T140000']);
+    expect(eventLines(ics, 'DTEND')).toEqual(['DTEND:20261019T090000', 'DTEND:20261014T110000', 'DTEND:20261014T150000']);
+    expect(eventLines(ics, 'RRULE')).toEqual(['RRULE:FREQ=WEEKLY;BYDAY=MO', 'RRULE:FREQ=WEEKLY;BYDAY=WE', 'RRULE:FREQ=WEEKLY;BYDAY=WE']);
+  });
+
+  test('ends a block that runs to midnight at the start of the next day', () => {
+    const ics = availabilityToIcs(withSlots([['sat', 22], ['sat', 23], ['sun', 23]]), { now });
+    expect(eventLines(ics, 'DTEND')).toEqual(['DTEND:20261018T000000', 'DTEND:20261019T000000']);
+  });
+
+  test('escapes backslashes, semicolons, commas and new lines in text', () => {
+    const ics = availabilityToIcs(withSlots([['mon', 9]]), {
+      now,
+      title: 'Mixing; mastering, etc.',
+      description: 'C:\\music\nBook ahead',
+    });
+    expect(eventLines(ics, 'SUMMARY')).toEqual(['SUMMARY:Mixing\\; mastering\\, etc.']);
+    expect(eventLines(ics, 'DESCRIPTION')).toEqual(['DESCRIPTION:C:\\\\music\\nBook ahead']);
+  });
+
+  test('leaves out the description when there is none', () => {
+    expect(availabilityToIcs(withSlots([['mon', 9]]), { now })).not.toContain('DESCRIPTION');
+  });
+
+  test('folds lines longer than 75 characters with CRLF and a leading space', () => {
+    const description = 'x'.repeat(200);
+    const ics = availabilityToIcs(withSlots([['mon', 9]]), { now, description });
+    const lines = ics.split('\r\n');
+
+    expect(lines.every(line => line.length <= 75)).toBe(true);
+    const start = lines.findIndex(line => line.startsWith('DESCRIPTION:'));
+    expect(lines.slice(start + 1, start + 3).every(line => line.startsWith(' '))).toBe(true);
+    expect(eventLines(ics, 'DESCRIPTION')).toEqual([`DESCRIPTION:${description}`]);
+  });
+
+  test('wraps the events in a calendar and ends with CRLF', () => {
+    const ics = availabilityToIcs(withSlots([]), { now });
+    expect(ics).toBe([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//6Ws Skills Profile//Availability//EN',
+      'CALSCALE:GREGORIAN',
+      'END:VCALENDAR',
+      '',
+    ].join('\r\n'));
+  });
+});
@@ -0,0 +1,48 @@
+import llmClient from './llm';
+import suggestionCache from './suggestionCache';
+import { CHANNEL_TYPES } from './channels';
+import { DEFAULT_LOCALE, promptLanguage } from './i18n';
+
+// Platform and channel suggestions for the Where? step, one request per broad category.
+// Replies are cached like the skill suggestions (per language), so each category is only asked
+// about once a week.
+
+const MAX_SUGGESTIONS = 8;
+
+export const channelSuggestionCacheKey = (broadCategory, locale = DEFAULT_LOCALE) =>
+  encodeURIComponent(`channels::${locale === DEFAULT_LOCALE ? '' : `${locale}::`}${broadCategory.trim()}`);
+
+// [{ name, type, reason }] for someone selling skills in `broadCategory`; `type` is a CHANNEL_TYPES id.
+export const suggestChannels = (broadCategory, { db, appId, signal, locale = DEFAULT_LOCALE } = {}) => suggestionCache.getOrFetch(
+  channelSuggestionCacheKey(broadCategory, locale),
+  async () => {
+    const types = CHANNEL_TYPES.map(type => `'${type.id}' (${type.label})`).join(', ');
+    const language = promptLanguage(locale);
+    const prompt = `List up to ${MAX_SUGGESTIONS} specific platforms, marketplaces or channels where someone could find customers for services in the "${broadCategory}" category. Match the channels to the kind of work: for example, manual trades are usually found through local directories and neighbourhood apps, while tech and digital work is sold on freelance marketplaces. Name real, widely used platforms where possible. For each, give its 'name', a 'type' from this list: ${types}, and a one-sentence 'reason' it suits this category. ${language ? `Prefer platforms used in ${language}-speaking countries, and write each 'reason' in ${language}. ` : ''}Respond with a JSON array of objects with those keys.`;
+    const suggestions = await llmClient.generateJson(prompt, {
+      task: 'suggestChannels',
+      signal,
+      schema: {
+        type: "ARRAY",
+        items: {
+          type: "OBJECT",
+          properties: {
+            name: { "type": "STRING" },
+            type: { "type": "STRING" },
+            reason: { "type": "STRING" }
+          }
+        }
+      },
+      validate: (parsed) => Array.isArray(parsed) && parsed.some(item => typeof item?.name === 'string' && item.name.trim() !== ''),
+    });
+    return suggestions
+      .filter(item => typeof item?.name === 'string' && item.name.trim() !== '')
+      .slice(0, MAX_SUGGESTIONS)
+      .map(item => ({
+        name: item.name.trim(),
+        type: CHANNEL_TYPES.some(type => type.id === item.type) ? item.type : 'other',
+        reason: typeof item.reason === 'string' ? item.reason.trim() : '',
+      }));
+  },
+  { db, appId }
+);
@@ -0,0 +1,110 @@
+import { createId } from './ids';
+import { t } from './i18n';
+
+// Data model for the Where? step (document 'whereChannels'):
+// {
+//   serviceArea: { remote, city, radius, radiusUnit, countries: [name] },  // city: where they work in person
+//   channels: { [channelId]: Channel },
+// }
+// Channel: { id, name, type, note, broadCategoryId, origin: 'suggested' | 'manual', createdAt, updatedAt }
+// `broadCategoryId` is the What? broad category the channel is for: the one a suggestion was matched
+// to, or whichever the user picks. null means it serves all of their skills (the default for manual ones).
+
+// Whether `channel` reaches customers for skills in the broad category `broadCategoryId`.
+export const channelServesCategory = (channel, broadCategoryId) => !channel.broadCategoryId || channel.broadCategoryId === broadCategoryId;
+
+// Stored channels keep the id; the label is the locale's `channel.type.<id>` message.
+export const CHANNEL_TYPES = ['marketplace', 'directory', 'storefront', 'social', 'community', 'website', 'in-person', 'other']
+  .map(id => ({ id, get label() { return t(`channel.type.${id}`); } }));
+
+export const DISTANCE_UNITS = ['km', 'mi'];
+
+const knownChannelType = (type) => (CHANNEL_TYPES.some(entry => entry.id === type) ? type : 'other');
+
+export const channelTypeLabel = (type) => t(`channel.type.${knownChannelType(type)}`);
+
+export const createEmptyServiceArea = () => ({
+  remote: false,
+  city: '',
+  radius: null,
+  radiusUnit: 'km',
+  countries: [],
+});
+
+export const createEmptyWhereDocument = () => ({ serviceArea: createEmptyServiceArea(), channels: {} });
+
+const asString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Any channel-like object (a stored, merged or imported one) -> a complete Channel. Pure: missing
+// ids and timestamps stay empty here (normalizeWhereDocument fills the id from the channel's key);
+// new channels get theirs once, from addChannel.
+const normalizeChannel = (channel) => ({
+  id: asString(channel?.id),
+  name: asString(channel?.name),
+  type: knownChannelType(channel?.type),
+  note: asString(channel?.note),
+  broadCategoryId: channel?.broadCategoryId || null,
+  origin: channel?.origin === 'suggested' ? 'suggested' : 'manual',
+  createdAt: Number(channel?.createdAt) || 0,
+  updatedAt: Number(channel?.updatedAt) || 0,
+});
+
+export const normalizeWhereDocument = (data) => {
+  const serviceArea = { ...createEmptyServiceArea(), ...data?.serviceArea };
+  return {
+    ...createEmptyWhereDocument(),
+    ...data,
+    serviceArea: {
+      ...serviceArea,
+      radius: Number.isFinite(serviceArea.radius) && serviceArea.radius > 0 ? serviceArea.radius : null,
+      radiusUnit: DISTANCE_UNITS.includes(serviceArea.radiusUnit) ? serviceArea.radiusUnit : 'km',
+      countries: (Array.isArray(serviceArea.countries) ? serviceArea.countries : []).map(asString).filter(Boolean),
+    },
+    channels: Object.fromEntries(Object.entries(data?.channels || {}).map(([key, channel]) => {
+      const normalized = normalizeChannel({ ...channel, id: channel?.id || key });
+      return [normalized.id, normalized];
+    })),
+  };
+};
+
+export const listChannels = (whereDoc) => Object.values(whereDoc.channels)
+  .sort((a, b) => (a.createdAt - b.createdAt) || a.name.localeCompare(b.name));
+
+export const findChannelByName = (whereDoc, name) =>
+  Object.values(whereDoc.channels).find(channel => channel.name.toLowerCase() === name.trim().toLowerCase()) || null;
+
+// Adds a channel unless one with the same name (case-insensitive) is already listed.
+export const addChannel = (whereDoc, channel, now = Date.now()) => {
+  if (asString(channel.name) === '' || findChannelByName(whereDoc, channel.name)) return whereDoc;
+  const added = { ...normalizeChannel(channel), id: createId('ch_'), createdAt: now, updatedAt: now };
+  return { ...whereDoc, channels: { ...whereDoc.channels, [added.id]: added } };
+};
+
+export const updateChannel = (whereDoc, channelId, changes, now = Date.now()) => {
+  if (!whereDoc.channels[channelId]) return whereDoc;
+  return {
+    ...whereDoc,
+    channels: { ...whereDoc.channels, [channelId]: { ...whereDoc.channels[channelId], ...changes, updatedAt: now } },
+  };
+};
+
+export const removeChannel = (whereDoc, channelId) => {
+  const { [channelId]: removed, ...channels } = whereDoc.channels;
+  return { ...whereDoc, channels };
+};
+
+export const hasServiceArea = (serviceArea) => Boolean(serviceArea)
+  && (serviceArea.remote || asString(serviceArea.city) !== '' || (serviceArea.countries || []).length > 0);
+
+// ['Remote', 'Within 25 km of Leeds', 'Countries: United Kingdom, Ireland'], in the UI language.
+export const serviceAreaLines = (serviceArea) => {
+  if (!serviceArea) return [];
+  const city = asString(serviceArea.city);
+  return [
+    serviceArea.remote ? t('serviceArea.remote') : '',
+    city && serviceArea.radius
+      ? t('serviceArea.within', { radius: serviceArea.radius, unit: serviceArea.radiusUnit, city })
+      : city ? t('serviceArea.in', { city }) : '',
+    serviceArea.countries?.length > 0 ? t('serviceArea.countries', { countries: serviceArea.countries.join(', ') }) : '',
+  ].filter(Boolean);
+};
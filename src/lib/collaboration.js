@@ -0,0 +1,146 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  onSnapshot,
+  query,
+  where,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { createShareToken } from './ids';
+import { t } from './i18n';
+
+// Invite-based collaborators (coaches, mentors) on a profile.
+//
+// - artifacts/${appId}/invites/{token}:                       { ownerUid, ownerName, role, createdAt }
+// - artifacts/${appId}/users/${ownerUid}/collaborators/{uid}: { role, name, inviteToken, joinedAt }
+// - artifacts/${appId}/users/${uid}/sharedWithMe/{ownerUid}:  { ownerName, role, joinedAt } (the collaborator's own index)
+//
+// An invite link can be used by anyone who has it until the owner revokes it; accepting writes the
+// collaborator entry with the invite's role, which firestore.rules checks against the invite.
+// The roles themselves are enforced by the rules too; `roleCan` only decides what the UI offers.
+
+export const COLLABORATOR_ROLES = [
+  { id: 'viewer', get label() { return t('role.viewer'); }, get description() { return t('role.viewer.description'); } },
+  { id: 'commenter', get label() { return t('role.commenter'); }, get description() { return t('role.commenter.description'); } },
+  { id: 'editor', get label() { return t('role.editor'); }, get description() { return t('role.editor.description'); } },
+];
+
+export const OWNER_ROLE = 'owner';
+
+const ROLE_ABILITIES = {
+  viewer: [],
+  commenter: ['comment'],
+  editor: ['comment', 'edit'],
+  [OWNER_ROLE]: ['comment', 'edit'],
+};
+
+export const roleCan = (role, ability) => (ROLE_ABILITIES[role] || []).includes(ability);
+
+export const roleLabel = (role) => COLLABORATOR_ROLES.find(entry => entry.id === role)?.label || role;
+
+export const INVITE_ROUTE_PREFIX = 'invite/';
+export const SHARED_PROFILE_ROUTE_PREFIX = 'shared/';
+
+export const inviteUrl = (token) => `${window.location.origin}${window.location.pathname}#/${INVITE_ROUTE_PREFIX}${token}`;
+
+const inviteRef = ({ db, appId, token }) => doc(db, `artifacts/${appId}/invites/${token}`);
+const collaboratorsPath = ({ appId, ownerUid }) => `artifacts/${appId}/users/${ownerUid}/collaborators`;
+const sharedWithMePath = ({ appId, userId }) => `artifacts/${appId}/users/${userId}/sharedWithMe`;
+
+// Name shown to the other side of a collaboration (and on comments).
+export const collaboratorName = (account) => account?.displayName || account?.email || t('collaborators.guest');
+
+const deleteAll = async (snapshot) => Promise.all(snapshot.docs.map(docSnap => deleteDoc(docSnap.ref)));
+
+// --- Owner side ---
+
+export const createInvite = async ({ db, appId, ownerUid, ownerName, role }) => {
+  const token = createShareToken();
+  await setDoc(inviteRef({ db, appId, token }), { ownerUid, ownerName, role, createdAt: serverTimestamp() });
+  return token;
+};
+
+export const revokeInvite = ({ db, appId, token }) => deleteDoc(inviteRef({ db, appId, token }));
+
+// Calls `listener(invites)` with the owner's open invites, newest first.
+export const subscribeToInvites = ({ db, appId, ownerUid }, listener) => onSnapshot(
+  query(collection(db, `artifacts/${appId}/invites`), where('ownerUid', '==', ownerUid)),
+  (snapshot) => listener(snapshot.docs
+    .map(docSnap => ({ token: docSnap.id, ...docSnap.data() }))
+    .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0))),
+  (error) => console.error("Error listening to invites:", error)
+);
+
+export const subscribeToCollaborators = ({ db, appId, ownerUid }, listener) => onSnapshot(
+  collection(db, collaboratorsPath({ appId, ownerUid })),
+  (snapshot) => listener(snapshot.docs.map(docSnap => ({ uid: docSnap.id, ...docSnap.data() }))),
+  (error) => console.error("Error listening to collaborators:", error)
+);
+
+export const updateCollaboratorRole = ({ db, appId, ownerUid, uid, role }) =>
+  updateDoc(doc(db, collaboratorsPath({ appId, ownerUid }), uid), { role });
+
+export const removeCollaborator = ({ db, appId, ownerUid, uid }) =>
+  deleteDoc(doc(db, collaboratorsPath({ appId, ownerUid }), uid));
+
+// --- Collaborator side ---
+
+export const loadInvite = async ({ db, appId, token }) => {
+  const docSnap = await getDoc(inviteRef({ db, appId, token }));
+  return docSnap.exists() ? { token, ...docSnap.data() } : null;
+};
+
+export const acceptInvite = async ({ db, appId, invite, userId, name }) => {
+  await setDoc(doc(db, collaboratorsPath({ appId, ownerUid: invite.ownerUid }), userId), {
+    role: invite.role,
+    name,
+    inviteToken: invite.token,
+    joinedAt: serverTimestamp(),
+  });
+  await setDoc(doc(db, sharedWithMePath({ appId, userId }), invite.ownerUid), {
+    ownerName: invite.ownerName,
+    role: invite.role,
+    joinedAt: serverTimestamp(),
+  });
+  console.log(`Joined ${invite.ownerName}'s profile as ${invite.role}.`);
+};
+
+export const leaveProfile = async ({ db, appId, ownerUid, userId }) => {
+  await deleteDoc(doc(db, collaboratorsPath({ appId, ownerUid }), userId));
+  await deleteDoc(doc(db, sharedWithMePath({ appId, userId }), ownerUid));
+};
+
+// Profiles shared with `userId`: [{ ownerUid, ownerName, role }]. The role here is as of joining;
+// subscribeToMyRole has the current one.
+export const subscribeToSharedWithMe = ({ db, appId, userId }, listener) => onSnapshot(
+  collection(db, sharedWithMePath({ appId, userId })),
+  (snapshot) => listener(snapshot.docs.map(docSnap => ({ ownerUid: docSnap.id, ...docSnap.data() }))),
+  (error) => console.error("Error listening to shared profiles:", error)
+);
+
+// Calls `listener(role)` with the user's current role on `ownerUid`'s profile, or null once removed.
+export const subscribeToMyRole = ({ db, appId, ownerUid, userId }, listener) => onSnapshot(
+  doc(db, collaboratorsPath({ appId, ownerUid }), userId),
+  (docSnap) => listener(docSnap.exists() ? docSnap.data().role : null),
+  (error) => {
+    console.error("Error reading collaborator role:", error);
+    listener(null);
+  }
+);
+
+// --- Account deletion ---
+
+// Revokes the user's invites, removes their collaborators and the comments on their profile, and
+// leaves every profile shared with them. Comments they wrote on other profiles stay with those profiles.
+export const deleteCollaborationData = async ({ db, appId, userId }) => {
+  await deleteAll(await getDocs(query(collection(db, `artifacts/${appId}/invites`), where('ownerUid', '==', userId))));
+  await deleteAll(await getDocs(collection(db, collaboratorsPath({ appId, ownerUid: userId }))));
+  await deleteAll(await getDocs(collection(db, `artifacts/${appId}/users/${userId}/comments`)));
+  const sharedWithMe = await getDocs(collection(db, sharedWithMePath({ appId, userId })));
+  await Promise.all(sharedWithMe.docs.map(docSnap => leaveProfile({ db, appId, ownerUid: docSnap.id, userId })));
+};
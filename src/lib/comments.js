@@ -0,0 +1,61 @@
+import { collection, addDoc, deleteDoc, doc, onSnapshot, serverTimestamp } from 'firebase/firestore';
+import { categoryLabel, getCategory } from './skillModel';
+import { t } from './i18n';
+
+// Threaded comments on a profile's skills and categories, stored with the profile owner:
+// artifacts/${appId}/users/${ownerUid}/comments/{commentId}:
+//   { target: { type: 'skill' | 'category', id }, parentId, text, authorUid, authorName, createdAt }
+// `parentId` is null for a thread's first comment and that comment's id for replies (one level deep).
+// firestore.rules checks who may comment (owner, commenters, editors) and that the author is the caller.
+
+export const MAX_COMMENT_LENGTH = 2000;
+
+export const commentTargetKey = (target) => `${target.type}:${target.id}`;
+
+const commentsPath = ({ appId, ownerUid }) => `artifacts/${appId}/users/${ownerUid}/comments`;
+
+const toMillis = (timestamp) => timestamp?.toMillis?.() ?? Date.now(); // Pending server timestamps sort last
+
+// Calls `listener(comments)` with every comment on the profile, oldest first.
+export const subscribeToComments = ({ db, appId, ownerUid }, listener) => onSnapshot(
+  collection(db, commentsPath({ appId, ownerUid })),
+  (snapshot) => listener(snapshot.docs
+    .map(docSnap => ({ id: docSnap.id, ...docSnap.data(), createdAtMs: toMillis(docSnap.data().createdAt) }))
+    .sort((a, b) => a.createdAtMs - b.createdAtMs)),
+  (error) => console.error("Error listening to comments:", error)
+);
+
+export const addComment = ({ db, appId, ownerUid }, { target, parentId = null, text, author }) => addDoc(
+  collection(db, commentsPath({ appId, ownerUid })),
+  {
+    target,
+    parentId,
+    text: text.trim().slice(0, MAX_COMMENT_LENGTH),
+    authorUid: author.uid,
+    authorName: author.name,
+    createdAt: serverTimestamp(),
+  }
+);
+
+export const deleteComment = ({ db, appId, ownerUid }, commentId) => deleteDoc(doc(db, commentsPath({ appId, ownerUid }), commentId));
+
+// Comment counts per target key, for badges.
+export const countCommentsByTarget = (comments) => comments.reduce((counts, comment) => {
+  const key = commentTargetKey(comment.target);
+  return { ...counts, [key]: (counts[key] || 0) + 1 };
+}, {});
+
+// Threads for one target: [{ comment, replies }], oldest first.
+export const threadsFor = (comments, target) => {
+  const key = commentTargetKey(target);
+  const forTarget = comments.filter(comment => commentTargetKey(comment.target) === key);
+  const ids = new Set(forTarget.map(comment => comment.id));
+  return forTarget
+    .filter(comment => !comment.parentId || !ids.has(comment.parentId)) // Replies outlive a deleted first comment
+    .map(comment => ({ comment, replies: forTarget.filter(reply => reply.parentId === comment.id) }));
+};
+
+// Heading for a target's comments panel.
+export const commentTargetLabel = (skillsDoc, target) => (target.type === 'skill'
+  ? skillsDoc.skills[target.id]?.name || t('comments.removedSkill')
+  : categoryLabel(getCategory(skillsDoc, target.id)) || t('comments.removedCategory'));
@@ -0,0 +1,105 @@
+import en from './locales/en.json';
+import es from './locales/es.json';
+
+// UI language for the app. Messages live in locales/{id}.json as flat "section.key" -> text maps
+// with {name} placeholders; English is the reference, and keys missing from another locale fall
+// back to it. Only labels are translated: stored data (category ids, sub-category and skill names)
+// keeps whatever the user or the taxonomy wrote, so switching language never re-files anything.
+//
+// Like the taxonomy, the current locale is module state with listeners (see useLocale), so plain
+// helpers such as skillModel's categoryLabel can translate without a React context.
+
+export const LOCALES = [
+  { id: 'en', label: 'English', language: 'English', messages: en },
+  { id: 'es', label: 'Español', language: 'Spanish', messages: es },
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+const STORAGE_KEY = 'six-ws:locale';
+
+const findLocale = (id) => LOCALES.find(locale => locale.id === id);
+
+// The saved choice, then the browser's preferred languages ('es-MX' -> 'es'), then English.
+export const detectLocale = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    if (findLocale(saved)) return saved;
+  } catch (error) {
+    console.error("Error reading the saved language:", error);
+  }
+  const preferred = navigator.languages?.length > 0 ? navigator.languages : [navigator.language];
+  return preferred
+    .filter(Boolean)
+    .map(tag => tag.toLowerCase().split('-')[0])
+    .find(id => findLocale(id)) || DEFAULT_LOCALE;
+};
+
+// --- Current locale ---
+
+let currentLocale = detectLocale();
+const localeListeners = new Set();
+
+if (typeof document !== 'undefined') {
+  document.documentElement.lang = currentLocale;
+}
+
+export const getLocale = () => currentLocale;
+
+export const setLocale = (id) => {
+  if (!findLocale(id) || id === currentLocale) return;
+  currentLocale = id;
+  document.documentElement.lang = id;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, id);
+  } catch (error) {
+    console.error("Error saving the language:", error);
+  }
+  localeListeners.forEach(listener => listener(currentLocale));
+};
+
+export const subscribeToLocale = (listener) => {
+  localeListeners.add(listener);
+  return () => localeListeners.delete(listener);
+};
+
+// --- Translation ---
+
+const localizedMessage = (key) => findLocale(currentLocale).messages[key];
+
+// t('wizard.backTo', { label: 'What?' }) -> 'Back to What?'; unknown keys come back unchanged.
+export const t = (key, params = {}) => (localizedMessage(key) ?? en[key] ?? key)
+  .replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+
+// Taxonomy labels are translated by stable id (broad categories) or English name (curated
+// sub-categories and seed skills). English shows the stored text as is, so names changed in the
+// taxonomy editor aren't hidden behind an old translation; other locales fall back to it.
+export const translateCategoryName = (categoryId, name) =>
+  (currentLocale === DEFAULT_LOCALE ? name : localizedMessage(`category.${categoryId}`) ?? name);
+
+export const translateCategoryDescription = (categoryId, description) =>
+  (currentLocale === DEFAULT_LOCALE ? description : localizedMessage(`category.${categoryId}.description`) ?? description);
+
+export const translateTaxonomyName = (name) =>
+  (currentLocale === DEFAULT_LOCALE ? name : localizedMessage(`taxonomy.${name}`) ?? name);
+
+// --- Money ---
+
+// Amounts are entered without a currency; they're shown as US dollars in the locale's format.
+export const DEFAULT_CURRENCY = 'USD';
+
+// Whole amounts without cents ("$40"), others with them ("$40.50").
+const moneyFormat = (amounts, currency) => new Intl.NumberFormat(currentLocale, {
+  style: 'currency',
+  currency,
+  minimumFractionDigits: amounts.every(Number.isInteger) ? 0 : 2,
+  maximumFractionDigits: amounts.every(Number.isInteger) ? 0 : 2,
+});
+
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY) => moneyFormat([amount], currency).format(amount);
+
+export const formatMoneyRange = (min, max, currency = DEFAULT_CURRENCY) => moneyFormat([min, max], currency).formatRange(min, max);
+
+// Name of the locale's language for LLM prompts ("Spanish"), or null for English, where prompts
+// need no extra instruction.
+export const promptLanguage = (locale = currentLocale) => (locale === DEFAULT_LOCALE ? null : findLocale(locale)?.language || null);
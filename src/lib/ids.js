@@ -0,0 +1,12 @@
+// Short, collision-resistant ids for client-created entities (segments, skills, ...).
+export const createId = (prefix = '') => {
+  const random = (typeof crypto !== 'undefined' && crypto.randomUUID)
+    ? crypto.randomUUID().replace(/-/g, '').slice(0, 12)
+    : Math.random().toString(36).slice(2, 14);
+  return `${prefix}${Date.now().toString(36)}${random}`;
+};
+
+// Unguessable token for links that grant read access (e.g. a published profile): 128 random bits.
+export const createShareToken = () => Array.from(crypto.getRandomValues(new Uint8Array(16)))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
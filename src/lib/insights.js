@@ -0,0 +1,162 @@
+import llmClient from './llm';
+import stableStringify from './stableStringify';
+import { createKeyValueStore } from './kvStore';
+import { categoryLabel, groupSkillsByCategory, legacySkillId, listSkills, migrateSkillsDocument, skillLabel } from './skillModel';
+import { channelServesCategory, normalizeWhereDocument } from './channels';
+import { hasAvailability } from './availability';
+import { listOffers, normalizeOffersDocument } from './offers';
+import { hasWhyAnswers, rankBestFitSkills } from './motivations';
+import { summarizeProfile } from './profileExport';
+import { t, getLocale, promptLanguage } from './i18n';
+
+// Cross-section view of the whole 6Ws profile for the insights dashboard: how the skills spread
+// over broad categories, gaps between the sections, and an LLM-written summary with next actions.
+// Like the exports, everything takes the wizard's `steps` and `profile` (step id -> document).
+
+export const INSIGHTS_ROUTE = 'insights';
+
+const MAX_NAMES_IN_GAP = 5;
+
+// What?: [{ category, count, percent }], largest first.
+export const skillDistribution = (skillsDoc) => {
+  const total = Object.keys(skillsDoc.skills).length;
+  return groupSkillsByCategory(skillsDoc)
+    .map(({ category, subCategories }) => {
+      const count = subCategories.reduce((sum, { skills }) => sum + skills.length, 0);
+      return { category, count, percent: total > 0 ? Math.round((100 * count) / total) : 0 };
+    })
+    .sort((a, b) => (b.count - a.count) || categoryLabel(a.category).localeCompare(categoryLabel(b.category)));
+};
+
+const nameList = (names) => (names.length > MAX_NAMES_IN_GAP
+  ? t('gaps.nameListMore', { names: names.slice(0, MAX_NAMES_IN_GAP).join(', '), count: names.length - MAX_NAMES_IN_GAP })
+  : names.join(', '));
+
+// Things one section leaves open that another should cover: [{ stepId, message }], where `stepId`
+// is the step to fix it in and the message is in the UI language.
+export const findGaps = (profile) => {
+  const skillsDoc = migrateSkillsDocument(profile.what);
+  const skills = listSkills(skillsDoc);
+  if (skills.length === 0) {
+    return [{ stepId: 'what', message: t('gaps.noSkills') }];
+  }
+
+  const gaps = [];
+
+  const segments = (profile.who?.segments || []).filter(segment => segment.name?.trim());
+  const linkedSkillIds = new Set(segments.flatMap(segment => (segment.linkedSkills || [])
+    .map(ref => (typeof ref === 'string' ? ref : legacySkillId(ref)))));
+  const skillsWithoutAudience = skills.filter(skill => !linkedSkillIds.has(skill.id));
+  if (segments.length === 0) {
+    gaps.push({ stepId: 'who', message: t('gaps.noAudiences') });
+  } else if (skillsWithoutAudience.length > 0) {
+    gaps.push({ stepId: 'who', message: t('gaps.skillsWithoutAudience', { skills: nameList(skillsWithoutAudience.map(skillLabel)) }) });
+  }
+
+  const channels = Object.values(normalizeWhereDocument(profile.where).channels);
+  if (channels.length === 0) {
+    gaps.push({ stepId: 'where', message: t('gaps.noChannels') });
+  } else {
+    skillDistribution(skillsDoc)
+      .filter(({ category }) => !channels.some(channel => channelServesCategory(channel, category.id)))
+      .forEach(({ category }) => gaps.push({
+        stepId: 'where',
+        message: t('gaps.categoryWithoutChannel', { category: categoryLabel(category) }),
+      }));
+  }
+
+  if (!hasAvailability(profile.when)) {
+    gaps.push({ stepId: 'when', message: t('gaps.noAvailability') });
+  }
+
+  if (!hasWhyAnswers(profile.why)) {
+    gaps.push({ stepId: 'why', message: t('gaps.noMotivations') });
+  }
+
+  const offers = listOffers(normalizeOffersDocument(profile.how));
+  if (offers.length === 0) {
+    gaps.push({ stepId: 'how', message: t('gaps.noOffers') });
+  } else if (hasWhyAnswers(profile.why)) {
+    const [bestFit] = rankBestFitSkills(profile.why, { skillsDoc, whoData: profile.who, whereData: profile.where });
+    if (bestFit && !offers.some(offer => offer.skillIds.includes(bestFit.skill.id))) {
+      gaps.push({ stepId: 'how', message: t('gaps.bestFitWithoutOffer', { skill: skillLabel(bestFit.skill) }) });
+    }
+  }
+
+  return gaps;
+};
+
+// --- Narrative summary ---
+
+// Fields that change without the user changing anything the summary is about (sync bookkeeping and
+// the wizard's completion flags).
+const VOLATILE_FIELDS = ['revision', 'updatedAt', 'completed', 'completedAt'];
+
+// Order-independent key for the profile's content (and the language the summary is written in);
+// the summary is regenerated only when it changes.
+export const insightsFingerprint = (steps, profile, locale = getLocale()) => stableStringify({
+  locale,
+  profile: Object.fromEntries(steps.map(step => [
+    step.id,
+    Object.fromEntries(Object.entries(profile[step.id] || {}).filter(([key]) => !VOLATILE_FIELDS.includes(key))),
+  ])),
+});
+
+// Last summary per user on this browser: { fingerprint, narrative, generatedAt }.
+const narrativeStore = createKeyValueStore('insights');
+
+export const loadCachedNarrative = async (userId) => {
+  try {
+    return (await narrativeStore.get(userId)) || null;
+  } catch (error) {
+    console.error("Error reading the cached insights summary:", error);
+    return null;
+  }
+};
+
+// Forgets every cached summary on this browser (used when the account is deleted).
+export const clearCachedNarratives = () => narrativeStore.clear();
+
+// { summary, nextActions: [string] } for the profile, written by the model from the section
+// summaries and the gaps found above.
+export const generateNarrative = async (steps, profile, { signal } = {}) => {
+  const sections = summarizeProfile(steps, profile).map(({ step, blocks }) => [
+    `## ${step.label} (${step.title})`,
+    ...blocks.map(block => `${block.heading}: ${block.lines.join('; ')}`),
+  ].join('\n')).join('\n\n');
+  const gaps = findGaps(profile).map(gap => `- ${gap.message}`).join('\n');
+  const language = promptLanguage();
+  const prompt = `Here is someone's plan for earning from their skills, organised by the six Ws (what, who, where, when, why, how):\n\n${sections || 'Nothing filled in yet.'}\n\nGaps found so far:\n${gaps || '- None'}\n\nWrite a short, encouraging 'summary' (3 to 5 sentences, addressed to them as "you") of where their plan stands and what stands out, and 'nextActions' as an array of 3 to 5 specific, concrete actions for the coming week that build on their strongest skills and close the most important gaps.${language ? ` Write both in ${language}.` : ''} Respond with a JSON object with exactly those keys.`;
+
+  const narrative = await llmClient.generateJson(prompt, {
+    task: 'summarizeInsights',
+    signal,
+    schema: {
+      type: "OBJECT",
+      properties: {
+        summary: { "type": "STRING" },
+        nextActions: { "type": "ARRAY", "items": { "type": "STRING" } }
+      }
+    },
+    validate: (parsed) => typeof parsed?.summary === 'string' && parsed.summary.trim() !== '' && Array.isArray(parsed.nextActions),
+  });
+  return {
+    summary: narrative.summary.trim(),
+    nextActions: narrative.nextActions.filter(action => typeof action === 'string' && action.trim() !== '').map(action => action.trim()),
+  };
+};
+
+// The cached summary when the profile hasn't changed since it was written, otherwise a new one.
+export const getOrGenerateNarrative = async ({ userId, steps, profile, locale, signal }) => {
+  const fingerprint = insightsFingerprint(steps, profile, locale);
+  const cached = await loadCachedNarrative(userId);
+  if (cached?.fingerprint === fingerprint) return cached;
+
+  const entry = { fingerprint, narrative: await generateNarrative(steps, profile, { signal }), generatedAt: Date.now() };
+  try {
+    await narrativeStore.set(userId, entry);
+  } catch (error) {
+    console.error("Error caching the insights summary:", error);
+  }
+  return entry;
+};
@@ -0,0 +1,97 @@
+// Small async key-value store on top of IndexedDB, falling back to localStorage
+// when IndexedDB is unavailable (private browsing, old browsers, tests).
+// Values must be structured-cloneable for IndexedDB and JSON-serializable for the fallback.
+
+const DB_NAME = 'six-ws';
+const DB_VERSION = 3;
+// Every object store must exist at open time; add new stores here and bump DB_VERSION.
+const STORE_NAMES = ['suggestions', 'documents', 'outbox', 'insights'];
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (databasePromise) return databasePromise;
+
+  databasePromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      STORE_NAMES.forEach(storeName => {
+        if (!database.objectStoreNames.contains(storeName)) {
+          database.createObjectStore(storeName);
+        }
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.error("Error opening IndexedDB, falling back to localStorage:", request.error);
+      resolve(null);
+    };
+  });
+  return databasePromise;
+};
+
+// Wraps one IndexedDB request in a promise.
+const runRequest = async (storeName, mode, makeRequest) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+const localStorageKey = (storeName, key) => `${DB_NAME}:${storeName}:${key}`;
+
+const createLocalStorageBackend = (storeName) => ({
+  get: async (key) => {
+    const raw = window.localStorage.getItem(localStorageKey(storeName, key));
+    return raw === null ? undefined : JSON.parse(raw);
+  },
+  set: async (key, value) => {
+    window.localStorage.setItem(localStorageKey(storeName, key), JSON.stringify(value));
+  },
+  delete: async (key) => {
+    window.localStorage.removeItem(localStorageKey(storeName, key));
+  },
+  keys: async () => {
+    const prefix = localStorageKey(storeName, '');
+    return Object.keys(window.localStorage)
+      .filter(storageKey => storageKey.startsWith(prefix))
+      .map(storageKey => storageKey.slice(prefix.length));
+  },
+});
+
+const createIndexedDbBackend = (storeName) => ({
+  get: (key) => runRequest(storeName, 'readonly', store => store.get(key)),
+  set: (key, value) => runRequest(storeName, 'readwrite', store => store.put(value, key)),
+  delete: (key) => runRequest(storeName, 'readwrite', store => store.delete(key)),
+  keys: () => runRequest(storeName, 'readonly', store => store.getAllKeys()),
+});
+
+export const createKeyValueStore = (storeName) => {
+  if (!STORE_NAMES.includes(storeName)) {
+    throw new Error(`Unknown key-value store "${storeName}". Register it in STORE_NAMES.`);
+  }
+
+  const getBackend = async () => ((await openDatabase())
+    ? createIndexedDbBackend(storeName)
+    : createLocalStorageBackend(storeName));
+
+  return {
+    get: async (key) => (await getBackend()).get(key),
+    set: async (key, value) => (await getBackend()).set(key, value),
+    delete: async (key) => (await getBackend()).delete(key),
+    keys: async () => (await getBackend()).keys(),
+    clear: async () => {
+      const backend = await getBackend();
+      const keys = await backend.keys();
+      await Promise.all(keys.map(key => backend.delete(key)));
+    },
+  };
+};
@@ -0,0 +1,100 @@
+// Provider-agnostic LLM client: retries with exponential backoff, per-attempt timeouts,
+// AbortController cancellation and response validation. Providers only do the transport
+// (see geminiProvider.js / mockProvider.js for the interface).
+
+const isAbortError = (error) => error?.name === 'AbortError';
+
+const createAbortError = () => {
+  const error = new Error('LLM request was cancelled.');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Resolves after `ms`, or rejects as soon as `signal` aborts.
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  }, { once: true });
+});
+
+// Comma-separated model output -> trimmed, non-empty entries.
+export const parseCommaList = (text) => text.split(',').map(s => s.trim()).filter(s => s.length > 0);
+
+export const createLlmClient = ({ provider, maxAttempts = 5, baseDelay = 1000, timeoutMs = 20000 }) => {
+  // Runs one request through the provider with retries; `parse` validates/transforms the raw text
+  // and should throw when the reply is unusable, which counts as a failed attempt.
+  const run = async ({ task, prompt, responseSchema, attachments, signal, parse = (text) => text }) => {
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (signal?.aborted) throw createAbortError();
+
+      // Each attempt gets its own controller so a timeout only cancels that attempt,
+      // while the caller's signal cancels everything.
+      const attemptController = new AbortController();
+      const abortAttempt = () => attemptController.abort();
+      signal?.addEventListener('abort', abortAttempt, { once: true });
+      const timeoutHandler = setTimeout(abortAttempt, timeoutMs);
+
+      try {
+        const text = await provider.generate({ task, prompt, responseSchema, attachments, signal: attemptController.signal });
+        return parse(text);
+      } catch (error) {
+        if (signal?.aborted) throw createAbortError();
+        lastError = isAbortError(error) ? new Error(`Timed out after ${timeoutMs}ms`) : error;
+        console.error(`Attempt ${attempt} failed for LLM task "${task}" (${provider.name}):`, lastError);
+      } finally {
+        clearTimeout(timeoutHandler);
+        signal?.removeEventListener('abort', abortAttempt);
+      }
+
+      if (attempt < maxAttempts) {
+        await sleep(baseDelay * Math.pow(2, attempt - 1), signal);
+      }
+    }
+
+    throw new Error(`LLM task "${task}" failed after ${maxAttempts} attempts: ${lastError?.message}`);
+  };
+
+  return {
+    provider,
+
+    // Free-text reply.
+    generateText: (prompt, { task = 'text', signal } = {}) => run({ task, prompt, signal }),
+
+    // Comma-separated reply parsed into a list; an empty list counts as a failed attempt.
+    generateList: (prompt, { task = 'list', signal } = {}) => run({
+      task,
+      prompt,
+      signal,
+      parse: (text) => {
+        const items = parseCommaList(text);
+        if (items.length === 0) throw new Error("Empty list in LLM response.");
+        return items;
+      },
+    }),
+
+    // Structured reply following `schema` (Gemini responseSchema format), parsed from JSON.
+    // `attachments` ([{ mimeType, data }], data base64-encoded) are sent alongside the prompt, e.g. a PDF.
+    generateJson: (prompt, { task = 'json', schema, attachments, signal, validate } = {}) => run({
+      task,
+      prompt,
+      responseSchema: schema,
+      attachments,
+      signal,
+      parse: (text) => {
+        const parsed = JSON.parse(text);
+        if (validate && !validate(parsed)) throw new Error("LLM response failed validation.");
+        return parsed;
+      },
+    }),
+  };
+};
+
+export { isAbortError };
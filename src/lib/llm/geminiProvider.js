@@ -0,0 +1,38 @@
+// Gemini provider for the LLM client.
+// A provider turns one request ({ prompt, responseSchema, attachments, signal }) into the model's raw text reply,
+// throwing on HTTP or shape errors so the client can retry.
+
+const DEFAULT_MODEL = 'gemini-2.5-flash-preview-05-20';
+const API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+export const createGeminiProvider = ({ apiKey = '', model = DEFAULT_MODEL } = {}) => ({
+  name: `gemini:${model}`,
+
+  generate: async ({ prompt, responseSchema, attachments = [], signal }) => {
+    const fileParts = attachments.map(({ mimeType, data }) => ({ inlineData: { mimeType, data } }));
+    const chatHistory = [{ role: "user", parts: [...fileParts, { text: prompt }] }];
+    const payload = { contents: chatHistory };
+    if (responseSchema) {
+      payload.generationConfig = {
+        responseMimeType: "application/json",
+        responseSchema,
+      };
+    }
+
+    const response = await fetch(`${API_BASE_URL}/${model}:generateContent?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal,
+    });
+
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    const result = await response.json();
+
+    const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (typeof text !== 'string' || text.trim() === '') {
+      throw new Error("Invalid API response structure or no content.");
+    }
+    return text;
+  },
+});
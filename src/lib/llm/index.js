@@ -0,0 +1,22 @@
+import { createLlmClient } from './client';
+import { createGeminiProvider } from './geminiProvider';
+import { createMockProvider } from './mockProvider';
+
+// Provider is chosen at build time: REACT_APP_LLM_PROVIDER=mock serves canned replies,
+// which is handy for offline development and tests. Anything else talks to Gemini.
+const createDefaultProvider = () => {
+  if (process.env.REACT_APP_LLM_PROVIDER === 'mock') {
+    return createMockProvider({ latencyMs: 300 });
+  }
+  return createGeminiProvider({
+    apiKey: process.env.REACT_APP_GEMINI_API_KEY || '', // Empty key: provided by Canvas runtime
+    model: process.env.REACT_APP_GEMINI_MODEL || undefined,
+  });
+};
+
+const llmClient = createLlmClient({ provider: createDefaultProvider() });
+
+export default llmClient;
+export { createLlmClient, parseCommaList, isAbortError } from './client';
+export { createGeminiProvider } from './geminiProvider';
+export { createMockProvider } from './mockProvider';
@@ -0,0 +1,66 @@
+// Offline/test provider for the LLM client.
+// Replies come from `fixtures`, keyed by the request's `task`; each fixture is either a string
+// or a function of the request. Unknown tasks fail like a real provider error would.
+
+const defaultFixtures = {
+  subCategories: 'General, Consulting, Coaching, Freelance Projects, Teaching',
+  specificSkills: 'Project Planning, Client Communication, Quality Review, Workshops, One-on-one Sessions',
+  categorizeSkills: JSON.stringify([]),
+  extractSkills: JSON.stringify(['Project Management', 'Public Speaking', 'Spreadsheets']),
+  matchDuplicateSkills: JSON.stringify([]),
+  suggestChannels: JSON.stringify([
+    { name: 'Upwork', type: 'marketplace', reason: 'Clients post projects and hire freelancers directly.' },
+    { name: 'Google Business Profile', type: 'directory', reason: 'Shows up when people nearby search for the service.' },
+    { name: 'LinkedIn', type: 'social', reason: 'Reaches professionals who may need the service.' },
+  ]),
+  generateOffers: JSON.stringify([
+    {
+      title: 'Starter Consultation',
+      description: 'A focused session to review where a client is and plan the next steps together.',
+      pricingModel: 'Fixed price',
+      price: '$90 per session',
+      deliveryFormat: 'One-on-one',
+      firstSteps: ['Write a one-page description of the session', 'Offer three discounted sessions to past contacts'],
+      skills: [],
+    },
+    {
+      title: 'Monthly Support Plan',
+      description: 'Ongoing help each month for clients who want regular check-ins.',
+      pricingModel: 'Subscription',
+      price: '$200/month',
+      deliveryFormat: 'Done-for-you service',
+      firstSteps: ['Decide what a month includes', 'Set up a simple booking and payment page'],
+      skills: [],
+    },
+  ]),
+  summarizeInsights: JSON.stringify({
+    summary: 'You have a clear set of skills and a first idea of who they are for. Your plan is taking shape.',
+    nextActions: ['Link each skill to at least one audience', 'Pick one channel to try this week', 'Block out two hours to draft your first offer'],
+  }),
+};
+
+export const createMockProvider = ({ fixtures = {}, latencyMs = 0 } = {}) => {
+  const allFixtures = { ...defaultFixtures, ...fixtures };
+
+  return {
+    name: 'mock',
+
+    generate: async (request) => {
+      if (latencyMs > 0) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, latencyMs);
+          request.signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(request.signal.reason);
+          }, { once: true });
+        });
+      }
+
+      const fixture = allFixtures[request.task];
+      if (fixture === undefined) {
+        throw new Error(`Mock provider has no fixture for task "${request.task}".`);
+      }
+      return typeof fixture === 'function' ? fixture(request) : fixture;
+    },
+  };
+};
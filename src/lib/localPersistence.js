@@ -0,0 +1,315 @@
+import { doc, getDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { createKeyValueStore } from './kvStore';
+import { mergeStrategies } from './syncMerge';
+
+// Offline-first persistence for the per-user W-section documents.
+//
+// Every save lands in IndexedDB first ('documents' holds the latest local copy of each document,
+// 'outbox' the changes Firestore hasn't acknowledged yet), then the outbox is flushed whenever
+// Firestore is reachable. Documents are keyed by their id under userSkills/ (e.g. 'whatSkills'),
+// so edits made before sign-in can be synced to whichever user signs in first.
+//
+// Each Firestore document carries a `revision` counter. A queued change remembers the revision (and
+// the copy) it was based on; if the stored revision has moved on by the time we flush or receive a
+// snapshot, another tab or device wrote in between. Documents with a merge strategy (see syncMerge.js)
+// are reconciled three-way; any other document is flagged as a conflict instead of being overwritten.
+//
+// Writes replace every queued top-level field wholesale (mergeFields), so removing a key from a map
+// such as `skills` really deletes it in Firestore; fields that weren't queued are left untouched.
+
+const documentStore = createKeyValueStore('documents');
+const outboxStore = createKeyValueStore('outbox');
+
+export const SYNC_STATES = {
+  LOCAL_ONLY: 'local-only',
+  SYNCING: 'syncing',
+  SYNCED: 'synced',
+  CONFLICT: 'conflict',
+};
+
+export const userDocPath = ({ appId, userId, docId }) => `artifacts/${appId}/users/${userId}/userSkills/${docId}`;
+
+// --- Sync state ---
+
+let syncState = SYNC_STATES.SYNCED;
+let isFlushing = false;
+const conflictedDocIds = new Set();
+const syncStateListeners = new Set();
+
+const setSyncState = (nextState) => {
+  if (nextState === syncState) return;
+  syncState = nextState;
+  syncStateListeners.forEach(listener => listener(syncState));
+};
+
+const refreshSyncState = async () => {
+  if (conflictedDocIds.size > 0) {
+    setSyncState(SYNC_STATES.CONFLICT);
+  } else if (isFlushing) {
+    setSyncState(SYNC_STATES.SYNCING);
+  } else {
+    const pendingDocIds = await outboxStore.keys();
+    setSyncState(pendingDocIds.length > 0 ? SYNC_STATES.LOCAL_ONLY : SYNC_STATES.SYNCED);
+  }
+};
+
+export const getSyncState = () => syncState;
+export const getConflictedDocIds = () => Array.from(conflictedDocIds);
+
+export const subscribeToSyncState = (listener) => {
+  syncStateListeners.add(listener);
+  listener(syncState);
+  return () => syncStateListeners.delete(listener);
+};
+
+// All reads-modify-writes of the two stores go through this chain so overlapping saves,
+// flushes and conflict resolutions never interleave.
+let operationChain = Promise.resolve();
+const serialize = (operation) => {
+  const result = operationChain.then(operation);
+  operationChain = result.catch(() => {});
+  return result;
+};
+
+// Local copies created while signed out (ownerUid null) can be claimed by any user;
+// copies owned by someone else are never shown to or synced for the current user.
+const isVisibleTo = (entry, userId) => Boolean(entry) && (!entry.ownerUid || !userId || entry.ownerUid === userId);
+
+// The entry stored under `docId`, or null when it belongs to another user.
+const readOwnEntry = async (store, docId, userId) => {
+  const entry = await store.get(docId);
+  return isVisibleTo(entry, userId) ? entry : null;
+};
+
+const stripSyncFields = ({ revision, updatedAt, ...data }) => data;
+
+// --- Local documents ---
+
+// Shallow-merges `data` into the local copy of `docId` and queues it for Firestore. A copy or queued
+// change left by another user on this browser is replaced, never merged into this user's document.
+export const writeLocalDocument = (docId, data, { ownerUid = null } = {}) => serialize(async () => {
+  const existing = await readOwnEntry(documentStore, docId, ownerUid);
+  await documentStore.set(docId, {
+    data: { ...(existing?.data || {}), ...data },
+    revision: existing?.revision ?? 0,
+    ownerUid: ownerUid ?? existing?.ownerUid ?? null,
+    updatedAt: Date.now(),
+  });
+
+  const queued = await readOwnEntry(outboxStore, docId, ownerUid);
+  await outboxStore.set(docId, {
+    data: { ...(queued?.data || {}), ...data },
+    baseRevision: queued?.baseRevision ?? existing?.revision ?? 0,
+    baseData: queued?.baseData ?? existing?.data ?? {},
+    ownerUid: ownerUid ?? queued?.ownerUid ?? null,
+    queuedAt: Date.now(),
+  });
+  await refreshSyncState();
+});
+
+// Records a copy of `docId` as read from Firestore, unless local edits are still waiting to be sent.
+export const cacheRemoteDocument = (docId, remoteData, { ownerUid }) => serialize(async () => {
+  if (await readOwnEntry(outboxStore, docId, ownerUid)) return;
+  await documentStore.set(docId, {
+    data: stripSyncFields(remoteData),
+    revision: remoteData.revision || 0,
+    ownerUid,
+    updatedAt: Date.now(),
+  });
+});
+
+// Applies a Firestore snapshot of `docId` to the local store and returns the copy the UI should show.
+// Without queued edits that is simply the remote copy. With queued edits based on an older revision,
+// the edits are merged onto the remote copy and rebased, or the document is flagged as a conflict.
+export const reconcileRemoteDocument = (docId, remoteData, { ownerUid }) => serialize(async () => {
+  const remote = remoteData ? stripSyncFields(remoteData) : null;
+  const remoteRevision = remoteData?.revision || 0;
+  const [queued, localEntry] = await Promise.all([
+    readOwnEntry(outboxStore, docId, ownerUid),
+    readOwnEntry(documentStore, docId, ownerUid),
+  ]);
+
+  if (!queued || !localEntry) {
+    if (remote) {
+      await documentStore.set(docId, { data: remote, revision: remoteRevision, ownerUid, updatedAt: Date.now() });
+    }
+    return remote;
+  }
+  if (remoteRevision <= queued.baseRevision) {
+    return localEntry.data; // Our queued edits are already on top of this revision
+  }
+
+  const merge = mergeStrategies[docId];
+  if (!merge) {
+    conflictedDocIds.add(docId);
+    await refreshSyncState();
+    return localEntry.data;
+  }
+
+  const merged = merge(queued.baseData, localEntry.data, remote || {});
+  await documentStore.set(docId, { ...localEntry, data: merged, revision: remoteRevision, updatedAt: Date.now() });
+  await outboxStore.set(docId, { ...queued, data: merged, baseRevision: remoteRevision, baseData: remote || {} });
+  console.log(`Merged concurrent changes to ${docId}.`);
+  return merged;
+});
+
+export const readLocalDocument = async (docId, { userId = null } = {}) => {
+  const entry = await documentStore.get(docId);
+  return isVisibleTo(entry, userId) ? entry.data : null;
+};
+
+// Initial load for a step: unsynced local edits win, then Firestore, then whatever is cached locally.
+export const loadDocument = async ({ db, appId, userId, docId }) => {
+  const [localEntry, queued] = await Promise.all([readOwnEntry(documentStore, docId, userId), readOwnEntry(outboxStore, docId, userId)]);
+  const localData = localEntry?.data || null;
+
+  if (queued && localData) {
+    return localData;
+  }
+  if (db && userId) {
+    try {
+      const docSnap = await getDoc(doc(db, userDocPath({ appId, userId, docId })));
+      if (docSnap.exists()) {
+        await cacheRemoteDocument(docId, docSnap.data(), { ownerUid: userId });
+        return stripSyncFields(docSnap.data());
+      }
+    } catch (error) {
+      console.error(`Error loading ${docId} from Firestore, using local copy:`, error);
+    }
+  }
+  return localData;
+};
+
+// --- Outbox ---
+
+class RevisionConflictError extends Error {
+  constructor(docId) {
+    super(`Document "${docId}" was changed elsewhere since it was loaded.`);
+    this.name = 'RevisionConflictError';
+  }
+}
+
+// Sends one queued change. With `force`, the revision check is skipped (used to resolve conflicts).
+const flushEntry = async ({ db, appId, userId, docId, entry, force }) => {
+  const docRef = doc(db, userDocPath({ appId, userId, docId }));
+  const merge = mergeStrategies[docId];
+  const localEntry = await readOwnEntry(documentStore, docId, userId);
+
+  const { revision: newRevision, data: writtenData } = await runTransaction(db, async (transaction) => {
+    const docSnap = await transaction.get(docRef);
+    const remoteRevision = docSnap.exists() ? (docSnap.data().revision || 0) : 0;
+    let data = entry.data;
+
+    if (!force && remoteRevision > entry.baseRevision) {
+      if (!merge) {
+        throw new RevisionConflictError(docId);
+      }
+      const remote = docSnap.exists() ? stripSyncFields(docSnap.data()) : {};
+      data = merge(entry.baseData, localEntry?.data || entry.data, remote);
+    }
+
+    const fields = Object.keys(data);
+    transaction.set(
+      docRef,
+      { ...data, revision: remoteRevision + 1, updatedAt: serverTimestamp() },
+      { mergeFields: [...fields, 'revision', 'updatedAt'] }
+    );
+    return { revision: remoteRevision + 1, data };
+  });
+
+  // Edits queued while the transaction ran stay in the outbox, rebased on the new revision.
+  const latest = await outboxStore.get(docId);
+  if (latest && latest.queuedAt === entry.queuedAt) {
+    await outboxStore.delete(docId);
+  } else if (latest) {
+    await outboxStore.set(docId, { ...latest, baseRevision: newRevision, baseData: writtenData });
+  }
+  const currentLocal = await documentStore.get(docId);
+  await documentStore.set(docId, {
+    ...(currentLocal || {}),
+    data: latest && latest.queuedAt !== entry.queuedAt ? currentLocal.data : { ...(currentLocal?.data || {}), ...writtenData },
+    revision: newRevision,
+    ownerUid: userId,
+    updatedAt: Date.now(),
+  });
+};
+
+// Pushes every queued change for `userId` to Firestore. Failures stay queued for the next flush.
+export const flushOutbox = ({ db, appId, userId, force = false, onlyDocId = null }) => serialize(async () => {
+  if (!db || !userId) return;
+  const docIds = (await outboxStore.keys()).filter(docId => !onlyDocId || docId === onlyDocId);
+  if (docIds.length === 0) return;
+
+  isFlushing = true;
+  await refreshSyncState();
+  try {
+    for (const docId of docIds) {
+      const entry = await outboxStore.get(docId);
+      if (!entry || !isVisibleTo(entry, userId)) continue;
+      if (conflictedDocIds.has(docId) && !force) continue;
+      try {
+        await flushEntry({ db, appId, userId, docId, entry, force });
+        conflictedDocIds.delete(docId);
+        console.log(`Synced ${docId} to Firestore.`);
+      } catch (error) {
+        if (error instanceof RevisionConflictError) {
+          conflictedDocIds.add(docId);
+          console.warn(error.message);
+        } else {
+          console.error(`Error syncing ${docId} to Firestore, will retry:`, error);
+        }
+      }
+    }
+  } finally {
+    isFlushing = false;
+    await refreshSyncState();
+  }
+});
+
+// Conflict resolution: keep this device's copy (overwrite Firestore) ...
+export const keepLocalVersion = ({ db, appId, userId, docId }) =>
+  flushOutbox({ db, appId, userId, force: true, onlyDocId: docId });
+
+// ... or drop the queued change so the next load uses the Firestore copy.
+export const discardLocalChanges = (docId) => serialize(async () => {
+  await outboxStore.delete(docId);
+  await documentStore.delete(docId);
+  conflictedDocIds.delete(docId);
+  await refreshSyncState();
+});
+
+// --- Other users' documents ---
+
+// Applies `update(data)` directly to another user's document, for collaborators with edit access.
+// Collaborators keep no local copy; the write bumps `revision` like an outbox flush, so the owner's
+// devices merge it with their own queued edits.
+export const updateRemoteDocument = ({ db, appId, userId, docId, update }) => {
+  const docRef = doc(db, userDocPath({ appId, userId, docId }));
+  return runTransaction(db, async (transaction) => {
+    const docSnap = await transaction.get(docRef);
+    const remoteRevision = docSnap.exists() ? (docSnap.data().revision || 0) : 0;
+    const data = update(docSnap.exists() ? stripSyncFields(docSnap.data()) : {});
+    transaction.set(
+      docRef,
+      { ...data, revision: remoteRevision + 1, updatedAt: serverTimestamp() },
+      { mergeFields: [...Object.keys(data), 'revision', 'updatedAt'] }
+    );
+  });
+};
+
+// Whether `userId` still has changes queued for Firestore on this browser.
+export const hasQueuedChanges = async (userId) => {
+  const docIds = await outboxStore.keys();
+  const entries = await Promise.all(docIds.map(docId => readOwnEntry(outboxStore, docId, userId)));
+  return entries.some(Boolean);
+};
+
+// Forgets every local copy and queued change on this browser (used on sign-out and account deletion).
+export const clearLocalDocuments = () => serialize(async () => {
+  await Promise.all([outboxStore.clear(), documentStore.clear()]);
+  conflictedDocIds.clear();
+  await refreshSyncState();
+});
+
+// Initial state for this browser, before anything has been flushed.
+refreshSyncState().catch(error => console.error("Error reading the local outbox:", error));
@@ -0,0 +1,217 @@
+import { PROFICIENCY_LEVELS, legacySkillId, proficiencyLabel } from './skillModel';
+import { channelServesCategory } from './channels';
+import { t, formatMoney } from './i18n';
+
+// Data model for the Why? step (document 'whyMotivations'):
+// {
+//   motivations: [string],   // why they want to earn from their skills: MOTIVATION_OPTIONS ids or their own words
+//   values: [string],        // what matters to them in how they work: VALUE_OPTIONS ids or their own words
+//   goals: { incomeTarget, incomePeriod: 'month' | 'year', income, flexibility, impact },
+//   enjoyment: { [skillId]: 1-5 },
+// }
+// `income`, `flexibility` and `impact` are GOAL_IMPORTANCE ids; they weight the best-fit ranking.
+
+// Preset motivations and values are stored by id, next to whatever the user wrote in their own
+// words; `entryLabel` shows either in the UI language. The ids are the slugs of the English labels,
+// so entries saved as English text before the ids existed are recognized (see normalizeWhyDocument).
+const presetOptions = (section, ids) => ids.map(id => ({ id, get label() { return t(`why.${section}.${id}`); } }));
+
+export const MOTIVATION_OPTIONS = presetOptions('motivation', [
+  'earn-extra-income',
+  'replace-my-salary',
+  'be-my-own-boss',
+  'work-flexible-hours',
+  'help-people',
+  'do-more-of-what-i-love',
+  'learn-and-grow',
+  'build-something-of-my-own',
+]);
+
+export const VALUE_OPTIONS = presetOptions('value', [
+  'independence',
+  'creativity',
+  'quality',
+  'community',
+  'honesty',
+  'sustainability',
+  'family-time',
+  'security',
+]);
+
+export const GOALS = ['income', 'flexibility', 'impact'].map(id => ({
+  id,
+  get label() { return t(`why.goal.${id}`); },
+  get description() { return t(`why.goal.${id}.description`); },
+}));
+
+export const GOAL_IMPORTANCE = [
+  { id: 'low', weight: 0, get label() { return t('why.importance.low'); } },
+  { id: 'medium', weight: 1, get label() { return t('why.importance.medium'); } },
+  { id: 'high', weight: 2, get label() { return t('why.importance.high'); } },
+];
+
+export const INCOME_PERIODS = [
+  { id: 'month', get label() { return t('why.incomePeriod.month'); } },
+  { id: 'year', get label() { return t('why.incomePeriod.year'); } },
+];
+
+export const ENJOYMENT_LEVELS = [1, 2, 3, 4, 5].map(value => ({ value, get label() { return t(`why.enjoyment.${value}`); } }));
+
+export const createEmptyWhyDocument = () => ({
+  motivations: [],
+  values: [],
+  goals: { incomeTarget: null, incomePeriod: 'month', income: 'medium', flexibility: 'medium', impact: 'medium' },
+  enjoyment: {},
+});
+
+const presetSlug = (entry) => entry.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// The preset `entry` stands for, by id or by its English wording, or null for the user's own words.
+const findPreset = (options, entry) => options.find(option => option.id === presetSlug(entry)) || null;
+
+const cleanEntries = (entries, options) => Array.from(new Set((Array.isArray(entries) ? entries : [])
+  .filter(entry => typeof entry === 'string')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => findPreset(options, entry)?.id || entry)));
+
+// A motivation or value as shown to the user: a preset's label, or the user's own words.
+export const entryLabel = (options, entry) => findPreset(options, entry)?.label || entry;
+
+const knownImportance = (importance) => (GOAL_IMPORTANCE.some(level => level.id === importance) ? importance : 'medium');
+
+export const normalizeWhyDocument = (data) => {
+  const goals = { ...createEmptyWhyDocument().goals, ...data?.goals };
+  return {
+    ...createEmptyWhyDocument(),
+    ...data,
+    motivations: cleanEntries(data?.motivations, MOTIVATION_OPTIONS),
+    values: cleanEntries(data?.values, VALUE_OPTIONS),
+    goals: {
+      ...goals,
+      incomeTarget: Number.isFinite(goals.incomeTarget) && goals.incomeTarget > 0 ? goals.incomeTarget : null,
+      incomePeriod: INCOME_PERIODS.some(period => period.id === goals.incomePeriod) ? goals.incomePeriod : 'month',
+      ...Object.fromEntries(GOALS.map(goal => [goal.id, knownImportance(goals[goal.id])])),
+    },
+    enjoyment: Object.fromEntries(Object.entries(data?.enjoyment || {})
+      .filter(([, rating]) => ENJOYMENT_LEVELS.some(level => level.value === rating))),
+  };
+};
+
+// Adds `entry` to the list, or removes it when it's already there (case-insensitive).
+export const toggleEntry = (entries, entry) => {
+  const trimmed = entry.trim();
+  if (trimmed === '') return entries;
+  const exists = entries.some(existing => existing.toLowerCase() === trimmed.toLowerCase());
+  return exists ? entries.filter(existing => existing.toLowerCase() !== trimmed.toLowerCase()) : [...entries, trimmed];
+};
+
+export const setEnjoyment = (whyDoc, skillId, rating) => {
+  const { [skillId]: previous, ...enjoyment } = whyDoc.enjoyment;
+  return { ...whyDoc, enjoyment: rating ? { ...enjoyment, [skillId]: rating } : enjoyment };
+};
+
+// Whether the user has said anything in Why? yet; the best-fit ranking means little before then.
+export const hasWhyAnswers = (whyDoc) => {
+  const normalized = normalizeWhyDocument(whyDoc);
+  return normalized.motivations.length > 0 || normalized.values.length > 0 || Object.keys(normalized.enjoyment).length > 0;
+};
+
+export const importanceLabel = (importance) => GOAL_IMPORTANCE.find(level => level.id === importance)?.label || '';
+
+export const formatIncomeTarget = (goals) => (goals.incomeTarget
+  ? t('why.incomeTarget.amount', {
+    amount: formatMoney(goals.incomeTarget),
+    period: INCOME_PERIODS.find(period => period.id === goals.incomePeriod)?.label || '',
+  }).trim()
+  : '');
+
+// Goals as plain statements, e.g. ['Income target: $3,000 per month', 'Flexibility: Very important'].
+export const goalStatements = (whyDoc) => [
+  formatIncomeTarget(whyDoc.goals) ? t('why.incomeTarget.statement', { target: formatIncomeTarget(whyDoc.goals) }) : '',
+  ...GOALS.map(goal => t('why.goal.statement', { goal: goal.label, importance: importanceLabel(whyDoc.goals[goal.id]) })),
+].filter(Boolean);
+
+// --- Best-fit ranking ---
+
+// Channel types that let someone sell without being there in person.
+const REMOTE_CHANNEL_TYPES = ['marketplace', 'storefront', 'social', 'community', 'website'];
+
+// Hourly rate to plan with: the middle of the range, or whichever end is set.
+const hourlyRate = (rate) => {
+  if (rate?.unit !== 'hour') return null;
+  const amounts = [rate.min, rate.max].filter(amount => Number.isFinite(amount) && amount > 0);
+  return amounts.length > 0 ? amounts.reduce((total, amount) => total + amount, 0) / amounts.length : null;
+};
+
+// Hours a week at this hourly rate to reach the income target, or null when either is missing.
+export const hoursForIncomeTarget = (goals, rate) => {
+  const perHour = hourlyRate(rate);
+  if (!goals.incomeTarget || !perHour) return null;
+  const perYear = goals.incomePeriod === 'year' ? goals.incomeTarget : goals.incomeTarget * 12;
+  return Math.ceil(perYear / 52 / perHour);
+};
+
+// Each factor scores a skill from 0 to 1, with a reason to show when it scores well. Enjoyment and
+// proficiency always count; the goal factors count as much as the user said that goal matters.
+// An unrated skill, or a category with no channels yet, scores in the middle so it neither helps nor hurts much.
+const fitFactors = ({ whyDoc, skill, audienceCount, channelTypes }) => {
+  const enjoyment = whyDoc.enjoyment[skill.id];
+  const proficiencyIndex = PROFICIENCY_LEVELS.findIndex(level => level.id === skill.proficiency);
+  const hasRate = skill.rate?.min != null || skill.rate?.max != null;
+  const sellsRemotely = channelTypes.some(type => REMOTE_CHANNEL_TYPES.includes(type));
+  const goalWeight = (goalId) => GOAL_IMPORTANCE.find(level => level.id === whyDoc.goals[goalId]).weight;
+  return [
+    {
+      weight: 2,
+      score: enjoyment ? (enjoyment - 1) / 4 : 0.5,
+      reason: enjoyment >= 4 ? ENJOYMENT_LEVELS[enjoyment - 1].label : '',
+    },
+    {
+      weight: 1.5,
+      score: proficiencyIndex >= 0 ? proficiencyIndex / (PROFICIENCY_LEVELS.length - 1) : 0.25,
+      reason: proficiencyIndex >= 2 ? proficiencyLabel(skill.proficiency) : '',
+    },
+    {
+      weight: goalWeight('income'),
+      score: skill.monetized ? 1 : hasRate ? 0.7 : 0.3,
+      reason: skill.monetized ? t('why.fit.monetized') : '',
+    },
+    {
+      weight: goalWeight('flexibility'),
+      score: channelTypes.length === 0 ? 0.5 : sellsRemotely ? 1 : 0.2,
+      reason: sellsRemotely ? t('why.fit.sellsRemotely') : '',
+    },
+    {
+      weight: goalWeight('impact'),
+      score: audienceCount > 0 ? 1 : 0.4,
+      reason: audienceCount > 0 ? t(audienceCount === 1 ? 'why.fit.audiences.one' : 'why.fit.audiences.other', { count: audienceCount }) : '',
+    },
+  ].filter(factor => factor.weight > 0);
+};
+
+// Skills ranked by how well they fit the Why? answers, using the Who? audiences a skill is linked
+// to and the Where? channels that serve its category:
+// [{ skill, score: 0-100, reasons: [string], hoursForTarget: number | null }], best fit first.
+export const rankBestFitSkills = (whyData, { skillsDoc, whoData, whereData }) => {
+  const whyDoc = normalizeWhyDocument(whyData);
+  const segments = (whoData?.segments || []).filter(segment => segment.name?.trim());
+  const channels = Object.values(whereData?.channels || {});
+  return Object.values(skillsDoc.skills)
+    .map(skill => {
+      const audienceCount = segments.filter(segment => (segment.linkedSkills || [])
+        .some(ref => (typeof ref === 'string' ? ref : legacySkillId(ref)) === skill.id)).length;
+      const channelTypes = channels
+        .filter(channel => channelServesCategory(channel, skill.categoryIds[0]))
+        .map(channel => channel.type);
+      const factors = fitFactors({ whyDoc, skill, audienceCount, channelTypes });
+      const totalWeight = factors.reduce((total, factor) => total + factor.weight, 0);
+      return {
+        skill,
+        score: Math.round(100 * factors.reduce((total, factor) => total + factor.weight * factor.score, 0) / totalWeight),
+        reasons: factors.map(factor => factor.reason).filter(Boolean),
+        hoursForTarget: hoursForIncomeTarget(whyDoc.goals, skill.rate),
+      };
+    })
+    .sort((a, b) => (b.score - a.score) || a.skill.name.localeCompare(b.skill.name));
+};
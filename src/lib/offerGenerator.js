@@ -0,0 +1,74 @@
+import llmClient from './llm';
+import { proficiencyLabel, formatRate } from './skillModel';
+import { PRICING_MODELS, DELIVERY_FORMATS, createOffer } from './offers';
+import { MOTIVATION_OPTIONS, VALUE_OPTIONS, entryLabel, goalStatements, hasWhyAnswers, normalizeWhyDocument } from './motivations';
+import { promptLanguage } from './i18n';
+
+// Turns selected skills (plus the Who? audiences and Why? answers, when there are any) into
+// concrete service and product ideas for the How? step. Each idea comes back as an Offer from
+// offers.js, with `skillIds` mapped from the skill names the model says it builds on.
+
+const IDEA_COUNT = 5;
+
+const describeSkill = (skill) => {
+  const details = [
+    proficiencyLabel(skill.proficiency),
+    skill.yearsOfExperience != null ? `${skill.yearsOfExperience} years` : '',
+    skill.monetized ? formatRate(skill.rate) : '',
+  ].filter(Boolean);
+  return details.length > 0 ? `${skill.name} (${details.join(', ')})` : skill.name;
+};
+
+const describeAudience = (segment) => (segment.description?.trim() ? `${segment.name}: ${segment.description.trim()}` : segment.name);
+
+// Why? answers as plain statements for the prompt; empty until the user has filled in Why?.
+export const describeMotivations = (whyData) => {
+  if (!hasWhyAnswers(whyData)) return [];
+  const whyDoc = normalizeWhyDocument(whyData);
+  return [
+    ...whyDoc.motivations.map(entry => entryLabel(MOTIVATION_OPTIONS, entry)),
+    ...whyDoc.values.map(entry => entryLabel(VALUE_OPTIONS, entry)),
+    ...goalStatements(whyDoc),
+  ];
+};
+
+export const generateOfferIdeas = async ({ skills, audiences = [], motivations = [], signal }) => {
+  const context = [
+    `Skills: ${JSON.stringify(skills.map(describeSkill))}.`,
+    audiences.length > 0 ? `Target audiences: ${JSON.stringify(audiences.map(describeAudience))}.` : '',
+    motivations.length > 0 ? `What matters to this person: ${JSON.stringify(motivations)}.` : '',
+  ].filter(Boolean).join(' ');
+  const language = promptLanguage();
+  const prompt = `Suggest ${IDEA_COUNT} concrete services or products someone could sell using these skills. ${context} For each idea give a short 'title', a one or two sentence 'description' of what the customer gets, a 'pricingModel' (one of: ${PRICING_MODELS.map(model => model.label).join(', ')}), an indicative 'price' (e.g., "$60/hour" or "$250 per package"), a 'deliveryFormat' (one of: ${DELIVERY_FORMATS.map(format => format.label).join(', ')}), 'firstSteps' as an array of 2 to 4 short actions to launch it this month, and 'skills' as an array of the skill names above it builds on.${language ? ` Write the titles, descriptions, prices and first steps in ${language}, but keep 'pricingModel', 'deliveryFormat' and 'skills' exactly as given.` : ''} Respond with a JSON array of objects with exactly those keys.`;
+
+  const ideas = await llmClient.generateJson(prompt, {
+    task: 'generateOffers',
+    signal,
+    schema: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          title: { "type": "STRING" },
+          description: { "type": "STRING" },
+          pricingModel: { "type": "STRING" },
+          price: { "type": "STRING" },
+          deliveryFormat: { "type": "STRING" },
+          firstSteps: { type: "ARRAY", items: { "type": "STRING" } },
+          skills: { type: "ARRAY", items: { "type": "STRING" } }
+        }
+      }
+    },
+    validate: (parsed) => Array.isArray(parsed) && parsed.some(idea => typeof idea?.title === 'string' && idea.title.trim() !== ''),
+  });
+
+  const skillIdsByName = new Map(skills.map(skill => [skill.name.toLowerCase(), skill.id]));
+  return ideas
+    .filter(idea => typeof idea?.title === 'string' && idea.title.trim() !== '')
+    .map(({ skills: skillNames, ...idea }) => createOffer({
+      ...idea,
+      skillIds: (Array.isArray(skillNames) ? skillNames : [])
+        .map(name => skillIdsByName.get(String(name).trim().toLowerCase()))
+        .filter(Boolean),
+    }));
+};
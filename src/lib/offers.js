@@ -0,0 +1,89 @@
+import { createId } from './ids';
+import { t } from './i18n';
+
+// Data model for the How? step (document 'howOffers'):
+// {
+//   selectedSkillIds: [skillId] | null,   // skills to generate offers from; null = the strongest few
+//   offers: { [offerId]: Offer },         // the shortlist
+// }
+// Offer: { id, title, description, pricingModel, price, deliveryFormat, firstSteps: [string],
+//          skillIds: [skillId], createdAt, updatedAt }
+// Generated ideas have the same shape but only live in the step until they are shortlisted.
+
+// Suggestions for the free-text pricing and delivery fields, in the UI language; the model is asked
+// to pick from these. Offers store the text itself, so the ids are only keys.
+const suggestions = (field, ids) => ids.map(id => ({ id, get label() { return t(`offer.${field}.${id}`); } }));
+
+export const PRICING_MODELS = suggestions('pricingModel', ['hourly', 'fixed', 'package', 'subscription', 'retainer', 'one-off', 'pay-what-you-want']);
+export const DELIVERY_FORMATS = suggestions('deliveryFormat', ['one-on-one', 'group', 'workshop', 'online-course', 'digital-product', 'physical-product', 'done-for-you']);
+
+export const DEFAULT_SKILL_SELECTION_SIZE = 5;
+
+export const createEmptyOffersDocument = () => ({ selectedSkillIds: null, offers: {} });
+
+const asString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Any offer-like object (an imported or older document) -> a complete Offer. Pure: missing ids
+// and timestamps stay empty here (normalizeOffersDocument fills the id from the offer's key);
+// new offers get theirs once, from createOffer.
+export const normalizeOffer = (offer) => ({
+  id: asString(offer?.id),
+  title: asString(offer?.title),
+  description: asString(offer?.description),
+  pricingModel: asString(offer?.pricingModel),
+  price: asString(offer?.price),
+  deliveryFormat: asString(offer?.deliveryFormat),
+  firstSteps: (Array.isArray(offer?.firstSteps) ? offer.firstSteps : []).map(asString).filter(Boolean),
+  skillIds: Array.isArray(offer?.skillIds) ? offer.skillIds.filter(id => typeof id === 'string') : [],
+  createdAt: Number(offer?.createdAt) || 0,
+  updatedAt: Number(offer?.updatedAt) || 0,
+});
+
+// A new offer (a model reply, or one the user writes themselves) with a fresh id and timestamps.
+export const createOffer = (fields = {}, now = Date.now()) => ({
+  ...normalizeOffer(fields),
+  id: createId('of_'),
+  createdAt: now,
+  updatedAt: now,
+});
+
+export const normalizeOffersDocument = (data) => ({
+  ...createEmptyOffersDocument(),
+  ...data,
+  selectedSkillIds: Array.isArray(data?.selectedSkillIds) ? data.selectedSkillIds : null,
+  offers: Object.fromEntries(Object.entries(data?.offers || {}).map(([key, offer]) => {
+    const normalized = normalizeOffer({ ...offer, id: offer?.id || key });
+    return [normalized.id, normalized];
+  })),
+});
+
+export const listOffers = (offersDoc) => Object.values(offersDoc.offers)
+  .sort((a, b) => (a.createdAt - b.createdAt) || a.title.localeCompare(b.title));
+
+export const hasShortlistedOffer = (offersDoc) => Object.keys(offersDoc?.offers || {}).length > 0;
+
+export const shortlistOffer = (offersDoc, idea, now = Date.now()) => ({
+  ...offersDoc,
+  offers: { ...offersDoc.offers, [idea.id]: { ...normalizeOffer(idea), createdAt: idea.createdAt || now, updatedAt: now } },
+});
+
+export const updateOffer = (offersDoc, offerId, changes, now = Date.now()) => {
+  if (!offersDoc.offers[offerId]) return offersDoc;
+  return {
+    ...offersDoc,
+    offers: { ...offersDoc.offers, [offerId]: { ...offersDoc.offers[offerId], ...changes, updatedAt: now } },
+  };
+};
+
+export const removeOffer = (offersDoc, offerId) => {
+  const { [offerId]: removed, ...offers } = offersDoc.offers;
+  return { ...offersDoc, offers };
+};
+
+// Skill ids the generator works from: the user's choice, or the strongest few skills by default.
+// Ids of skills deleted since are dropped.
+export const selectedSkillIds = (offersDoc, rankedSkills) => {
+  const existingIds = rankedSkills.map(skill => skill.id);
+  if (offersDoc.selectedSkillIds === null) return existingIds.slice(0, DEFAULT_SKILL_SELECTION_SIZE);
+  return offersDoc.selectedSkillIds.filter(id => existingIds.includes(id));
+};
@@ -0,0 +1,245 @@
+import {
+  categoryLabel,
+  groupSkillsByCategory,
+  legacySkillId,
+  listSkills,
+  migrateSkillsDocument,
+  pickSkillsFields,
+  proficiencyLabel,
+  formatRate,
+  skillLabel,
+  PROFICIENCY_LEVELS,
+} from './skillModel';
+import { listOffers, normalizeOffersDocument } from './offers';
+import { channelTypeLabel, serviceAreaLines, listChannels, normalizeWhereDocument } from './channels';
+import { DAYS, availabilityBlocks, availableHours, formatHour, normalizeAvailabilityDocument } from './availability';
+import { MOTIVATION_OPTIONS, VALUE_OPTIONS, entryLabel, goalStatements, normalizeWhyDocument, rankBestFitSkills } from './motivations';
+import { t, getLocale } from './i18n';
+
+// Exports of the whole 6Ws profile (every wizard step's data) and the matching JSON import.
+//
+// Markdown and the printable one-pager are built from each step's `summarize(data, profile)` in the
+// wizard registry, which returns [{ heading, lines: [string] }] in the UI language; steps without one
+// are left out.
+// The JSON export keeps the raw step documents so it can be imported again.
+
+export const PROFILE_EXPORT_FORMAT = 'six-ws-profile';
+export const PROFILE_EXPORT_VERSION = 1;
+
+// Fields the sync layer manages; they mean nothing outside this user's Firestore documents.
+const SYNC_FIELDS = ['revision', 'updatedAt'];
+
+const withoutSyncFields = (data) => Object.fromEntries(
+  Object.entries(data || {}).filter(([key]) => !SYNC_FIELDS.includes(key))
+);
+
+// --- Section summaries ---
+
+const skillDetails = (skill) => [
+  proficiencyLabel(skill.proficiency),
+  skill.yearsOfExperience != null ? t(skill.yearsOfExperience === 1 ? 'export.years.one' : 'export.years.other', { count: skill.yearsOfExperience }) : '',
+  skill.monetized ? formatRate(skill.rate) || t('export.monetized') : '',
+].filter(Boolean).join(', ');
+
+// What?: one block per sub-category, one line per skill with its details.
+export const summarizeSkills = (data) => groupSkillsByCategory(migrateSkillsDocument(data)).flatMap(({ category, subCategories }) => (
+  subCategories.map(({ category: subCategory, skills }) => ({
+    heading: `${categoryLabel(category)} → ${categoryLabel(subCategory)}`,
+    lines: skills.map(skill => (skillDetails(skill) ? `${skillLabel(skill)} (${skillDetails(skill)})` : skillLabel(skill))),
+  }))
+));
+
+// Who?: one block per audience segment, with the skills linked to it.
+export const summarizeAudiences = (data, profile) => {
+  const skillsDoc = migrateSkillsDocument(profile?.what);
+  return (data?.segments || []).filter(segment => segment.name.trim() !== '').map(segment => {
+    const demographics = Object.values(segment.demographics || {}).filter(value => value && value.trim() !== '');
+    const linkedSkills = (segment.linkedSkills || [])
+      .map(ref => skillsDoc.skills[typeof ref === 'string' ? ref : legacySkillId(ref)])
+      .filter(Boolean)
+      .map(skillLabel);
+    return {
+      heading: segment.name,
+      lines: [
+        segment.description,
+        demographics.length > 0 ? t('export.demographics', { demographics: demographics.join('; ') }) : '',
+        linkedSkills.length > 0 ? t('export.skills', { skills: linkedSkills.join(', ') }) : '',
+      ].filter(Boolean),
+    };
+  });
+};
+
+// Where?: the service area, then the channels grouped by type.
+export const summarizeChannels = (data) => {
+  const whereDoc = normalizeWhereDocument(data);
+  const serviceArea = serviceAreaLines(whereDoc.serviceArea);
+  const channelsByType = listChannels(whereDoc).reduce((groups, channel) => {
+    const label = channelTypeLabel(channel.type);
+    return { ...groups, [label]: [...(groups[label] || []), channel.note ? `${channel.name} (${channel.note})` : channel.name] };
+  }, {});
+  return [
+    ...(serviceArea.length > 0 ? [{ heading: t('export.serviceArea'), lines: serviceArea }] : []),
+    ...Object.entries(channelsByType).map(([heading, lines]) => ({ heading, lines })),
+  ];
+};
+
+// When?: the weekly hours, the capacity target and any time set aside per skill.
+export const summarizeAvailability = (data, profile) => {
+  const availabilityDoc = normalizeAvailabilityDocument(data);
+  const skillsDoc = migrateSkillsDocument(profile?.what);
+  const blocks = availabilityBlocks(availabilityDoc);
+  const weekLines = DAYS
+    .map(day => [day, blocks.filter(block => block.day.id === day.id)])
+    .filter(([, dayBlocks]) => dayBlocks.length > 0)
+    .map(([day, dayBlocks]) => `${day.label}: ${dayBlocks.map(block => `${formatHour(block.startHour)}-${formatHour(block.endHour)}`).join(', ')}`);
+  const skillLines = Object.entries(availabilityDoc.allocations)
+    .filter(([skillId]) => skillsDoc.skills[skillId])
+    .map(([skillId, hours]) => t('export.hoursForSkill', { skill: skillLabel(skillsDoc.skills[skillId]), hours }));
+  const capacity = availabilityDoc.capacityHours;
+  return [
+    ...(weekLines.length > 0 ? [{ heading: t('export.weeklyAvailability', { hours: availableHours(availabilityDoc) }), lines: weekLines }] : []),
+    ...(capacity ? [{ heading: t('export.capacity'), lines: [t('export.capacityHours', { hours: capacity })] }] : []),
+    ...(skillLines.length > 0 ? [{ heading: t('export.timePerSkill'), lines: skillLines }] : []),
+  ];
+};
+
+// Why?: motivations, values and goals, then the best-fit skills with their scores.
+export const summarizeMotivations = (data, profile) => {
+  const whyDoc = normalizeWhyDocument(data);
+  const bestFit = rankBestFitSkills(whyDoc, { skillsDoc: migrateSkillsDocument(profile?.what), whoData: profile?.who, whereData: profile?.where })
+    .slice(0, 5)
+    .map(({ skill, score }) => t('export.fitScore', { skill: skillLabel(skill), score }));
+  const motivations = whyDoc.motivations.map(entry => entryLabel(MOTIVATION_OPTIONS, entry));
+  const values = whyDoc.values.map(entry => entryLabel(VALUE_OPTIONS, entry));
+  return [
+    ...(motivations.length > 0 ? [{ heading: t('export.motivations'), lines: motivations }] : []),
+    ...(values.length > 0 ? [{ heading: t('export.values'), lines: values }] : []),
+    { heading: t('export.goals'), lines: goalStatements(whyDoc) },
+    ...(bestFit.length > 0 ? [{ heading: t('export.bestFitSkills'), lines: bestFit }] : []),
+  ];
+};
+
+// How?: one block per shortlisted offer.
+export const summarizeOffers = (data, profile) => {
+  const skillsDoc = migrateSkillsDocument(profile?.what);
+  return listOffers(normalizeOffersDocument(data)).map(offer => {
+    const skillNames = offer.skillIds.map(id => skillsDoc.skills[id]).filter(Boolean).map(skillLabel);
+    return {
+      heading: offer.title || t('offer.untitled'),
+      lines: [
+        offer.description,
+        [offer.pricingModel, offer.price].filter(Boolean).join(': '),
+        offer.deliveryFormat ? t('export.delivery', { format: offer.deliveryFormat }) : '',
+        skillNames.length > 0 ? t('export.skills', { skills: skillNames.join(', ') }) : '',
+        ...offer.firstSteps.map(step => t('export.nextStep', { step })),
+      ].filter(Boolean),
+    };
+  });
+};
+
+// Summaries of every step that has something to show: [{ step, blocks }].
+export const summarizeProfile = (steps, profile) => steps
+  .filter(step => step.summarize)
+  .map(step => ({ step, blocks: step.summarize(profile[step.id], profile) }))
+  .filter(({ blocks }) => blocks.length > 0);
+
+// --- Exports ---
+
+export const profileToJson = (steps, profile, now = Date.now()) => JSON.stringify({
+  format: PROFILE_EXPORT_FORMAT,
+  version: PROFILE_EXPORT_VERSION,
+  exportedAt: new Date(now).toISOString(),
+  sections: Object.fromEntries(steps
+    .filter(step => profile[step.id])
+    .map(step => [step.id, step.id === 'what' ? pickSkillsFields(migrateSkillsDocument(profile.what)) : withoutSyncFields(profile[step.id])])),
+}, null, 2);
+
+export const profileToMarkdown = (steps, profile) => [
+  `# ${t('export.title')}`,
+  ...summarizeProfile(steps, profile).flatMap(({ step, blocks }) => [
+    `## ${step.label} (${step.title})`,
+    ...blocks.map(({ heading, lines }) => [`### ${heading}`, lines.map(line => `- ${line}`).join('\n')].join('\n\n')),
+  ]),
+].join('\n\n') + '\n';
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[char]));
+
+// Standalone HTML for a one-page printout; the browser's print dialog saves it as a PDF.
+export const profileToPrintableHtml = (steps, profile) => `<!DOCTYPE html>
+<html lang="${getLocale()}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(t('export.title'))}</title>
+<style>
+  @page { size: A4; margin: 12mm; }
+  body { font-family: system-ui, sans-serif; font-size: 10pt; color: #1f2937; margin: 0; }
+  h1 { font-size: 16pt; margin: 0 0 6pt; color: #1e40af; }
+  h2 { font-size: 12pt; margin: 10pt 0 4pt; border-bottom: 1px solid #d1d5db; }
+  .blocks { columns: 2; column-gap: 16pt; }
+  .block { break-inside: avoid; margin-bottom: 6pt; }
+  h3 { font-size: 10pt; margin: 0 0 2pt; }
+  ul { margin: 0; padding-left: 12pt; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t('export.title'))}</h1>
+${summarizeProfile(steps, profile).map(({ step, blocks }) => `<h2>${escapeHtml(`${step.label} (${step.title})`)}</h2>
+<div class="blocks">
+${blocks.map(({ heading, lines }) => `<div class="block"><h3>${escapeHtml(heading)}</h3><ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul></div>`).join('\n')}
+</div>`).join('\n')}
+</body>
+</html>
+`;
+
+// JSON Resume (https://jsonresume.org/schema) `skills`: one entry per broad category, with its skill
+// names as keywords and the highest proficiency among them as the level.
+export const skillsToJsonResume = (whatData) => JSON.stringify({
+  skills: groupSkillsByCategory(migrateSkillsDocument(whatData)).map(({ category, subCategories }) => {
+    const skills = subCategories.flatMap(subCategory => subCategory.skills);
+    const topLevel = PROFICIENCY_LEVELS.filter(level => skills.some(skill => skill.proficiency === level.id)).pop();
+    return {
+      name: categoryLabel(category),
+      ...(topLevel ? { level: topLevel.label } : {}),
+      keywords: skills.map(skillLabel),
+    };
+  }),
+}, null, 2);
+
+// --- Import ---
+
+// Step data from an exported file, keyed by step id. A bare skills document (as stored in
+// `whatSkills`, either schema version) is accepted too and restores just the What? step.
+export const parseProfileImport = (text, steps) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(t('import.error.invalidJson'));
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error(t('import.error.noProfile'));
+  }
+
+  let sections;
+  if (parsed.format === PROFILE_EXPORT_FORMAT) {
+    if (parsed.version > PROFILE_EXPORT_VERSION) {
+      throw new Error(t('import.error.newerVersion'));
+    }
+    sections = parsed.sections || {};
+  } else {
+    sections = { what: parsed };
+  }
+
+  const restored = Object.fromEntries(steps
+    .filter(step => sections[step.id] && typeof sections[step.id] === 'object')
+    .map(step => [step.id, withoutSyncFields(step.normalize ? step.normalize(sections[step.id]) : sections[step.id])]));
+  if (restored.what) {
+    restored.what = pickSkillsFields(restored.what);
+  }
+  if (Object.keys(restored).length === 0 || (restored.what && listSkills(restored.what).length === 0 && Object.keys(restored).length === 1)) {
+    throw new Error(t('import.error.empty'));
+  }
+  return restored;
+};
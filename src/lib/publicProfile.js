@@ -0,0 +1,69 @@
+import { doc, getDoc, setDoc, deleteDoc, serverTimestamp } from 'firebase/firestore';
+import { createShareToken } from './ids';
+import { summarizeProfile } from './profileExport';
+
+// Read-only public profiles.
+//
+// Publishing copies a summary of the chosen sections into artifacts/${appId}/publicProfiles/{token};
+// the private step documents are never exposed (see firestore.rules). The token is the only way to
+// find the page, so revoking deletes the copy and the next publish gets a fresh token.
+// The owner's settings live next to their step documents, in userSkills/publicShare:
+// { token, visibleStepIds, displayName, publishedAt }.
+
+const SETTINGS_DOC_ID = 'publicShare';
+
+export const DEFAULT_SHARE_SETTINGS = { token: null, visibleStepIds: ['what'], displayName: '', publishedAt: null };
+
+const settingsDocRef = ({ db, appId, userId }) => doc(db, `artifacts/${appId}/users/${userId}/userSkills/${SETTINGS_DOC_ID}`);
+const publicDocRef = ({ db, appId, token }) => doc(db, `artifacts/${appId}/publicProfiles/${token}`);
+
+export const PUBLIC_PROFILE_ROUTE_PREFIX = 'p/';
+
+export const shareUrl = (token) => `${window.location.origin}${window.location.pathname}#/${PUBLIC_PROFILE_ROUTE_PREFIX}${token}`;
+
+export const loadShareSettings = async ({ db, appId, userId }) => {
+  const docSnap = await getDoc(settingsDocRef({ db, appId, userId }));
+  return { ...DEFAULT_SHARE_SETTINGS, ...(docSnap.exists() ? docSnap.data() : {}) };
+};
+
+// Only plain strings leave the private documents: section titles, headings and lines.
+export const buildPublicSnapshot = (steps, profile, visibleStepIds) => summarizeProfile(steps, profile)
+  .filter(({ step }) => visibleStepIds.includes(step.id))
+  .map(({ step, blocks }) => ({
+    stepId: step.id,
+    title: `${step.label} (${step.title})`,
+    blocks: blocks.map(({ heading, lines }) => ({ heading, lines })),
+  }));
+
+// Publishes (or refreshes) the profile and returns the saved settings, including the token.
+export const publishProfile = async ({ db, appId, userId, steps, profile, settings }) => {
+  const token = settings.token || createShareToken();
+  await setDoc(publicDocRef({ db, appId, token }), {
+    ownerUid: userId,
+    displayName: settings.displayName.trim(),
+    sections: buildPublicSnapshot(steps, profile, settings.visibleStepIds),
+    publishedAt: serverTimestamp(),
+  });
+  const saved = { ...settings, token, publishedAt: Date.now() };
+  await setDoc(settingsDocRef({ db, appId, userId }), saved);
+  console.log("Public profile published.");
+  return saved;
+};
+
+// Takes the public page down; the old link stops working for good.
+export const unpublishProfile = async ({ db, appId, userId }) => {
+  const settings = await loadShareSettings({ db, appId, userId });
+  if (settings.token) {
+    await deleteDoc(publicDocRef({ db, appId, token: settings.token }));
+  }
+  const saved = { ...settings, token: null, publishedAt: null };
+  await setDoc(settingsDocRef({ db, appId, userId }), saved);
+  console.log("Public profile unpublished.");
+  return saved;
+};
+
+// The published copy for a share token, or null when there is none (never published or revoked).
+export const loadPublicProfile = async ({ db, appId, token }) => {
+  const docSnap = await getDoc(publicDocRef({ db, appId, token }));
+  return docSnap.exists() ? docSnap.data() : null;
+};
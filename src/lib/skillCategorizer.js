@@ -0,0 +1,110 @@
+import llmClient, { isAbortError } from './llm';
+import { findStandardCategoryByName, autoUncategorizedCategory } from './skillModel';
+import { getTaxonomy } from './taxonomy';
+import { promptLanguage } from './i18n';
+
+// Files skills under a broad category and sub-category with the LLM, many skills per request.
+// Each result is { name, broad, subCategoryName, confidence, alternatives, failed }:
+// - broad/subCategoryName: the top suggestion (`broad` is a category entity from skillModel)
+// - confidence:            0-1, how sure the model is about the top suggestion
+// - alternatives:          the next-best { broad, subCategoryName, confidence }, best first
+// - failed:                true when the request failed, so there is no real suggestion at all
+// Skills the model can't place get Auto-Uncategorized / General with zero confidence; callers
+// should ask the user where to file anything below LOW_CONFIDENCE_THRESHOLD.
+
+const BATCH_SIZE = 20;
+const MAX_SUGGESTIONS = 3;
+
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+export const isLowConfidence = (result) => result.failed || result.confidence < LOW_CONFIDENCE_THRESHOLD;
+
+const uncategorized = (name, { failed = false } = {}) => ({
+  name,
+  broad: autoUncategorizedCategory,
+  subCategoryName: 'General',
+  confidence: 0,
+  alternatives: [],
+  failed,
+});
+
+const clampConfidence = (value) => (Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0);
+
+// Model suggestions -> ranked filings within the standard categories; unknown categories are dropped.
+const toRankedFilings = (suggestions = []) => suggestions
+  .map(suggestion => ({
+    broad: findStandardCategoryByName(suggestion?.broadCategory),
+    subCategoryName: suggestion?.subCategory?.trim() || 'General',
+    confidence: clampConfidence(suggestion?.confidence),
+  }))
+  .filter(filing => filing.broad)
+  .sort((a, b) => b.confidence - a.confidence)
+  .slice(0, MAX_SUGGESTIONS);
+
+// "Creative & Design (Graphic Design, Photography, ...); Tech & Digital (...)" from the current taxonomy.
+const describeTaxonomy = () => getTaxonomy().broadCategories
+  .map(category => (category.subCategories.length > 0
+    ? `${category.name} (${category.subCategories.map(subCategory => subCategory.name).join(', ')})`
+    : category.name))
+  .join('; ');
+
+// Broad categories must come back exactly as listed (they are matched by name); the sub-categories
+// the model makes up are written in the user's language.
+const categorizeBatch = async (names, { signal }) => {
+  const language = promptLanguage();
+  const languageInstruction = language
+    ? ` Write each 'subCategory' in ${language}, translating the usual ones, but give each 'broadCategory' exactly as it appears in the list.`
+    : '';
+  const prompt = `Categorize each of these skills. For each one, suggest up to ${MAX_SUGGESTIONS} possible placements, best first. A placement is a broad category from this list, shown with its usual sub-categories: [${describeTaxonomy()}], one specific sub-category within that broad category (one of the usual ones when it fits, otherwise a new specific one), and your confidence from 0 to 1 that it is the right placement. Respond with a JSON array containing one object per skill, in the same order, each with 'skill' and 'suggestions' keys; each suggestion has 'broadCategory', 'subCategory' and 'confidence' keys. If a skill doesn't fit any provided broad category, return an empty 'suggestions' array.${languageInstruction} Example: [{"skill": "Songwriting", "suggestions": [{"broadCategory": "Creative & Design", "subCategory": "Music Production", "confidence": 0.9}, {"broadCategory": "Education & Health", "subCategory": "Music Lessons", "confidence": 0.3}]}]. Skills: ${JSON.stringify(names)}`;
+  const results = await llmClient.generateJson(prompt, {
+    task: 'categorizeSkills',
+    signal,
+    schema: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          skill: { "type": "STRING" },
+          suggestions: {
+            type: "ARRAY",
+            items: {
+              type: "OBJECT",
+              properties: {
+                broadCategory: { "type": "STRING" },
+                subCategory: { "type": "STRING" },
+                confidence: { "type": "NUMBER" }
+              }
+            }
+          }
+        }
+      }
+    },
+    validate: (parsed) => Array.isArray(parsed),
+  });
+
+  return names.map((name, index) => {
+    // Match by name, falling back to position when the model rephrased the skill.
+    const result = results.find(item => item?.skill?.trim().toLowerCase() === name.toLowerCase()) || results[index];
+    const [top, ...alternatives] = toRankedFilings(result?.suggestions);
+    if (!top) return uncategorized(name);
+    return { name, ...top, alternatives, failed: false };
+  });
+};
+
+export const categorizeSkills = async (names, { signal } = {}) => {
+  const categorized = [];
+  for (let start = 0; start < names.length; start += BATCH_SIZE) {
+    const batch = names.slice(start, start + BATCH_SIZE);
+    try {
+      categorized.push(...await categorizeBatch(batch, { signal }));
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      // All attempts failed; the caller asks the user where to file these.
+      console.error(`Auto-categorization failed for ${batch.length} skill(s):`, error);
+      categorized.push(...batch.map(name => uncategorized(name, { failed: true })));
+    }
+  }
+  return categorized;
+};
+
+export const categorizeSkill = async (name, options) => (await categorizeSkills([name], options))[0];
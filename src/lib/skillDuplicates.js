@@ -0,0 +1,126 @@
+import llmClient from './llm';
+import { listSkills } from './skillModel';
+import { t } from './i18n';
+
+// Duplicate and near-duplicate detection across the whole skills profile.
+// Matches are { skill, reason, score } with reason one of:
+// - 'same':     equal after normalization (case, whitespace, punctuation, accents, plurals)
+// - 'synonym':  known abbreviation or alternative name ("JS" / "JavaScript")
+// - 'similar':  small spelling difference (edit distance), for names long enough to compare safely
+// - 'semantic': the LLM says they mean the same thing (only when REACT_APP_SEMANTIC_DUPLICATES=true)
+
+const SIMILARITY_THRESHOLD = 0.85;
+const MIN_FUZZY_LENGTH = 5; // "CSS" and "CSV" are different skills
+
+export const isSemanticMatchingEnabled = () => process.env.REACT_APP_SEMANTIC_DUPLICATES === 'true';
+
+// '+' and '#' are kept so C, C++ and C# stay apart.
+export const normalizeSkillName = (name) => name
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '') // Accents
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^\p{L}\p{N}+#]+/gu, ' ')
+  .trim()
+  .split(' ')
+  .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+  .join(' ');
+
+// Each group lists names for the same skill; matching happens on normalized names.
+const SYNONYM_GROUPS = [
+  ['JavaScript', 'JS', 'ECMAScript'],
+  ['TypeScript', 'TS'],
+  ['Python', 'Python programming'],
+  ['User Experience Design', 'UX', 'UX Design', 'User Experience'],
+  ['User Interface Design', 'UI', 'UI Design'],
+  ['Search Engine Optimization', 'SEO'],
+  ['Machine Learning', 'ML'],
+  ['Artificial Intelligence', 'AI'],
+  ['Project Management', 'PM', 'Project Managing'],
+  ['Social Media Marketing', 'SMM', 'Social Media'],
+  ['Customer Service', 'Customer Support', 'Client Support'],
+  ['Microsoft Excel', 'Excel', 'MS Excel', 'Spreadsheets'],
+  ['Copywriting', 'Copy Writing'],
+  ['Bookkeeping', 'Book Keeping'],
+  ['Photography', 'Photo Shoots', 'Photographer'],
+  ['Public Speaking', 'Speaking', 'Keynote Speaking'],
+  ['Graphic Design', 'Graphics Design', 'Graphic Designer'],
+  ['Video Editing', 'Video Editor'],
+  ['Personal Training', 'Personal Trainer', 'Fitness Coaching'],
+  ['Tutoring', 'Tutor', 'Private Tuition'],
+];
+
+const synonymGroupByName = new Map();
+SYNONYM_GROUPS.forEach((group, index) => group.forEach(name => synonymGroupByName.set(normalizeSkillName(name), index)));
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// How two names relate, or null if they look like different skills.
+const compareNames = (nameA, nameB) => {
+  const a = normalizeSkillName(nameA);
+  const b = normalizeSkillName(nameB);
+  if (a === '' || b === '') return null;
+  if (a === b) return { reason: 'same', score: 1 };
+  const groupA = synonymGroupByName.get(a);
+  if (groupA !== undefined && groupA === synonymGroupByName.get(b)) return { reason: 'synonym', score: 0.95 };
+  if (Math.min(a.length, b.length) >= MIN_FUZZY_LENGTH) {
+    const score = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+    if (score >= SIMILARITY_THRESHOLD) return { reason: 'similar', score };
+  }
+  return null;
+};
+
+// Existing skills that look like `name`, best match first.
+export const findDuplicateCandidates = (skillsDoc, name, { excludeId = null } = {}) => listSkills(skillsDoc)
+  .filter(skill => skill.id !== excludeId)
+  .map(skill => ({ skill, ...compareNames(name, skill.name) }))
+  .filter(match => match.reason)
+  .sort((a, b) => b.score - a.score);
+
+export const distinctPairKey = (idA, idB) => [idA, idB].sort().join('|');
+
+// Likely duplicate pairs already in the profile: [{ skills: [a, b], reason, score }].
+// Pairs the user chose to keep (skillsDoc.distinctPairs) are left out.
+export const findDuplicatePairs = (skillsDoc) => {
+  const kept = new Set(skillsDoc.distinctPairs || []);
+  const skills = listSkills(skillsDoc);
+  const pairs = [];
+  skills.forEach((skill, i) => {
+    skills.slice(i + 1).forEach(other => {
+      if (kept.has(distinctPairKey(skill.id, other.id))) return;
+      const match = compareNames(skill.name, other.name);
+      if (match) pairs.push({ skills: [skill, other], ...match });
+    });
+  });
+  return pairs.sort((a, b) => b.score - a.score);
+};
+
+// Asks the LLM which existing skills mean the same as `name`. Returns matches like findDuplicateCandidates.
+export const findSemanticDuplicates = async (skillsDoc, name, { signal } = {}) => {
+  const skills = listSkills(skillsDoc);
+  if (skills.length === 0) return [];
+  const prompt = `A user wants to add the skill "${name}" to their profile. Which of these existing skills mean essentially the same thing (the same skill under another name, not merely a related skill)? Existing skills: ${JSON.stringify(skills.map(skill => skill.name))}. Respond with a JSON array of the matching names exactly as written, or an empty array.`;
+  const names = await llmClient.generateJson(prompt, {
+    task: 'matchDuplicateSkills',
+    signal,
+    schema: { type: "ARRAY", items: { type: "STRING" } },
+    validate: (parsed) => Array.isArray(parsed),
+  });
+  return skills
+    .filter(skill => names.includes(skill.name))
+    .map(skill => ({ skill, reason: 'semantic', score: 0.9 }));
+};
+
+const DUPLICATE_REASONS = ['same', 'synonym', 'similar', 'semantic'];
+
+export const duplicateReasonLabel = (reason) => (DUPLICATE_REASONS.includes(reason) ? t(`duplicate.reason.${reason}`) : reason);
@@ -0,0 +1,58 @@
+import { distinctPairKey, findDuplicateCandidates, findDuplicatePairs, normalizeSkillName } from './skillDuplicates';
+import { addSkill, createEmptySkillsDocument, customCategory, SKILL_ORIGINS } from './skillModel';
+
+const skillsDocument = (names) => {
+  const broad = customCategory('Work');
+  return names.reduce((doc, name, index) => addSkill(doc, {
+    name, broad, subCategoryName: 'General', origin: SKILL_ORIGINS.TYPED, id: `sk_${index}`, now: 1,
+  }), createEmptySkillsDocument());
+};
+
+// Names within a pair follow the profile's listing order, so they're compared sorted.
+const pairNames = (pairs) => pairs.map(({ skills, reason }) => [skills.map(skill => skill.name).sort(), reason]);
+
+describe('normalizeSkillName', () => {
+  test('ignores case, accents, punctuation and plurals', () => {
+    expect(normalizeSkillName('  Café Menus! ')).toBe(normalizeSkillName('cafe menu'));
+    expect(normalizeSkillName('R&D')).toBe('r and d');
+  });
+
+  test('keeps the symbols that tell languages apart', () => {
+    expect(normalizeSkillName('C++')).not.toBe(normalizeSkillName('C#'));
+    expect(normalizeSkillName('Business')).toBe('business');
+  });
+});
+
+describe('findDuplicatePairs', () => {
+  test('finds pairs with the same name, a synonym or a close spelling, best match first', () => {
+    const doc = skillsDocument(['JavaScript', 'Photography', 'JS', 'photography', 'Copywritting', 'Copywriting']);
+    expect(pairNames(findDuplicatePairs(doc))).toEqual([
+      [['Photography', 'photography'], 'same'],
+      [['JS', 'JavaScript'], 'synonym'],
+      [['Copywriting', 'Copywritting'], 'similar'],
+    ]);
+  });
+
+  test('does not compare short names by spelling', () => {
+    expect(findDuplicatePairs(skillsDocument(['CSS', 'CSV', 'C++', 'C#']))).toEqual([]);
+  });
+
+  test('leaves out pairs the user chose to keep', () => {
+    const doc = skillsDocument(['Excel', 'Spreadsheets', 'Tutor', 'Tutoring']);
+    const kept = { ...doc, distinctPairs: [distinctPairKey('sk_1', 'sk_0')] };
+    expect(pairNames(findDuplicatePairs(kept))).toEqual([[['Tutor', 'Tutoring'], 'synonym']]);
+  });
+
+  test('handles an empty profile', () => {
+    expect(findDuplicatePairs(createEmptySkillsDocument())).toEqual([]);
+  });
+});
+
+describe('findDuplicateCandidates', () => {
+  test('matches a new name against existing skills, closest first, except the one being edited', () => {
+    const doc = skillsDocument(['SEO', 'Search Engine Optimisation']);
+    expect(findDuplicateCandidates(doc, 'Search Engine Optimization').map(({ skill, reason }) => [skill.name, reason]))
+      .toEqual([['Search Engine Optimisation', 'similar'], ['SEO', 'synonym']]);
+    expect(findDuplicateCandidates(doc, 'seo', { excludeId: 'sk_0' })).toEqual([]);
+  });
+});
@@ -0,0 +1,211 @@
+import llmClient from './llm';
+
+// Turns pasted text, CSV or an uploaded résumé into candidate skills for the import review.
+// A candidate is { name, broadCategory, subCategory }; the category names are only set when
+// the source said so (CSV columns), everything else is categorized afterwards.
+
+const MAX_SKILL_WORDS = 5; // Longer list items are treated as prose rather than skill names
+const MAX_PROMPT_CHARS = 20000;
+
+export const IMPORT_FILE_TYPES = '.txt,.md,.csv,.docx,.pdf';
+
+// --- CSV ---
+
+// Minimal RFC 4180 parser: quoted fields, doubled quotes and newlines inside quotes.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.map(cells => cells.map(cell => cell.trim())).filter(cells => cells.some(cell => cell !== ''));
+};
+
+const findColumn = (header, names) => header.findIndex(cell => names.includes(cell.toLowerCase().replace(/[\s_-]+/g, '')));
+
+// CSV with a header naming a skill column (and optionally broad/sub-category columns),
+// or a header-less CSV where every cell is a skill.
+const candidatesFromCsv = (text) => {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+  const header = rows[0];
+  const skillColumn = findColumn(header, ['skill', 'skills', 'name']);
+  if (skillColumn < 0) {
+    return rows.flat().map(name => ({ name, broadCategory: '', subCategory: '' }));
+  }
+  const broadColumn = findColumn(header, ['broadcategory', 'category', 'broad']);
+  const subColumn = findColumn(header, ['subcategory', 'sub']);
+  return rows.slice(1).map(cells => ({
+    name: cells[skillColumn] || '',
+    broadCategory: broadColumn >= 0 ? cells[broadColumn] || '' : '',
+    subCategory: subColumn >= 0 ? cells[subColumn] || '' : '',
+  }));
+};
+
+// --- Plain lists and free text ---
+
+// Splits on new lines, commas, semicolons and bullets; null when the text reads like prose.
+const splitSkillList = (text) => {
+  const items = text
+    .split(/[\n\r,;•|]+/)
+    .map(item => item.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '').trim())
+    .filter(item => item !== '');
+  const looksLikeList = items.every(item => item.split(/\s+/).length <= MAX_SKILL_WORDS && !/[.!?]$/.test(item));
+  return looksLikeList ? items : null;
+};
+
+const extractWithLlm = async ({ text = '', attachment = null, signal }) => {
+  const source = attachment ? 'the attached résumé' : 'the text below';
+  const prompt = `Extract the distinct professional skills, talents and services mentioned in ${source} that someone could offer or monetize. Use short skill names of 1-4 words (e.g. "Copywriting", "Excel Modeling", "Wedding Photography"), without duplicates. Respond with a JSON array of strings.${text ? `\n\n${text.slice(0, MAX_PROMPT_CHARS)}` : ''}`;
+  const names = await llmClient.generateJson(prompt, {
+    task: 'extractSkills',
+    signal,
+    attachments: attachment ? [attachment] : undefined,
+    schema: { type: "ARRAY", items: { type: "STRING" } },
+    validate: (parsed) => Array.isArray(parsed),
+  });
+  return names.filter(name => typeof name === 'string');
+};
+
+// --- Files ---
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const inflateRaw = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Reads one entry out of a zip archive (a .docx is a zip of XML parts), or null if it's missing.
+const readZipEntry = async (buffer, entryName) => {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+
+  // The end-of-central-directory record sits in the last 64KB + 22 bytes.
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a valid .docx file.');
+
+  let offset = view.getUint32(eocd + 16, true);
+  const entryCount = view.getUint16(eocd + 10, true);
+  for (let i = 0; i < entryCount; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localHeaderOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    if (name === entryName) {
+      const dataStart = localHeaderOffset + 30 + view.getUint16(localHeaderOffset + 26, true) + view.getUint16(localHeaderOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+      return decoder.decode(method === 0 ? data : await inflateRaw(data));
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return null;
+};
+
+const docxToText = async (buffer) => {
+  const xml = await readZipEntry(buffer, 'word/document.xml');
+  if (!xml) throw new Error('No document text found in the .docx file.');
+  const text = xml
+    .replace(/<\/w:p>/g, '\n')
+    .replace(/<w:tab\/>/g, '\t')
+    .replace(/<[^>]+>/g, '');
+  return new DOMParser().parseFromString(`<!doctype html><body>${text}`, 'text/html').body.textContent;
+};
+
+const extensionOf = (fileName) => fileName.slice(fileName.lastIndexOf('.') + 1).toLowerCase();
+
+// Reads an uploaded file into what extractCandidateSkills expects: text for .txt/.md/.csv/.docx,
+// or a base64 attachment for PDFs (the model reads those directly).
+export const readImportFile = async (file) => {
+  const extension = extensionOf(file.name);
+  if (extension === 'pdf') {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    return { attachment: { mimeType: 'application/pdf', data: bytesToBase64(bytes) } };
+  }
+  if (extension === 'docx') {
+    return { text: await docxToText(await file.arrayBuffer()) };
+  }
+  if (['txt', 'md', 'csv'].includes(extension)) {
+    return { text: await file.text(), isCsv: extension === 'csv' };
+  }
+  throw new Error(`Unsupported file type ".${extension}". Use ${IMPORT_FILE_TYPES}.`);
+};
+
+// --- Candidates ---
+
+const dedupeCandidates = (candidates) => {
+  const seen = new Set();
+  return candidates
+    .map(candidate => ({ ...candidate, name: candidate.name.trim() }))
+    .filter(candidate => {
+      const key = candidate.name.toLowerCase();
+      if (key === '' || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+const toCandidates = (names) => names.map(name => ({ name, broadCategory: '', subCategory: '' }));
+
+// Candidate skills from pasted text or a read file ({ text, attachment, isCsv }).
+// Short lists are split locally; prose and PDFs go through the LLM.
+export const extractCandidateSkills = async ({ text = '', attachment = null, isCsv = false }, { signal } = {}) => {
+  if (attachment) {
+    return dedupeCandidates(toCandidates(await extractWithLlm({ attachment, signal })));
+  }
+  const firstLine = text.trim().split(/\r?\n/)[0] || '';
+  if (isCsv || /^\s*"?(skills?|name)"?\s*,/i.test(firstLine)) {
+    return dedupeCandidates(candidatesFromCsv(text));
+  }
+  const listItems = splitSkillList(text);
+  if (listItems) {
+    return dedupeCandidates(toCandidates(listItems));
+  }
+  return dedupeCandidates(toCandidates(await extractWithLlm({ text, signal })));
+};
@@ -0,0 +1,81 @@
+import llmClient from './llm';
+import { extractCandidateSkills, parseCsv } from './skillImport';
+
+jest.mock('./llm', () => ({ __esModule: true, default: { generateJson: jest.fn() } }));
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('parseCsv', () => {
+  test('splits rows and fields, trimming cells', () => {
+    expect(parseCsv('skill, category\nMixing , Music\n')).toEqual([['skill', 'category'], ['Mixing', 'Music']]);
+  });
+
+  test('reads quoted fields with commas, doubled quotes and line breaks', () => {
+    expect(parseCsv('"Editing, copy","The ""best"" one"\n"Line one\nline two",x')).toEqual([
+      ['Editing, copy', 'The "best" one'],
+      ['Line one\nline two', 'x'],
+    ]);
+  });
+
+  test('accepts CRLF line endings and skips blank rows', () => {
+    expect(parseCsv('a,b\r\n\r\n,\r\nc,d\r\n')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+
+  test('keeps a last row without a trailing newline', () => {
+    expect(parseCsv('a\nb')).toEqual([['a'], ['b']]);
+  });
+});
+
+describe('extractCandidateSkills', () => {
+  test('maps CSV skill and category columns whatever their spelling', async () => {
+    const text = 'Name,Broad_Category,Sub-Category\nMixing,Music,Production\nPiano,,';
+    expect(await extractCandidateSkills({ text, isCsv: true })).toEqual([
+      { name: 'Mixing', broadCategory: 'Music', subCategory: 'Production' },
+      { name: 'Piano', broadCategory: '', subCategory: '' },
+    ]);
+  });
+
+  test('treats every cell of a header-less CSV file as a skill', async () => {
+    expect(await extractCandidateSkills({ text: 'Mixing,Piano\nSinging', isCsv: true })).toEqual([
+      { name: 'Mixing', broadCategory: '', subCategory: '' },
+      { name: 'Piano', broadCategory: '', subCategory: '' },
+      { name: 'Singing', broadCategory: '', subCategory: '' },
+    ]);
+  });
+
+  test('recognizes pasted CSV by its header', async () => {
+    const candidates = await extractCandidateSkills({ text: '"skill",category\nMixing,Music' });
+    expect(candidates).toEqual([{ name: 'Mixing', broadCategory: 'Music', subCategory: '' }]);
+  });
+
+  test('splits a pasted list on bullets, numbers and separators without calling the model', async () => {
+    const text = '- Copywriting\n2. Excel Modeling\n• Wedding Photography; Piano | Mixing';
+    const candidates = await extractCandidateSkills({ text });
+    expect(candidates.map(({ name }) => name)).toEqual(['Copywriting', 'Excel Modeling', 'Wedding Photography', 'Piano', 'Mixing']);
+    expect(llmClient.generateJson).not.toHaveBeenCalled();
+  });
+
+  test('drops duplicate names ignoring case', async () => {
+    const candidates = await extractCandidateSkills({ text: 'Mixing, mixing ,Piano' });
+    expect(candidates.map(({ name }) => name)).toEqual(['Mixing', 'Piano']);
+  });
+
+  test('sends prose to the model and keeps only string names', async () => {
+    llmClient.generateJson.mockResolvedValue(['Copywriting', 42, 'copywriting', 'Editing']);
+    const text = 'I have written marketing copy for ten years and edited two novels.';
+
+    const candidates = await extractCandidateSkills({ text });
+    expect(candidates.map(({ name }) => name)).toEqual(['Copywriting', 'Editing']);
+    expect(llmClient.generateJson).toHaveBeenCalledWith(expect.stringContaining(text), expect.objectContaining({ task: 'extractSkills' }));
+  });
+
+  test('sends attachments to the model', async () => {
+    llmClient.generateJson.mockResolvedValue(['Piano']);
+    const attachment = { mimeType: 'application/pdf', data: 'JVBERi0=' };
+
+    expect(await extractCandidateSkills({ attachment })).toEqual([{ name: 'Piano', broadCategory: '', subCategory: '' }]);
+    expect(llmClient.generateJson.mock.calls[0][1].attachments).toEqual([attachment]);
+  });
+});
@@ -0,0 +1,427 @@
+import { getTaxonomy } from './taxonomy';
+import { createId } from './ids';
+import stableStringify from './stableStringify';
+import { t, formatMoney, formatMoneyRange, translateCategoryName, translateTaxonomyName } from './i18n';
+
+// Schema for the whatSkills document.
+//
+// v1 (legacy): { skills: { [broadCategoryKey]: { [subCategoryName]: [skillName] } } }, where custom
+//   categories were encoded in keys such as 'Other_Custom_<name>' and 'Other_Auto_Uncategorized'.
+// v2: {
+//   schemaVersion: 2,
+//   categories: { [categoryId]: { id, name, kind, parentId } },  // broad categories have parentId null
+//   skills: { [skillId]: { id, name, categoryIds: [broadId, subId], origin, createdAt, updatedAt, ...details } },
+//   distinctPairs: ['<skillId>|<skillId>'],  // look-alike skills the user chose to keep apart (see skillDuplicates.js)
+// }
+// where details are { proficiency, yearsOfExperience, monetized, rate: { min, max, unit } } (see SKILL_DETAIL_DEFAULTS).
+// Details were added within v2; skills saved without them are filled in with the defaults on read.
+//
+// Every function here is pure and returns a new document, so they can be used in state updaters.
+
+export const SKILLS_SCHEMA_VERSION = 2;
+
+export const SKILL_ORIGINS = {
+  SUGGESTED: 'suggested',
+  TYPED: 'typed',
+  AUTO_CATEGORIZED: 'auto-categorized',
+  IMPORTED: 'imported',
+};
+
+// Ordered from least to most experienced.
+// Skills store the ids; labels are looked up in the UI language.
+export const PROFICIENCY_LEVELS = [
+  { id: 'beginner', get label() { return t('skill.proficiency.beginner'); } },
+  { id: 'intermediate', get label() { return t('skill.proficiency.intermediate'); } },
+  { id: 'advanced', get label() { return t('skill.proficiency.advanced'); } },
+  { id: 'expert', get label() { return t('skill.proficiency.expert'); } },
+];
+
+export const RATE_UNITS = [
+  { id: 'hour', get label() { return t('skill.rateUnit.hour'); } },
+  { id: 'project', get label() { return t('skill.rateUnit.project'); } },
+];
+
+export const SKILL_DETAIL_DEFAULTS = {
+  proficiency: null, // One of PROFICIENCY_LEVELS ids, or null when not set
+  yearsOfExperience: null,
+  monetized: false, // Already earning from this skill
+  rate: { min: null, max: null, unit: 'hour' },
+};
+
+export const CATEGORY_KINDS = {
+  STANDARD: 'standard',
+  CUSTOM: 'custom',
+  AUTO: 'auto',
+};
+
+// --- Category ids ---
+
+const slugify = (name) => name.trim().toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'unnamed';
+
+// Small, stable string hash (djb2) for deterministic ids.
+const hashString = (value) => {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+export const standardCategoryId = (name) => `std:${slugify(name)}`;
+export const customCategoryId = (name) => `custom:${slugify(name)}`;
+export const AUTO_UNCATEGORIZED_ID = 'auto:uncategorized';
+export const subCategoryId = (parentId, name) => `${parentId}/${slugify(name)}`;
+
+// Standard categories come from the taxonomy (see taxonomy.js), which can change at runtime.
+let standardCategoriesCache = { taxonomy: null, categories: [] };
+
+export const getStandardCategories = () => {
+  const taxonomy = getTaxonomy();
+  if (standardCategoriesCache.taxonomy !== taxonomy) {
+    standardCategoriesCache = {
+      taxonomy,
+      categories: taxonomy.broadCategories.map(({ id, name }) => ({ id, name, kind: CATEGORY_KINDS.STANDARD, parentId: null })),
+    };
+  }
+  return standardCategoriesCache.categories;
+};
+
+export const autoUncategorizedCategory = {
+  id: AUTO_UNCATEGORIZED_ID,
+  name: 'Uncategorized',
+  kind: CATEGORY_KINDS.AUTO,
+  parentId: null,
+};
+
+export const customCategory = (name) => ({
+  id: customCategoryId(name),
+  name: name.trim(),
+  kind: CATEGORY_KINDS.CUSTOM,
+  parentId: null,
+});
+
+// Standard category entity for a name (case-insensitive), or null.
+export const findStandardCategoryByName = (name) =>
+  getStandardCategories().find(category => category.name.toLowerCase() === (name || '').trim().toLowerCase()) || null;
+
+export const isStandardCategoryId = (categoryId) => getStandardCategories().some(category => category.id === categoryId);
+
+// Display name in the UI language; standard broad categories are translated by id and their
+// sub-categories by taxonomy name, everything the user named (custom categories) is shown as written.
+export const categoryLabel = (category) => {
+  if (!category) return '';
+  if (category.kind === CATEGORY_KINDS.CUSTOM && !category.parentId) return t('category.custom', { name: category.name });
+  if (category.id === AUTO_UNCATEGORIZED_ID) return t('category.autoUncategorized');
+  if (category.kind === CATEGORY_KINDS.AUTO && !category.parentId) return t('category.autoCategorized', { name: category.name });
+  if (category.kind === CATEGORY_KINDS.STANDARD && !category.parentId) return translateCategoryName(category.id, category.name);
+  if (category.kind === CATEGORY_KINDS.STANDARD) return translateTaxonomyName(category.name);
+  return category.name;
+};
+
+// Display name of a skill: suggested skills may be taxonomy seed skills, stored in English.
+export const skillLabel = (skill) => (skill.origin === SKILL_ORIGINS.SUGGESTED ? translateTaxonomyName(skill.name) : skill.name);
+
+// "Broad category → Sub-category" for a { broad, subCategoryName } filing, in the UI language.
+export const filingLabel = ({ broad, subCategoryName }) =>
+  `${categoryLabel(broad)} → ${broad.kind === CATEGORY_KINDS.STANDARD ? translateTaxonomyName(subCategoryName) : subCategoryName}`;
+
+// Category entity by id, falling back to the built-in standard list for categories without skills yet.
+export const getCategory = (skillsDoc, categoryId) =>
+  skillsDoc.categories[categoryId]
+  || getStandardCategories().find(category => category.id === categoryId)
+  || (categoryId === AUTO_UNCATEGORIZED_ID ? autoUncategorizedCategory : null);
+
+// Broad categories a skill can be filed under: the standard ones, Auto-Uncategorized, and the
+// custom/auto categories in use in `skillsDoc` or passed in `extraCategories`.
+export const broadCategoryOptions = (skillsDoc, extraCategories = []) => {
+  const options = [...getStandardCategories(), autoUncategorizedCategory];
+  [...Object.values(skillsDoc.categories), ...extraCategories].forEach(category => {
+    if (!category.parentId && !options.some(option => option.id === category.id)) {
+      options.push(category);
+    }
+  });
+  return options;
+};
+
+// --- Documents ---
+
+export const createEmptySkillsDocument = () => ({
+  schemaVersion: SKILLS_SCHEMA_VERSION,
+  categories: {},
+  skills: {},
+  distinctPairs: [],
+});
+
+// Only the fields this model owns (drops wizard flags such as `completed`), for saving.
+export const pickSkillsFields = ({ schemaVersion, categories, skills, distinctPairs = [] }) => ({ schemaVersion, categories, skills, distinctPairs });
+
+export const hasAnySkill = (skillsDoc) => Object.keys(skillsDoc?.skills || {}).length > 0;
+
+// Order-independent comparison key (Firestore returns map keys sorted).
+export const skillsFingerprint = (skillsDoc) => stableStringify(pickSkillsFields(skillsDoc));
+
+// Removes categories no skill refers to any more.
+export const pruneCategories = (skillsDoc) => {
+  const referenced = new Set(Object.values(skillsDoc.skills).flatMap(skill => skill.categoryIds));
+  return {
+    ...skillsDoc,
+    categories: Object.fromEntries(Object.entries(skillsDoc.categories).filter(([id]) => referenced.has(id))),
+  };
+};
+
+// Category map with `broad` (a category entity) and its `subCategoryName` child added if missing.
+const withCategories = (categories, broad, subCategoryName) => {
+  const subCategory = {
+    id: subCategoryId(broad.id, subCategoryName),
+    name: subCategoryName.trim(),
+    kind: broad.kind,
+    parentId: broad.id,
+  };
+  return {
+    categories: {
+      ...categories,
+      [broad.id]: categories[broad.id] || { id: broad.id, name: broad.name, kind: broad.kind, parentId: null },
+      [subCategory.id]: categories[subCategory.id] || subCategory,
+    },
+    categoryIds: [broad.id, subCategory.id],
+  };
+};
+
+// Adds a skill under `broad` (a category entity) -> `subCategoryName`, creating both categories as needed.
+export const addSkill = (skillsDoc, { name, broad, subCategoryName, origin, id = createId('sk_'), now = Date.now() }) => {
+  const { categories, categoryIds } = withCategories(skillsDoc.categories, broad, subCategoryName);
+  return {
+    ...skillsDoc,
+    categories,
+    skills: {
+      ...skillsDoc.skills,
+      [id]: {
+        id,
+        name: name.trim(),
+        categoryIds,
+        origin,
+        createdAt: now,
+        updatedAt: now,
+        ...SKILL_DETAIL_DEFAULTS,
+      },
+    },
+  };
+};
+
+// Re-files a skill under `broad` -> `subCategoryName`. If a skill with the same name is already
+// filed there, the moved skill is dropped rather than duplicated.
+export const moveSkill = (skillsDoc, skillId, { broad, subCategoryName }, now = Date.now()) => {
+  const skill = skillsDoc.skills[skillId];
+  if (!skill) return skillsDoc;
+  const existing = findSkill(skillsDoc, { broadId: broad.id, subCategoryName, name: skill.name });
+  if (existing && existing.id !== skillId) return removeSkill(skillsDoc, skillId);
+  const { categories, categoryIds } = withCategories(skillsDoc.categories, broad, subCategoryName);
+  return pruneCategories({
+    ...skillsDoc,
+    categories,
+    skills: { ...skillsDoc.skills, [skillId]: { ...skill, categoryIds, updatedAt: now } },
+  });
+};
+
+// Applies `changes` (details such as proficiency or rate) to one skill and stamps updatedAt,
+// which is what the sync merge uses to pick a winner when two devices edit the same skill.
+export const updateSkill = (skillsDoc, skillId, changes, now = Date.now()) => {
+  const skill = skillsDoc.skills[skillId];
+  if (!skill) return skillsDoc;
+  return {
+    ...skillsDoc,
+    skills: { ...skillsDoc.skills, [skillId]: { ...skill, ...changes, updatedAt: now } },
+  };
+};
+
+// Renames a skill. If its sub-category already holds a skill with the new name, the two are merged
+// (the renamed one is dropped).
+export const renameSkill = (skillsDoc, skillId, name, now = Date.now()) => {
+  const skill = skillsDoc.skills[skillId];
+  if (!skill || name.trim() === '') return skillsDoc;
+  const duplicate = Object.values(skillsDoc.skills).find(other =>
+    other.id !== skillId && other.categoryIds[1] === skill.categoryIds[1] && other.name === name.trim());
+  if (duplicate) return removeSkill(skillsDoc, skillId);
+  return updateSkill(skillsDoc, skillId, { name: name.trim() }, now);
+};
+
+// Where a skill is filed, in the { broad, subCategoryName } form moveSkill/addSkill take.
+export const skillFiling = (skillsDoc, skill) => ({
+  broad: getCategory(skillsDoc, skill.categoryIds[0]),
+  subCategoryName: getCategory(skillsDoc, skill.categoryIds[1])?.name || 'General',
+});
+
+// Moves every skill of a sub-category to `filing`; moving onto an existing sub-category merges the two.
+export const moveSubCategory = (skillsDoc, subId, filing, now = Date.now()) =>
+  Object.values(skillsDoc.skills)
+    .filter(skill => skill.categoryIds[1] === subId)
+    .reduce((doc, skill) => moveSkill(doc, skill.id, filing, now), skillsDoc);
+
+// Renames a custom or auto-categorized broad category, which turns it into the custom category of
+// that name (merging into it if it already exists). Standard categories can't be renamed.
+export const renameBroadCategory = (skillsDoc, broadId, name, now = Date.now()) => {
+  if (isStandardCategoryId(broadId) || name.trim() === '') return skillsDoc;
+  const target = customCategory(name);
+  const renamed = Object.values(skillsDoc.skills)
+    .filter(skill => skill.categoryIds[0] === broadId)
+    .reduce((doc, skill) => moveSkill(doc, skill.id, { broad: target, subCategoryName: skillFiling(skillsDoc, skill).subCategoryName }, now), skillsDoc);
+  if (target.id !== broadId || !renamed.categories[target.id]) return renamed;
+  // Same id as before (only case or spacing changed): the existing entity still needs the new name.
+  return { ...renamed, categories: { ...renamed.categories, [target.id]: { ...renamed.categories[target.id], name: target.name } } };
+};
+
+// Folds `dropId` into `keepId`: the kept skill takes any details it's missing from the dropped one
+// (the higher proficiency and experience, monetized if either is, the wider rate range).
+export const mergeSkills = (skillsDoc, keepId, dropId, now = Date.now()) => {
+  const keep = skillsDoc.skills[keepId];
+  const drop = skillsDoc.skills[dropId];
+  if (!keep || !drop || keepId === dropId) return skillsDoc;
+  const higherProficiency = [keep.proficiency, drop.proficiency]
+    .sort((a, b) => PROFICIENCY_LEVELS.findIndex(level => level.id === b) - PROFICIENCY_LEVELS.findIndex(level => level.id === a))[0];
+  const extreme = (pick, a, b) => (a == null ? b : b == null ? a : pick(a, b));
+  const merged = updateSkill(skillsDoc, keepId, {
+    proficiency: higherProficiency ?? null,
+    yearsOfExperience: extreme(Math.max, keep.yearsOfExperience, drop.yearsOfExperience),
+    monetized: Boolean(keep.monetized || drop.monetized),
+    rate: {
+      min: extreme(Math.min, keep.rate?.min, drop.rate?.min),
+      max: extreme(Math.max, keep.rate?.max, drop.rate?.max),
+      unit: keep.rate?.min != null || keep.rate?.max != null ? keep.rate.unit : (drop.rate?.unit || keep.rate?.unit || 'hour'),
+    },
+  }, now);
+  return removeSkill(merged, dropId);
+};
+
+// Records that two look-alike skills are really different, so they aren't flagged again.
+export const markSkillsDistinct = (skillsDoc, pairKey) => (
+  (skillsDoc.distinctPairs || []).includes(pairKey)
+    ? skillsDoc
+    : { ...skillsDoc, distinctPairs: [...(skillsDoc.distinctPairs || []), pairKey] }
+);
+
+export const removeSkill = (skillsDoc, skillId) => {
+  const { [skillId]: removed, ...skills } = skillsDoc.skills;
+  return pruneCategories({ ...skillsDoc, skills });
+};
+
+// Removes a broad category together with every skill filed under it.
+export const removeBroadCategory = (skillsDoc, broadId) => pruneCategories({
+  ...skillsDoc,
+  skills: Object.fromEntries(Object.entries(skillsDoc.skills).filter(([, skill]) => skill.categoryIds[0] !== broadId)),
+});
+
+// Skill with exactly this name in broadId -> subCategoryName, or null.
+export const findSkill = (skillsDoc, { broadId, subCategoryName, name }) => {
+  const subId = subCategoryId(broadId, subCategoryName);
+  return Object.values(skillsDoc.skills).find(skill => skill.categoryIds[1] === subId && skill.name === name.trim()) || null;
+};
+
+export const proficiencyLabel = (proficiency) => PROFICIENCY_LEVELS.find(level => level.id === proficiency)?.label || '';
+
+// Human-readable rate range in the UI language, e.g. "$40 – $60 per hour"; empty when no rate is set.
+export const formatRate = (rate) => {
+  const { min, max, unit } = { ...SKILL_DETAIL_DEFAULTS.rate, ...rate };
+  if (min == null && max == null) return '';
+  const amount = min != null && max != null && min !== max ? formatMoneyRange(min, max) : formatMoney(min ?? max);
+  const unitLabel = RATE_UNITS.find(rateUnit => rateUnit.id === unit)?.label;
+  return unitLabel ? t('skill.rate', { amount, unit: unitLabel }) : amount;
+};
+
+const proficiencyRank = (proficiency) => PROFICIENCY_LEVELS.findIndex(level => level.id === proficiency);
+
+// Strongest skills first: already monetized, then higher proficiency, then more years of experience.
+export const rankSkillsByStrength = (skillsDoc) => Object.values(skillsDoc.skills).sort((a, b) =>
+  (Number(b.monetized) - Number(a.monetized))
+  || (proficiencyRank(b.proficiency) - proficiencyRank(a.proficiency))
+  || ((b.yearsOfExperience || 0) - (a.yearsOfExperience || 0))
+  || a.name.localeCompare(b.name)
+);
+
+const byCreation = (a, b) => (a.createdAt - b.createdAt) || a.name.localeCompare(b.name);
+
+export const listSkills = (skillsDoc) => Object.values(skillsDoc.skills).sort(byCreation);
+
+// Display view: [{ category, subCategories: [{ category, skills: [skill] }] }], in the order skills were added.
+export const groupSkillsByCategory = (skillsDoc) => {
+  const groups = new Map();
+  listSkills(skillsDoc).forEach(skill => {
+    const [broadId, subId] = skill.categoryIds;
+    if (!groups.has(broadId)) {
+      groups.set(broadId, { category: getCategory(skillsDoc, broadId) || { id: broadId, name: broadId, parentId: null }, subCategories: new Map() });
+    }
+    const subCategories = groups.get(broadId).subCategories;
+    if (!subCategories.has(subId)) {
+      subCategories.set(subId, { category: skillsDoc.categories[subId] || { id: subId, name: subId, parentId: broadId }, skills: [] });
+    }
+    subCategories.get(subId).skills.push(skill);
+  });
+  return Array.from(groups.values()).map(group => ({ ...group, subCategories: Array.from(group.subCategories.values()) }));
+};
+
+// --- Migrations ---
+
+// Category entity for a v1 broad-category key.
+const legacyBroadCategory = (key) => {
+  if (key.startsWith('Other_Custom_')) return customCategory(key.replace('Other_Custom_', ''));
+  if (key.startsWith('Other_Auto_Uncategorized')) return autoUncategorizedCategory;
+  if (key.startsWith('Other_Auto_')) {
+    const name = key.replace('Other_Auto_', '');
+    return { id: `auto:${slugify(name)}`, name, kind: CATEGORY_KINDS.AUTO, parentId: null };
+  }
+  return findStandardCategoryByName(key) || customCategory(key);
+};
+
+// Deterministic id for a v1 skill, so two devices migrating the same document agree on it and
+// references stored elsewhere the v1 way ({ broadCategory, subCategory, skill }) can be upgraded.
+export const legacySkillId = ({ broadCategory, subCategory, skill }) =>
+  `sk_${hashString(`${subCategoryId(legacyBroadCategory(broadCategory).id, subCategory)}|${skill.trim()}`)}`;
+
+const migrateV1 = ({ skills: legacySkills = {}, ...rest }) => {
+  let skillsDoc = { ...rest, ...createEmptySkillsDocument() };
+  let order = 0;
+  Object.entries(legacySkills).forEach(([broadKey, subCats]) => {
+    const broad = legacyBroadCategory(broadKey);
+    Object.entries(subCats || {}).forEach(([subCategoryName, names]) => {
+      (names || []).forEach(name => {
+        if (findSkill(skillsDoc, { broadId: broad.id, subCategoryName, name })) return;
+        skillsDoc = addSkill(skillsDoc, {
+          name,
+          broad,
+          subCategoryName,
+          // v1 didn't record where a skill came from; only the auto keys tell us anything.
+          origin: broadKey.startsWith('Other_Auto_') ? SKILL_ORIGINS.AUTO_CATEGORIZED : SKILL_ORIGINS.TYPED,
+          id: legacySkillId({ broadCategory: broadKey, subCategory: subCategoryName, skill: name }),
+          // Timestamps count up from 0 so every migration of the document is identical and the
+          // summary keeps the original order; any real edit is later than all of them.
+          now: order++,
+        });
+      });
+    });
+  });
+  return skillsDoc;
+};
+
+const withSkillDetailDefaults = (skills) => Object.fromEntries(Object.entries(skills).map(([id, skill]) => [id, {
+  ...SKILL_DETAIL_DEFAULTS,
+  ...skill,
+  rate: { ...SKILL_DETAIL_DEFAULTS.rate, ...skill.rate },
+}]));
+
+// Brings any stored whatSkills document (or null) up to the current schema.
+export const migrateSkillsDocument = (rawDoc) => {
+  if (!rawDoc) return createEmptySkillsDocument();
+  const version = rawDoc.schemaVersion || 1;
+  if (version > SKILLS_SCHEMA_VERSION) {
+    console.warn(`whatSkills schema v${version} is newer than this app (v${SKILLS_SCHEMA_VERSION}); using it as-is.`);
+    return { ...createEmptySkillsDocument(), ...rawDoc };
+  }
+  if (version === 1) {
+    return migrateV1(rawDoc);
+  }
+  return {
+    ...rawDoc,
+    categories: rawDoc.categories || {},
+    skills: withSkillDetailDefaults(rawDoc.skills || {}),
+    distinctPairs: rawDoc.distinctPairs || [],
+  };
+};
@@ -0,0 +1,135 @@
+import {
+  SKILLS_SCHEMA_VERSION,
+  SKILL_ORIGINS,
+  SKILL_DETAIL_DEFAULTS,
+  AUTO_UNCATEGORIZED_ID,
+  CATEGORY_KINDS,
+  categoryLabel,
+  formatRate,
+  legacySkillId,
+  listSkills,
+  migrateSkillsDocument,
+  skillLabel,
+} from './skillModel';
+import { DEFAULT_LOCALE, setLocale } from './i18n';
+
+const v1Document = {
+  skills: {
+    'Creative & Design': { 'Music Production': ['Songwriting', 'Mixing'] },
+    Other_Custom_Woodwork: { Furniture: ['Chair Making'] },
+    Other_Auto_Uncategorized: { General: ['Juggling'] },
+  },
+  completed: true,
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('migrateSkillsDocument', () => {
+  test('returns an empty current document for a missing one', () => {
+    expect(migrateSkillsDocument(null)).toEqual({ schemaVersion: SKILLS_SCHEMA_VERSION, categories: {}, skills: {}, distinctPairs: [] });
+  });
+
+  test('upgrades a v1 document to skill entities in their original order', () => {
+    const migrated = migrateSkillsDocument(v1Document);
+
+    expect(migrated.schemaVersion).toBe(SKILLS_SCHEMA_VERSION);
+    expect(migrated.completed).toBe(true);
+    expect(listSkills(migrated).map(skill => skill.name)).toEqual(['Songwriting', 'Mixing', 'Chair Making', 'Juggling']);
+    expect(migrated.categories['std:creative-design']).toMatchObject({ name: 'Creative & Design', kind: CATEGORY_KINDS.STANDARD });
+    expect(migrated.categories['custom:woodwork']).toMatchObject({ name: 'Woodwork', kind: CATEGORY_KINDS.CUSTOM });
+    expect(migrated.categories[AUTO_UNCATEGORIZED_ID]).toMatchObject({ kind: CATEGORY_KINDS.AUTO });
+  });
+
+  test('files each migrated skill under its broad category and sub-category', () => {
+    const songwriting = listSkills(migrateSkillsDocument(v1Document)).find(skill => skill.name === 'Songwriting');
+    expect(songwriting).toMatchObject({
+      categoryIds: ['std:creative-design', 'std:creative-design/music-production'],
+      origin: SKILL_ORIGINS.TYPED,
+      ...SKILL_DETAIL_DEFAULTS,
+    });
+  });
+
+  test('marks skills from auto-categorized keys as auto-categorized', () => {
+    const juggling = listSkills(migrateSkillsDocument(v1Document)).find(skill => skill.name === 'Juggling');
+    expect(juggling.origin).toBe(SKILL_ORIGINS.AUTO_CATEGORIZED);
+  });
+
+  test('gives the same document on every migration', () => {
+    expect(migrateSkillsDocument(v1Document)).toEqual(migrateSkillsDocument(v1Document));
+  });
+
+  test('drops repeated names within a sub-category', () => {
+    const migrated = migrateSkillsDocument({ skills: { Other_Custom_Woodwork: { Furniture: ['Chair Making', 'Chair Making'] } } });
+    expect(Object.keys(migrated.skills)).toHaveLength(1);
+  });
+
+  test('fills in detail defaults for v2 skills saved before details existed', () => {
+    const migrated = migrateSkillsDocument({
+      schemaVersion: 2,
+      categories: {},
+      skills: { sk_1: { id: 'sk_1', name: 'Mixing', categoryIds: [], rate: { min: 40 } } },
+    });
+    expect(migrated.skills.sk_1).toMatchObject({ proficiency: null, monetized: false, rate: { min: 40, max: null, unit: 'hour' } });
+    expect(migrated.distinctPairs).toEqual([]);
+  });
+
+  test('leaves documents from a newer schema as they are', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const newer = { schemaVersion: SKILLS_SCHEMA_VERSION + 1, skills: {}, categories: {}, extra: 'kept' };
+    expect(migrateSkillsDocument(newer)).toMatchObject(newer);
+  });
+});
+
+describe('legacySkillId', () => {
+  test('matches the id the migration gives the same skill', () => {
+    const migrated = migrateSkillsDocument(v1Document);
+    const id = legacySkillId({ broadCategory: 'Creative & Design', subCategory: 'Music Production', skill: 'Songwriting' });
+    expect(migrated.skills[id].name).toBe('Songwriting');
+  });
+
+  test('ignores surrounding whitespace in the skill name', () => {
+    const ref = { broadCategory: 'Other_Custom_Woodwork', subCategory: 'Furniture' };
+    expect(legacySkillId({ ...ref, skill: ' Chair Making ' })).toBe(legacySkillId({ ...ref, skill: 'Chair Making' }));
+  });
+
+  test('differs between sub-categories', () => {
+    const skill = { broadCategory: 'Creative & Design', skill: 'Editing' };
+    expect(legacySkillId({ ...skill, subCategory: 'Writing' })).not.toBe(legacySkillId({ ...skill, subCategory: 'Video Production' }));
+  });
+});
+
+describe('labels', () => {
+  afterEach(() => {
+    setLocale(DEFAULT_LOCALE);
+  });
+
+  test('translate taxonomy sub-categories and suggested seed skills for display only', () => {
+    const subCategory = { id: 'std:creative-design/graphic-design', name: 'Graphic Design', kind: CATEGORY_KINDS.STANDARD, parentId: 'std:creative-design' };
+    const skill = { name: 'Logo Design', origin: SKILL_ORIGINS.SUGGESTED };
+    expect(categoryLabel(subCategory)).toBe('Graphic Design');
+
+    setLocale('es');
+    expect(categoryLabel(subCategory)).toBe('Diseño gráfico');
+    expect(skillLabel(skill)).toBe('Diseño de logotipos');
+    expect(skillLabel({ ...skill, origin: SKILL_ORIGINS.TYPED })).toBe('Logo Design');
+    expect(categoryLabel({ ...subCategory, kind: CATEGORY_KINDS.CUSTOM })).toBe('Graphic Design');
+  });
+});
+
+describe('formatRate', () => {
+  afterEach(() => {
+    setLocale(DEFAULT_LOCALE);
+  });
+
+  test('formats the amount or range as money in the UI language', () => {
+    expect(formatRate({ min: 40, max: 60, unit: 'hour' })).toBe('$40 – $60 per hour');
+    expect(formatRate({ min: 250, unit: 'project' })).toBe('$250 per project');
+    expect(formatRate({ max: 37.5 })).toBe('$37.50 per hour');
+    expect(formatRate({})).toBe('');
+
+    setLocale('es');
+    expect(formatRate({ min: 40, unit: 'hour' })).toBe('40\u00a0US$ por hora');
+  });
+});
@@ -0,0 +1,13 @@
+// JSON.stringify with object keys sorted, so documents compare equal regardless of key order
+// (Firestore returns map keys sorted, local state keeps insertion order).
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+export default stableStringify;
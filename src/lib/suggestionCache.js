@@ -0,0 +1,123 @@
+import { doc, getDoc, setDoc } from 'firebase/firestore';
+import { createKeyValueStore } from './kvStore';
+import { DEFAULT_LOCALE } from './i18n';
+
+// Cache in front of the sub-category / specific-skill (and Where? channel) suggestion requests.
+// Lookups go memory -> IndexedDB (or localStorage) -> shared Firestore cache -> fetcher,
+// and every layer that missed is filled on the way back. Entries expire after `ttlMs`.
+//
+// The shared layer lives at artifacts/${appId}/suggestionCache/{key} so all users of the app
+// benefit from each other's lookups. It is opt-in via REACT_APP_SHARED_SUGGESTION_CACHE=true.
+// The security rules only let clients create well-formed entries or replace expired ones, so
+// nobody can overwrite (or delete) a list other users are still being served.
+
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000; // One week
+
+// Cache key for (broad category, sub-category); sub-category is empty for the sub-category list itself.
+// Suggestions in other languages are cached apart; English keeps the unprefixed keys.
+export const suggestionCacheKey = (broadCategory, subCategory = '', locale = DEFAULT_LOCALE) =>
+  encodeURIComponent(`${locale === DEFAULT_LOCALE ? '' : `${locale}::`}${broadCategory.trim()}||${subCategory.trim()}`);
+
+export const createSuggestionCache = ({ ttlMs = DEFAULT_TTL_MS, shared = false } = {}) => {
+  const memory = new Map();
+  const localStore = createKeyValueStore('suggestions');
+  const bypassShared = new Set(); // Keys invalidated here: refetched rather than re-read from the shared layer
+
+  const isFresh = (entry) => Boolean(entry) && Array.isArray(entry.items) && Date.now() - entry.fetchedAt < ttlMs;
+  const sharedDocRef = (key, { db, appId }) => doc(db, `artifacts/${appId}/suggestionCache/${key}`);
+  const canUseShared = (options) => shared && Boolean(options?.db && options?.appId);
+
+  const readLocal = async (key) => {
+    try {
+      return await localStore.get(key);
+    } catch (error) {
+      console.error(`Error reading cached suggestions for ${key}:`, error);
+      return undefined;
+    }
+  };
+
+  const readShared = async (key, options) => {
+    try {
+      const docSnap = await getDoc(sharedDocRef(key, options));
+      return docSnap.exists() ? docSnap.data() : undefined;
+    } catch (error) {
+      console.error(`Error reading shared suggestion cache for ${key}:`, error);
+      return undefined;
+    }
+  };
+
+  const write = async (key, entry, options, { includeShared = true } = {}) => {
+    memory.set(key, entry);
+    try {
+      await localStore.set(key, entry);
+    } catch (error) {
+      console.error(`Error caching suggestions for ${key}:`, error);
+    }
+    if (includeShared && canUseShared(options)) {
+      try {
+        await setDoc(sharedDocRef(key, options), entry);
+      } catch (error) {
+        console.error(`Error writing shared suggestion cache for ${key}:`, error);
+      }
+    }
+  };
+
+  // Returns the cached items for `key`, or null when no fresh entry exists in any layer.
+  const get = async (key, options) => {
+    const memoryEntry = memory.get(key);
+    if (isFresh(memoryEntry)) return memoryEntry.items;
+
+    const localEntry = await readLocal(key);
+    if (isFresh(localEntry)) {
+      memory.set(key, localEntry);
+      return localEntry.items;
+    }
+
+    if (canUseShared(options) && !bypassShared.has(key)) {
+      const sharedEntry = await readShared(key, options);
+      if (isFresh(sharedEntry)) {
+        await write(key, sharedEntry, options, { includeShared: false });
+        return sharedEntry.items;
+      }
+    }
+    return null;
+  };
+
+  const set = (key, items, options) => {
+    bypassShared.delete(key);
+    return write(key, { items, fetchedAt: Date.now() }, options);
+  };
+
+  return {
+    get,
+    set,
+
+    // Cached items when fresh, otherwise `fetcher()` (whose result is then cached).
+    getOrFetch: async (key, fetcher, options) => {
+      const cachedItems = await get(key, options);
+      if (cachedItems) return cachedItems;
+      const items = await fetcher();
+      await set(key, items, options);
+      return items;
+    },
+
+    // Drops one entry (or everything when `key` is omitted) so the next lookup refetches. The shared
+    // copy is left to expire: it's skipped for this key until the refetched list replaces it here.
+    invalidate: async (key) => {
+      if (key === undefined) {
+        memory.clear();
+        await localStore.clear();
+        return;
+      }
+      memory.delete(key);
+      bypassShared.add(key);
+      await localStore.delete(key);
+    },
+  };
+};
+
+const suggestionCache = createSuggestionCache({
+  shared: process.env.REACT_APP_SHARED_SUGGESTION_CACHE === 'true',
+});
+
+export default suggestionCache;
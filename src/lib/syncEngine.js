@@ -0,0 +1,75 @@
+import { doc, onSnapshot } from 'firebase/firestore';
+import { userDocPath, reconcileRemoteDocument, flushOutbox } from './localPersistence';
+
+// One Firestore listener per user document, shared by everything that needs the document
+// (the wizard for progress, the mounted step for live updates). Snapshots are reconciled with
+// queued local edits before listeners see them, so a remote change never overwrites unsynced work.
+
+export const createSyncEngine = ({ db, appId, userId }) => {
+  const listenersByDocId = new Map();
+  const latestByDocId = new Map();
+  const unsubscribes = [];
+
+  const notify = (docId) => {
+    const latest = latestByDocId.get(docId);
+    (listenersByDocId.get(docId) || []).forEach(listener => listener(latest));
+  };
+
+  const listen = (docId) => {
+    const docRef = doc(db, userDocPath({ appId, userId, docId }));
+    unsubscribes.push(onSnapshot(docRef, async (docSnap) => {
+      // Local echoes of in-flight writes carry no new information; wait for the committed copy.
+      if (docSnap.metadata.hasPendingWrites) return;
+      try {
+        const data = await reconcileRemoteDocument(docId, docSnap.exists() ? docSnap.data() : null, { ownerUid: userId });
+        latestByDocId.set(docId, data);
+        notify(docId);
+      } catch (error) {
+        console.error(`Error reconciling ${docId}:`, error);
+      }
+    }, (error) => {
+      console.error(`Error listening to ${docId} document:`, error);
+      latestByDocId.set(docId, latestByDocId.get(docId) ?? null);
+      notify(docId);
+    }));
+  };
+
+  return {
+    // Calls `listener(data)` with the reconciled document now (if known) and on every change.
+    // `data` is null when the document doesn't exist.
+    subscribe: (docId, listener) => {
+      if (!listenersByDocId.has(docId)) {
+        listenersByDocId.set(docId, new Set());
+        listen(docId);
+      }
+      listenersByDocId.get(docId).add(listener);
+      if (latestByDocId.has(docId)) {
+        listener(latestByDocId.get(docId));
+      }
+      return () => listenersByDocId.get(docId).delete(listener);
+    },
+
+    flush: () => flushOutbox({ db, appId, userId }),
+
+    dispose: () => {
+      unsubscribes.forEach(unsubscribe => unsubscribe());
+      listenersByDocId.clear();
+      latestByDocId.clear();
+    },
+  };
+};
+
+// The engine for the signed-in user, created on first use and replaced when the user changes.
+let currentEngine = null;
+let currentEngineKey = '';
+
+export const getSyncEngine = ({ db, appId, userId }) => {
+  if (!db || !userId) return null;
+  const key = `${appId}/${userId}`;
+  if (!currentEngine || currentEngineKey !== key || currentEngine.db !== db) {
+    if (currentEngine) currentEngine.dispose();
+    currentEngine = { ...createSyncEngine({ db, appId, userId }), db };
+    currentEngineKey = key;
+  }
+  return currentEngine;
+};
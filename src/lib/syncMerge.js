@@ -0,0 +1,132 @@
+import stableStringify from './stableStringify';
+import { migrateSkillsDocument, pruneCategories } from './skillModel';
+import { normalizeOffersDocument } from './offers';
+import { normalizeWhereDocument } from './channels';
+import { normalizeAvailabilityDocument } from './availability';
+import { normalizeWhyDocument } from './motivations';
+
+// Three-way merge strategies used when a document changed both locally and in Firestore
+// (another tab or device) since the last sync. Each strategy gets the last synced copy (`base`),
+// this device's copy (`local`) and the stored copy (`remote`) and returns the reconciled document.
+
+const isChanged = (value, baseValue) => stableStringify(value) !== stableStringify(baseValue);
+
+// Merges two maps of entities keyed by id. An entity survives unless one side deleted it and
+// the other left it untouched, so additions and edits from either side are never lost.
+// When both sides edited the same entity, the one with the later `updatedAt` wins.
+export const mergeEntityMaps = (base = {}, local = {}, remote = {}) => {
+  const merged = {};
+  const ids = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  ids.forEach(id => {
+    const [baseEntity, localEntity, remoteEntity] = [base[id], local[id], remote[id]];
+    if (localEntity && remoteEntity) {
+      const localChanged = isChanged(localEntity, baseEntity);
+      const remoteChanged = isChanged(remoteEntity, baseEntity);
+      if (localChanged && remoteChanged) {
+        merged[id] = (localEntity.updatedAt || 0) >= (remoteEntity.updatedAt || 0) ? localEntity : remoteEntity;
+      } else {
+        merged[id] = localChanged ? localEntity : remoteEntity;
+      }
+      return;
+    }
+    const present = localEntity || remoteEntity;
+    // Present on one side only: keep it if it was added there, or edited there after the other side deleted it.
+    if (!baseEntity || isChanged(present, baseEntity)) {
+      merged[id] = present;
+    }
+  });
+  return merged;
+};
+
+// Merges two lists of ids as sets: an id added on either side is kept, one removed on either side
+// is dropped. Undo relies on the removal half to take back "keep both" decisions.
+const mergeIdSets = (base = [], local = [], remote = []) => {
+  const removed = new Set(base.filter(id => !local.includes(id) || !remote.includes(id)));
+  return Array.from(new Set([...remote, ...local])).filter(id => !removed.has(id));
+};
+
+// Non-entity fields: take the local value if this device changed it, otherwise the stored one.
+const mergeFields = (base = {}, local = {}, remote = {}) => {
+  const merged = { ...remote };
+  Object.keys(local).forEach(field => {
+    if (isChanged(local[field], base[field])) {
+      merged[field] = local[field];
+    }
+  });
+  return merged;
+};
+
+// whatSkills: skills merge by id; categories are unioned and then pruned to those still in use;
+// "keep both" decisions for look-alike skills merge as a set.
+export const mergeSkillsDocument = (baseDoc, localDoc, remoteDoc) => {
+  const [base, local, remote] = [baseDoc, localDoc, remoteDoc].map(migrateSkillsDocument);
+  return pruneCategories({
+    ...mergeFields(base, local, remote),
+    categories: { ...base.categories, ...remote.categories, ...local.categories },
+    skills: mergeEntityMaps(base.skills, local.skills, remote.skills),
+    distinctPairs: mergeIdSets(base.distinctPairs, local.distinctPairs, remote.distinctPairs),
+  });
+};
+
+// whoAudiences: segments (a list) merge by id like entity maps; the result keeps this device's order,
+// with segments added elsewhere after them.
+const segmentsById = (doc) => Object.fromEntries((Array.isArray(doc?.segments) ? doc.segments : [])
+  .map(segment => [segment.id || segment.name, segment]));
+
+export const mergeAudiencesDocument = (baseDoc, localDoc, remoteDoc) => {
+  const [base, local, remote] = [baseDoc, localDoc, remoteDoc].map(segmentsById);
+  const merged = mergeEntityMaps(base, local, remote);
+  const order = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  return {
+    ...mergeFields(baseDoc || {}, localDoc || {}, remoteDoc || {}),
+    segments: Array.from(order).filter(id => merged[id]).map(id => merged[id]),
+  };
+};
+
+// whereChannels: channels merge by id; the service area is a single field (the latest change wins).
+export const mergeWhereDocument = (baseDoc, localDoc, remoteDoc) => {
+  const [base, local, remote] = [baseDoc, localDoc, remoteDoc].map(normalizeWhereDocument);
+  return {
+    ...mergeFields(base, local, remote),
+    channels: mergeEntityMaps(base.channels, local.channels, remote.channels),
+  };
+};
+
+// whenAvailability: the grid merges day by day; capacity and per-skill hours follow mergeFields.
+export const mergeAvailabilityDocument = (baseDoc, localDoc, remoteDoc) => {
+  const [base, local, remote] = [baseDoc, localDoc, remoteDoc].map(normalizeAvailabilityDocument);
+  return {
+    ...mergeFields(base, local, remote),
+    slots: mergeFields(base.slots, local.slots, remote.slots),
+  };
+};
+
+// whyMotivations: goals and enjoyment ratings merge one entry at a time; the motivation and value
+// lists follow mergeFields.
+export const mergeWhyDocument = (baseDoc, localDoc, remoteDoc) => {
+  const [base, local, remote] = [baseDoc, localDoc, remoteDoc].map(normalizeWhyDocument);
+  return {
+    ...mergeFields(base, local, remote),
+    goals: mergeFields(base.goals, local.goals, remote.goals),
+    enjoyment: mergeFields(base.enjoyment, local.enjoyment, remote.enjoyment),
+  };
+};
+
+// howOffers: shortlisted offers merge by id; the skill selection follows mergeFields.
+export const mergeOffersDocument = (baseDoc, localDoc, remoteDoc) => {
+  const [base, local, remote] = [baseDoc, localDoc, remoteDoc].map(normalizeOffersDocument);
+  return {
+    ...mergeFields(base, local, remote),
+    offers: mergeEntityMaps(base.offers, local.offers, remote.offers),
+  };
+};
+
+// Keyed by document id under userSkills/. Documents without a strategy surface as conflicts.
+export const mergeStrategies = {
+  whatSkills: mergeSkillsDocument,
+  whoAudiences: mergeAudiencesDocument,
+  whereChannels: mergeWhereDocument,
+  whenAvailability: mergeAvailabilityDocument,
+  whyMotivations: mergeWhyDocument,
+  howOffers: mergeOffersDocument,
+};
@@ -0,0 +1,131 @@
+import {
+  mergeEntityMaps,
+  mergeSkillsDocument,
+  mergeAudiencesDocument,
+  mergeAvailabilityDocument,
+  mergeWhereDocument,
+  mergeStrategies,
+} from './syncMerge';
+import { addSkill, createEmptySkillsDocument, customCategory, removeSkill, SKILL_ORIGINS } from './skillModel';
+import { addChannel, createEmptyWhereDocument, normalizeWhereDocument } from './channels';
+
+const entity = (id, changes = {}) => ({ id, name: id, updatedAt: 1, ...changes });
+
+describe('mergeEntityMaps', () => {
+  const base = { a: entity('a'), b: entity('b') };
+
+  test('keeps entities added on either side', () => {
+    const merged = mergeEntityMaps(base, { ...base, c: entity('c') }, { ...base, d: entity('d') });
+    expect(Object.keys(merged).sort()).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('drops an entity deleted on one side and untouched on the other', () => {
+    const { a, ...withoutA } = base;
+    expect(mergeEntityMaps(base, withoutA, base)).toEqual(withoutA);
+    expect(mergeEntityMaps(base, base, withoutA)).toEqual(withoutA);
+  });
+
+  test('keeps an entity edited on one side and deleted on the other', () => {
+    const { a, ...withoutA } = base;
+    const editedA = entity('a', { name: 'edited', updatedAt: 2 });
+    expect(mergeEntityMaps(base, withoutA, { ...base, a: editedA }).a).toEqual(editedA);
+  });
+
+  test('takes the only changed side of an entity', () => {
+    const remoteA = entity('a', { name: 'remote' });
+    expect(mergeEntityMaps(base, base, { ...base, a: remoteA }).a).toEqual(remoteA);
+  });
+
+  test('takes the later edit when both sides changed the same entity', () => {
+    const localA = entity('a', { name: 'local', updatedAt: 5 });
+    const remoteA = entity('a', { name: 'remote', updatedAt: 3 });
+    expect(mergeEntityMaps(base, { ...base, a: localA }, { ...base, a: remoteA }).a).toEqual(localA);
+    expect(mergeEntityMaps(base, { ...base, a: remoteA }, { ...base, a: localA }).a).toEqual(localA);
+  });
+});
+
+describe('mergeSkillsDocument', () => {
+  const music = customCategory('Music');
+  const base = addSkill(createEmptySkillsDocument(), {
+    name: 'Songwriting', broad: music, subCategoryName: 'Writing', origin: SKILL_ORIGINS.TYPED, id: 'sk_song', now: 1,
+  });
+
+  test('combines skills added on two devices and prunes categories no longer used', () => {
+    const local = addSkill(base, {
+      name: 'Mixing', broad: music, subCategoryName: 'Production', origin: SKILL_ORIGINS.TYPED, id: 'sk_mix', now: 2,
+    });
+    const remote = addSkill(removeSkill(base, 'sk_song'), {
+      name: 'Piano', broad: music, subCategoryName: 'Lessons', origin: SKILL_ORIGINS.TYPED, id: 'sk_piano', now: 3,
+    });
+
+    const merged = mergeSkillsDocument(base, local, remote);
+    expect(Object.keys(merged.skills).sort()).toEqual(['sk_mix', 'sk_piano']);
+    expect(Object.keys(merged.categories).sort()).toEqual(['custom:music', 'custom:music/lessons', 'custom:music/production']);
+  });
+
+  test('unions the pairs kept apart on either side', () => {
+    const merged = mergeSkillsDocument(
+      base,
+      { ...base, distinctPairs: ['a|b'] },
+      { ...base, distinctPairs: ['c|d'] }
+    );
+    expect(merged.distinctPairs.sort()).toEqual(['a|b', 'c|d']);
+  });
+});
+
+describe('mergeAudiencesDocument', () => {
+  const segment = (id, changes = {}) => ({ id, name: id, description: '', linkedSkills: [], ...changes });
+  const base = { segments: [segment('seg_a'), segment('seg_b')] };
+
+  test('keeps local order and appends segments added elsewhere', () => {
+    const local = { segments: [segment('seg_b'), segment('seg_a'), segment('seg_c')] };
+    const remote = { segments: [...base.segments, segment('seg_d')] };
+    expect(mergeAudiencesDocument(base, local, remote).segments.map(({ id }) => id)).toEqual(['seg_b', 'seg_a', 'seg_c', 'seg_d']);
+  });
+
+  test('applies edits and deletions from both sides', () => {
+    const local = { segments: [segment('seg_a', { description: 'Parents' }), segment('seg_b')] };
+    const remote = { segments: [segment('seg_a')] };
+    expect(mergeAudiencesDocument(base, local, remote).segments).toEqual([segment('seg_a', { description: 'Parents' })]);
+  });
+
+  test('handles a missing base document', () => {
+    expect(mergeAudiencesDocument(null, { segments: [segment('seg_a')] }, { segments: [] }).segments).toEqual([segment('seg_a')]);
+  });
+
+  test('is registered for the whoAudiences document', () => {
+    expect(mergeStrategies.whoAudiences).toBe(mergeAudiencesDocument);
+  });
+});
+
+describe('mergeWhereDocument', () => {
+  const base = addChannel(createEmptyWhereDocument(), { name: 'Etsy', type: 'marketplace' }, 1);
+
+  test('normalizes the same document to the same channels every time', () => {
+    const stored = { channels: { ch_old: { name: 'Fiverr' } } };
+    expect(normalizeWhereDocument(stored)).toEqual(normalizeWhereDocument(stored));
+    expect(Object.keys(normalizeWhereDocument(stored).channels)).toEqual(['ch_old']);
+  });
+
+  test('keeps channel ids through a merge and adds channels from both sides', () => {
+    const local = addChannel(base, { name: 'My website', type: 'website' }, 2);
+    const remote = addChannel(base, { name: 'Craft fair', type: 'in-person' }, 3);
+
+    const merged = mergeWhereDocument(base, local, remote);
+    expect(Object.keys(merged.channels).sort()).toEqual(Object.keys({ ...local.channels, ...remote.channels }).sort());
+    expect(Object.values(merged.channels).map(({ name }) => name).sort()).toEqual(['Craft fair', 'Etsy', 'My website']);
+  });
+});
+
+describe('mergeAvailabilityDocument', () => {
+  test('merges the grid day by day and other fields one at a time', () => {
+    const base = { slots: { mon: [9] }, capacityHours: 10 };
+    const local = { slots: { mon: [9, 10] }, capacityHours: 10 };
+    const remote = { slots: { mon: [9], tue: [14] }, capacityHours: 20 };
+
+    const merged = mergeAvailabilityDocument(base, local, remote);
+    expect(merged.slots.mon).toEqual([9, 10]);
+    expect(merged.slots.tue).toEqual([14]);
+    expect(merged.capacityHours).toBe(20);
+  });
+});
@@ -0,0 +1,125 @@
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import defaultTaxonomy from './defaultTaxonomy.json';
+import { translateTaxonomyName } from './i18n';
+
+// The category taxonomy: broad categories with their curated sub-categories and seed skills.
+//
+// {
+//   version,
+//   broadCategories: [{ id, name, description, icon, subCategories: [{ name, seedSkills: [name] }] }],
+// }
+//
+// The bundled copy (defaultTaxonomy.json) is used until the shared config document at
+// artifacts/${appId}/config/taxonomy has been read, and whenever it's missing or unreadable.
+// Broad category ids are kept when a category is renamed, so skills already filed under it stay put.
+// Writes to the config document are limited to the uids listed in artifacts/${appId}/config/admins
+// (see firestore.rules); the app only uses that list to decide whether to show the editor.
+
+const taxonomyDocPath = (appId) => `artifacts/${appId}/config/taxonomy`;
+const adminsDocPath = (appId) => `artifacts/${appId}/config/admins`;
+
+const cleanNames = (names) => Array.from(new Set((Array.isArray(names) ? names : [])
+  .filter(name => typeof name === 'string')
+  .map(name => name.trim())
+  .filter(Boolean)));
+
+// Drops malformed entries so a hand-edited config document can't break the wizard.
+export const normalizeTaxonomy = (raw) => ({
+  version: Number(raw?.version) || 1,
+  broadCategories: (Array.isArray(raw?.broadCategories) ? raw.broadCategories : [])
+    .filter(category => typeof category?.id === 'string' && typeof category?.name === 'string' && category.name.trim() !== '')
+    .map(category => ({
+      id: category.id,
+      name: category.name.trim(),
+      description: typeof category.description === 'string' ? category.description.trim() : '',
+      icon: typeof category.icon === 'string' ? category.icon.trim() : '',
+      subCategories: (Array.isArray(category.subCategories) ? category.subCategories : [])
+        .filter(subCategory => typeof subCategory?.name === 'string' && subCategory.name.trim() !== '')
+        .map(subCategory => ({ name: subCategory.name.trim(), seedSkills: cleanNames(subCategory.seedSkills) })),
+    })),
+});
+
+export const bundledTaxonomy = normalizeTaxonomy(defaultTaxonomy);
+
+// --- Current taxonomy ---
+
+let currentTaxonomy = bundledTaxonomy;
+const taxonomyListeners = new Set();
+
+export const getTaxonomy = () => currentTaxonomy;
+
+export const setTaxonomy = (taxonomy) => {
+  const normalized = normalizeTaxonomy(taxonomy);
+  currentTaxonomy = normalized.broadCategories.length > 0 ? normalized : bundledTaxonomy;
+  taxonomyListeners.forEach(listener => listener(currentTaxonomy));
+};
+
+export const subscribeToTaxonomy = (listener) => {
+  taxonomyListeners.add(listener);
+  return () => taxonomyListeners.delete(listener);
+};
+
+const findBroadCategory = (broadId) => currentTaxonomy.broadCategories.find(category => category.id === broadId);
+
+// Curated sub-category names for a broad category id, as written in the taxonomy (display them
+// with translateTaxonomyName); empty for categories outside the taxonomy.
+export const curatedSubCategories = (broadId) => (findBroadCategory(broadId)?.subCategories || [])
+  .map(subCategory => subCategory.name);
+
+// Seed skills for a curated sub-category, as written in the taxonomy. The sub-category may also be
+// given by its translation, as profiles saved before names were stored untranslated have those.
+export const seedSkills = (broadId, subCategoryName) => {
+  const key = subCategoryName.trim().toLowerCase();
+  return findBroadCategory(broadId)?.subCategories
+    .find(subCategory => [subCategory.name, translateTaxonomyName(subCategory.name)].some(name => name.toLowerCase() === key))?.seedSkills || [];
+};
+
+// Curated entries first, then the generated ones that aren't already listed (case-insensitive).
+// Generated names are in the UI language, so curated ones are compared by their translation too.
+export const withCuratedFirst = (curated, generated) => {
+  const seen = new Set(curated.flatMap(name => [name, translateTaxonomyName(name)]).map(name => name.toLowerCase()));
+  return [...curated, ...generated.filter(name => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  })];
+};
+
+// --- Firestore config ---
+
+// The stored config, or null when none has been saved yet. Throws when it can't be read.
+export const fetchTaxonomyConfig = async ({ db, appId }) => {
+  const docSnap = await getDoc(doc(db, taxonomyDocPath(appId)));
+  return docSnap.exists() ? docSnap.data() : null;
+};
+
+export const loadTaxonomy = async ({ db, appId }) => {
+  try {
+    const config = await fetchTaxonomyConfig({ db, appId });
+    if (config) {
+      setTaxonomy(config);
+      console.log("Taxonomy loaded from config.");
+    }
+  } catch (error) {
+    console.error("Error loading taxonomy, using the bundled one:", error);
+  }
+  return currentTaxonomy;
+};
+
+export const saveTaxonomy = async ({ db, appId }, taxonomy) => {
+  const normalized = normalizeTaxonomy(taxonomy);
+  await setDoc(doc(db, taxonomyDocPath(appId)), { ...normalized, updatedAt: serverTimestamp() });
+  setTaxonomy(normalized);
+};
+
+export const isTaxonomyAdmin = async ({ db, appId, userId }) => {
+  if (!db || !userId) return false;
+  try {
+    const docSnap = await getDoc(doc(db, adminsDocPath(appId)));
+    return docSnap.exists() && (docSnap.data().uids || []).includes(userId);
+  } catch (error) {
+    console.error("Error checking taxonomy admin access:", error);
+    return false;
+  }
+};
@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useDebouncedSave from '../hooks/useDebouncedSave';
+import useRemoteUpdates from '../hooks/useRemoteUpdates';
+import { t } from '../lib/i18n';
+import { loadDocument } from '../lib/localPersistence';
+import { mergeOffersDocument } from '../lib/syncMerge';
+import { isAbortError } from '../lib/llm';
+import { migrateSkillsDocument, rankSkillsByStrength, skillLabel } from '../lib/skillModel';
+import {
+  createEmptyOffersDocument,
+  normalizeOffersDocument,
+  createOffer,
+  listOffers,
+  selectedSkillIds,
+  shortlistOffer,
+  updateOffer,
+  removeOffer,
+} from '../lib/offers';
+import { generateOfferIdeas, describeMotivations } from '../lib/offerGenerator';
+import RetryNotice from '../components/RetryNotice';
+import OfferCard, { OfferFieldSuggestions } from '../components/OfferCard';
+
+const actionButtonClassName = 'text-sm font-bold py-1 px-3 rounded-lg shadow-sm transition-colors duration-150';
+
+// How? step: turns chosen skills (with the Who? and Why? answers as context) into service and
+// product ideas. Ideas can be edited, shortlisted or discarded; only the shortlist is saved.
+const HowStep = ({ db, userId, isAuthReady, isFirebaseUnavailable, canvasAppId, syncEngine, profile, onDataChange }) => {
+  const [offersDoc, setOffersDoc] = useState(createEmptyOffersDocument);
+  const [ideas, setIdeas] = useState([]); // Generated, not yet shortlisted or discarded
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [generateError, setGenerateError] = useState('');
+  const [hasLoaded, setHasLoaded] = useState(false);
+  const lastSyncedRef = useRef(null); // Base for merging live updates into local state
+  const generateControllerRef = useRef(null);
+
+  // Load once Firestore is ready, or straight from the local store when Firebase isn't available.
+  const canLoad = (isAuthReady && Boolean(db) && Boolean(userId)) || isFirebaseUnavailable;
+
+  // --- Data Loading and Saving ---
+  useEffect(() => {
+    if (!canLoad) {
+      return;
+    }
+
+    let cancelled = false;
+    const loadOffers = async () => {
+      try {
+        const data = await loadDocument({ db, appId: canvasAppId, userId, docId: 'howOffers' });
+        if (!cancelled && data) {
+          const loaded = normalizeOffersDocument(data);
+          lastSyncedRef.current = loaded;
+          setOffersDoc(loaded);
+        }
+        console.log("Offers loaded.");
+      } catch (error) {
+        console.error("Error loading offers:", error);
+      } finally {
+        if (!cancelled) setHasLoaded(true);
+      }
+    };
+
+    loadOffers();
+    return () => {
+      cancelled = true;
+    };
+  }, [canLoad, db, userId, canvasAppId]);
+
+  useRemoteUpdates({
+    syncEngine,
+    docId: 'howOffers',
+    enabled: hasLoaded,
+    syncedRef: lastSyncedRef,
+    setData: setOffersDoc,
+    merge: mergeOffersDocument,
+  });
+
+  useDebouncedSave({
+    db,
+    userId,
+    appId: canvasAppId,
+    docId: 'howOffers',
+    data: offersDoc,
+    enabled: hasLoaded,
+  });
+
+  useEffect(() => {
+    if (hasLoaded) {
+      onDataChange(offersDoc);
+    }
+  }, [offersDoc, hasLoaded, onDataChange]);
+
+  // Leaving the step cancels a generation still in flight.
+  useEffect(() => () => generateControllerRef.current?.abort(), []);
+
+  const skillsDoc = migrateSkillsDocument(profile.what);
+  const rankedSkills = rankSkillsByStrength(skillsDoc);
+  const chosenSkillIds = selectedSkillIds(offersDoc, rankedSkills);
+  const audiences = (profile.who?.segments || []).filter(segment => segment.name.trim() !== '');
+  const motivations = describeMotivations(profile.why);
+  const shortlist = listOffers(offersDoc);
+
+  // --- Handlers for User Input ---
+
+  const handleToggleSkill = (skillId) => {
+    setOffersDoc(prev => ({
+      ...prev,
+      selectedSkillIds: chosenSkillIds.includes(skillId)
+        ? chosenSkillIds.filter(id => id !== skillId)
+        : [...chosenSkillIds, skillId],
+    }));
+  };
+
+  const handleGenerate = async () => {
+    generateControllerRef.current?.abort();
+    const controller = new AbortController();
+    generateControllerRef.current = controller;
+    setIsGenerating(true);
+    setGenerateError('');
+    try {
+      const generated = await generateOfferIdeas({
+        skills: rankedSkills.filter(skill => chosenSkillIds.includes(skill.id)),
+        audiences,
+        motivations,
+        signal: controller.signal,
+      });
+      setIdeas(prev => [...generated, ...prev]);
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error("Error generating offer ideas:", error);
+      setGenerateError(t('how.generateError'));
+    } finally {
+      if (generateControllerRef.current === controller) {
+        generateControllerRef.current = null;
+        setIsGenerating(false);
+      }
+    }
+  };
+
+  const handleEditIdea = (ideaId, changes) => {
+    setIdeas(prev => prev.map(idea => (idea.id === ideaId ? { ...idea, ...changes } : idea)));
+  };
+
+  const handleDiscardIdea = (ideaId) => {
+    setIdeas(prev => prev.filter(idea => idea.id !== ideaId));
+  };
+
+  const handleShortlistIdea = (idea) => {
+    setOffersDoc(prev => shortlistOffer(prev, idea));
+    handleDiscardIdea(idea.id);
+  };
+
+  const handleAddOwnOffer = () => {
+    setOffersDoc(prev => shortlistOffer(prev, createOffer()));
+  };
+
+  return (
+    <>
+      <h1 className="text-3xl font-bold text-center text-blue-800 mb-6">
+        {t('step.how.label')} <span className="text-xl font-normal">({t('step.how.title')})</span>
+      </h1>
+      <p className="text-center text-gray-600 mb-8">
+        {t('how.intro')}
+      </p>
+      <OfferFieldSuggestions />
+
+      {/* 1. Skills Section */}
+      <div className="mb-8 p-4 border border-blue-200 rounded-lg bg-blue-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('how.skillsHeading')}</h2>
+        {rankedSkills.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('how.noSkills')}</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap gap-2 mb-4">
+              {rankedSkills.map(skill => {
+                const isChosen = chosenSkillIds.includes(skill.id);
+                return (
+                  <button
+                    key={skill.id}
+                    onClick={() => handleToggleSkill(skill.id)}
+                    aria-pressed={isChosen}
+                    className={`text-sm font-medium px-3 py-1 rounded-full shadow-sm transition-colors duration-150 ${isChosen ? 'bg-purple-600 text-white' : 'bg-purple-100 text-purple-800 hover:bg-purple-200'}`}
+                  >
+                    {skillLabel(skill)}
+                  </button>
+                );
+              })}
+            </div>
+            <p className="text-xs text-gray-500 mb-4">
+              {audiences.length > 0 || motivations.length > 0
+                ? t('how.contextUsed')
+                : t('how.contextMissing')}
+            </p>
+            <button
+              onClick={handleGenerate}
+              disabled={isGenerating || chosenSkillIds.length === 0}
+              className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:shadow-outline transition-colors duration-200 shadow-md disabled:opacity-50"
+            >
+              {isGenerating ? t('how.generating') : ideas.length > 0 ? t('how.generateMore') : t('how.generate')}
+            </button>
+          </>
+        )}
+        {generateError && <RetryNotice message={generateError} onRetry={handleGenerate} />}
+      </div>
+
+      {/* 2. Ideas Section */}
+      {ideas.length > 0 && (
+        <div className="mb-8 p-4 border border-yellow-200 rounded-lg bg-yellow-50">
+          <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('how.ideasHeading')}</h2>
+          <p className="text-sm text-gray-600 mb-4">{t('how.ideasHelp')}</p>
+          {ideas.map(idea => (
+            <OfferCard
+              key={idea.id}
+              offer={idea}
+              skillsDoc={skillsDoc}
+              onChange={(changes) => handleEditIdea(idea.id, changes)}
+              actions={(
+                <>
+                  <button onClick={() => handleShortlistIdea(idea)} className={`${actionButtonClassName} bg-green-600 hover:bg-green-700 text-white`}>
+                    {t('how.shortlist')}
+                  </button>
+                  <button onClick={() => handleDiscardIdea(idea.id)} className={`${actionButtonClassName} bg-gray-200 hover:bg-gray-300 text-gray-700`}>
+                    {t('how.discard')}
+                  </button>
+                </>
+              )}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* 3. Shortlist Section */}
+      <div className="mb-8 p-4 border border-green-200 rounded-lg bg-green-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('how.shortlistHeading')}</h2>
+        {shortlist.length === 0 && (
+          <p className="text-sm text-gray-500 mb-4">{t('how.shortlistEmpty')}</p>
+        )}
+        {shortlist.map(offer => (
+          <OfferCard
+            key={offer.id}
+            offer={offer}
+            skillsDoc={skillsDoc}
+            onChange={(changes) => setOffersDoc(prev => updateOffer(prev, offer.id, changes))}
+            actions={(
+              <button
+                onClick={() => setOffersDoc(prev => removeOffer(prev, offer.id))}
+                className="text-green-600 hover:text-green-900 transition-colors duration-150"
+                aria-label={t('common.removeLabel', { name: offer.title || t('how.offer') })}
+              >
+                &times;
+              </button>
+            )}
+          />
+        ))}
+        <button onClick={handleAddOwnOffer} className="text-sm text-blue-600 hover:text-blue-800 underline">
+          {t('how.addOwnOffer')}
+        </button>
+      </div>
+    </>
+  );
+};
+
+export default HowStep;
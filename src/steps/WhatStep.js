@@ -0,0 +1,889 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import useDebouncedSave from '../hooks/useDebouncedSave';
+import useUndoableState from '../hooks/useUndoableState';
+import useTaxonomy from '../hooks/useTaxonomy';
+import useLocale from '../hooks/useLocale';
+import useComments from '../hooks/useComments';
+import { loadDocument } from '../lib/localPersistence';
+import { mergeSkillsDocument } from '../lib/syncMerge';
+import {
+  SKILL_ORIGINS,
+  CATEGORY_KINDS,
+  customCategory,
+  isStandardCategoryId,
+  categoryLabel,
+  filingLabel,
+  getCategory,
+  createEmptySkillsDocument,
+  pickSkillsFields,
+  skillsFingerprint,
+  migrateSkillsDocument,
+  addSkill,
+  moveSkill,
+  moveSubCategory,
+  renameSkill,
+  renameBroadCategory,
+  updateSkill,
+  removeSkill,
+  mergeSkills,
+  markSkillsDistinct,
+  subCategoryId,
+  removeBroadCategory,
+  findSkill,
+  listSkills,
+  groupSkillsByCategory,
+  broadCategoryOptions,
+} from '../lib/skillModel';
+import llmClient, { isAbortError } from '../lib/llm';
+import suggestionCache, { suggestionCacheKey } from '../lib/suggestionCache';
+import { categorizeSkill, isLowConfidence } from '../lib/skillCategorizer';
+import { findDuplicateCandidates, findSemanticDuplicates, isSemanticMatchingEnabled, distinctPairKey } from '../lib/skillDuplicates';
+import { curatedSubCategories, seedSkills, withCuratedFirst } from '../lib/taxonomy';
+import { createId } from '../lib/ids';
+import { addComment, deleteComment, countCommentsByTarget, commentTargetLabel } from '../lib/comments';
+import { collaboratorName } from '../lib/collaboration';
+import { hasWhyAnswers, rankBestFitSkills } from '../lib/motivations';
+import { t, promptLanguage, translateCategoryName, translateCategoryDescription, translateTaxonomyName } from '../lib/i18n';
+import RetryNotice from '../components/RetryNotice';
+import SkillSummary from '../components/SkillSummary';
+import SkillImportPanel from '../components/SkillImportPanel';
+import CategorizationNotice from '../components/CategorizationNotice';
+import DuplicatePrompt from '../components/DuplicatePrompt';
+import DuplicateReview from '../components/DuplicateReview';
+import UndoToast from '../components/UndoToast';
+import CommentsPanel from '../components/CommentsPanel';
+
+// Below these counts the taxonomy's curated suggestions are topped up by the LLM.
+const MIN_SUB_CATEGORY_SUGGESTIONS = 5;
+const MIN_SKILL_SUGGESTIONS = 8;
+
+// Checkbox selection implied by stored skills: the standard categories they use, plus 'Other'
+// and the custom/auto category ids when such categories exist.
+const deriveSelectedBroadCategories = (skillsDoc) => {
+  const selected = new Set();
+  listSkills(skillsDoc).forEach(skill => {
+    const broadId = skill.categoryIds[0];
+    if (!isStandardCategoryId(broadId)) {
+      selected.add('Other'); // Ensure 'Other' checkbox is checked if custom categories exist
+    }
+    selected.add(broadId);
+  });
+  return Array.from(selected);
+};
+
+const mergeSelection = (selected, additions) => Array.from(new Set([...selected, ...additions]));
+
+// Checkbox entries to tick when a skill is filed under `broad`.
+const selectionFor = (broad) => (broad.kind === CATEGORY_KINDS.STANDARD ? [broad.id] : ['Other', broad.id]);
+
+// Text fields keep the browser's own undo for Ctrl+Z; everywhere else it undoes skill edits.
+const isTextEntry = (element) => element.isContentEditable
+  || element.tagName === 'TEXTAREA'
+  || (element.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'file'].includes(element.type));
+
+// What? step: broad categories, sub-categories and individual skills.
+const WhatStep = ({ db, userId, account, isAuthReady, isFirebaseUnavailable, canvasAppId, syncEngine, profile, onDataChange }) => {
+  // Application States
+  const [selectedBroadCategories, setSelectedBroadCategories] = useState([]);
+  // Every user edit of the skills goes through editSkills so it can be undone; loads and remote
+  // updates use replaceSkills and aren't part of the history.
+  const taxonomy = useTaxonomy();
+  const [locale] = useLocale();
+  const [skillsDoc, skillsHistory] = useUndoableState(createEmptySkillsDocument, { merge: mergeSkillsDocument });
+  const { replace: replaceSkills, undo: undoSkills, redo: redoSkills, dismissLastEntry } = skillsHistory;
+  const [newSkillInput, setNewSkillInput] = useState('');
+  const [activeBroadCategory, setActiveBroadCategory] = useState('');
+  const [activeSubCategory, setActiveSubCategory] = useState('');
+  const [newCustomBroadCategory, setNewCustomBroadCategory] = useState('');
+  const [suggestedSubCategories, setSuggestedSubCategories] = useState([]);
+  const [suggestedSpecificSkills, setSuggestedSpecificSkills] = useState([]);
+  const [loadingSubCategories, setLoadingSubCategories] = useState(false);
+  const [loadingSpecificSkills, setLoadingSpecificSkills] = useState(false);
+  const [subCategoriesError, setSubCategoriesError] = useState('');
+  const [specificSkillsError, setSpecificSkillsError] = useState('');
+  const [subCategoriesRetryCount, setSubCategoriesRetryCount] = useState(0); // Bumped by "Retry" to re-run the fetch
+  const [specificSkillsRetryCount, setSpecificSkillsRetryCount] = useState(0);
+  const [loadingAutoCategorization, setLoadingAutoCategorization] = useState(false);
+  const [selectedSuggestedSkill, setSelectedSuggestedSkill] = useState('');
+  const [pendingCategorization, setPendingCategorization] = useState(null); // { skillId, result } for an unsure auto-categorization
+  const [checkingDuplicates, setCheckingDuplicates] = useState(false);
+  const [duplicatePrompt, setDuplicatePrompt] = useState(null); // { pending, matches } while asking "merge or keep both?"
+  const [hasLoaded, setHasLoaded] = useState(false); // Saving waits until stored skills have been read
+  const [commentTarget, setCommentTarget] = useState(null); // Skill or category whose comments are open
+  const lastSyncedSkillsRef = useRef(null); // Base for merging live updates into local state
+
+  // Comments from the owner and their collaborators, stored with the profile in Firestore.
+  const commentsEnabled = isAuthReady && !isFirebaseUnavailable;
+  const comments = useComments({ db, appId: canvasAppId, ownerUid: userId, enabled: commentsEnabled });
+  const commentsRef = { db, appId: canvasAppId, ownerUid: userId };
+
+  // --- Data Loading and Saving ---
+  // Load once Firestore is ready, or straight from the local store when Firebase isn't available.
+  const canLoad = (isAuthReady && Boolean(db) && Boolean(userId)) || isFirebaseUnavailable;
+
+  useEffect(() => {
+    if (!canLoad) {
+      console.log("Waiting for Auth readiness, DB, or User ID for data operations.");
+      return;
+    }
+
+    let cancelled = false;
+    const loadSkills = async () => {
+      try {
+        const loadedData = await loadDocument({ db, appId: canvasAppId, userId, docId: 'whatSkills' });
+        if (cancelled) return;
+        if (loadedData?.skills) {
+          // Older documents are upgraded here; the next save writes them back in the current schema.
+          const loadedDoc = migrateSkillsDocument(loadedData);
+          lastSyncedSkillsRef.current = loadedDoc;
+          replaceSkills(loadedDoc);
+          setSelectedBroadCategories(prev => mergeSelection(prev, deriveSelectedBroadCategories(loadedDoc)));
+          console.log("Skills loaded.");
+        } else {
+          console.log("No existing skills data for this user.");
+        }
+      } catch (error) {
+        console.error("Error loading skills:", error);
+      } finally {
+        if (!cancelled) setHasLoaded(true);
+      }
+    };
+
+    loadSkills();
+    return () => {
+      cancelled = true;
+    };
+  }, [canLoad, db, userId, canvasAppId, replaceSkills]);
+
+  // Live updates from other tabs/devices, already reconciled with any unsynced local edits.
+  useEffect(() => {
+    if (!syncEngine || !hasLoaded) {
+      return;
+    }
+
+    return syncEngine.subscribe('whatSkills', (data) => {
+      if (!data) return;
+      const updatedDoc = migrateSkillsDocument(data);
+      const baseDoc = lastSyncedSkillsRef.current;
+      lastSyncedSkillsRef.current = updatedDoc;
+      // Merge rather than replace, so edits still inside the save debounce survive a remote update.
+      // Our own flushed writes come back through the listener too; those merge to no change.
+      replaceSkills(prev => {
+        const merged = mergeSkillsDocument(baseDoc, prev, updatedDoc);
+        return skillsFingerprint(prev) === skillsFingerprint(merged) ? prev : merged;
+      });
+      setSelectedBroadCategories(prev => mergeSelection(prev, deriveSelectedBroadCategories(updatedDoc)));
+      console.log("Skills updated via real-time listener.");
+    });
+  }, [syncEngine, hasLoaded, replaceSkills]);
+
+  // Memoized so the debounced save only re-arms when the skills actually change.
+  const skillsData = useMemo(() => pickSkillsFields(skillsDoc), [skillsDoc]);
+  useDebouncedSave({
+    db: isAuthReady ? db : null,
+    userId,
+    appId: canvasAppId,
+    docId: 'whatSkills',
+    data: skillsData,
+    enabled: hasLoaded,
+  });
+
+  // Report the live skills to the wizard so it can validate the step before moving on.
+  useEffect(() => {
+    if (hasLoaded) {
+      onDataChange(skillsData);
+    }
+  }, [skillsData, hasLoaded, onDataChange]);
+
+  // --- Gemini API Calls ---
+
+  // Helper function for auto-categorization. Resolves to the categorizer's result: the top filing
+  // (broad category entity and sub-category name) plus its confidence and alternatives.
+  const autoCategorizeSkill = async (skillInput) => {
+    setLoadingAutoCategorization(true);
+    const result = await categorizeSkill(skillInput);
+    setSelectedBroadCategories(prev => mergeSelection(prev, selectionFor(result.broad)));
+    setLoadingAutoCategorization(false);
+    return result;
+  };
+
+  // The active broad category is an id (or 'Other'); prompts and cache keys use its name.
+  // Auto-categorized buckets have no meaningful name to ask about, so they get no suggestions.
+  const activeCategory = activeBroadCategory && activeBroadCategory !== 'Other' ? getCategory(skillsDoc, activeBroadCategory) : null;
+  const activeCategoryName = activeCategory && activeCategory.kind !== CATEGORY_KINDS.AUTO ? activeCategory.name : '';
+
+  // Manual invalidation: drop the cached list and fetch a fresh one from the LLM. A failure to clear
+  // the local copy is only logged; the refetch still runs.
+  const invalidateSuggestions = async (key) => {
+    try {
+      await suggestionCache.invalidate(key);
+    } catch (error) {
+      console.error("Error clearing cached suggestions:", error);
+    }
+  };
+
+  const handleRefreshSubCategories = async () => {
+    await invalidateSuggestions(suggestionCacheKey(activeCategoryName, '', locale));
+    setSubCategoriesRetryCount(count => count + 1);
+  };
+
+  const handleRefreshSpecificSkills = async () => {
+    await invalidateSuggestions(suggestionCacheKey(activeCategoryName, activeSubCategory, locale));
+    setSpecificSkillsRetryCount(count => count + 1);
+  };
+
+  const activeCategoryId = activeCategory?.id || '';
+
+  // Suggestion requests are tied to the active selection: switching category aborts the
+  // in-flight request (including pending retries), and late replies for an old selection are dropped.
+  // The taxonomy's curated entries are shown straight away; the LLM only tops up short lists,
+  // in the UI language (each language has its own cached lists).
+  useEffect(() => {
+    const controller = new AbortController();
+    const language = promptLanguage(locale);
+    const languageInstruction = language ? ` Write the names in ${language}.` : '';
+
+    const fetchSubCategories = async (category, curated) => {
+      setSubCategoriesError('');
+      setSuggestedSubCategories(curated);
+      if (!category || curated.length >= MIN_SUB_CATEGORY_SUGGESTIONS) {
+        setLoadingSubCategories(false);
+        return;
+      }
+
+      setLoadingSubCategories(true);
+      try {
+        const alreadyListed = curated.length > 0 ? ` Don't repeat these, which are already listed: ${curated.map(translateTaxonomyName).join(', ')}.` : '';
+        const prompt = `List 5-8 common sub-categories within the "${category}" broad category.${alreadyListed} Provide them as a comma-separated list without numbering, bullet points, or any introductory/concluding text. Example for 'Creative & Design': Graphic Design, Music Production, Illustration, Photography, Video Editing, Writing.${languageInstruction}`;
+        const subCategories = await suggestionCache.getOrFetch(
+          suggestionCacheKey(category, '', locale),
+          () => llmClient.generateList(prompt, { task: 'subCategories', signal: controller.signal }),
+          { db, appId: canvasAppId }
+        );
+        if (controller.signal.aborted) return;
+        setSuggestedSubCategories(withCuratedFirst(curated, subCategories));
+      } catch (error) {
+        if (isAbortError(error) || controller.signal.aborted) return;
+        console.error(`Failed to fetch sub-categories for ${category}:`, error);
+        setSubCategoriesError(t(curated.length > 0 ? 'what.moreSubCategoriesError' : 'what.subCategoriesError', { category }));
+      }
+      setLoadingSubCategories(false);
+    };
+
+    fetchSubCategories(activeCategoryName, activeCategoryName ? curatedSubCategories(activeCategoryId) : []);
+    return () => controller.abort();
+  }, [activeCategoryId, activeCategoryName, taxonomy, subCategoriesRetryCount, db, canvasAppId, locale]);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const language = promptLanguage(locale);
+    const languageInstruction = language ? ` Write the names in ${language}.` : '';
+
+    const fetchSpecificSkills = async (broadCat, subCat, curated) => {
+      setSpecificSkillsError('');
+      setSuggestedSpecificSkills(curated);
+      if (!broadCat || !subCat || curated.length >= MIN_SKILL_SUGGESTIONS) {
+        setLoadingSpecificSkills(false);
+        return;
+      }
+
+      setLoadingSpecificSkills(true);
+      try {
+        const alreadyListed = curated.length > 0 ? ` Don't repeat these, which are already listed: ${curated.map(translateTaxonomyName).join(', ')}.` : '';
+        const prompt = `List 10-15 specific and common skills or services within the "${translateTaxonomyName(subCat)}" sub-category, which belongs to the "${broadCat}" broad category, that someone might monetize.${alreadyListed} Provide them as a comma-separated list without numbering, bullet points, or any introductory/concluding text. Example for 'Creative & Design' -> 'Music Production': Songwriting, Mixing, Mastering, Sound Design, Live Performance.${languageInstruction}`;
+        const specificSkills = await suggestionCache.getOrFetch(
+          suggestionCacheKey(broadCat, subCat, locale),
+          () => llmClient.generateList(prompt, { task: 'specificSkills', signal: controller.signal }),
+          { db, appId: canvasAppId }
+        );
+        if (controller.signal.aborted) return;
+        setSuggestedSpecificSkills(withCuratedFirst(curated, specificSkills));
+      } catch (error) {
+        if (isAbortError(error) || controller.signal.aborted) return;
+        console.error(`Failed to fetch specific skills for ${broadCat} - ${subCat}:`, error);
+        setSpecificSkillsError(t(curated.length > 0 ? 'what.moreSkillsError' : 'what.skillsError', { subCategory: translateTaxonomyName(subCat) }));
+      }
+      setLoadingSpecificSkills(false);
+    };
+
+    const curated = activeCategoryName && activeSubCategory ? seedSkills(activeCategoryId, activeSubCategory) : [];
+    fetchSpecificSkills(activeCategoryName, activeSubCategory, curated);
+    return () => controller.abort();
+  }, [activeCategoryId, activeCategoryName, activeSubCategory, taxonomy, specificSkillsRetryCount, db, canvasAppId, locale]);
+
+  // --- Undo / Redo ---
+
+  // Keeps the checkboxes in line with a change of the skills: ticks categories that gained skills,
+  // and unticks those (and 'Other') that lost their last one.
+  const syncSelection = useCallback((fromDoc, toDoc) => {
+    const emptiedIds = Object.values(fromDoc.categories)
+      .filter(category => !category.parentId && !toDoc.categories[category.id])
+      .map(category => category.id);
+    const toSelection = deriveSelectedBroadCategories(toDoc);
+    const dropOther = emptiedIds.some(id => !isStandardCategoryId(id)) && !toSelection.includes('Other');
+    setSelectedBroadCategories(prev => mergeSelection(
+      prev.filter(cat => !emptiedIds.includes(cat) && !(cat === 'Other' && dropOther)),
+      toSelection
+    ));
+  }, []);
+
+  const editSkills = (label, updater, options) => {
+    const before = skillsHistory.getCurrent();
+    const after = skillsHistory.edit(label, updater, options);
+    syncSelection(before, after);
+    return after;
+  };
+
+  const handleUndo = useCallback(() => {
+    const step = undoSkills();
+    if (!step) return;
+    syncSelection(step.from, step.to);
+  }, [undoSkills, syncSelection]);
+
+  const handleRedo = useCallback(() => {
+    const step = redoSkills();
+    if (!step) return;
+    syncSelection(step.from, step.to);
+  }, [redoSkills, syncSelection]);
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || isTextEntry(e.target)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [handleUndo, handleRedo]);
+
+  // --- Handlers for User Input ---
+
+  const handleBroadCategoryChange = (e) => {
+    const { value, checked } = e.target;
+    // Check if the value is a standard broad category or 'Other' before modifying selectedBroadCategories
+    if (isStandardCategoryId(value) || value === 'Other') {
+        setSelectedBroadCategories((prev) =>
+            checked ? [...prev, value] : prev.filter((cat) => cat !== value)
+        );
+    }
+
+    if (!checked) {
+      const removedCount = listSkills(skillsDoc).filter(skill => skill.categoryIds[0] === value).length;
+      if (isStandardCategoryId(value) && removedCount > 0) {
+        editSkills(
+          t(removedCount === 1 ? 'what.removedUnder.one' : 'what.removedUnder.other', { count: removedCount, category: categoryLabel(getCategory(skillsDoc, value)) }),
+          (doc) => removeBroadCategory(doc, value),
+          { destructive: true }
+        );
+      }
+      if (activeBroadCategory === value) {
+        setActiveBroadCategory('');
+        setActiveSubCategory('');
+        setSuggestedSubCategories([]);
+        setSuggestedSpecificSkills([]);
+      }
+    } else {
+      setActiveBroadCategory(value);
+      setActiveSubCategory('');
+      setSuggestedSpecificSkills([]);
+    }
+  };
+
+  const handleActiveBroadCategoryChange = (e) => {
+    setActiveBroadCategory(e.target.value);
+    setActiveSubCategory('');
+    setNewSkillInput('');
+    setSelectedSuggestedSkill('');
+    setNewCustomBroadCategory('');
+  };
+
+  const handleActiveSubCategoryChange = (e) => {
+    setActiveSubCategory(e.target.value);
+    setNewSkillInput('');
+    setSelectedSuggestedSkill('');
+  };
+
+  const handleAddSkill = async () => {
+    let skillToAdd = selectedSuggestedSkill.trim();
+    let origin = SKILL_ORIGINS.SUGGESTED;
+    if (newSkillInput.trim() !== '') {
+      skillToAdd = newSkillInput.trim();
+      origin = SKILL_ORIGINS.TYPED;
+    }
+
+    if (skillToAdd === '') return;
+
+    let broad = activeCategory;
+    let subCategoryName = activeSubCategory;
+    let categorization = null;
+
+    if (activeBroadCategory === 'Other' && newCustomBroadCategory.trim() !== '') {
+        broad = customCategory(newCustomBroadCategory);
+        subCategoryName = 'General';
+        setSelectedBroadCategories(prev => mergeSelection(prev, [broad.id]));
+    }
+
+    // Auto-categorize if no broad category is selected for the input skill
+    // and if the input skill is not empty
+    if (!broad && newSkillInput.trim() !== '' && !loadingAutoCategorization) {
+        categorization = await autoCategorizeSkill(newSkillInput.trim());
+        ({ broad, subCategoryName } = categorization);
+        origin = SKILL_ORIGINS.AUTO_CATEGORIZED;
+    }
+
+    if (!broad) {
+        console.warn('Cannot add skill: No broad category selected or auto-categorized.');
+        setNewSkillInput('');
+        setSelectedSuggestedSkill('');
+        return;
+    }
+    if (!subCategoryName) {
+        subCategoryName = 'General';
+    }
+
+    if (findSkill(skillsDoc, { broadId: broad.id, subCategoryName, name: skillToAdd })) {
+        console.warn(`Skill "${skillToAdd}" already exists in "${categoryLabel(broad)}" -> "${subCategoryName}".`);
+        setNewSkillInput('');
+        setSelectedSuggestedSkill('');
+        return;
+    }
+
+    const pending = { name: skillToAdd, broad, subCategoryName, origin, categorization };
+    setNewSkillInput('');
+    setSelectedSuggestedSkill('');
+
+    // Look for the same skill elsewhere in the profile ("JS" vs "JavaScript", "photography " under
+    // another category) and let the user decide before adding a second copy.
+    let matches = findDuplicateCandidates(skillsHistory.getCurrent(), skillToAdd);
+    if (matches.length === 0 && isSemanticMatchingEnabled()) {
+      setCheckingDuplicates(true);
+      try {
+        matches = await findSemanticDuplicates(skillsHistory.getCurrent(), skillToAdd);
+      } catch (error) {
+        console.error("Error checking for duplicate skills:", error);
+      } finally {
+        setCheckingDuplicates(false);
+      }
+    }
+    if (matches.length > 0) {
+      setDuplicatePrompt({ pending, matches });
+      return;
+    }
+
+    addPendingSkill(pending);
+  };
+
+  // Adds a skill from handleAddSkill; `keepApartFrom` are look-alike skills the user chose to keep it alongside.
+  const addPendingSkill = ({ name, broad, subCategoryName, origin, categorization }, keepApartFrom = []) => {
+    const skillId = createId('sk_');
+    editSkills(t('what.added', { name }), (doc) => keepApartFrom.reduce(
+      (nextDoc, other) => markSkillsDistinct(nextDoc, distinctPairKey(skillId, other.id)),
+      addSkill(doc, { name, broad, subCategoryName, origin, id: skillId })
+    ));
+    // Unsure filings stay visible with a way to move them, rather than quietly landing in Auto-Uncategorized.
+    setPendingCategorization(categorization && isLowConfidence(categorization) ? { skillId, result: categorization } : null);
+  };
+
+  const handleKeepBothDuplicates = () => {
+    addPendingSkill(duplicatePrompt.pending, duplicatePrompt.matches.map(match => match.skill));
+    setDuplicatePrompt(null);
+  };
+
+  // "Use existing": the new name is dropped and the existing skill kept as it is.
+  const handleUseExistingSkill = () => {
+    setDuplicatePrompt(null);
+  };
+
+  // Reviewed rows from the import panel; skills already filed in the same place are skipped.
+  const handleImportSkills = (entries) => {
+    const importedAt = Date.now();
+    editSkills(t(entries.length === 1 ? 'what.imported.one' : 'what.imported.other', { count: entries.length }), (doc) => entries.reduce((nextDoc, { name, broad, subCategoryName }, index) => (
+      findSkill(nextDoc, { broadId: broad.id, subCategoryName, name })
+        ? nextDoc
+        : addSkill(nextDoc, { name, broad, subCategoryName, origin: SKILL_ORIGINS.IMPORTED, now: importedAt + index })
+    ), doc));
+  };
+
+  const handleSkillDetailsChange = (skillId, changes) => {
+    // Typing into one skill's fields counts as a single undo step.
+    editSkills(t('what.edited', { name: skillsDoc.skills[skillId]?.name }), (doc) => updateSkill(doc, skillId, changes), { coalesceKey: `details:${skillId}` });
+  };
+
+  const handleMoveSkill = (skillId, filing) => {
+    editSkills(t('what.moved', { name: skillsDoc.skills[skillId]?.name, filing: filingLabel(filing) }), (doc) => moveSkill(doc, skillId, filing));
+    setPendingCategorization(null);
+  };
+
+  const handleRenameSkill = (skillId, name) => {
+    editSkills(t('what.renamed', { from: skillsDoc.skills[skillId]?.name, to: name.trim() }), (doc) => renameSkill(doc, skillId, name));
+  };
+
+  // Renaming a sub-category onto an existing name, or dropping it on another one, merges the two.
+  const handleMoveSubCategory = (subId, filing) => {
+    const fromName = categoryLabel(skillsDoc.categories[subId]);
+    const target = skillsDoc.categories[subCategoryId(filing.broad.id, filing.subCategoryName)];
+    editSkills(
+      target ? t('what.merged', { dropped: fromName, kept: categoryLabel(target) }) : t('what.moved', { name: fromName, filing: filingLabel(filing) }),
+      (doc) => moveSubCategory(doc, subId, filing),
+      { destructive: Boolean(target) }
+    );
+  };
+
+  const handleRenameBroadCategory = (broadId, name) => {
+    const renamedId = customCategory(name).id;
+    const isMerge = renamedId !== broadId && Boolean(skillsDoc.categories[renamedId]);
+    const fromName = getCategory(skillsDoc, broadId).name;
+    editSkills(
+      isMerge ? t('what.merged', { dropped: fromName, kept: name.trim() }) : t('what.renamed', { from: fromName, to: name.trim() }),
+      (doc) => renameBroadCategory(doc, broadId, name),
+      { destructive: isMerge }
+    );
+    if (activeBroadCategory === broadId) {
+      setActiveBroadCategory(renamedId);
+    }
+  };
+
+  // From the duplicate review: `dropId` is folded into `keepId`, keeping the stronger details of the two.
+  const handleMergeSkills = (keepId, dropId) => {
+    const keep = skillsDoc.skills[keepId];
+    const drop = skillsDoc.skills[dropId];
+    if (pendingCategorization?.skillId === dropId) setPendingCategorization(null);
+    editSkills(t('what.merged', { dropped: drop?.name, kept: keep?.name }), (doc) => mergeSkills(doc, keepId, dropId), { destructive: true });
+  };
+
+  const handleKeepSkillsDistinct = (idA, idB) => {
+    editSkills(
+      t('what.keptApart', { first: skillsDoc.skills[idA]?.name, second: skillsDoc.skills[idB]?.name }),
+      (doc) => markSkillsDistinct(doc, distinctPairKey(idA, idB))
+    );
+  };
+
+  const handleRemoveSkill = (skillId) => {
+    if (pendingCategorization?.skillId === skillId) setPendingCategorization(null);
+    editSkills(t('what.removed', { name: skillsDoc.skills[skillId]?.name }), (doc) => removeSkill(doc, skillId), { destructive: true });
+  };
+
+  const skillGroups = groupSkillsByCategory(skillsDoc);
+  // Custom and auto-categorized broad categories that hold skills, offered alongside the ticked ones.
+  const extraBroadCategories = skillGroups.map(group => group.category).filter(category => !isStandardCategoryId(category.id));
+
+  return (
+    <>
+      <h1 className="text-3xl font-bold text-center text-blue-800 mb-6">
+        {t('step.what.label')} <span className="text-xl font-normal">({t('step.what.title')})</span>
+      </h1>
+      <p className="text-center text-gray-600 mb-8">
+        {t('what.intro')}
+      </p>
+
+      <div className="flex justify-end gap-2 mb-4">
+        <button
+          onClick={handleUndo}
+          disabled={!skillsHistory.canUndo}
+          title={t('what.undoTitle')}
+          className="text-sm bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium py-1 px-3 rounded-lg disabled:opacity-50"
+        >
+          {t('what.undo')}
+        </button>
+        <button
+          onClick={handleRedo}
+          disabled={!skillsHistory.canRedo}
+          title={t('what.redoTitle')}
+          className="text-sm bg-white border border-gray-300 text-gray-700 hover:bg-gray-50 font-medium py-1 px-3 rounded-lg disabled:opacity-50"
+        >
+          {t('what.redo')}
+        </button>
+      </div>
+
+      {/* 1. Select Broad Categories Section */}
+      <div className="mb-8 p-4 border border-blue-200 rounded-lg bg-blue-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('what.selectBroadHeading')}</h2>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {taxonomy.broadCategories.map((category) => (
+            <label
+              key={category.id}
+              title={translateCategoryDescription(category.id, category.description)}
+              className="flex items-center p-3 border border-gray-300 rounded-lg cursor-pointer bg-white hover:bg-blue-50 transition-colors duration-200 shadow-sm"
+            >
+              <input
+                type="checkbox"
+                value={category.id}
+                checked={selectedBroadCategories.includes(category.id)}
+                onChange={handleBroadCategoryChange}
+                className="form-checkbox h-5 w-5 text-blue-600 rounded-md focus:ring-blue-500"
+              />
+              <span className="ml-3">
+                <span className="block text-lg text-gray-800 font-medium">
+                  {category.icon && <span aria-hidden="true" className="mr-2">{category.icon}</span>}
+                  {translateCategoryName(category.id, category.name)}
+                </span>
+                {category.description && <span className="block text-xs text-gray-500">{translateCategoryDescription(category.id, category.description)}</span>}
+              </span>
+            </label>
+          ))}
+          <label
+            className="flex items-center p-3 border border-gray-300 rounded-lg cursor-pointer bg-white hover:bg-blue-50 transition-colors duration-200 shadow-sm"
+          >
+            <input
+              type="checkbox"
+              value="Other"
+              checked={selectedBroadCategories.includes('Other')}
+              onChange={handleBroadCategoryChange}
+              className="form-checkbox h-5 w-5 text-blue-600 rounded-md focus:ring-blue-500"
+            />
+            <span className="ml-3 text-lg text-gray-800 font-medium">{t('what.otherCheckbox')}</span>
+          </label>
+        </div>
+      </div>
+
+      {/* 2. Add Your Specific Skills Section */}
+      {selectedBroadCategories.length > 0 && (
+        <div className="mb-8 p-4 border border-green-200 rounded-lg bg-green-50">
+          <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('what.addSkillsHeading')}</h2>
+
+          {/* Select Broad Category Dropdown */}
+          <div className="mb-4">
+            <label htmlFor="selectBroadCategory" className="block text-gray-700 text-sm font-bold mb-2">
+              {t('what.chooseBroad')}
+            </label>
+            <select
+              id="selectBroadCategory"
+              value={activeBroadCategory}
+              onChange={handleActiveBroadCategoryChange}
+              className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
+            >
+              <option value="">{t('what.chooseBroadPlaceholder')}</option>
+              {selectedBroadCategories.filter(cat => isStandardCategoryId(cat) || cat === 'Other').map((categoryId) => (
+                <option key={categoryId} value={categoryId}>
+                  {categoryId === 'Other' ? t('what.otherOption') : categoryLabel(getCategory(skillsDoc, categoryId))}
+                </option>
+              ))}
+              {/* Also include custom/auto-categorized broad categories that have skills */}
+              {extraBroadCategories.map(category => (
+                  <option key={category.id} value={category.id}>
+                      {categoryLabel(category)}
+                  </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Custom Broad Category Input (if 'Other' is selected) */}
+          {activeBroadCategory === 'Other' && (
+            <div className="mb-4">
+              <label htmlFor="newCustomBroadCategory" className="block text-gray-700 text-sm font-bold mb-2">
+                {t('what.nameCustomBroad')}
+              </label>
+              <input
+                type="text"
+                id="newCustomBroadCategory"
+                value={newCustomBroadCategory}
+                onChange={(e) => setNewCustomBroadCategory(e.target.value)}
+                placeholder={t('what.customBroadPlaceholder')}
+                className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
+              />
+            </div>
+          )}
+
+          {((activeBroadCategory && activeBroadCategory !== 'Other') || (activeBroadCategory === 'Other' && newCustomBroadCategory.trim() !== '')) && (
+            <>
+              {/* Select Sub-Category Dropdown */}
+              {loadingSubCategories && (
+                <div className="text-center text-gray-500 my-4">
+                  {t(suggestedSubCategories.length > 0 ? 'what.loadingMoreSubCategories' : 'what.loadingSubCategories')}
+                </div>
+              )}
+              {subCategoriesError && (
+                <RetryNotice message={subCategoriesError} onRetry={() => setSubCategoriesRetryCount(count => count + 1)} />
+              )}
+              {suggestedSubCategories.length > 0 && (
+                <div className="mb-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <label htmlFor="selectSubCategory" className="block text-gray-700 text-sm font-bold">
+                      {t('what.chooseSubCategory', { category: activeBroadCategory === 'Other' ? newCustomBroadCategory.trim() : categoryLabel(activeCategory) })}
+                    </label>
+                    <button
+                      onClick={handleRefreshSubCategories}
+                      className="text-xs text-blue-600 hover:text-blue-800 underline"
+                    >
+                      {t('what.refreshSuggestions')}
+                    </button>
+                  </div>
+                  <select
+                    id="selectSubCategory"
+                    value={activeSubCategory}
+                    onChange={handleActiveSubCategoryChange}
+                    className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
+                  >
+                    <option value="">{t('what.chooseSubCategoryPlaceholder')}</option>
+                    {suggestedSubCategories.map((subCat) => (
+                      <option key={subCat} value={subCat}>
+                        {translateTaxonomyName(subCat)}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {/* Enter Custom Skill OR Select Suggested Skill */}
+              <div className="mb-4 text-center text-gray-500">
+                {((suggestedSubCategories.length > 0) && activeSubCategory) ? (
+                  <>
+                    {loadingSpecificSkills && (
+                      <div className="text-center text-gray-500 my-4">
+                        {t(suggestedSpecificSkills.length > 0 ? 'what.loadingMoreSkills' : 'what.loadingSkills')}
+                      </div>
+                    )}
+                    {specificSkillsError && (
+                      <RetryNotice message={specificSkillsError} onRetry={() => setSpecificSkillsRetryCount(count => count + 1)} />
+                    )}
+                    {suggestedSpecificSkills.length > 0 && (
+                      <div className="mb-4">
+                        <div className="flex items-center justify-between mb-2">
+                          <label htmlFor="suggestedSkills" className="block text-gray-700 text-sm font-bold">
+                            {t('what.chooseSuggestedSkill', { subCategory: translateTaxonomyName(activeSubCategory) })}
+                          </label>
+                          <button
+                            onClick={handleRefreshSpecificSkills}
+                            className="text-xs text-blue-600 hover:text-blue-800 underline"
+                          >
+                            {t('what.refreshSuggestions')}
+                          </button>
+                        </div>
+                        <select
+                          id="suggestedSkills"
+                          value={selectedSuggestedSkill}
+                          onChange={(e) => setSelectedSuggestedSkill(e.target.value)}
+                          className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
+                        >
+                          <option value="">{t('what.chooseSuggestedSkillPlaceholder')}</option>
+                          {suggestedSpecificSkills.map((skill) => (
+                            <option key={skill} value={skill}>
+                              {translateTaxonomyName(skill)}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                    <div className="mb-4 text-center text-gray-500">
+                      {t('what.or')}
+                    </div>
+                  </>
+                ) : (
+                    <div className="mb-4 text-center text-gray-500">
+                      {t('what.typeDirectly')}
+                    </div>
+                )}
+              </div>
+
+              <div className="flex items-end gap-2">
+                <div className="flex-grow">
+                  <label htmlFor="newSkillInput" className="block text-gray-700 text-sm font-bold mb-2">
+                    {t('what.enterSkill')}
+                  </label>
+                  <input
+                    type="text"
+                    id="newSkillInput"
+                    value={newSkillInput}
+                    onChange={(e) => setNewSkillInput(e.target.value)}
+                    onKeyPress={(e) => { if (e.key === 'Enter') handleAddSkill(); }}
+                    placeholder={t('what.skillPlaceholder')}
+                    className="shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
+                  />
+                </div>
+                <button
+                  onClick={handleAddSkill}
+                  className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:shadow-outline transition-colors duration-200 shadow-md"
+                  disabled={
+                    (newSkillInput.trim() === '' && selectedSuggestedSkill.trim() === '') ||
+                    loadingAutoCategorization ||
+                    checkingDuplicates ||
+                    Boolean(duplicatePrompt)
+                  }
+                >
+                  {loadingAutoCategorization ? t('what.categorizing') : checkingDuplicates ? t('what.checking') : t('what.addSkill')}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {duplicatePrompt && (
+        <DuplicatePrompt
+          pending={duplicatePrompt.pending}
+          matches={duplicatePrompt.matches}
+          skillsDoc={skillsDoc}
+          onUseExisting={handleUseExistingSkill}
+          onKeepBoth={handleKeepBothDuplicates}
+          onCancel={() => setDuplicatePrompt(null)}
+        />
+      )}
+
+      {pendingCategorization && skillsDoc.skills[pendingCategorization.skillId] && (
+        <CategorizationNotice
+          key={pendingCategorization.skillId}
+          result={pendingCategorization.result}
+          broadOptions={broadCategoryOptions(skillsDoc)}
+          onMove={(filing) => handleMoveSkill(pendingCategorization.skillId, filing)}
+          onDismiss={() => setPendingCategorization(null)}
+        />
+      )}
+
+      {/* Bulk import from pasted text, CSV or a résumé */}
+      <SkillImportPanel skillsDoc={skillsDoc} onImport={handleImportSkills} />
+
+      {/* 3. Your Skills Summary Section */}
+      <SkillSummary
+        skillsDoc={skillsDoc}
+        onRemoveSkill={handleRemoveSkill}
+        onRenameSkill={handleRenameSkill}
+        onSkillDetailsChange={handleSkillDetailsChange}
+        onMoveSkill={handleMoveSkill}
+        onMoveSubCategory={handleMoveSubCategory}
+        onRenameBroadCategory={handleRenameBroadCategory}
+        commentCounts={countCommentsByTarget(comments)}
+        onOpenComments={commentsEnabled ? setCommentTarget : null}
+        bestFit={hasWhyAnswers(profile.why) ? rankBestFitSkills(profile.why, { skillsDoc, whoData: profile.who, whereData: profile.where }) : []}
+      />
+
+      {commentTarget && (
+        <CommentsPanel
+          comments={comments}
+          target={commentTarget}
+          targetLabel={commentTargetLabel(skillsDoc, commentTarget)}
+          canComment
+          currentUserId={userId}
+          isOwner
+          onAdd={(comment) => addComment(commentsRef, { ...comment, author: { uid: userId, name: collaboratorName(account) } })}
+          onDelete={(commentId) => deleteComment(commentsRef, commentId)}
+          onClose={() => setCommentTarget(null)}
+        />
+      )}
+
+      {/* Look-alike skills already in the profile */}
+      <DuplicateReview
+        skillsDoc={skillsDoc}
+        onMerge={handleMergeSkills}
+        onKeepBoth={handleKeepSkillsDistinct}
+      />
+
+      {skillsHistory.lastEntry?.destructive && (
+        <UndoToast
+          key={skillsHistory.lastEntry.at}
+          message={skillsHistory.lastEntry.label}
+          onUndo={handleUndo}
+          onDismiss={dismissLastEntry}
+        />
+      )}
+    </>
+  );
+};
+
+export default WhatStep;
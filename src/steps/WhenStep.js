@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useDebouncedSave from '../hooks/useDebouncedSave';
+import useRemoteUpdates from '../hooks/useRemoteUpdates';
+import { t } from '../lib/i18n';
+import { loadDocument } from '../lib/localPersistence';
+import { mergeAvailabilityDocument } from '../lib/syncMerge';
+import { migrateSkillsDocument, rankSkillsByStrength, skillLabel } from '../lib/skillModel';
+import { listOffers, normalizeOffersDocument } from '../lib/offers';
+import {
+  DAYS,
+  GRID_HOURS,
+  formatHour,
+  createEmptyAvailabilityDocument,
+  normalizeAvailabilityDocument,
+  isSlotAvailable,
+  setSlot,
+  setAllocation,
+  availableHours,
+  allocatedHours,
+  checkScheduleFit,
+  availabilityToIcs,
+} from '../lib/availability';
+import { downloadFile } from '../lib/download';
+
+const WEEKDAY_IDS = ['mon', 'tue', 'wed', 'thu', 'fri'];
+const BUSINESS_HOURS = GRID_HOURS.filter(hour => hour >= 9 && hour < 17);
+
+const numberInputClassName = 'shadow appearance-none border rounded-lg w-24 py-1 px-2 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500';
+const linkButtonClassName = 'text-sm text-blue-600 hover:text-blue-800 underline';
+
+const parseHours = (value) => (value === '' ? null : Math.max(0, Number(value)));
+
+// When? step: a weekly availability grid (click or drag across hours), a weekly capacity target and
+// optional hours per skill, checked against the How? shortlist and exportable as an .ics calendar.
+const WhenStep = ({ db, userId, isAuthReady, isFirebaseUnavailable, canvasAppId, syncEngine, profile, onDataChange }) => {
+  const [availabilityDoc, setAvailabilityDoc] = useState(createEmptyAvailabilityDocument);
+  const [paintValue, setPaintValue] = useState(null); // true/false while dragging across the grid
+  const [showAllocations, setShowAllocations] = useState(false);
+  const [hasLoaded, setHasLoaded] = useState(false);
+  const lastSyncedRef = useRef(null); // Base for merging live updates into local state
+
+  // Load once Firestore is ready, or straight from the local store when Firebase isn't available.
+  const canLoad = (isAuthReady && Boolean(db) && Boolean(userId)) || isFirebaseUnavailable;
+
+  // --- Data Loading and Saving ---
+  useEffect(() => {
+    if (!canLoad) {
+      return;
+    }
+
+    let cancelled = false;
+    const loadAvailability = async () => {
+      try {
+        const data = await loadDocument({ db, appId: canvasAppId, userId, docId: 'whenAvailability' });
+        if (!cancelled && data) {
+          const loaded = normalizeAvailabilityDocument(data);
+          lastSyncedRef.current = loaded;
+          setAvailabilityDoc(loaded);
+          setShowAllocations(Object.keys(loaded.allocations).length > 0);
+        }
+        console.log("Availability loaded.");
+      } catch (error) {
+        console.error("Error loading availability:", error);
+      } finally {
+        if (!cancelled) setHasLoaded(true);
+      }
+    };
+
+    loadAvailability();
+    return () => {
+      cancelled = true;
+    };
+  }, [canLoad, db, userId, canvasAppId]);
+
+  useRemoteUpdates({
+    syncEngine,
+    docId: 'whenAvailability',
+    enabled: hasLoaded,
+    syncedRef: lastSyncedRef,
+    setData: setAvailabilityDoc,
+    merge: mergeAvailabilityDocument,
+  });
+
+  useDebouncedSave({
+    db,
+    userId,
+    appId: canvasAppId,
+    docId: 'whenAvailability',
+    data: availabilityDoc,
+    enabled: hasLoaded,
+  });
+
+  useEffect(() => {
+    if (hasLoaded) {
+      onDataChange(availabilityDoc);
+    }
+  }, [availabilityDoc, hasLoaded, onDataChange]);
+
+  // A drag ends wherever the mouse is released, including outside the grid.
+  useEffect(() => {
+    if (paintValue === null) return undefined;
+    const stopPainting = () => setPaintValue(null);
+    window.addEventListener('mouseup', stopPainting);
+    return () => window.removeEventListener('mouseup', stopPainting);
+  }, [paintValue]);
+
+  const skillsDoc = migrateSkillsDocument(profile.what);
+  const skills = rankSkillsByStrength(skillsDoc);
+  const skillIds = skills.map(skill => skill.id);
+  const offers = listOffers(normalizeOffersDocument(profile.how));
+  const available = availableHours(availabilityDoc);
+  const allocated = allocatedHours(availabilityDoc, skillIds);
+  const findings = checkScheduleFit(availabilityDoc, {
+    skillIds,
+    offers,
+    skillNames: Object.fromEntries(skills.map(skill => [skill.id, skillLabel(skill)])),
+  });
+
+  // --- Handlers for User Input ---
+
+  const handleSlotMouseDown = (dayId, hour) => {
+    const value = !isSlotAvailable(availabilityDoc, dayId, hour);
+    setPaintValue(value);
+    setAvailabilityDoc(prev => setSlot(prev, dayId, hour, value));
+  };
+
+  const handleSlotMouseEnter = (dayId, hour) => {
+    if (paintValue === null) return;
+    setAvailabilityDoc(prev => setSlot(prev, dayId, hour, paintValue));
+  };
+
+  // Keyboard (and other non-mouse) activation toggles a single slot.
+  const handleSlotClick = (e, dayId, hour) => {
+    if (e.detail !== 0) return; // Mouse clicks were handled on mousedown
+    setAvailabilityDoc(prev => setSlot(prev, dayId, hour, !isSlotAvailable(prev, dayId, hour)));
+  };
+
+  const handleFillBusinessHours = () => {
+    setAvailabilityDoc(prev => WEEKDAY_IDS.reduce(
+      (doc, dayId) => BUSINESS_HOURS.reduce((dayDoc, hour) => setSlot(dayDoc, dayId, hour, true), doc),
+      prev
+    ));
+  };
+
+  const handleClearGrid = () => {
+    setAvailabilityDoc(prev => ({ ...prev, slots: createEmptyAvailabilityDocument().slots }));
+  };
+
+  const handleExportIcs = () => {
+    const skillLines = skills
+      .filter(skill => availabilityDoc.allocations[skill.id])
+      .map(skill => `${skillLabel(skill)}: ${t('when.hoursPerWeekShort', { hours: availabilityDoc.allocations[skill.id] })}`);
+    downloadFile('availability.ics', availabilityToIcs(availabilityDoc, { description: skillLines.join('\n') }), 'text/calendar');
+  };
+
+  return (
+    <>
+      <h1 className="text-3xl font-bold text-center text-blue-800 mb-6">
+        {t('step.when.label')} <span className="text-xl font-normal">({t('step.when.title')})</span>
+      </h1>
+      <p className="text-center text-gray-600 mb-8">
+        {t('when.intro')}
+      </p>
+
+      {/* 1. Weekly Availability Section */}
+      <div className="mb-8 p-4 border border-blue-200 rounded-lg bg-blue-50">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-700">{t('when.weekHeading')}</h2>
+          <div className="flex gap-3">
+            <button onClick={handleFillBusinessHours} className={linkButtonClassName}>{t('when.businessHours')}</button>
+            <button onClick={handleClearGrid} className={linkButtonClassName}>{t('when.clear')}</button>
+          </div>
+        </div>
+        <p className="text-sm text-gray-600 mb-2">{t('when.gridHelp')}</p>
+        <div className="overflow-x-auto">
+          <table className="w-full select-none text-xs" aria-label={t('when.gridLabel')}>
+            <thead>
+              <tr>
+                <th className="w-12" />
+                {DAYS.map(day => <th key={day.id} className="font-semibold text-gray-600 pb-1">{day.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {GRID_HOURS.map(hour => (
+                <tr key={hour}>
+                  <th scope="row" className="pr-2 text-right font-normal text-gray-500">{formatHour(hour)}</th>
+                  {DAYS.map(day => {
+                    const isAvailable = isSlotAvailable(availabilityDoc, day.id, hour);
+                    return (
+                      <td key={day.id} className="p-px">
+                        <button
+                          onMouseDown={() => handleSlotMouseDown(day.id, hour)}
+                          onMouseEnter={() => handleSlotMouseEnter(day.id, hour)}
+                          onClick={(e) => handleSlotClick(e, day.id, hour)}
+                          aria-pressed={isAvailable}
+                          aria-label={`${day.label} ${formatHour(hour)}`}
+                          className={`block w-full h-5 rounded-sm ${isAvailable ? 'bg-blue-600 hover:bg-blue-700' : 'bg-white hover:bg-blue-100 border border-blue-100'}`}
+                        />
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex items-center justify-between mt-3">
+          <p className="text-sm text-gray-700">{t(available === 1 ? 'when.available.one' : 'when.available.other', { count: available })}</p>
+          <button onClick={handleExportIcs} disabled={available === 0} className={`${linkButtonClassName} disabled:opacity-50`}>
+            {t('when.exportIcs')}
+          </button>
+        </div>
+      </div>
+
+      {/* 2. Capacity Section */}
+      <div className="mb-8 p-4 border border-green-200 rounded-lg bg-green-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('when.capacityHeading')}</h2>
+        <label htmlFor="capacityHours" className="flex items-center gap-2 text-gray-700 text-sm font-bold mb-4">
+          {t('when.capacityBefore')}
+          <input
+            type="number"
+            id="capacityHours"
+            min="0"
+            value={availabilityDoc.capacityHours ?? ''}
+            onChange={(e) => setAvailabilityDoc(prev => ({ ...prev, capacityHours: parseHours(e.target.value) || null }))}
+            className={numberInputClassName}
+          />
+          {t('when.capacityAfter')}
+        </label>
+
+        {skills.length > 0 && (
+          <>
+            <button onClick={() => setShowAllocations(!showAllocations)} aria-expanded={showAllocations} className={`${linkButtonClassName} mb-2`}>
+              {t('when.allocationsToggle')}
+            </button>
+            {showAllocations && (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {skills.map(skill => (
+                  <label key={skill.id} className="flex items-center justify-between gap-2 text-sm text-gray-700 bg-white p-2 rounded-lg border border-green-100">
+                    <span>{skillLabel(skill)}</span>
+                    <span className="flex items-center gap-1">
+                      <input
+                        type="number"
+                        min="0"
+                        value={availabilityDoc.allocations[skill.id] ?? ''}
+                        onChange={(e) => setAvailabilityDoc(prev => setAllocation(prev, skill.id, parseHours(e.target.value)))}
+                        aria-label={t('when.allocationLabel', { skill: skillLabel(skill) })}
+                        className={numberInputClassName}
+                      />
+                      {t('when.hoursPerWeekUnit')}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+            {allocated > 0 && (
+              <p className="text-sm text-gray-700 mt-2">{t(allocated === 1 ? 'when.allocated.one' : 'when.allocated.other', { count: allocated })}</p>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* 3. Fit Check Section */}
+      {findings.length > 0 && (
+        <div className="mb-8 p-4 border border-yellow-200 rounded-lg bg-yellow-50" aria-live="polite">
+          <h2 className="text-xl font-semibold text-gray-700 mb-2">{t('when.fitHeading')}</h2>
+          <ul className="text-sm">
+            {findings.map(finding => (
+              <li key={finding.message} className={finding.level === 'ok' ? 'text-green-700' : 'text-yellow-800'}>
+                {finding.level === 'ok' ? '✓' : '⚠'} {finding.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default WhenStep;
@@ -0,0 +1,375 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useDebouncedSave from '../hooks/useDebouncedSave';
+import useRemoteUpdates from '../hooks/useRemoteUpdates';
+import useLocale from '../hooks/useLocale';
+import { t, translateCategoryName } from '../lib/i18n';
+import { loadDocument } from '../lib/localPersistence';
+import { mergeWhereDocument } from '../lib/syncMerge';
+import { isAbortError } from '../lib/llm';
+import { AUTO_UNCATEGORIZED_ID, categoryLabel, getCategory, groupSkillsByCategory, migrateSkillsDocument } from '../lib/skillModel';
+import {
+  CHANNEL_TYPES,
+  DISTANCE_UNITS,
+  createEmptyWhereDocument,
+  normalizeWhereDocument,
+  listChannels,
+  findChannelByName,
+  addChannel,
+  updateChannel,
+  removeChannel,
+  channelTypeLabel,
+} from '../lib/channels';
+import { suggestChannels } from '../lib/channelSuggestions';
+import RetryNotice from '../components/RetryNotice';
+
+const inputClassName = 'shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500';
+const addButtonClassName = 'bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:shadow-outline transition-colors duration-200 shadow-md disabled:opacity-50';
+
+// Where? step: the area the user can serve (remote, a city with a radius, countries) and the
+// channels or marketplaces they'll sell through, with platform suggestions for each broad
+// category of their What? skills.
+const WhereStep = ({ db, userId, isAuthReady, isFirebaseUnavailable, canvasAppId, syncEngine, profile, onDataChange }) => {
+  const [whereDoc, setWhereDoc] = useState(createEmptyWhereDocument);
+  const [locale] = useLocale();
+  const [newCountry, setNewCountry] = useState('');
+  const [newChannelName, setNewChannelName] = useState('');
+  const [suggestions, setSuggestions] = useState({}); // broadCategoryId -> { loading, items, error }
+  const [suggestionsRetryCount, setSuggestionsRetryCount] = useState(0);
+  const [hasLoaded, setHasLoaded] = useState(false);
+  const lastSyncedRef = useRef(null); // Base for merging live updates into local state
+
+  // Load once Firestore is ready, or straight from the local store when Firebase isn't available.
+  const canLoad = (isAuthReady && Boolean(db) && Boolean(userId)) || isFirebaseUnavailable;
+
+  // --- Data Loading and Saving ---
+  useEffect(() => {
+    if (!canLoad) {
+      return;
+    }
+
+    let cancelled = false;
+    const loadWhere = async () => {
+      try {
+        const data = await loadDocument({ db, appId: canvasAppId, userId, docId: 'whereChannels' });
+        if (!cancelled && data) {
+          const loaded = normalizeWhereDocument(data);
+          lastSyncedRef.current = loaded;
+          setWhereDoc(loaded);
+        }
+        console.log("Channels loaded.");
+      } catch (error) {
+        console.error("Error loading channels:", error);
+      } finally {
+        if (!cancelled) setHasLoaded(true);
+      }
+    };
+
+    loadWhere();
+    return () => {
+      cancelled = true;
+    };
+  }, [canLoad, db, userId, canvasAppId]);
+
+  useRemoteUpdates({
+    syncEngine,
+    docId: 'whereChannels',
+    enabled: hasLoaded,
+    syncedRef: lastSyncedRef,
+    setData: setWhereDoc,
+    merge: mergeWhereDocument,
+  });
+
+  useDebouncedSave({
+    db,
+    userId,
+    appId: canvasAppId,
+    docId: 'whereChannels',
+    data: whereDoc,
+    enabled: hasLoaded,
+  });
+
+  useEffect(() => {
+    if (hasLoaded) {
+      onDataChange(whereDoc);
+    }
+  }, [whereDoc, hasLoaded, onDataChange]);
+
+  // Broad categories the user has skills in, each of which gets its own platform suggestions.
+  const skillsDoc = migrateSkillsDocument(profile.what);
+  const skillCategories = groupSkillsByCategory(skillsDoc)
+    .map(group => group.category)
+    .filter(category => category.id !== AUTO_UNCATEGORIZED_ID);
+  // Serialized so the suggestion effect only re-runs when the categories themselves change.
+  const skillCategoriesKey = JSON.stringify(skillCategories.map(({ id, name }) => ({ id, name })));
+
+  // --- Platform suggestions ---
+  // One cached request per broad category; leaving the step or changing the categories aborts them.
+  useEffect(() => {
+    const controller = new AbortController();
+    const categories = JSON.parse(skillCategoriesKey);
+
+    setSuggestions(Object.fromEntries(categories.map(category => [category.id, { loading: true, items: [], error: '' }])));
+    categories.forEach(async (category) => {
+      let result;
+      try {
+        result = { loading: false, items: await suggestChannels(category.name, { db, appId: canvasAppId, signal: controller.signal, locale }), error: '' };
+      } catch (error) {
+        if (isAbortError(error) || controller.signal.aborted) return;
+        console.error(`Failed to fetch channel suggestions for ${category.name}:`, error);
+        result = { loading: false, items: [], error: t('where.suggestionsError', { category: translateCategoryName(category.id, category.name) }) };
+      }
+      if (controller.signal.aborted) return;
+      setSuggestions(prev => ({ ...prev, [category.id]: result }));
+    });
+
+    return () => controller.abort();
+  }, [skillCategoriesKey, suggestionsRetryCount, db, canvasAppId, locale]);
+
+  // --- Handlers for User Input ---
+
+  const updateServiceArea = (changes) => {
+    setWhereDoc(prev => ({ ...prev, serviceArea: { ...prev.serviceArea, ...changes } }));
+  };
+
+  const handleAddCountry = () => {
+    const country = newCountry.trim();
+    if (country === '') return;
+    const { countries } = whereDoc.serviceArea;
+    if (!countries.some(existing => existing.toLowerCase() === country.toLowerCase())) {
+      updateServiceArea({ countries: [...countries, country] });
+    }
+    setNewCountry('');
+  };
+
+  const handleRemoveCountry = (country) => {
+    updateServiceArea({ countries: whereDoc.serviceArea.countries.filter(existing => existing !== country) });
+  };
+
+  const handleAddSuggestedChannel = (suggestion, broadCategoryId) => {
+    setWhereDoc(prev => addChannel(prev, {
+      name: suggestion.name,
+      type: suggestion.type,
+      broadCategoryId,
+      origin: 'suggested',
+    }));
+  };
+
+  const handleAddChannel = () => {
+    const name = newChannelName.trim();
+    if (name === '') return;
+    if (findChannelByName(whereDoc, name)) {
+      console.warn(`Channel "${name}" already exists.`);
+    } else {
+      setWhereDoc(prev => addChannel(prev, { name, type: 'other', origin: 'manual' }));
+    }
+    setNewChannelName('');
+  };
+
+  const { serviceArea } = whereDoc;
+  const channels = listChannels(whereDoc);
+
+  return (
+    <>
+      <h1 className="text-3xl font-bold text-center text-blue-800 mb-6">
+        {t('step.where.label')} <span className="text-xl font-normal">({t('step.where.title')})</span>
+      </h1>
+      <p className="text-center text-gray-600 mb-8">
+        {t('where.intro')}
+      </p>
+
+      {/* 1. Service Area Section */}
+      <div className="mb-8 p-4 border border-blue-200 rounded-lg bg-blue-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('where.serviceAreaHeading')}</h2>
+        <label className="flex items-center gap-2 mb-4 text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={serviceArea.remote}
+            onChange={(e) => updateServiceArea({ remote: e.target.checked })}
+            className="form-checkbox h-5 w-5 text-blue-600 rounded-md focus:ring-blue-500"
+          />
+          {t('where.remote')}
+        </label>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+          <div className="sm:col-span-2">
+            <label htmlFor="serviceCity" className="block text-gray-700 text-sm font-bold mb-2">
+              {t('where.city')}
+            </label>
+            <input
+              type="text"
+              id="serviceCity"
+              value={serviceArea.city}
+              onChange={(e) => updateServiceArea({ city: e.target.value })}
+              placeholder={t('where.cityPlaceholder')}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label htmlFor="serviceRadius" className="block text-gray-700 text-sm font-bold mb-2">
+              {t('where.radius')}
+            </label>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                id="serviceRadius"
+                min="1"
+                value={serviceArea.radius ?? ''}
+                onChange={(e) => updateServiceArea({ radius: e.target.value === '' ? null : Math.max(1, Number(e.target.value)) })}
+                disabled={serviceArea.city.trim() === ''}
+                className={inputClassName}
+              />
+              <select
+                value={serviceArea.radiusUnit}
+                onChange={(e) => updateServiceArea({ radiusUnit: e.target.value })}
+                aria-label={t('where.distanceUnit')}
+                disabled={serviceArea.city.trim() === ''}
+                className="shadow border rounded-lg py-2 px-2 text-gray-700 focus:outline-none focus:shadow-outline"
+              >
+                {DISTANCE_UNITS.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+              </select>
+            </div>
+          </div>
+        </div>
+
+        <label htmlFor="newCountry" className="block text-gray-700 text-sm font-bold mb-2">
+          {t('where.countries')}
+        </label>
+        <div className="flex items-end gap-2 mb-2">
+          <input
+            type="text"
+            id="newCountry"
+            value={newCountry}
+            onChange={(e) => setNewCountry(e.target.value)}
+            onKeyPress={(e) => { if (e.key === 'Enter') handleAddCountry(); }}
+            placeholder={t('where.countryPlaceholder')}
+            className={inputClassName}
+          />
+          <button onClick={handleAddCountry} disabled={newCountry.trim() === ''} className={addButtonClassName}>
+            {t('common.add')}
+          </button>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {serviceArea.countries.map(country => (
+            <span key={country} className="flex items-center bg-blue-100 text-blue-800 text-sm font-medium px-3 py-1 rounded-full shadow-sm">
+              {country}
+              <button
+                onClick={() => handleRemoveCountry(country)}
+                className="ml-2 text-blue-600 hover:text-blue-900 transition-colors duration-150"
+                aria-label={t('common.removeLabel', { name: country })}
+              >
+                &times;
+              </button>
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {/* 2. Suggested Platforms Section */}
+      <div className="mb-8 p-4 border border-yellow-200 rounded-lg bg-yellow-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('where.suggestionsHeading')}</h2>
+        {skillCategories.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('where.noSkills')}</p>
+        ) : skillCategories.map(category => {
+          const { loading, items = [], error } = suggestions[category.id] || {};
+          return (
+            <div key={category.id} className="mb-4">
+              <h3 className="text-md font-bold text-purple-700 mb-2">{categoryLabel(getCategory(skillsDoc, category.id))}</h3>
+              {loading && <p className="text-sm text-gray-500">{t('where.findingPlatforms')}</p>}
+              {error && <RetryNotice message={error} onRetry={() => setSuggestionsRetryCount(count => count + 1)} />}
+              <div className="flex flex-wrap gap-2">
+                {items.map(suggestion => {
+                  const isAdded = Boolean(findChannelByName(whereDoc, suggestion.name));
+                  return (
+                    <button
+                      key={suggestion.name}
+                      onClick={() => handleAddSuggestedChannel(suggestion, category.id)}
+                      disabled={isAdded}
+                      title={suggestion.reason}
+                      className={`text-sm font-medium px-3 py-1 rounded-full shadow-sm transition-colors duration-150 ${isAdded ? 'bg-green-600 text-white' : 'bg-yellow-100 text-yellow-900 hover:bg-yellow-200'}`}
+                    >
+                      {isAdded ? '✓' : '+'} {suggestion.name} <span className="text-xs opacity-75">· {channelTypeLabel(suggestion.type)}</span>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* 3. Your Channels Section */}
+      <div className="mb-8 p-4 border border-green-200 rounded-lg bg-green-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('where.channelsHeading')}</h2>
+        <div className="flex items-end gap-2 mb-4">
+          <div className="flex-grow">
+            <label htmlFor="newChannelName" className="block text-gray-700 text-sm font-bold mb-2">
+              {t('where.ownChannel')}
+            </label>
+            <input
+              type="text"
+              id="newChannelName"
+              value={newChannelName}
+              onChange={(e) => setNewChannelName(e.target.value)}
+              onKeyPress={(e) => { if (e.key === 'Enter') handleAddChannel(); }}
+              placeholder={t('where.channelPlaceholder')}
+              className={inputClassName}
+            />
+          </div>
+          <button onClick={handleAddChannel} disabled={newChannelName.trim() === ''} className={addButtonClassName}>
+            {t('where.addChannel')}
+          </button>
+        </div>
+        {channels.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('where.noChannels')}</p>
+        ) : channels.map(channel => (
+          <div key={channel.id} className="mb-2 bg-white p-3 rounded-lg border border-green-100 shadow-sm">
+            <div className="flex items-center justify-between gap-2">
+              <span className="font-bold text-green-700">{channel.name}</span>
+              <button
+                onClick={() => setWhereDoc(prev => removeChannel(prev, channel.id))}
+                className="text-green-600 hover:text-green-900 transition-colors duration-150"
+                aria-label={t('common.removeLabel', { name: channel.name })}
+              >
+                &times;
+              </button>
+            </div>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mt-2">
+              <select
+                value={channel.type}
+                onChange={(e) => setWhereDoc(prev => updateChannel(prev, channel.id, { type: e.target.value }))}
+                aria-label={t('where.channelType', { name: channel.name })}
+                className="shadow border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:shadow-outline"
+              >
+                {CHANNEL_TYPES.map(type => <option key={type.id} value={type.id}>{type.label}</option>)}
+              </select>
+              <input
+                type="text"
+                value={channel.note}
+                onChange={(e) => setWhereDoc(prev => updateChannel(prev, channel.id, { note: e.target.value }))}
+                aria-label={t('where.channelNote', { name: channel.name })}
+                placeholder={t('where.channelNotePlaceholder')}
+                className="shadow appearance-none border rounded-lg w-full py-1 px-2 text-sm text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
+              />
+              <select
+                value={channel.broadCategoryId || ''}
+                onChange={(e) => setWhereDoc(prev => updateChannel(prev, channel.id, { broadCategoryId: e.target.value || null }))}
+                aria-label={t('where.channelSkills', { name: channel.name })}
+                className="shadow border rounded-lg py-1 px-2 text-sm text-gray-700 focus:outline-none focus:shadow-outline"
+              >
+                <option value="">{t('where.forAllSkills')}</option>
+                {skillCategories.map(category => <option key={category.id} value={category.id}>{t('where.forCategory', { category: categoryLabel(category) })}</option>)}
+                {channel.broadCategoryId && !skillCategories.some(category => category.id === channel.broadCategoryId) && (
+                  <option value={channel.broadCategoryId}>
+                    {t('where.forCategory', { category: categoryLabel(getCategory(skillsDoc, channel.broadCategoryId)) || t('where.unusedCategory') })}
+                  </option>
+                )}
+              </select>
+            </div>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+};
+
+export default WhereStep;
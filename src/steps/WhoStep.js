@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import useDebouncedSave from '../hooks/useDebouncedSave';
+import useRemoteUpdates from '../hooks/useRemoteUpdates';
+import { loadDocument } from '../lib/localPersistence';
+import { mergeAudiencesDocument } from '../lib/syncMerge';
+import { createId } from '../lib/ids';
+import { t } from '../lib/i18n';
+import { filingLabel, legacySkillId, listSkills, migrateSkillsDocument, skillFiling, skillLabel } from '../lib/skillModel';
+
+const emptyDemographics = {
+  ageRange: '',
+  location: '',
+  incomeLevel: '',
+  notes: '',
+};
+
+const demographicFields = [
+  { key: 'ageRange', get label() { return t('who.ageRange'); }, get placeholder() { return t('who.ageRangePlaceholder'); } },
+  { key: 'location', get label() { return t('who.location'); }, get placeholder() { return t('who.locationPlaceholder'); } },
+  { key: 'incomeLevel', get label() { return t('who.incomeLevel'); }, get placeholder() { return t('who.incomeLevelPlaceholder'); } },
+  { key: 'notes', get label() { return t('who.notes'); }, get placeholder() { return t('who.notesPlaceholder'); } },
+];
+
+const inputClassName = 'shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500';
+
+// Linked skills are stored as skill ids. Segments saved before skills had ids referenced them as
+// { broadCategory, subCategory, skill }; those map onto the ids the What document migration assigns.
+const normalizeSegment = (segment) => ({
+  ...segment,
+  linkedSkills: (segment.linkedSkills || []).map(ref => (typeof ref === 'string' ? ref : legacySkillId(ref))),
+});
+
+const normalizeAudiences = (data) => ({ segments: (Array.isArray(data?.segments) ? data.segments : []).map(normalizeSegment) });
+
+// Who? step: target customers and audiences, each linked to the What skills that serve them.
+const WhoStep = ({ db, userId, isAuthReady, isFirebaseUnavailable, canvasAppId, syncEngine, profile, onDataChange }) => {
+  const [segments, setSegments] = useState([]);
+  const [newSegmentName, setNewSegmentName] = useState('');
+  const [hasLoaded, setHasLoaded] = useState(false);
+  const lastSyncedRef = useRef(null); // Base for merging live updates into local state
+
+  // Load once Firestore is ready, or straight from the local store when Firebase isn't available.
+  const canLoad = (isAuthReady && Boolean(db) && Boolean(userId)) || isFirebaseUnavailable;
+
+  // --- Data Loading ---
+  useEffect(() => {
+    if (!canLoad) {
+      return;
+    }
+
+    let cancelled = false;
+    const loadSegments = async () => {
+      try {
+        const data = await loadDocument({ db, appId: canvasAppId, userId, docId: 'whoAudiences' });
+        if (!cancelled && Array.isArray(data?.segments)) {
+          const loaded = normalizeAudiences(data);
+          lastSyncedRef.current = loaded;
+          setSegments(loaded.segments);
+        }
+        console.log("Audiences loaded.");
+      } catch (error) {
+        console.error("Error loading audiences:", error);
+      } finally {
+        if (!cancelled) setHasLoaded(true);
+      }
+    };
+
+    loadSegments();
+    return () => {
+      cancelled = true;
+    };
+  }, [canLoad, db, userId, canvasAppId]);
+
+  const setWhoDoc = useCallback((update) => setSegments(prev => update({ segments: prev }).segments), []);
+  useRemoteUpdates({
+    syncEngine,
+    docId: 'whoAudiences',
+    enabled: hasLoaded,
+    syncedRef: lastSyncedRef,
+    setData: setWhoDoc,
+    merge: mergeAudiencesDocument,
+    normalize: normalizeAudiences,
+  });
+
+  // Memoized so the debounced save only re-arms when the segments actually change.
+  const whoData = useMemo(() => ({ segments }), [segments]);
+  useDebouncedSave({
+    db,
+    userId,
+    appId: canvasAppId,
+    docId: 'whoAudiences',
+    data: whoData,
+    enabled: hasLoaded,
+  });
+
+  // Report the live segments to the wizard so it can validate the step before moving on.
+  useEffect(() => {
+    if (hasLoaded) {
+      onDataChange(whoData);
+    }
+  }, [whoData, hasLoaded, onDataChange]);
+
+  // The What skills, each of which can be linked to a segment.
+  const skillsDoc = migrateSkillsDocument(profile.what);
+  const availableSkills = listSkills(skillsDoc);
+
+  // --- Handlers for User Input ---
+
+  const handleAddSegment = () => {
+    const name = newSegmentName.trim();
+    if (name === '') return;
+    if (segments.some((segment) => segment.name.toLowerCase() === name.toLowerCase())) {
+      console.warn(`Segment "${name}" already exists.`);
+      setNewSegmentName('');
+      return;
+    }
+    setSegments((prev) => [
+      ...prev,
+      { id: createId('seg_'), name, description: '', demographics: { ...emptyDemographics }, linkedSkills: [] },
+    ]);
+    setNewSegmentName('');
+  };
+
+  const updateSegment = (segmentId, changes) => {
+    setSegments((prev) => prev.map((segment) => (segment.id === segmentId ? { ...segment, ...changes } : segment)));
+  };
+
+  const handleDemographicChange = (segment, key, value) => {
+    updateSegment(segment.id, { demographics: { ...segment.demographics, [key]: value } });
+  };
+
+  const handleToggleSkillLink = (segment, skillId) => {
+    const isLinked = segment.linkedSkills.includes(skillId);
+    updateSegment(segment.id, {
+      linkedSkills: isLinked
+        ? segment.linkedSkills.filter((linked) => linked !== skillId)
+        : [...segment.linkedSkills, skillId],
+    });
+  };
+
+  const handleRemoveSegment = (segmentId) => {
+    setSegments((prev) => prev.filter((segment) => segment.id !== segmentId));
+  };
+
+  return (
+    <>
+      <h1 className="text-3xl font-bold text-center text-blue-800 mb-6">
+        {t('step.who.label')} <span className="text-xl font-normal">({t('step.who.title')})</span>
+      </h1>
+      <p className="text-center text-gray-600 mb-8">
+        {t('who.intro')}
+      </p>
+
+      {/* 1. Add Segments Section */}
+      <div className="mb-8 p-4 border border-blue-200 rounded-lg bg-blue-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('who.addHeading')}</h2>
+        <div className="flex items-end gap-2">
+          <div className="flex-grow">
+            <label htmlFor="newSegmentName" className="block text-gray-700 text-sm font-bold mb-2">
+              {t('who.nameSegment')}
+            </label>
+            <input
+              type="text"
+              id="newSegmentName"
+              value={newSegmentName}
+              onChange={(e) => setNewSegmentName(e.target.value)}
+              onKeyPress={(e) => { if (e.key === 'Enter') handleAddSegment(); }}
+              placeholder={t('who.segmentPlaceholder')}
+              className={inputClassName}
+            />
+          </div>
+          <button
+            onClick={handleAddSegment}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:shadow-outline transition-colors duration-200 shadow-md"
+            disabled={newSegmentName.trim() === ''}
+          >
+            {t('who.addSegment')}
+          </button>
+        </div>
+      </div>
+
+      {/* 2. Segment Details Section */}
+      {segments.length > 0 && (
+        <div className="mb-8 p-4 border border-green-200 rounded-lg bg-green-50">
+          <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('who.describeHeading')}</h2>
+          {segments.map((segment) => (
+            <div key={segment.id} className="mb-4 bg-white p-4 rounded-lg border border-green-100 shadow-sm">
+              <div className="flex items-center justify-between mb-2">
+                <input
+                  type="text"
+                  value={segment.name}
+                  onChange={(e) => updateSegment(segment.id, { name: e.target.value })}
+                  aria-label={t('who.segmentName')}
+                  className="text-lg font-bold text-green-700 border-b border-transparent focus:border-green-400 focus:outline-none flex-grow"
+                />
+                <button
+                  onClick={() => handleRemoveSegment(segment.id)}
+                  className="ml-2 text-green-600 hover:text-green-900 transition-colors duration-150"
+                  aria-label={t('common.removeLabel', { name: segment.name })}
+                >
+                  &times;
+                </button>
+              </div>
+
+              <label htmlFor={`description-${segment.id}`} className="block text-gray-700 text-sm font-bold mb-2">
+                {t('who.description')}
+              </label>
+              <textarea
+                id={`description-${segment.id}`}
+                value={segment.description}
+                onChange={(e) => updateSegment(segment.id, { description: e.target.value })}
+                rows={2}
+                className={`${inputClassName} mb-4`}
+              />
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+                {demographicFields.map(({ key, label, placeholder }) => (
+                  <div key={key}>
+                    <label htmlFor={`${key}-${segment.id}`} className="block text-gray-700 text-sm font-bold mb-2">
+                      {label}:
+                    </label>
+                    <input
+                      type="text"
+                      id={`${key}-${segment.id}`}
+                      value={segment.demographics?.[key] || ''}
+                      onChange={(e) => handleDemographicChange(segment, key, e.target.value)}
+                      placeholder={placeholder}
+                      className={inputClassName}
+                    />
+                  </div>
+                ))}
+              </div>
+
+              <h4 className="text-md font-semibold text-gray-600 mb-1">{t('who.linkedSkills')}</h4>
+              {availableSkills.length === 0 ? (
+                <p className="text-sm text-gray-500">{t('who.noSkills')}</p>
+              ) : (
+                <div className="flex flex-wrap gap-2">
+                  {availableSkills.map((skill) => {
+                    const isLinked = segment.linkedSkills.includes(skill.id);
+                    return (
+                      <button
+                        key={skill.id}
+                        onClick={() => handleToggleSkillLink(segment, skill.id)}
+                        title={filingLabel(skillFiling(skillsDoc, skill))}
+                        aria-pressed={isLinked}
+                        className={`text-sm font-medium px-3 py-1 rounded-full shadow-sm transition-colors duration-150 ${isLinked ? 'bg-purple-600 text-white' : 'bg-purple-100 text-purple-800 hover:bg-purple-200'}`}
+                      >
+                        {skillLabel(skill)}
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default WhoStep;
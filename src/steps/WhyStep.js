@@ -0,0 +1,280 @@
+import React, { useState, useEffect, useRef } from 'react';
+import useDebouncedSave from '../hooks/useDebouncedSave';
+import useRemoteUpdates from '../hooks/useRemoteUpdates';
+import { t } from '../lib/i18n';
+import { loadDocument } from '../lib/localPersistence';
+import { mergeWhyDocument } from '../lib/syncMerge';
+import { listSkills, migrateSkillsDocument, skillLabel } from '../lib/skillModel';
+import {
+  MOTIVATION_OPTIONS,
+  VALUE_OPTIONS,
+  GOALS,
+  GOAL_IMPORTANCE,
+  INCOME_PERIODS,
+  ENJOYMENT_LEVELS,
+  createEmptyWhyDocument,
+  normalizeWhyDocument,
+  toggleEntry,
+  setEnjoyment,
+  rankBestFitSkills,
+} from '../lib/motivations';
+import BestFitSkills from '../components/BestFitSkills';
+
+const inputClassName = 'shadow appearance-none border rounded-lg w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500';
+const addButtonClassName = 'bg-blue-600 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded-lg focus:outline-none focus:shadow-outline transition-colors duration-200 shadow-md disabled:opacity-50';
+
+// Preset options as toggleable chips, plus a field for the user's own words (shown as chips too).
+// Presets are stored by id; typing a preset's label picks the preset.
+const EntryPicker = ({ id, label, options, entries, placeholder, onChange }) => {
+  const [newEntry, setNewEntry] = useState('');
+  const ownEntries = entries.filter(entry => !options.some(option => option.id === entry));
+  const isSelected = (entry) => entries.some(existing => existing.toLowerCase() === entry.toLowerCase());
+  const chips = [
+    ...options.map(option => ({ entry: option.id, text: option.label })),
+    ...ownEntries.map(entry => ({ entry, text: entry })),
+  ];
+
+  const handleAdd = () => {
+    const typed = newEntry.trim();
+    const entry = options.find(option => option.label.toLowerCase() === typed.toLowerCase())?.id || typed;
+    if (entry !== '' && !isSelected(entry)) {
+      onChange(toggleEntry(entries, entry));
+    }
+    setNewEntry('');
+  };
+
+  return (
+    <>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {chips.map(({ entry, text }) => (
+          <button
+            key={entry}
+            onClick={() => onChange(toggleEntry(entries, entry))}
+            aria-pressed={isSelected(entry)}
+            className={`text-sm font-medium px-3 py-1 rounded-full shadow-sm transition-colors duration-150 ${isSelected(entry) ? 'bg-blue-600 text-white' : 'bg-white text-blue-800 hover:bg-blue-100'}`}
+          >
+            {isSelected(entry) ? '✓' : '+'} {text}
+          </button>
+        ))}
+      </div>
+      <label htmlFor={id} className="block text-gray-700 text-sm font-bold mb-2">{label}</label>
+      <div className="flex items-end gap-2">
+        <input
+          type="text"
+          id={id}
+          value={newEntry}
+          onChange={(e) => setNewEntry(e.target.value)}
+          onKeyPress={(e) => { if (e.key === 'Enter') handleAdd(); }}
+          placeholder={placeholder}
+          className={inputClassName}
+        />
+        <button onClick={handleAdd} disabled={newEntry.trim() === ''} className={addButtonClassName}>
+          {t('common.add')}
+        </button>
+      </div>
+    </>
+  );
+};
+
+// Why? step: what drives the user and what they value, how much income, flexibility and impact
+// matter to them, and how much they enjoy each What? skill. Together these rank the skills by fit.
+const WhyStep = ({ db, userId, isAuthReady, isFirebaseUnavailable, canvasAppId, syncEngine, profile, onDataChange }) => {
+  const [whyDoc, setWhyDoc] = useState(createEmptyWhyDocument);
+  const [hasLoaded, setHasLoaded] = useState(false);
+  const lastSyncedRef = useRef(null); // Base for merging live updates into local state
+
+  // Load once Firestore is ready, or straight from the local store when Firebase isn't available.
+  const canLoad = (isAuthReady && Boolean(db) && Boolean(userId)) || isFirebaseUnavailable;
+
+  // --- Data Loading and Saving ---
+  useEffect(() => {
+    if (!canLoad) {
+      return;
+    }
+
+    let cancelled = false;
+    const loadMotivations = async () => {
+      try {
+        const data = await loadDocument({ db, appId: canvasAppId, userId, docId: 'whyMotivations' });
+        if (!cancelled && data) {
+          const loaded = normalizeWhyDocument(data);
+          lastSyncedRef.current = loaded;
+          setWhyDoc(loaded);
+        }
+        console.log("Motivations loaded.");
+      } catch (error) {
+        console.error("Error loading motivations:", error);
+      } finally {
+        if (!cancelled) setHasLoaded(true);
+      }
+    };
+
+    loadMotivations();
+    return () => {
+      cancelled = true;
+    };
+  }, [canLoad, db, userId, canvasAppId]);
+
+  useRemoteUpdates({
+    syncEngine,
+    docId: 'whyMotivations',
+    enabled: hasLoaded,
+    syncedRef: lastSyncedRef,
+    setData: setWhyDoc,
+    merge: mergeWhyDocument,
+  });
+
+  useDebouncedSave({
+    db,
+    userId,
+    appId: canvasAppId,
+    docId: 'whyMotivations',
+    data: whyDoc,
+    enabled: hasLoaded,
+  });
+
+  useEffect(() => {
+    if (hasLoaded) {
+      onDataChange(whyDoc);
+    }
+  }, [whyDoc, hasLoaded, onDataChange]);
+
+  const skillsDoc = migrateSkillsDocument(profile.what);
+  const skills = listSkills(skillsDoc);
+  const bestFit = rankBestFitSkills(whyDoc, { skillsDoc, whoData: profile.who, whereData: profile.where });
+
+  // --- Handlers for User Input ---
+
+  const updateGoals = (changes) => {
+    setWhyDoc(prev => ({ ...prev, goals: { ...prev.goals, ...changes } }));
+  };
+
+  const handleRateSkill = (skillId, rating) => {
+    // Clicking the current rating again clears it.
+    setWhyDoc(prev => setEnjoyment(prev, skillId, prev.enjoyment[skillId] === rating ? null : rating));
+  };
+
+  return (
+    <>
+      <h1 className="text-3xl font-bold text-center text-blue-800 mb-6">
+        {t('step.why.label')} <span className="text-xl font-normal">({t('step.why.title')})</span>
+      </h1>
+      <p className="text-center text-gray-600 mb-8">
+        {t('why.intro')}
+      </p>
+
+      {/* 1. Motivations Section */}
+      <div className="mb-8 p-4 border border-blue-200 rounded-lg bg-blue-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('why.motivationsHeading')}</h2>
+        <EntryPicker
+          id="newMotivation"
+          label={t('why.otherMotivation')}
+          options={MOTIVATION_OPTIONS}
+          entries={whyDoc.motivations}
+          placeholder={t('why.motivationPlaceholder')}
+          onChange={(motivations) => setWhyDoc(prev => ({ ...prev, motivations }))}
+        />
+      </div>
+
+      {/* 2. Values Section */}
+      <div className="mb-8 p-4 border border-blue-200 rounded-lg bg-blue-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('why.valuesHeading')}</h2>
+        <EntryPicker
+          id="newValue"
+          label={t('why.otherValue')}
+          options={VALUE_OPTIONS}
+          entries={whyDoc.values}
+          placeholder={t('why.valuePlaceholder')}
+          onChange={(values) => setWhyDoc(prev => ({ ...prev, values }))}
+        />
+      </div>
+
+      {/* 3. Goals Section */}
+      <div className="mb-8 p-4 border border-green-200 rounded-lg bg-green-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('why.goalsHeading')}</h2>
+        <label htmlFor="incomeTarget" className="flex flex-wrap items-center gap-2 text-gray-700 text-sm font-bold mb-4">
+          {t('why.incomeBefore')}
+          <input
+            type="number"
+            id="incomeTarget"
+            min="0"
+            value={whyDoc.goals.incomeTarget ?? ''}
+            onChange={(e) => updateGoals({ incomeTarget: e.target.value === '' ? null : Math.max(0, Number(e.target.value)) || null })}
+            className="shadow appearance-none border rounded-lg w-28 py-1 px-2 text-gray-700 leading-tight focus:outline-none focus:shadow-outline focus:border-blue-500"
+          />
+          <select
+            value={whyDoc.goals.incomePeriod}
+            onChange={(e) => updateGoals({ incomePeriod: e.target.value })}
+            aria-label={t('why.incomePeriod')}
+            className="shadow border rounded-lg py-1 px-2 text-gray-700 focus:outline-none focus:shadow-outline"
+          >
+            {INCOME_PERIODS.map(period => <option key={period.id} value={period.id}>{period.label}</option>)}
+          </select>
+          {t('why.incomeAfter')}
+        </label>
+        <div className="space-y-3">
+          {GOALS.map(goal => (
+            <fieldset key={goal.id} className="bg-white p-3 rounded-lg border border-green-100">
+              <legend className="sr-only">{goal.label}</legend>
+              <p className="text-sm font-bold text-gray-700">{goal.label}</p>
+              <p className="text-xs text-gray-500 mb-2">{goal.description}</p>
+              <div className="flex flex-wrap gap-4">
+                {GOAL_IMPORTANCE.map(level => (
+                  <label key={level.id} className="flex items-center gap-1 text-sm text-gray-700 cursor-pointer">
+                    <input
+                      type="radio"
+                      name={`goal-${goal.id}`}
+                      checked={whyDoc.goals[goal.id] === level.id}
+                      onChange={() => updateGoals({ [goal.id]: level.id })}
+                      className="form-radio text-green-600"
+                    />
+                    {level.label}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+          ))}
+        </div>
+      </div>
+
+      {/* 4. Enjoyment Section */}
+      <div className="mb-8 p-4 border border-purple-200 rounded-lg bg-purple-50">
+        <h2 className="text-xl font-semibold text-gray-700 mb-4">{t('why.enjoymentHeading')}</h2>
+        {skills.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('why.noSkills')}</p>
+        ) : (
+          <ul className="space-y-2">
+            {skills.map(skill => {
+              const rating = whyDoc.enjoyment[skill.id] || 0;
+              return (
+                <li key={skill.id} className="flex flex-wrap items-center justify-between gap-2 bg-white p-2 rounded-lg border border-purple-100">
+                  <span className="text-sm font-medium text-gray-800">{skillLabel(skill)}</span>
+                  <span className="flex items-center gap-1" role="group" aria-label={t('why.enjoymentLabel', { skill: skillLabel(skill) })}>
+                    {ENJOYMENT_LEVELS.map(level => (
+                      <button
+                        key={level.value}
+                        onClick={() => handleRateSkill(skill.id, level.value)}
+                        aria-pressed={rating === level.value}
+                        aria-label={level.label}
+                        title={level.label}
+                        className={`text-xl leading-none ${level.value <= rating ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-300'}`}
+                      >
+                        ★
+                      </button>
+                    ))}
+                    <span className="ml-2 w-20 text-xs text-gray-500">{rating ? ENJOYMENT_LEVELS[rating - 1].label : t('why.notRated')}</span>
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      {/* 5. Best-Fit Skills Section */}
+      <BestFitSkills rankedSkills={bestFit} />
+    </>
+  );
+};
+
+export default WhyStep;
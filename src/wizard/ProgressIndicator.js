@@ -0,0 +1,59 @@
+import React from 'react';
+import { INSIGHTS_ROUTE } from '../lib/insights';
+import { t } from '../lib/i18n';
+
+// Row of step pills: completed steps get a check mark, the current one is highlighted.
+// Users can jump back to revise earlier answers, and ahead as far as `isStepReachable` allows (later
+// pills are disabled); the last pill opens the insights dashboard (highlighted when `currentStepId`
+// is its route).
+const ProgressIndicator = ({ steps, currentStepId, completion, isStepReachable, onSelect, onOpenInsights }) => {
+  const completedCount = steps.filter(step => completion[step.id]).length;
+
+  return (
+    <nav aria-label={t('progress.label')} className="mb-8">
+      <ol className="flex flex-wrap justify-center gap-2">
+        {steps.map((step, index) => {
+          const isCurrent = step.id === currentStepId;
+          const isComplete = completion[step.id];
+          const isReachable = isStepReachable(step.id);
+          return (
+            <li key={step.id}>
+              <button
+                onClick={() => onSelect(step.id)}
+                disabled={!isReachable}
+                aria-current={isCurrent ? 'step' : undefined}
+                className={`text-sm font-medium px-3 py-1 rounded-full shadow-sm transition-colors duration-150 ${
+                  isCurrent
+                    ? 'bg-blue-600 text-white'
+                    : isComplete
+                      ? 'bg-green-100 text-green-800 hover:bg-green-200'
+                      : isReachable
+                        ? 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                        : 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                }`}
+              >
+                {isComplete ? '✓' : index + 1}. {step.label}
+              </button>
+            </li>
+          );
+        })}
+        <li>
+          <button
+            onClick={onOpenInsights}
+            aria-current={currentStepId === INSIGHTS_ROUTE ? 'page' : undefined}
+            className={`text-sm font-medium px-3 py-1 rounded-full shadow-sm transition-colors duration-150 ${
+              currentStepId === INSIGHTS_ROUTE ? 'bg-blue-600 text-white' : 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200'
+            }`}
+          >
+            ✦ {t('progress.insights')}
+          </button>
+        </li>
+      </ol>
+      <p className="text-center text-xs text-gray-500 mt-2">
+        {t('progress.sectionsComplete', { completed: completedCount, total: steps.length })}
+      </p>
+    </nav>
+  );
+};
+
+export default ProgressIndicator;
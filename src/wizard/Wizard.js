@@ -0,0 +1,294 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import useHashRoute from './useHashRoute';
+import useSyncState from '../hooks/useSyncState';
+import ProgressIndicator from './ProgressIndicator';
+import SyncStatusBadge from '../components/SyncStatusBadge';
+import ProfileExportMenu from '../components/ProfileExportMenu';
+import ShareProfilePanel from '../components/ShareProfilePanel';
+import CollaboratorsPanel from '../components/CollaboratorsPanel';
+import InsightsDashboard from '../components/InsightsDashboard';
+import {
+  SYNC_STATES,
+  readLocalDocument,
+  writeLocalDocument,
+  getConflictedDocIds,
+  keepLocalVersion,
+  discardLocalChanges,
+} from '../lib/localPersistence';
+import { getSyncEngine } from '../lib/syncEngine';
+import { INSIGHTS_ROUTE } from '../lib/insights';
+import { t } from '../lib/i18n';
+import { wizardSteps, getStepIndex, normalizeStepData, validateStep, isStepComplete } from './steps';
+
+// Wizard shell for the six W-sections: routing, progress, back/next with validation,
+// resuming at the first incomplete step, and the insights dashboard (`#/insights`) across all of them.
+const Wizard = ({ db, userId, account, isAuthReady, isFirebaseUnavailable, canvasAppId }) => {
+  const [route, navigate] = useHashRoute();
+  const [savedData, setSavedData] = useState({}); // Stored document per step id, kept live via onSnapshot
+  const [loadedStepIds, setLoadedStepIds] = useState([]);
+  const [liveData, setLiveData] = useState({}); // Unsaved in-progress data reported by the mounted step
+  const [validationError, setValidationError] = useState('');
+  const [stepReloadCount, setStepReloadCount] = useState(0); // Remounts the step after discarding local changes
+  const [isImportingProfile, setIsImportingProfile] = useState(false); // Step unmounted while an import is written
+  const syncState = useSyncState();
+
+  const currentIndex = getStepIndex(route);
+  const currentStep = currentIndex >= 0 ? wizardSteps[currentIndex] : null;
+  const isInsightsRoute = route === INSIGHTS_ROUTE;
+  const hasLoadedProgress = loadedStepIds.length === wizardSteps.length;
+
+  // Shared per-user sync engine: one Firestore listener per step document.
+  const syncEngine = useMemo(
+    () => (isAuthReady ? getSyncEngine({ db, appId: canvasAppId, userId }) : null),
+    [isAuthReady, db, userId, canvasAppId]
+  );
+
+  // --- Step documents (completion state and cross-step data) ---
+  useEffect(() => {
+    if (!syncEngine) {
+      return;
+    }
+
+    const unsubscribes = wizardSteps.map(step => syncEngine.subscribe(step.docId, (data) => {
+      setSavedData(prev => ({ ...prev, [step.id]: normalizeStepData(step, data) }));
+      setLoadedStepIds(prev => (prev.includes(step.id) ? prev : [...prev, step.id]));
+    }));
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [syncEngine]);
+
+  // Without Firebase, progress comes from the local store instead.
+  useEffect(() => {
+    if (!isFirebaseUnavailable) {
+      return;
+    }
+
+    const loadLocalProgress = async () => {
+      const entries = await Promise.all(wizardSteps.map(async step => {
+        try {
+          return [step.id, normalizeStepData(step, await readLocalDocument(step.docId))];
+        } catch (error) {
+          console.error(`Error reading local ${step.docId}:`, error);
+          return [step.id, null];
+        }
+      }));
+      setSavedData(Object.fromEntries(entries));
+      setLoadedStepIds(wizardSteps.map(step => step.id));
+    };
+
+    loadLocalProgress();
+  }, [isFirebaseUnavailable]);
+
+  // --- Outbox sync: push local changes now, whenever the browser comes back online, and periodically ---
+  useEffect(() => {
+    if (!syncEngine) {
+      return;
+    }
+
+    const flush = () => syncEngine.flush();
+    flush();
+    window.addEventListener('online', flush);
+    const interval = setInterval(flush, 30000);
+    return () => {
+      window.removeEventListener('online', flush);
+      clearInterval(interval);
+    };
+  }, [syncEngine]);
+
+  const stepData = (step) => ({ ...(savedData[step.id] || {}), ...(liveData[step.id] || {}) });
+
+  const completion = Object.fromEntries(
+    wizardSteps.map(step => [step.id, isStepComplete(step, stepData(step))])
+  );
+  // Steps can be revisited freely, but not skipped: jumping ahead stops at the first incomplete step,
+  // whose validation (in handleNext) has to pass before the later ones open.
+  const firstIncompleteIndex = wizardSteps.findIndex(step => !completion[step.id]);
+  const lastReachableIndex = firstIncompleteIndex === -1 ? wizardSteps.length - 1 : firstIncompleteIndex;
+  const isStepReachable = (stepId) => {
+    const index = getStepIndex(stepId);
+    return index !== -1 && index <= lastReachableIndex;
+  };
+  // A link or typed URL can point past that step; it isn't rendered, and once progress has loaded
+  // the route is sent back to the step that has to be completed first.
+  const isRouteAhead = currentIndex > lastReachableIndex;
+
+  useEffect(() => {
+    if (isRouteAhead && hasLoadedProgress) {
+      navigate(wizardSteps[lastReachableIndex].id, { replace: true });
+    }
+  }, [isRouteAhead, hasLoadedProgress, lastReachableIndex, navigate]);
+
+  // --- Resume where the user left off ---
+  useEffect(() => {
+    if (currentStep || isInsightsRoute) {
+      return;
+    }
+    if (!hasLoadedProgress) {
+      return;
+    }
+    const resumeStep = wizardSteps.find(step => !isStepComplete(step, savedData[step.id])) || wizardSteps[wizardSteps.length - 1];
+    console.log(`Resuming wizard at "${resumeStep.id}".`);
+    navigate(resumeStep.id, { replace: true });
+  }, [currentStep, isInsightsRoute, hasLoadedProgress, savedData, navigate]);
+
+  useEffect(() => {
+    setValidationError('');
+  }, [route]);
+
+  const handleStepDataChange = useCallback((data) => {
+    if (!currentStep) return;
+    setLiveData(prev => ({ ...prev, [currentStep.id]: data }));
+  }, [currentStep]);
+
+  // --- Navigation ---
+
+  const handleSelectStep = (stepId) => {
+    if (isStepReachable(stepId)) {
+      navigate(stepId);
+    }
+  };
+
+  const handleBack = () => {
+    if (currentIndex > 0) {
+      navigate(wizardSteps[currentIndex - 1].id);
+    }
+  };
+
+  const handleNext = async () => {
+    const error = validateStep(currentStep, stepData(currentStep));
+    if (error) {
+      setValidationError(error);
+      return;
+    }
+
+    try {
+      const completionFields = { completed: true, completedAt: Date.now() };
+      await writeLocalDocument(currentStep.docId, completionFields, { ownerUid: userId });
+      setSavedData(prev => ({ ...prev, [currentStep.id]: { ...(prev[currentStep.id] || {}), ...completionFields } }));
+      if (syncEngine) syncEngine.flush();
+    } catch (saveError) {
+      console.error(`Error marking step "${currentStep.id}" complete:`, saveError);
+    }
+
+    navigate(currentIndex < wizardSteps.length - 1 ? wizardSteps[currentIndex + 1].id : INSIGHTS_ROUTE);
+  };
+
+  // --- Profile import ---
+
+  // Imported sections replace the stored step documents. The mounted step is unmounted first, so its
+  // pending debounced save is queued before (not after) the import, then remounted to load the result.
+  const handleImportProfile = async (sections) => {
+    const importedSteps = wizardSteps.filter(step => sections[step.id]);
+    setIsImportingProfile(true);
+    try {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await Promise.all(importedSteps.map(step => writeLocalDocument(step.docId, sections[step.id], { ownerUid: userId })));
+      setSavedData(prev => ({ ...prev, ...sections }));
+      setLiveData({});
+      if (syncEngine) syncEngine.flush();
+      console.log(`Imported profile sections: ${importedSteps.map(step => step.id).join(', ')}.`);
+    } finally {
+      setStepReloadCount(count => count + 1);
+      setIsImportingProfile(false);
+    }
+  };
+
+  // --- Conflict resolution ---
+
+  const handleKeepLocal = () => {
+    getConflictedDocIds().forEach(docId => keepLocalVersion({ db, appId: canvasAppId, userId, docId }));
+  };
+
+  const handleUseCloud = async () => {
+    await Promise.all(getConflictedDocIds().map(docId => discardLocalChanges(docId)));
+    setLiveData({});
+    setStepReloadCount(count => count + 1);
+  };
+
+  if ((!currentStep && !isInsightsRoute) || isRouteAhead) {
+    return <div className="text-center text-gray-500 my-4">{t('wizard.loadingProgress')}</div>;
+  }
+
+  const StepComponent = currentStep?.component;
+  const profile = Object.fromEntries(wizardSteps.map(step => [step.id, stepData(step)]));
+  const nextStep = wizardSteps[currentIndex + 1];
+
+  return (
+    <>
+      <ProgressIndicator
+        steps={wizardSteps}
+        currentStepId={isInsightsRoute ? INSIGHTS_ROUTE : currentStep.id}
+        completion={completion}
+        isStepReachable={isStepReachable}
+        onSelect={handleSelectStep}
+        onOpenInsights={() => navigate(INSIGHTS_ROUTE)}
+      />
+
+      {isInsightsRoute ? (
+        hasLoadedProgress ? (
+          <InsightsDashboard
+            userId={userId}
+            steps={wizardSteps}
+            profile={profile}
+            completion={completion}
+            onOpenStep={handleSelectStep}
+          />
+        ) : (
+          <div className="text-center text-gray-500 my-4">{t('wizard.loadingProgress')}</div>
+        )
+      ) : isImportingProfile ? (
+        <div className="text-center text-gray-500 my-4">{t('wizard.importingProfile')}</div>
+      ) : (
+        <StepComponent
+          key={`${currentStep.id}-${stepReloadCount}`}
+          step={currentStep}
+          db={db}
+          userId={userId}
+          account={account}
+          isAuthReady={isAuthReady}
+          isFirebaseUnavailable={isFirebaseUnavailable}
+          canvasAppId={canvasAppId}
+          syncEngine={syncEngine}
+          profile={profile}
+          onDataChange={handleStepDataChange}
+        />
+      )}
+
+      {/* Navigation Buttons */}
+      <div className="mt-8 text-center">
+        <SyncStatusBadge
+          syncState={isFirebaseUnavailable ? SYNC_STATES.LOCAL_ONLY : syncState}
+          onKeepLocal={handleKeepLocal}
+          onUseCloud={handleUseCloud}
+        />
+        {validationError && (
+          <p className="mb-4 text-sm font-medium text-red-600">{validationError}</p>
+        )}
+        {currentStep && (
+          <div className="flex justify-center gap-4">
+            {currentIndex > 0 && (
+              <button
+                className="bg-gray-500 hover:bg-gray-600 text-white font-bold py-3 px-6 rounded-lg focus:outline-none focus:shadow-outline transition-colors duration-200 shadow-lg text-xl"
+                onClick={handleBack}
+              >
+                {t('wizard.backTo', { label: wizardSteps[currentIndex - 1].label })}
+              </button>
+            )}
+            <button
+              className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-lg focus:outline-none focus:shadow-outline transition-colors duration-200 shadow-lg text-xl"
+              disabled={!isAuthReady && !isFirebaseUnavailable}
+              onClick={handleNext}
+            >
+              {nextStep ? t('wizard.continueTo', { label: nextStep.label }) : t('wizard.finish')}
+            </button>
+          </div>
+        )}
+        <ProfileExportMenu steps={wizardSteps} profile={profile} onImport={handleImportProfile} />
+        <ShareProfilePanel db={db} userId={userId} canvasAppId={canvasAppId} steps={wizardSteps} profile={profile} />
+        <CollaboratorsPanel db={db} userId={userId} account={account} canvasAppId={canvasAppId} />
+      </div>
+    </>
+  );
+};
+
+export default Wizard;
@@ -0,0 +1,100 @@
+import WhatStep from '../steps/WhatStep';
+import WhoStep from '../steps/WhoStep';
+import WhereStep from '../steps/WhereStep';
+import WhenStep from '../steps/WhenStep';
+import WhyStep from '../steps/WhyStep';
+import HowStep from '../steps/HowStep';
+import { hasAnySkill, migrateSkillsDocument } from '../lib/skillModel';
+import { hasServiceArea, normalizeWhereDocument } from '../lib/channels';
+import { hasAvailability, normalizeAvailabilityDocument } from '../lib/availability';
+import { normalizeWhyDocument } from '../lib/motivations';
+import { hasShortlistedOffer, normalizeOffersDocument } from '../lib/offers';
+import { t } from '../lib/i18n';
+import { summarizeSkills, summarizeAudiences, summarizeChannels, summarizeAvailability, summarizeMotivations, summarizeOffers } from '../lib/profileExport';
+
+// Step registry for the 6Ws wizard, in flow order.
+// - id:        route segment (`#/what`) and key for the step's data
+// - label, title: getters, so they follow the current UI language (see lib/i18n)
+// - docId:     document under artifacts/${appId}/users/${userId}/userSkills/ holding the step's data
+// - normalize: upgrades a stored document to the schema the step currently uses (optional)
+// - validate:  returns an error message when the step's data isn't enough to move on, or null
+// - summarize: (data, profile) => [{ heading, lines }] for the Markdown and printable exports (optional)
+// Steps without a `validate` can always be passed.
+export const wizardSteps = [
+  {
+    id: 'what',
+    get label() { return t('step.what.label'); },
+    get title() { return t('step.what.title'); },
+    docId: 'whatSkills',
+    component: WhatStep,
+    normalize: migrateSkillsDocument,
+    summarize: summarizeSkills,
+    validate: (data) => (hasAnySkill(data) ? null : t('step.what.validate')),
+  },
+  {
+    id: 'who',
+    get label() { return t('step.who.label'); },
+    get title() { return t('step.who.title'); },
+    docId: 'whoAudiences',
+    component: WhoStep,
+    summarize: summarizeAudiences,
+    validate: (data) => ((data?.segments || []).some(segment => segment.name.trim() !== '')
+      ? null
+      : t('step.who.validate')),
+  },
+  {
+    id: 'where',
+    get label() { return t('step.where.label'); },
+    get title() { return t('step.where.title'); },
+    docId: 'whereChannels',
+    component: WhereStep,
+    normalize: normalizeWhereDocument,
+    summarize: summarizeChannels,
+    validate: (data) => {
+      if (!hasServiceArea(data?.serviceArea)) return t('step.where.validateServiceArea');
+      return Object.keys(data?.channels || {}).length > 0 ? null : t('step.where.validateChannels');
+    },
+  },
+  {
+    id: 'when',
+    get label() { return t('step.when.label'); },
+    get title() { return t('step.when.title'); },
+    docId: 'whenAvailability',
+    component: WhenStep,
+    normalize: normalizeAvailabilityDocument,
+    summarize: summarizeAvailability,
+    validate: (data) => (hasAvailability(data) ? null : t('step.when.validate')),
+  },
+  {
+    id: 'why',
+    get label() { return t('step.why.label'); },
+    get title() { return t('step.why.title'); },
+    docId: 'whyMotivations',
+    component: WhyStep,
+    normalize: normalizeWhyDocument,
+    summarize: summarizeMotivations,
+    validate: (data) => ((data?.motivations || []).length > 0 || (data?.values || []).length > 0
+      ? null
+      : t('step.why.validate')),
+  },
+  {
+    id: 'how',
+    get label() { return t('step.how.label'); },
+    get title() { return t('step.how.title'); },
+    docId: 'howOffers',
+    component: HowStep,
+    normalize: normalizeOffersDocument,
+    summarize: summarizeOffers,
+    validate: (data) => (hasShortlistedOffer(data) ? null : t('step.how.validate')),
+  },
+];
+
+export const getStepIndex = (stepId) => wizardSteps.findIndex(step => step.id === stepId);
+
+export const normalizeStepData = (step, data) => (step.normalize && data ? step.normalize(data) : data);
+
+export const validateStep = (step, data) => (step.validate ? step.validate(data) : null);
+
+// A step counts as complete once the user has moved past it (`completed` flag written by the wizard)
+// and its stored data still passes validation.
+export const isStepComplete = (step, data) => Boolean(data?.completed) && !validateStep(step, data);
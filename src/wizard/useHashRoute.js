@@ -0,0 +1,30 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const readRoute = () => window.location.hash.replace(/^#\/?/, '');
+
+// Minimal hash router: `#/who` -> 'who'. Hash routes work on any static host
+// without server-side rewrites, and browser back/forward move between steps.
+const useHashRoute = () => {
+  const [route, setRoute] = useState(readRoute);
+
+  useEffect(() => {
+    const handleHashChange = () => setRoute(readRoute());
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  const navigate = useCallback((nextRoute, { replace = false } = {}) => {
+    const hash = `#/${nextRoute}`;
+    if (replace) {
+      // Also drops any query string, such as the parameters of an emailed sign-in link.
+      window.history.replaceState(null, '', `${window.location.pathname}${hash}`);
+      setRoute(nextRoute);
+    } else if (window.location.hash !== hash) {
+      window.location.hash = hash; // Fires hashchange, which updates the route
+    }
+  }, []);
+
+  return [route, navigate];
+};
+
+export default useHashRoute;